@@ -2,8 +2,18 @@
  * EmojiBlockerCore Tests
  * Tests for the consolidated emoji detection and processing module
  */
-import { describe, test, expect, beforeEach, jest } from '@jest/globals';
-import { EmojiBlockerCore, EmojiDetection, ProcessorConfig } from '../src/core/EmojiBlockerCore';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  EmojiBlockerCore,
+  EmojiDetection,
+  EmojiText,
+  InputSanitizer,
+  ProcessorConfig
+} from '../src/core/EmojiBlockerCore';
+import { EmojiData } from '../src/core/EmojiData';
+import { EmojiNames } from '../src/core/EmojiNames';
+import { EmojiIcons } from '../src/core/EmojiIcons';
+import { EmojiFont } from '../src/core/EmojiFont';
 
 describe('EmojiDetection', () => {
   describe('isEmoji', () => {
@@ -31,6 +41,148 @@ describe('EmojiDetection', () => {
       expect(EmojiDetection.isEmoji('🌍')).toBe(true); // Nature
       expect(EmojiDetection.isEmoji('🍕')).toBe(true); // Food
     });
+
+    test('should detect emojis outside the pictograph blocks', () => {
+      for (const char of ['©', '™', '↔', '⌚', '▶', '〰', '⭐', '🫨']) {
+        expect(EmojiDetection.isEmoji(char)).toBe(true);
+      }
+    });
+
+    test('should not detect non-emoji symbols in emoji-adjacent blocks', () => {
+      expect(EmojiDetection.isEmoji('\u{1F700}')).toBe(false); // Alchemical Symbols
+      expect(EmojiDetection.isEmoji('\u{1F800}')).toBe(false); // Supplemental Arrows-C
+      expect(EmojiDetection.isEmoji('★')).toBe(false);
+      expect(EmojiDetection.isEmoji('✓')).toBe(false);
+      expect(EmojiDetection.isEmoji('\uFE0F')).toBe(false);
+    });
+  });
+
+  describe('presentation', () => {
+    const textStyle = { respectTextPresentation: true };
+
+    test('should know the Emoji_Presentation property', () => {
+      expect(EmojiDetection.hasEmojiPresentation('😀')).toBe(true);
+      expect(EmojiDetection.hasEmojiPresentation('⌚')).toBe(true);
+      expect(EmojiDetection.hasEmojiPresentation('☺')).toBe(false);
+      expect(EmojiDetection.hasEmojiPresentation('✔')).toBe(false);
+    });
+
+    test('should leave text-style symbols alone by default', () => {
+      expect(EmojiDetection.segment('© 2024 Acme™. Terms ↔ more')).toEqual([
+        { text: '© 2024 Acme™. Terms ↔ more', isEmoji: false }
+      ]);
+      expect(EmojiDetection.extractEmojis('©️ ™ ⌚')).toEqual(['©️', '⌚']);
+    });
+
+    test('should block text-style symbols when not respecting presentation', () => {
+      const anyStyle = { respectTextPresentation: false };
+      expect(EmojiDetection.extractEmojis('☺ ♠ ✔ ☎ ✂', anyStyle)).toEqual([
+        '☺',
+        '♠',
+        '✔',
+        '☎',
+        '✂'
+      ]);
+    });
+
+    test('should leave text-style symbols alone when respecting presentation', () => {
+      expect(EmojiDetection.containsEmoji('☺ ♠ ✔ ☎ ✂', textStyle)).toBe(false);
+      expect(EmojiDetection.extractEmojis('Total ✔ 😀', textStyle)).toEqual(['😀']);
+    });
+
+    test('should honor VS16 and VS15 when respecting presentation', () => {
+      expect(EmojiDetection.extractEmojis('✔️ ☎\uFE0E ⌚\uFE0E', textStyle)).toEqual(['✔️']);
+      expect(EmojiDetection.segment('⌚\uFE0E', textStyle)).toEqual([
+        { text: '⌚\uFE0E', isEmoji: false }
+      ]);
+    });
+
+    test('should treat modifier, keycap, flag and ZWJ sequences as emoji presentation', () => {
+      expect(EmojiDetection.extractEmojis('☝🏽 #️⃣ 🇫🇷 👁‍🗨', textStyle)).toEqual([
+        '☝🏽',
+        '#️⃣',
+        '🇫🇷',
+        '👁‍🗨'
+      ]);
+    });
+  });
+
+  describe('categories', () => {
+    test('should expose the category taxonomy', () => {
+      expect(EmojiDetection.CATEGORIES).toEqual([
+        'smileys',
+        'people',
+        'animals',
+        'food',
+        'travel',
+        'activities',
+        'objects',
+        'symbols',
+        'flags'
+      ]);
+    });
+
+    test('should categorize emojis by their leading code point', () => {
+      expect(EmojiDetection.getCategory('😂')).toBe('smileys');
+      expect(EmojiDetection.getCategory('👍🏽')).toBe('people');
+      expect(EmojiDetection.getCategory('👩‍💻')).toBe('people');
+      expect(EmojiDetection.getCategory('🐶')).toBe('animals');
+      expect(EmojiDetection.getCategory('🍕')).toBe('food');
+      expect(EmojiDetection.getCategory('🚀')).toBe('travel');
+      expect(EmojiDetection.getCategory('⚽')).toBe('activities');
+      expect(EmojiDetection.getCategory('💡')).toBe('objects');
+      expect(EmojiDetection.getCategory('✅')).toBe('symbols');
+      expect(EmojiDetection.getCategory('#️⃣')).toBe('symbols');
+      expect(EmojiDetection.getCategory('🇹🇷')).toBe('flags');
+      expect(EmojiDetection.getCategory('🏳️‍🌈')).toBe('flags');
+    });
+
+    test('should return null for non-emoji input', () => {
+      expect(EmojiDetection.getCategory('a')).toBeNull();
+      expect(EmojiDetection.getCategory('')).toBeNull();
+    });
+
+    test('should return null for emojis outside every category', () => {
+      const categories = EmojiDetection.CATEGORIES;
+      EmojiDetection.CATEGORIES = [];
+
+      expect(EmojiDetection.getCategory('😀')).toBeNull();
+      EmojiDetection.CATEGORIES = categories;
+    });
+
+    test('should normalize away presentation selectors and skin tones', () => {
+      expect(EmojiDetection.normalize('👍🏽')).toBe('👍');
+      expect(EmojiDetection.normalize('❤️')).toBe('❤');
+      expect(EmojiDetection.normalize('☎\uFE0E')).toBe('☎');
+      expect(EmojiDetection.normalize('👩🏿‍💻')).toBe('👩‍💻');
+    });
+  });
+
+  describe('generated tables', () => {
+    test('should record the supported Unicode emoji version', () => {
+      expect(EmojiDetection.UNICODE_VERSION).toBe(EmojiData.UNICODE_VERSION);
+      expect(EmojiData.UNICODE_VERSION).toMatch(/^\d+\.\d+$/);
+    });
+
+    test('should store sorted, non-overlapping ranges', () => {
+      for (const table of [EmojiData.EMOJI, EmojiData.EMOJI_MODIFIER]) {
+        expect(table.length % 2).toBe(0);
+        for (let i = 1; i < table.length; i++) {
+          expect(table[i]).toBeGreaterThanOrEqual(table[i - 1]);
+        }
+      }
+    });
+
+    test('should look up range boundaries', () => {
+      const table = [0x10, 0x20, 0x30, 0x30];
+      expect(EmojiDetection._inTable(0x10, table)).toBe(true);
+      expect(EmojiDetection._inTable(0x20, table)).toBe(true);
+      expect(EmojiDetection._inTable(0x21, table)).toBe(false);
+      expect(EmojiDetection._inTable(0x30, table)).toBe(true);
+      expect(EmojiDetection._inTable(0x31, table)).toBe(false);
+      expect(EmojiDetection._inTable(0x0f, table)).toBe(false);
+      expect(EmojiDetection._inTable(undefined, table)).toBe(false);
+    });
   });
 
   describe('containsEmoji', () => {
@@ -73,6 +225,129 @@ describe('EmojiDetection', () => {
       expect(EmojiDetection.extractEmojis(null)).toEqual([]);
       expect(EmojiDetection.extractEmojis(undefined)).toEqual([]);
     });
+
+    test('should extract full emoji sequences', () => {
+      expect(EmojiDetection.extractEmojis('a 👨‍👩‍👧‍👦 b 🇹🇷 c #️⃣ d 👍🏽')).toEqual(['👨‍👩‍👧‍👦', '🇹🇷', '#️⃣', '👍🏽']);
+    });
+  });
+
+  describe('isSingleEmoji', () => {
+    test('should accept exactly one full emoji sequence', () => {
+      expect(EmojiDetection.isSingleEmoji('🚀')).toBe(true);
+      expect(EmojiDetection.isSingleEmoji('👨‍👩‍👧‍👦')).toBe(true);
+      expect(EmojiDetection.isSingleEmoji('🇹🇷')).toBe(true);
+      expect(EmojiDetection.isSingleEmoji('❤', { respectTextPresentation: false })).toBe(true);
+    });
+
+    test('should reject text, shortcodes and several emojis', () => {
+      for (const text of ['', 'abc', ':smile:', '🚀🚀', '🚀 ', 'a🚀', '❤']) {
+        expect(EmojiDetection.isSingleEmoji(text)).toBe(false);
+      }
+    });
+  });
+
+  describe('segment', () => {
+    test('should keep ZWJ sequences together', () => {
+      expect(EmojiDetection.segment('hi 👩‍💻!')).toEqual([
+        { text: 'hi ', isEmoji: false },
+        { text: '👩‍💻', isEmoji: true },
+        { text: '!', isEmoji: false }
+      ]);
+    });
+
+    test('should keep skin tone modifiers and VS16 with their base', () => {
+      expect(EmojiDetection.extractEmojis('👍🏽❤️')).toEqual(['👍🏽', '❤️']);
+    });
+
+    test('should pair regional indicators into flags', () => {
+      expect(EmojiDetection.extractEmojis('🇺🇸🇩🇪')).toEqual(['🇺🇸', '🇩🇪']);
+      expect(EmojiDetection.extractEmojis('🇺x')).toEqual(['🇺']);
+      expect(EmojiDetection.extractEmojis('🇺🇺')).toEqual(['🇺', '🇺']);
+    });
+
+    test('should match keycaps with and without VS16', () => {
+      expect(EmojiDetection.extractEmojis('#️⃣ 1⃣')).toEqual(['#️⃣', '1⃣']);
+    });
+
+    test('should not treat plain digits or hash signs as emoji', () => {
+      expect(EmojiDetection.segment('#1 and 42')).toEqual([{ text: '#1 and 42', isEmoji: false }]);
+      expect(EmojiDetection.containsEmoji('#\uFE0F')).toBe(false);
+    });
+
+    test('should keep tag sequences together', () => {
+      const england = '🏴\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}';
+      expect(EmojiDetection.extractEmojis(`go ${england}!`)).toEqual([england]);
+    });
+
+    test('should leave dangling ZWJ and stray variation selectors as text', () => {
+      expect(EmojiDetection.segment('😀\u200D.')).toEqual([
+        { text: '😀', isEmoji: true },
+        { text: '\u200D.', isEmoji: false }
+      ]);
+      expect(EmojiDetection.extractEmojis('😀\u200D')).toEqual(['😀']);
+      expect(EmojiDetection.segment('a\uFE0F')).toEqual([{ text: 'a\uFE0F', isEmoji: false }]);
+    });
+
+    test('should return the end index of a match', () => {
+      expect(EmojiDetection.matchSequence('a👍🏽b', 1)).toBe(5);
+      expect(EmojiDetection.matchSequence('a👍🏽b', 0)).toBe(0);
+    });
+
+    test('should return empty array for empty input', () => {
+      expect(EmojiDetection.segment('')).toEqual([]);
+      expect(EmojiDetection.segment(null)).toEqual([]);
+    });
+  });
+});
+
+describe('EmojiText', () => {
+  test('should use GitHub shortcodes by default', () => {
+    expect(EmojiText.toShortcode('😂')).toBe(':joy:');
+    expect(EmojiText.toShortcode('👍')).toBe(':+1:');
+  });
+
+  test('should use the requested shortcode style', () => {
+    expect(EmojiText.toShortcode('👍', 'slack')).toBe(':+1:');
+    expect(EmojiText.toShortcode('👍', 'discord')).toBe(':thumbsup:');
+    expect(EmojiText.toShortcode('👍', 'unknown')).toBe(':+1:');
+  });
+
+  test('should share shortcodes across skin tones, selectors and keycaps', () => {
+    expect(EmojiText.toShortcode('👍🏽')).toBe(':+1:');
+    expect(EmojiText.toShortcode('❤️')).toBe(':heart:');
+    expect(EmojiText.toShortcode('#️⃣', 'discord')).toBe(':hash:');
+  });
+
+  test('should fall back to the snake_cased name without a shortcode', () => {
+    const fallback = Object.keys(EmojiNames.NAMES).find(
+      (key) => !EmojiNames.SHORTCODES.github[key]
+    );
+    const expected = EmojiNames.NAMES[fallback].toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    expect(EmojiText.toShortcode(fallback)).toBe(`:${expected}:`);
+  });
+
+  test('should return CLDR names in brackets', () => {
+    expect(EmojiText.toName('😂')).toBe('[face with tears of joy]');
+    expect(EmojiText.toName('👋🏿')).toBe('[waving hand]');
+    expect(EmojiText.toName('🇯🇵')).toBe('[flag: Japan]');
+  });
+
+  test('should return ASCII emoticons where one exists', () => {
+    expect(EmojiText.toEmoticon('🙂')).toBe(':)');
+    expect(EmojiText.toEmoticon('❤️')).toBe('<3');
+    expect(EmojiText.toEmoticon('🚀')).toBeNull();
+  });
+
+  test('should return null for unknown emojis and modes', () => {
+    expect(EmojiText.toShortcode('a')).toBeNull();
+    expect(EmojiText.toName('a')).toBeNull();
+    expect(EmojiText.replace('😂', 'hide')).toBeNull();
+  });
+
+  test('should dispatch replace by mode', () => {
+    expect(EmojiText.replace('😂', 'shortcode', { shortcodeStyle: 'slack' })).toBe(':joy:');
+    expect(EmojiText.replace('😂', 'name')).toBe('[face with tears of joy]');
+    expect(EmojiText.replace('😂', 'emoticon')).toBe(":')");
   });
 });
 
@@ -86,6 +361,9 @@ describe('ProcessorConfig', () => {
     expect(ProcessorConfig.MODE_STYLES.desaturate).toBeDefined();
     expect(ProcessorConfig.MODE_STYLES.dim).toBeDefined();
     expect(ProcessorConfig.MODE_STYLES.blur).toBeDefined();
+    for (const mode of ProcessorConfig.TEXT_MODES) {
+      expect(ProcessorConfig.MODE_STYLES[mode]).toBeDefined();
+    }
   });
 
   test('should have correct SKIP_TAGS', () => {
@@ -96,6 +374,66 @@ describe('ProcessorConfig', () => {
   });
 });
 
+describe('EmojiFont', () => {
+  const ranges = [
+    [0xfe0f, 0xfe0f],
+    [0x1f525, 0x1f525],
+    [0x1f600, 0x1f602]
+  ];
+
+  test('should describe ranges as a unicode-range and list monochrome fallbacks', () => {
+    expect(EmojiFont.toUnicodeRange(ranges)).toBe('U+FE0F, U+1F525, U+1F600-1F602');
+    expect(EmojiFont.getMonochromeSource()).toMatch(/^local\("Noto Emoji"\), /);
+  });
+
+  test('should build a valid font with one empty glyph per code point', () => {
+    const view = new DataView(EmojiFont.buildBlankFont(ranges));
+    const tables = {};
+    for (let i = 0; i < view.getUint16(4); i++) {
+      const record = 12 + i * 16;
+      const tag = String.fromCharCode(
+        ...[0, 1, 2, 3].map((offset) => view.getUint8(record + offset))
+      );
+      tables[tag] = { checksum: view.getUint32(record + 4), offset: view.getUint32(record + 8) };
+    }
+    const sum = (offset, length) => {
+      let total = 0;
+      for (let i = offset; i < offset + length; i += 4) total = (total + view.getUint32(i)) >>> 0;
+      return total;
+    };
+
+    expect(Object.keys(tables)).toEqual([
+      'OS/2',
+      'cmap',
+      'glyf',
+      'head',
+      'hhea',
+      'hmtx',
+      'loca',
+      'maxp',
+      'name',
+      'post'
+    ]);
+    expect(sum(0, view.byteLength)).toBe(0xb1b0afba);
+    expect(sum(tables.hhea.offset, 36)).toBe(tables.hhea.checksum);
+    expect(view.getUint16(tables.maxp.offset + 4)).toBe(6);
+
+    // Format 12 subtable: groups of start, end and first glyph
+    const cmap = tables.cmap.offset;
+    const format12 = cmap + view.getUint32(cmap + 16);
+    expect(view.getUint16(format12)).toBe(12);
+    expect(view.getUint32(format12 + 12)).toBe(3);
+    expect(view.getUint32(format12 + 16 + 2 * 12 + 8)).toBe(3);
+
+    // Format 4 subtable: 0xFE0F maps through its delta to glyph 1
+    const format4 = cmap + view.getUint32(cmap + 8);
+    const segCount = view.getUint16(format4 + 6) / 2;
+    const delta = view.getUint16(format4 + 16 + segCount * 4);
+    expect(view.getUint16(format4 + 14)).toBe(0xfe0f);
+    expect((0xfe0f + delta) & 0xffff).toBe(1);
+  });
+});
+
 describe('EmojiBlockerCore', () => {
   let processor;
 
@@ -272,6 +610,35 @@ describe('EmojiBlockerCore', () => {
       processor._processTextNode(textNode, 'hide');
       expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
     });
+
+    test('should revisit text under a hidden parent once it is shown', () => {
+      const textNode = document.createTextNode('😀');
+      const parent = document.createElement('div');
+      parent.hidden = true;
+      parent.appendChild(textNode);
+
+      processor._processTextNode(textNode, 'hide');
+      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
+
+      parent.hidden = false;
+      processor._processTextNode(textNode, 'hide');
+      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(1);
+    });
+
+    test('should process edited text again after invalidateNode', () => {
+      const textNode = document.createTextNode('Hello');
+      const parent = document.createElement('div');
+      parent.appendChild(textNode);
+      processor._processTextNode(textNode, 'hide');
+
+      textNode.data = 'Hello 👋';
+      processor._processTextNode(textNode, 'hide');
+      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
+
+      processor.invalidateNode(textNode);
+      processor._processTextNode(textNode, 'hide');
+      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(1);
+    });
   });
 
   describe('processDocumentSync', () => {
@@ -340,222 +707,1604 @@ describe('EmojiBlockerCore', () => {
       processor.updateMode('desaturate');
 
       const emojiSpan = parent.querySelector('.emoji-blocker-emoji');
-      expect(emojiSpan?.getAttribute('data-mode')).toBe('desaturate');
+      expect(emojiSpan.hasAttribute('data-mode')).toBe(false);
+      expect(document.documentElement.getAttribute('data-emoji-blocker-mode')).toBe('desaturate');
     });
-  });
 
-  describe('_createEmojiFragment', () => {
-    test('should return null when no emojis', () => {
-      const fragment = processor._createEmojiFragment('hello world', 'hide');
-      expect(fragment).toBeNull();
+    test('should switch between stylesheet modes without touching spans', () => {
+      document.body.innerHTML = '<p>Hot 🔥</p>';
+      processor.processDocumentSync('hide');
+      const span = document.querySelector('.emoji-blocker-emoji');
+      const applyMode = jest.spyOn(processor, '_applyMode');
+
+      processor.updateMode('blur');
+      expect(applyMode).not.toHaveBeenCalled();
+      expect(document.documentElement.getAttribute('data-emoji-blocker-mode')).toBe('blur');
+
+      processor.updateMode('shortcode');
+      expect(applyMode).toHaveBeenCalledTimes(1);
+      expect(span.textContent).toBe(':fire:');
+      expect(span.hasAttribute('data-mode')).toBe(false);
+
+      processor.revertProcessing();
+      expect(document.documentElement.hasAttribute('data-emoji-blocker-mode')).toBe(false);
     });
-  });
 
-  describe('_applyModeStyles', () => {
-    test('should fall back to hide mode for unknown mode', () => {
-      const span = document.createElement('span');
-      processor._applyModeStyles(span, 'unknown');
-      expect(span.style.display).toBe('none');
+    test('should fall back to hide for a missing or unknown mode', () => {
+      document.body.innerHTML = '<p>Hot 🔥</p>';
+      processor.processDocumentSync('shortcode');
+      const span = document.querySelector('.emoji-blocker-emoji');
+
+      processor.updateMode(undefined);
+      expect(processor.mode).toBe('hide');
+      expect(span.textContent).toBe('🔥');
+      expect(span.hasAttribute('data-mode')).toBe(false);
+      expect(document.documentElement.getAttribute('data-emoji-blocker-mode')).toBe('hide');
+
+      processor.updateMode('toString');
+      expect(processor.mode).toBe('hide');
     });
 
-    test('should apply filter and opacity when defined', () => {
-      const span = document.createElement('span');
-      processor._applyModeStyles(span, 'desaturate');
-      expect(span.style.filter).toContain('grayscale');
-      expect(span.style.opacity).toBe('0.5');
+    test('should keep the rules for every mode in the span stylesheet', () => {
+      for (const [mode, { filter, opacity }] of Object.entries(ProcessorConfig.MODE_STYLES)) {
+        expect(ProcessorConfig.SPAN_CSS).toContain(`html[data-emoji-blocker-mode='${mode}']`);
+        expect(ProcessorConfig.SPAN_CSS).toContain(`.emoji-blocker-emoji[data-mode='${mode}']`);
+        if (filter) {
+          expect(ProcessorConfig.SPAN_CSS).toContain(`--emoji-blocker-filter: ${filter};`);
+          expect(ProcessorConfig.SPAN_CSS).toContain(`--emoji-blocker-opacity: ${opacity};`);
+        }
+      }
     });
+  });
 
-    test('should handle styles without filter or opacity', () => {
-      const span = document.createElement('span');
-      ProcessorConfig.MODE_STYLES.custom = {};
+  describe('text modes', () => {
+    const process = (text, mode) => {
+      const parent = document.createElement('div');
+      parent.textContent = text;
+      document.body.appendChild(parent);
+      processor._processTextNode(parent.firstChild, mode);
+      return parent;
+    };
 
-      processor._applyModeStyles(span, 'custom');
+    test('should replace emojis with text and keep the original', () => {
+      const parent = process('lol 😂!', 'name');
+      const span = parent.querySelector('.emoji-blocker-emoji');
 
-      expect(span.style.filter).toBe('');
-      expect(span.style.opacity).toBe('');
-      delete ProcessorConfig.MODE_STYLES.custom;
+      expect(parent.textContent).toBe('lol [face with tears of joy]!');
+      expect(span.getAttribute('data-emoji')).toBe('😂');
+      expect(span.dataset.mode).toBe('name');
     });
-  });
 
-  describe('_shouldSkipElement extra cases', () => {
-    test('should skip contenteditable', () => {
-      const div = document.createElement('div');
-      Object.defineProperty(div, 'isContentEditable', { value: true, configurable: true });
-      expect(processor._shouldSkipElement(div)).toBe(true);
+    test('should use the configured shortcode style', () => {
+      processor.setOptions({ shortcodeStyle: 'discord' });
+      expect(process('👍🏽', 'shortcode').textContent).toBe(':thumbsup:');
     });
 
-    test('should skip hidden or display none', () => {
-      const divHidden = document.createElement('div');
-      divHidden.hidden = true;
-      expect(processor._shouldSkipElement(divHidden)).toBe(true);
+    test('should hide emojis without a replacement', () => {
+      const parent = process('🙂🚀', 'emoticon');
+      const [smile, rocket] = parent.querySelectorAll('.emoji-blocker-emoji');
 
-      const divDisplayNone = document.createElement('div');
-      divDisplayNone.style.display = 'none';
-      expect(processor._shouldSkipElement(divDisplayNone)).toBe(true);
+      expect(smile.textContent).toBe(':)');
+      expect(smile.dataset.mode).toBe('emoticon');
+      expect(rocket.textContent).toBe('🚀');
+      expect(rocket.dataset.mode).toBe('hide');
     });
 
-    test('should skip element with emoji class', () => {
-      const div = document.createElement('div');
-      div.classList.add(ProcessorConfig.EMOJI_CLASS);
-      expect(processor._shouldSkipElement(div)).toBe(true);
+    test('should switch between text and visual modes without losing emojis', () => {
+      const parent = process('hi 👋🏽', 'shortcode');
+      expect(parent.textContent).toBe('hi :wave:');
+
+      processor.updateMode('blur');
+      expect(parent.textContent).toBe('hi 👋🏽');
+
+      processor.updateMode('name');
+      expect(parent.textContent).toBe('hi [waving hand]');
+    });
+
+    test('should restore the original emojis on revert', () => {
+      const parent = process('a ❤️ b 🇯🇵', 'shortcode');
+      processor.revertProcessing();
+
+      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
+      expect(parent.textContent).toBe('a ❤️ b 🇯🇵');
     });
   });
 
-  describe('_processNodeImmediate error handling', () => {
-    test('should swallow processing errors', () => {
-      const textNode = document.createTextNode('😀');
+  describe('icon mode', () => {
+    const process = (text) => {
       const parent = document.createElement('div');
-      parent.appendChild(textNode);
+      parent.textContent = text;
       document.body.appendChild(parent);
+      processor._processTextNode(parent.firstChild, 'icon');
+      return parent;
+    };
 
-      const debugSpy = jest.spyOn(console, 'debug').mockImplementation(() => {});
-      const spy = jest.spyOn(processor, '_processTextNode').mockImplementation(() => {
-        throw new Error('boom');
-      });
+    test('should render mapped emojis as monochrome glyphs', () => {
+      const svg = process('👍🏽').querySelector('.emoji-blocker-emoji > svg');
 
-      expect(() => processor._processNodeImmediate(textNode, 'hide')).not.toThrow();
-      spy.mockRestore();
-      debugSpy.mockRestore();
+      expect(svg.getAttribute('stroke')).toBe('currentColor');
+      expect(svg.getAttribute('aria-hidden')).toBe('true');
+      expect(svg.firstChild.getAttribute('d')).toBe(EmojiIcons.GLYPHS.thumbsUp);
     });
-  });
 
-  describe('_processNodeImmediate element skipping', () => {
-    test('should skip elements when _shouldSkipElement returns true', () => {
-      const script = document.createElement('script');
-      const skipSpy = jest.spyOn(processor, '_shouldSkipElement');
+    test('should use the fallback glyph for unmapped emojis', () => {
+      const path = process('🦒').querySelector('path');
+      expect(path.getAttribute('d')).toBe(EmojiIcons.GLYPHS[EmojiIcons.FALLBACK]);
+    });
 
-      processor._processNodeImmediate(script, 'hide');
+    test('should prefer uploaded icons', () => {
+      processor.setOptions({ customIcons: { '🚀': 'data:image/png;base64,AAAA' } });
+      const img = process('go 🚀').querySelector('.emoji-blocker-emoji > img');
 
-      expect(skipSpy).toHaveBeenCalled();
-      skipSpy.mockRestore();
+      expect(img.getAttribute('src')).toBe('data:image/png;base64,AAAA');
+      expect(img.alt).toBe('🚀');
     });
 
-    test('should return early for already processed nodes', () => {
-      const textNode = document.createTextNode('😀');
-      processor.processedNodes.add(textNode);
+    test('should restore the emoji when switching modes or reverting', () => {
+      const parent = process('ok ✅');
+      expect(parent.textContent).toBe('ok ');
 
-      processor._processNodeImmediate(textNode, 'hide');
-      expect(processor.processingQueue.length).toBe(0);
-    });
+      processor.updateMode('dim');
+      expect(parent.textContent).toBe('ok ✅');
 
-    test('should ignore unsupported node types', () => {
-      const commentNode = document.createComment('comment');
-      processor._processNodeImmediate(commentNode, 'hide');
-      expect(processor.processingQueue.length).toBe(0);
+      processor.updateMode('icon');
+      processor.revertProcessing();
+      expect(parent.innerHTML).toBe('ok ✅');
     });
   });
 
-  describe('_processElementNode filtering', () => {
-    test('should reject already processed text nodes', () => {
-      const container = document.createElement('div');
-      const textNode = document.createTextNode('😀');
-      container.appendChild(textNode);
-      processor.processedNodes.add(textNode);
-
-      const textSpy = jest.spyOn(processor, '_processTextNode');
-      processor._processElementNode(container, 'hide');
+  describe('emoji images', () => {
+    const render = (html) => {
+      document.body.innerHTML = `<p>${html}</p>`;
+      processor._processNodeImmediate(document.body, 'hide');
+      return document.body.firstChild;
+    };
+    const wrapped = (parent) => [...parent.querySelectorAll('.emoji-blocker-emoji > img')];
+
+    test('should wrap images with known emoji classes', () => {
+      const parent = render(
+        '<img class="emoji" alt="😂" src="/e.png"><img class="wp-smiley" alt=":)" src="/s.png">' +
+          '<img class="c-emoji x" alt=":party_parrot:" src="/p.gif">'
+      );
+
+      expect(wrapped(parent)).toHaveLength(3);
+      expect(parent.querySelector('.emoji-blocker-emoji').getAttribute('data-emoji')).toBe('😂');
+      expect(parent.querySelector('.emoji-blocker-emoji').dataset.mode).toBe('hide');
+    });
 
-      expect(textSpy).not.toHaveBeenCalled();
-      textSpy.mockRestore();
+    test('should wrap images from emoji CDNs and Discord emoji images', () => {
+      const parent = render(
+        '<img alt="😂" class="r-4qtqp9" src="https://abs-0.twimg.com/emoji/v2/svg/1f602.svg">' +
+          '<img alt=":blobcat:" src="https://cdn.discordapp.com/emojis/123.webp">' +
+          '<img data-type="emoji" data-name=":joy:" src="/assets/abc.svg">' +
+          '<img src="https://cdn.jsdelivr.net/gh/jdecked/twemoji@15/assets/svg/1f44d.svg">'
+      );
+
+      expect(wrapped(parent)).toHaveLength(4);
+      expect(
+        [...parent.querySelectorAll('.emoji-blocker-emoji')].map((el) => el.dataset.emoji)
+      ).toEqual(['😂', '', '', '']);
+      expect(processor.takeStats()).toEqual({ '😂': 1 });
     });
 
-    test('should reject text nodes whose parent should be skipped', () => {
-      const container = document.createElement('div');
-      const parent = document.createElement('span');
-      parent.setAttribute('role', 'textbox');
-      const textNode = document.createTextNode('😀');
-      parent.appendChild(textNode);
-      container.appendChild(parent);
+    test('should only take an emoji from an alt that is one emoji sequence', () => {
+      const parent = render(
+        '<img class="emoji" alt=" ©️ " src="/c.png"><img class="emoji" alt="™" src="/t.png">' +
+          '<img class="emoji" alt="=HYPERLINK(&quot;x&quot;)" title="😀" src="/h.png">' +
+          '<img class="emoji" alt="🎉🎉" src="/p.png"><img class="emoji" data-name="🚀" src="/r.png">'
+      );
+
+      expect(
+        [...parent.querySelectorAll('.emoji-blocker-emoji')].map((el) => el.dataset.emoji)
+      ).toEqual(['©️', '™', '', '', '']);
+      expect(processor.takeStats()).toEqual({ '©': 1, '™': 1 });
+    });
 
-      const textSpy = jest.spyOn(processor, '_processTextNode');
-      processor._processElementNode(container, 'hide');
+    test('should wrap GitHub g-emoji fallback images', () => {
+      const parent = render('<g-emoji alias="smile"><img alt="smile" src="/smile.png"></g-emoji>');
+      expect(wrapped(parent)).toHaveLength(1);
+    });
 
-      expect(textSpy).not.toHaveBeenCalled();
-      textSpy.mockRestore();
+    test('should wrap small images whose alt is only emojis', () => {
+      const parent = render('<img alt="🎉 🎉" src="/a.png" width="20"><img alt="👍" src="/b.png">');
+      expect(wrapped(parent)).toHaveLength(2);
     });
-  });
 
-  describe('_processTextNode error handling', () => {
-    test('should handle fragment creation errors', () => {
-      const textNode = document.createTextNode('😀');
-      const parent = document.createElement('div');
-      parent.appendChild(textNode);
-      document.body.appendChild(parent);
+    test('should leave ordinary content images alone', () => {
+      const parent = render(
+        '<img alt="Team photo" src="/team.jpg"><img alt="🎉 party" src="/p.jpg">' +
+          '<img alt="🎉" src="/banner.png" width="600"><img src="/logo.png"><img alt="">'
+      );
 
-      const debugSpy = jest.spyOn(console, 'debug').mockImplementation(() => {});
-      const fragmentSpy = jest.spyOn(processor, '_createEmojiFragment').mockImplementation(() => {
-        throw new Error('boom');
-      });
+      expect(wrapped(parent)).toHaveLength(0);
+      expect(parent.querySelectorAll('img')).toHaveLength(5);
+    });
 
-      processor._processTextNode(textNode, 'hide');
+    test('should leave emoji-marked images alone when they are drawn large', () => {
+      document.body.innerHTML =
+        '<p><img class="emoji" alt="😂" src="/e.png"><img class="emoji" alt="🔥" src="/f.png">' +
+        '<img alt="" src="https://example.com/blog/twemoji-release-banner.png" width="1200">' +
+        '<img class="emoji" alt="🚀" src="/r.png" width="400"></p>';
+      const [small, large] = document.querySelectorAll('img');
+      jest
+        .spyOn(small, 'getBoundingClientRect')
+        .mockReturnValue({ width: 20, height: 20, top: 0, left: 0, right: 20, bottom: 20 });
+      jest
+        .spyOn(large, 'getBoundingClientRect')
+        .mockReturnValue({ width: 320, height: 0, top: 0, left: 0, right: 320, bottom: 0 });
+
+      processor._processNodeImmediate(document.body, 'hide');
+
+      expect(wrapped(document.body)).toEqual([small]);
+    });
 
-      fragmentSpy.mockRestore();
-      debugSpy.mockRestore();
+    test('should respect the emoji policy and skipped parents', () => {
+      processor.setOptions({ emojiAllowlist: ['😂'] });
+      const parent = render(
+        '<img class="emoji" alt="😂" src="/a.png"><code><img class="emoji" alt="🚀" src="/b.png"></code>'
+      );
+      expect(wrapped(parent)).toHaveLength(0);
     });
 
-    test('should skip replacement when parent does not contain node', () => {
-      const textNode = document.createTextNode('😀');
-      const parent = document.createElement('div');
-      parent.appendChild(textNode);
-      parent.contains = () => false;
+    test('should process an emoji image added on its own once', () => {
+      const img = document.createElement('img');
+      img.className = 'emoji';
+      img.alt = '🚀';
+      document.body.appendChild(img);
 
-      processor._processTextNode(textNode, 'hide');
+      processor._processNodeImmediate(img, 'blur');
+      processor._processImage(img, 'blur');
 
-      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
+      expect(document.body.querySelectorAll('.emoji-blocker-emoji')).toHaveLength(1);
+      expect(img.parentNode.dataset.mode).toBe('blur');
+      expect(processor.takeStats()).toEqual({ '🚀': 1 });
     });
-  });
 
-  describe('_processBatch continuation', () => {
-    test('should schedule another batch when queue remains', () => {
-      const rafSpy = jest.fn((cb) => cb());
-      global.requestAnimationFrame = rafSpy;
-
-      const nodes = Array.from({ length: ProcessorConfig.BATCH_SIZE + 1 }, () => document.createTextNode('😀'));
-      processor.processingQueue = nodes.map(node => ({ node, mode: 'hide' }));
+    test('should ignore detached images', () => {
+      const img = document.createElement('img');
+      img.className = 'emoji';
+      processor._processImage(img, 'hide');
+      expect(img.parentNode).toBeNull();
+    });
 
-      const processSpy = jest.spyOn(processor, '_processNodeImmediate').mockImplementation(() => {});
-      processor._processBatch();
+    test('should apply text and icon modes and restore the image', () => {
+      const parent = render(
+        'a <img class="emoji" alt="😂" src="/joy.png"> <img class="emoji" alt=":blob:" src="/b.png">'
+      );
+      const [joy, blob] = parent.querySelectorAll('img');
 
-      expect(rafSpy).toHaveBeenCalled();
-      processSpy.mockRestore();
-    });
+      processor.updateMode('name');
+      expect(parent.textContent).toBe('a [face with tears of joy] ');
+      expect(blob.parentNode.dataset.mode).toBe('hide');
 
-    test('should use requestIdleCallback when available for continuation', () => {
-      const idleSpy = jest.fn((cb) => cb());
-      global.requestIdleCallback = idleSpy;
+      processor.updateMode('emoticon');
+      expect(parent.querySelectorAll('.emoji-blocker-emoji > img')).toHaveLength(1);
+      expect(parent.textContent).toBe("a :') ");
+      expect(blob.parentNode.dataset.mode).toBe('hide');
 
-      const nodes = Array.from({ length: ProcessorConfig.BATCH_SIZE + 1 }, () => document.createTextNode('😀'));
-      processor.processingQueue = nodes.map(node => ({ node, mode: 'hide' }));
+      processor.updateMode('icon');
+      expect(parent.querySelectorAll('.emoji-blocker-emoji > svg')).toHaveLength(2);
 
-      const processSpy = jest.spyOn(processor, '_processNodeImmediate').mockImplementation(() => {});
-      processor._processBatch();
+      processor.updateMode('dim');
+      expect(wrapped(parent)).toEqual([joy, blob]);
 
-      expect(idleSpy).toHaveBeenCalled();
-      processSpy.mockRestore();
-      delete global.requestIdleCallback;
+      processor.revertProcessing();
+      expect(parent.querySelectorAll('.emoji-blocker-emoji')).toHaveLength(0);
+      expect([...parent.childNodes].filter((node) => node.nodeName === 'IMG')).toEqual([joy, blob]);
     });
   });
 
-  describe('_scheduleProcessing using requestIdleCallback', () => {
-    test('should use requestIdleCallback when available', () => {
-      const idleSpy = jest.fn((cb) => cb());
-      global.requestIdleCallback = idleSpy;
+  describe('shadow roots', () => {
+    const attach = (parent, html) => {
+      const host = document.createElement('div');
+      const root = host.attachShadow({ mode: 'open' });
+      root.innerHTML = html;
+      parent.appendChild(host);
+      return root;
+    };
+    const spans = (root) => root.querySelectorAll('.emoji-blocker-emoji');
+
+    test('should process text, images and nested roots inside open shadow roots', () => {
+      const root = attach(document.body, '😀<p>Hi 👍</p><img class="emoji" alt="🎉" src="/e.png">');
+      const inner = attach(root, '<span>🚀</span>');
+
+      processor.processDocumentSync('hide');
+
+      expect(spans(root)).toHaveLength(3);
+      expect(spans(inner)).toHaveLength(1);
+      expect(root.querySelector('style[data-emoji-blocker-styles]').textContent).toContain(
+        "[data-mode='hide']"
+      );
+      expect([...processor.shadowRoots]).toEqual([root, inner]);
+    });
 
-      const textNode = document.createTextNode('😀');
-      const parent = document.createElement('div');
-      parent.appendChild(textNode);
-      document.body.appendChild(parent);
+    test('should process the shadow root of the node itself and report new roots', () => {
+      const root = attach(document.body, '😀');
+      processor.onRoot = jest.fn();
 
-      processor.processNode(textNode, 'hide');
-      expect(idleSpy).toHaveBeenCalled();
+      processor._processNodeImmediate(root.host, 'hide');
+      processor._processShadowRoot(root, 'hide');
 
-      delete global.requestIdleCallback;
+      expect(processor.onRoot).toHaveBeenCalledTimes(1);
+      expect(processor.onRoot).toHaveBeenCalledWith(root);
+      expect(spans(root)).toHaveLength(1);
     });
-  });
 
-  describe('_scheduleProcessing early return', () => {
-    test('should return immediately when already processing', () => {
-      processor.isProcessing = true;
+    test('should style a root once when it is processed again after changes', () => {
+      const root = attach(document.body, '😀');
+      processor._processShadowRoot(root, 'hide');
+      processor.processedNodes = new WeakSet();
+      processor._processShadowRoot(root, 'hide');
+
+      expect(root.querySelectorAll('style')).toHaveLength(1);
+    });
+
+    test('should share one constructed stylesheet where adoptedStyleSheets is supported', () => {
+      const replaceSync = jest.fn();
+      global.CSSStyleSheet.prototype.replaceSync = replaceSync;
+      const first = attach(document.body, '😀');
+      const second = attach(document.body, '👍');
+      first.adoptedStyleSheets = [];
+      second.adoptedStyleSheets = [];
+
+      processor.processDocumentSync('hide');
+      delete global.CSSStyleSheet.prototype.replaceSync;
+
+      expect(replaceSync).toHaveBeenCalledTimes(1);
+      expect(first.adoptedStyleSheets).toEqual([processor.shadowStyleSheet]);
+      expect(second.adoptedStyleSheets[0]).toBe(first.adoptedStyleSheets[0]);
+      expect(first.querySelector('style')).toBeNull();
+    });
+
+    test('should update and revert spans inside shadow roots', () => {
+      const root = attach(document.body, '<p>Hi 😀</p>');
+      processor.processDocumentSync('hide');
+
+      processor.updateMode('icon');
+      expect(spans(root)[0].querySelector('svg')).not.toBeNull();
+
+      processor.revertProcessing();
+      expect(spans(root)).toHaveLength(0);
+      expect(root.querySelector('p').textContent).toBe('Hi 😀');
+    });
+
+    test('should forget roots whose host was removed', () => {
+      const root = attach(document.body, '😀');
+      processor.processDocumentSync('hide');
+      root.host.remove();
+
+      processor.updateMode('name');
+
+      expect(processor.shadowRoots.size).toBe(0);
+      expect(spans(root)[0].textContent).toBe('😀');
+    });
+  });
+
+  describe('blank frames', () => {
+    const addFrame = (html) => {
+      const frame = document.createElement('iframe');
+      document.body.appendChild(frame);
+      frame.contentDocument.body.innerHTML = html;
+      return frame;
+    };
+    const spans = (frame) => frame.contentDocument.querySelectorAll('.emoji-blocker-emoji');
+    const loadBody = (frame, html) => {
+      const doc = frame.contentDocument;
+      const body = doc.createElement('body');
+      body.innerHTML = html;
+      doc.documentElement.replaceChild(body, doc.body);
+      frame.dispatchEvent(new Event('load'));
+    };
+
+    test('should process about:blank frames with the page settings', () => {
+      const frame = addFrame('<p>Hi 😀</p>');
+      processor.onRoot = jest.fn();
+
+      processor.processDocumentSync('hide');
+
+      expect(spans(frame)).toHaveLength(1);
+      expect(frame.contentDocument.head.querySelector('style[data-emoji-blocker-styles]')).not.toBe(
+        null
+      );
+      expect(processor.onRoot).toHaveBeenCalledWith(frame.contentDocument.body);
+    });
+
+    test('should process frames added later and again when they load', () => {
+      document.body.innerHTML = '<div></div>';
+      processor.processDocumentSync('hide');
+      const frame = addFrame('😀');
+
+      processor._processNodeImmediate(frame, 'hide');
+      expect(spans(frame)).toHaveLength(1);
+
+      processor.updateMode('dim');
+      loadBody(frame, '<p>👍</p>');
+      expect(spans(frame)[0].hasAttribute('data-mode')).toBe(false);
+      expect(frame.contentDocument.documentElement.dataset.emojiBlockerMode).toBe('dim');
+      expect(frame.contentDocument.querySelectorAll('style')).toHaveLength(1);
+
+      processor.revertProcessing();
+      expect(frame.contentDocument.documentElement.dataset.emojiBlockerMode).toBeUndefined();
+      loadBody(frame, '<p>👍</p>');
+      expect(spans(frame)).toHaveLength(0);
+    });
+
+    test('should leave frames that run their own content script alone', () => {
+      const frame = addFrame('😀');
+      jest.spyOn(frame, 'contentDocument', 'get').mockReturnValue(null);
+
+      processor.processDocumentSync('hide');
+      processor.updateMode('dim');
+
+      expect(processor.frames.has(frame)).toBe(true);
+      expect(processor._getEmojiSpans()).toHaveLength(0);
+    });
+
+    test('should update and revert spans inside frames and forget removed ones', () => {
+      const frame = addFrame('<p>Hi 😀</p>');
+      processor.processDocumentSync('hide');
+
+      processor.updateMode('blur');
+      expect(frame.contentDocument.documentElement.dataset.emojiBlockerMode).toBe('blur');
+
+      processor.revertProcessing();
+      expect(frame.contentDocument.querySelector('p').textContent).toBe('Hi 😀');
+
+      // A document replaced wholesale has no <html> to take the mode
+      frame.contentDocument.documentElement.remove();
+      processor.processDocumentSync('dim');
+      processor.updateMode('blur');
+      expect(processor.frames.size).toBe(1);
+
+      frame.remove();
+      processor._getEmojiSpans();
+      expect(processor.frames.size).toBe(0);
+    });
+
+    test('should drop removed frames when another frame is processed', () => {
+      const removed = addFrame('😀');
+      processor.processDocumentSync('hide');
+      removed.remove();
+
+      const added = addFrame('👍');
+      processor._processNodeImmediate(added, 'hide');
+
+      expect([...processor.frames]).toEqual([added]);
+    });
+
+    test('should forget frames on revert and process them once per load after', () => {
+      const frame = addFrame('😀');
+      const addListener = jest.spyOn(frame, 'addEventListener');
+      processor.processDocumentSync('hide');
+      processor.revertProcessing();
+      expect(processor.frames.size).toBe(0);
+
+      processor.processDocumentSync('hide');
+      const processFrame = jest.spyOn(processor, '_processFrame');
+      loadBody(frame, '<p>👍</p>');
+
+      expect(addListener.mock.calls).toEqual([
+        ['load', processor.handleFrameLoad],
+        ['load', processor.handleFrameLoad]
+      ]);
+      expect(processFrame).toHaveBeenCalledTimes(1);
+      expect(spans(frame)).toHaveLength(1);
+    });
+
+    test('should build spans, icons and styles with the frame document', () => {
+      const frame = addFrame('<p>Hi 😀</p>');
+      const created = ['createElement', 'createElementNS', 'createTextNode'].map((name) =>
+        jest.spyOn(document, name)
+      );
+
+      processor.processDocumentSync('icon');
+      expect(frame.contentDocument.querySelector('svg')).not.toBeNull();
+      // Without the split text node on record, revert puts back a new one
+      processor.textRecords = new WeakMap();
+      processor.revertProcessing();
+
+      for (const spy of created) {
+        expect(spy).not.toHaveBeenCalled();
+        spy.mockRestore();
+      }
+      expect(frame.contentDocument.querySelector('p').textContent).toBe('Hi 😀');
+    });
+  });
+
+  describe('attribute pass', () => {
+    const render = (html, mode = 'hide') => {
+      processor.setOptions({ processAttributes: true });
+      document.body.innerHTML = html;
+      processor.processDocumentSync(mode);
+    };
+    const $ = (selector) => document.querySelector(selector);
+
+    test('should be off by default', () => {
+      document.body.innerHTML = '<a title="Party 🎉">x</a>';
+      processor.processDocumentSync('hide');
+      expect($('a').title).toBe('Party 🎉');
+    });
+
+    test('should remove emojis from attributes in visual modes', () => {
+      render(
+        '<a title="🎉 Party 🎉 time">x</a><img alt="Cat 🐱" src="/c.jpg" width="400">' +
+          '<button aria-label="Send 🚀"></button>'
+      );
+
+      expect($('a').title).toBe('Party time');
+      expect($('img').alt).toBe('Cat');
+      expect($('button').getAttribute('aria-label')).toBe('Send');
+    });
+
+    test('should rewrite placeholders, button inputs and options but not typed values', () => {
+      render(
+        '<input placeholder="🔍 Search"><input type="text" value="hi 😀">' +
+          '<input type="submit" value="Go 👉"><select><option value="a">Apple 🍎</option>' +
+          '<option label="Pear 🍐" value="p">Pear 🍐</option><option></option></select>' +
+          '<input type="button">',
+        'shortcode'
+      );
+
+      const [search, text, submit] = document.querySelectorAll('input');
+      const [apple, pear] = document.querySelectorAll('option');
+      expect(search.placeholder).toBe(':mag: Search');
+      expect(text.value).toBe('hi 😀');
+      expect(submit.value).toBe('Go :point_right:');
+      expect(apple.label).toBe('Apple :apple:');
+      expect(apple.value).toBe('a');
+      expect(pear.label).toBe('Pear :pear:');
+    });
+
+    test('should leave editable content and allowed emojis alone', () => {
+      processor.setOptions({ processAttributes: true, emojiAllowlist: ['✅'] });
+      document.body.innerHTML =
+        '<div contenteditable="true"><img alt="🎉" src="/a.png"></div><a title="✅ ok">x</a>';
+      Object.defineProperty($('img'), 'isContentEditable', { value: true });
+      processor.processDocumentSync('hide');
+
+      expect($('img').alt).toBe('🎉');
+      expect($('a').title).toBe('✅ ok');
+    });
+
+    test('should re-render from the originals on mode changes and restore them exactly', () => {
+      render('<select><option>Apple 🍎</option></select><a title="Party 🎉">x</a>');
+      processor.processNode($('a'), 'hide');
+
+      processor.updateMode('name');
+      expect($('a').title).toBe('Party [party popper]');
+      expect($('option').label).toBe('Apple [red apple]');
+
+      processor.revertProcessing();
+      expect($('a').title).toBe('Party 🎉');
+      expect($('option').hasAttribute('label')).toBe(false);
+      expect(processor.attributeElements.size).toBe(0);
+    });
+
+    test('should hold rewritten elements weakly and drop removed or collected ones', () => {
+      render('<a title="Party 🎉">x</a><p title="🎉">y</p>');
+      expect(processor.attributeOriginals).toBeInstanceOf(WeakMap);
+      expect(processor.attributeElements.size).toBe(2);
+
+      $('p').remove();
+      processor.attributeElements.add({ deref: () => undefined });
+      processor.updateMode('name');
+
+      expect([...processor.attributeElements].map((ref) => ref.deref())).toEqual([$('a')]);
+    });
+
+    test('should not overwrite values the page changed or elements it removed', () => {
+      render('<a title="Party 🎉" aria-label="Go 🚀">x</a><p title="🎉">y</p>');
+      $('a').title = 'New 🎈';
+      $('p').remove();
+
+      processor.revertProcessing();
+
+      expect($('a').title).toBe('New 🎈');
+      expect($('a').getAttribute('aria-label')).toBe('Go 🚀');
+    });
+  });
+
+  describe('document title', () => {
+    beforeEach(() => {
+      document.title = '🔥🚀 New post';
+      processor.setOptions({ processTitle: true });
+    });
+
+    test('should be off by default', () => {
+      new EmojiBlockerCore().processDocumentSync('hide');
+      expect(document.title).toBe('🔥🚀 New post');
+    });
+
+    test('should strip or replace emojis in the title', () => {
+      processor.processDocument('hide');
+      expect(document.title).toBe('New post');
+
+      processor.updateMode('shortcode');
+      expect(document.title).toBe(':fire::rocket: New post');
+    });
+
+    test('should handle titles the page sets later and restore the latest original', () => {
+      processor.processDocumentSync('hide');
+      processor.processTitle('hide');
+      expect(document.title).toBe('New post');
+
+      document.title = '(3) Inbox 📬';
+      processor.processTitle('hide');
+      expect(document.title).toBe('(3) Inbox');
+
+      processor.revertProcessing();
+      expect(document.title).toBe('(3) Inbox 📬');
+      expect(processor.titleRecord).toBeNull();
+    });
+
+    test('should leave titles without blocked emojis and titles the page changed alone', () => {
+      document.title = 'Plain';
+      processor.processTitle();
+      expect(processor.titleRecord).toBeNull();
+
+      document.title = 'Hi 👋';
+      processor.processTitle('hide');
+      document.title = 'Changed';
+      processor.updateMode('dim');
+      processor.revertProcessing();
+      expect(document.title).toBe('Changed');
+    });
+  });
+
+  describe('generated content', () => {
+    const addStyle = (css, parent = document.head) => {
+      const style = document.createElement('style');
+      style.textContent = css;
+      parent.appendChild(style);
+      return style;
+    };
+    const overrides = (root = document.head) =>
+      root.querySelector('style[data-emoji-blocker-generated-styles]')?.textContent;
+    const rule = (selectorText, css) => ({
+      selectorText,
+      style: { getPropertyValue: (name) => css[name] || '', getPropertyPriority: () => '' }
+    });
+
+    afterEach(() => {
+      processor.revertProcessing();
+      document.head.querySelectorAll('style').forEach((style) => style.remove());
+    });
+
+    test('should override generated content as hidden for a missing mode', () => {
+      const entry = {
+        selector: '.a::before',
+        property: 'content',
+        value: '"🔥"',
+        important: false
+      };
+
+      expect(processor._getGeneratedDeclarations(entry, undefined)).toBe(
+        processor._getGeneratedDeclarations(entry, 'hide')
+      );
+    });
+
+    test('should override emoji content and list markers in their original context', () => {
+      addStyle(`
+        .done::before { content: "\\2705  " }
+        .plain::before { content: "•" }
+        .tag:after { content: "new 🔥" !important }
+        ul.checks { list-style: "✅" inside }
+        @media (min-width: 600px) { li::marker { content: '🚀 ' } }
+        @font-face { font-family: x; src: local(x) }
+      `);
+
+      processor.processDocumentSync('hide');
+
+      expect(overrides().split('\n')).toEqual([
+        '.done::before { content: " "; }',
+        '.tag:after { content: "new " !important; }',
+        'ul.checks { list-style: "" inside; }',
+        '@media (min-width: 600px) { li::marker { content: " "; } }'
+      ]);
+      expect(
+        document.head.lastElementChild.hasAttribute('data-emoji-blocker-generated-styles')
+      ).toBe(true);
+    });
+
+    test('should render the current mode and filter pseudo-elements that are only emojis', () => {
+      addStyle(`
+        .done::before { content: "✅" }
+        .tag::after { content: "new 🔥" }
+        li::marker { content: "🚀" }
+        .step::before { content: "✅" counter(step) }
+      `);
+      processor.processDocument('dim');
+      processor.updateMode('blur');
+
+      const styles = ProcessorConfig.MODE_STYLES.blur;
+      expect(overrides()).toContain(
+        `.done::before { filter: ${styles.filter}; opacity: ${styles.opacity}; }`
+      );
+      expect(overrides()).toContain('.tag::after { content: "new "; }');
+      expect(overrides()).toContain('li::marker { content: ""; }');
+      expect(overrides()).toContain('.step::before { content: "" counter(step); }');
+
+      processor.updateMode('shortcode');
+      expect(overrides()).toContain('.done::before { content: ":white_check_mark:"; }');
+      expect(processor._encodeCssString('"\\\n')).toBe('"\\"\\\\\\a "');
+    });
+
+    test('should leave content without blocked emojis alone', () => {
+      addStyle('.a::before { content: "👍" } .b::before { content: "\\0 \\110000" }');
+      processor.setOptions({ emojiAllowlist: ['👍'] });
+
+      processor.processDocumentSync('dim');
+
+      expect(overrides()).toBe(undefined);
+      expect(processor._decodeCssString('\\0 \\110000\\\nx')).toBe('\ufffd\ufffdx');
+    });
+
+    test('should repeat the preludes of nested, layered and imported rules', () => {
+      processor.processDocumentSync('hide');
+      const record = processor.generatedContent.get(document);
+      const sheet = {
+        cssRules: [
+          {
+            cssText: '@supports (display: grid) { .x::before { content: "✅"; } }',
+            cssRules: [rule('.x::before', { content: '"✅"' })]
+          },
+          {
+            styleSheet: { cssRules: [rule('ol', { 'list-style-type': '"🔥"' })] },
+            media: { mediaText: 'print' }
+          },
+          { styleSheet: { cssRules: [rule('ul', { 'list-style-type': 'disc' })] } },
+          {
+            get styleSheet() {
+              return {
+                get cssRules() {
+                  throw new DOMException('Cross-origin', 'SecurityError');
+                }
+              };
+            }
+          }
+        ]
+      };
+
+      processor._collectGeneratedRules(sheet, [], record);
+      processor._renderGeneratedContent(record, 'hide');
+
+      expect(overrides().split('\n')).toEqual([
+        '@supports (display: grid) { .x::before { content: ""; } }',
+        '@media print { ol { list-style-type: ""; } }'
+      ]);
+      expect(record.opaque).toBe(true);
+    });
+
+    test('should override list markers set in style attributes', () => {
+      document.body.innerHTML =
+        '<ul style="list-style-type: \'🔥\'"><li>a</li></ul><p style="color: red">b</p>';
+      processor.processDocumentSync('shortcode');
+
+      const list = document.querySelector('ul');
+      processor._processElementGeneratedContent(list, processor.generatedContent.get(document));
+      expect(list.getAttribute('data-emoji-blocker-generated')).toBe('1');
+      expect(overrides()).toContain(
+        '[data-emoji-blocker-generated="1"] { list-style-type: ":fire:" !important; }'
+      );
+
+      const added = document.createElement('ol');
+      added.setAttribute('style', 'list-style: "✅"');
+      document.body.appendChild(added);
+      processor._processNodeImmediate(added, 'shortcode');
+      expect(overrides()).toContain(
+        '[data-emoji-blocker-generated="2"] { list-style: ":white_check_mark:" !important; }'
+      );
+
+      added.removeAttribute('style');
+      processor._processElementGeneratedContent(added, processor.generatedContent.get(document));
+      expect(added.hasAttribute('data-emoji-blocker-generated')).toBe(false);
+
+      list.remove();
+      processor.updateMode('hide');
+      expect(overrides()).toBe('');
+
+      document.body.appendChild(list);
+      processor.revertProcessing();
+      expect(list.hasAttribute('data-emoji-blocker-generated')).toBe(true);
+      expect(overrides()).toBe(undefined);
+    });
+
+    test('should fall back to computed styles when a stylesheet cannot be read', () => {
+      document.body.innerHTML = '<p class="a">a</p><p>b</p><li>c</li>';
+      const computed = {
+        '::before': { content: '"✅"' },
+        '::after': { content: 'none' },
+        '': { 'list-style-type': 'disc' }
+      };
+      const item = document.querySelector('li');
+      const getComputedStyle = jest
+        .spyOn(window, 'getComputedStyle')
+        .mockImplementation((element, pseudo = '') => ({
+          getPropertyValue: (name) =>
+            (element === item && !pseudo ? { 'list-style-type': '"🚀"' } : computed[pseudo])[
+              name
+            ] || '',
+          getPropertyPriority: () => ''
+        }));
+      jest
+        .spyOn(processor, '_collectGeneratedRules')
+        .mockImplementation((sheet, wrappers, record) => {
+          record.opaque = true;
+          record.contentSelector = '.a';
+        });
+      addStyle('.unused {}');
+
+      processor.processDocumentSync('hide');
+      getComputedStyle.mockRestore();
+
+      expect(overrides().split('\n')).toEqual([
+        '[data-emoji-blocker-generated="1"]::before { content: "" !important; }',
+        '[data-emoji-blocker-generated="2"]::before { content: "" !important; }',
+        '[data-emoji-blocker-generated="2"] { list-style-type: "" !important; }'
+      ]);
+      expect(document.body.hasAttribute('data-emoji-blocker-generated')).toBe(false);
+      expect(document.querySelectorAll('[data-emoji-blocker-generated]')).toHaveLength(2);
+    });
+
+    test('should only inspect elements that readable rules give content', () => {
+      document.body.innerHTML = '<p class="a">a</p><p><b>b</b></p><li>c</li>';
+      const record = processor.generatedContent.get(document) || { contentSelector: '' };
+      const add = (selector) => processor._addContentSelector(selector, record);
+      const [a, p, b, li] = document.querySelectorAll('.a, p, b, li');
+
+      expect(processor._mayHaveGeneratedContent(li, record)).toBe(true);
+      expect(processor._mayHaveGeneratedContent(a, record)).toBe(false);
+
+      add('.a::before');
+      add('p > ::after, .x::marker');
+      add('.a::before)');
+
+      expect(record.contentSelector).toBe('.a, p > *, .x');
+      expect(processor._mayHaveGeneratedContent(a, record)).toBe(true);
+      expect(processor._mayHaveGeneratedContent(b, record)).toBe(true);
+      expect(processor._mayHaveGeneratedContent(p, record)).toBe(false);
+    });
+
+    test('should cover shadow roots and re-read stylesheets on request', () => {
+      const host = document.createElement('div');
+      const root = host.attachShadow({ mode: 'open' });
+      root.innerHTML = '<p class="x">x</p>';
+      document.body.appendChild(host);
+      processor.processDocumentSync('hide');
+
+      // jsdom leaves styleSheets out of shadow roots
+      root.styleSheets = [{ cssRules: [rule('.x::before', { content: '"🐛"' })] }];
+      addStyle('.y::before { content: "🐞" }');
+      processor.processStyleSheets();
+      expect(overrides(root)).toBe('.x::before { content: ""; }');
+      expect(overrides()).toBe('.y::before { content: ""; }');
+
+      host.remove();
+      processor.processStyleSheets();
+      expect(processor.generatedContent.has(root)).toBe(false);
+
+      processor.revertProcessing();
+      processor.processStyleSheets();
+      expect(processor.generatedContent.size).toBe(0);
+    });
+
+    test('should adopt a constructed stylesheet where supported', () => {
+      const replaceSync = jest.fn();
+      global.CSSStyleSheet.prototype.replaceSync = replaceSync;
+      document.adoptedStyleSheets = [];
+      addStyle('.x::before { content: "🐛" }');
+
+      processor.processDocumentSync('hide');
+      processor.updateMode('shortcode');
+      processor.processStyleSheets();
+      const [sheet] = document.adoptedStyleSheets;
+      processor.revertProcessing();
+      delete global.CSSStyleSheet.prototype.replaceSync;
+      delete document.adoptedStyleSheets;
+
+      expect(sheet).toBeInstanceOf(CSSStyleSheet);
+      expect(replaceSync).toHaveBeenLastCalledWith('.x::before { content: ":bug:"; }');
+      expect(overrides()).toBe(undefined);
+    });
+
+    test('should tell page stylesheets from its own styles', () => {
+      const link = document.createElement('link');
+      link.rel = 'preload stylesheet';
+      const own = processor._createStyleElement();
+
+      expect(processor.isStyleSheetNode(link)).toBe(true);
+      expect(processor.isStyleSheetNode(document.createElement('style'))).toBe(true);
+      expect(processor.isStyleSheetNode(own)).toBe(false);
+      expect(processor.isStyleSheetNode(document.createElement('link'))).toBe(false);
+      expect(processor.isStyleSheetNode(document.createElement('div'))).toBe(false);
+    });
+  });
+
+  describe('font strategy', () => {
+    const overrides = () =>
+      document.head.querySelector('style[data-emoji-blocker-generated-styles]')?.textContent;
+    const family = `"${EmojiFont.FAMILY}"`;
+
+    beforeEach(() => {
+      processor.setOptions({ strategy: 'font' });
+      document.fonts = { add: jest.fn(), delete: jest.fn() };
+      window.FontFace = jest.fn(function (name, source, descriptors) {
+        Object.assign(this, { name, source, descriptors });
+      });
+    });
+
+    afterEach(() => {
+      processor.revertProcessing();
+      document.head.querySelectorAll('style').forEach((style) => style.remove());
+      delete document.fonts;
+      delete window.FontFace;
+    });
+
+    test('should put the emoji font first in page font stacks without touching content', () => {
+      document.body.innerHTML =
+        '<p style="font-family: Georgia, serif">Hot 🔥</p><b style="font-family: inherit">✅</b>' +
+        '<img class="emoji" alt="🔥" src="fire.png">';
+      const style = document.createElement('style');
+      style.textContent =
+        'body { font-family: Arial, sans-serif !important } code { font-family: initial }';
+      document.head.appendChild(style);
+
+      processor.processDocumentSync('hide');
+
+      expect(overrides().split('\n')).toEqual([
+        `body { font-family: ${family}, Arial, sans-serif !important; }`
+      ]);
+      expect(document.querySelector('p').textContent).toBe('Hot 🔥');
+      expect(document.querySelector('[data-emoji-blocker-generated]')).toBe(null);
+      expect(document.querySelector('.emoji-blocker-emoji')).toBe(null);
+      expect(document.querySelector('img').parentNode).toBe(document.body);
+
+      const [blank] = document.fonts.add.mock.calls[0];
+      expect(blank.name).toBe(EmojiFont.FAMILY);
+      expect(blank.source).toBeInstanceOf(ArrayBuffer);
+      expect(blank.descriptors.unicodeRange).toContain('U+FE0F, ');
+
+      processor.updateMode('dim');
+      processor.updateMode('blur');
+      const [monochrome] = document.fonts.add.mock.calls[1];
+      expect(document.fonts.add).toHaveBeenCalledTimes(2);
+      expect(document.fonts.delete).toHaveBeenCalledWith(blank);
+      expect(monochrome.source).toBe(EmojiFont.getMonochromeSource());
+
+      processor.revertProcessing();
+      expect(document.fonts.delete).toHaveBeenLastCalledWith(monochrome);
+      expect(overrides()).toBe(undefined);
+    });
+
+    test('should leave elements alone when stylesheets cannot be read', () => {
+      document.body.innerHTML =
+        '<ul><li style="font-family: serif">a</li></ul><code>b</code><p title="🔥">c</p>';
+      processor.setOptions({ processAttributes: true });
+      const getComputedStyle = jest
+        .spyOn(window, 'getComputedStyle')
+        .mockImplementation(() => ({ fontFamily: 'monospace' }));
+      jest
+        .spyOn(processor, '_collectGeneratedRules')
+        .mockImplementation((sheet, wrappers, record) => {
+          record.opaque = true;
+        });
+      document.head.appendChild(document.createElement('style'));
+
+      processor.processDocumentSync('hide');
+      expect(getComputedStyle.mock.calls).toEqual([[document.documentElement]]);
+      getComputedStyle.mockRestore();
+
+      expect(overrides()).toBe(`:where(:root) { font-family: ${family}, monospace; }`);
+      expect(document.querySelector('[data-emoji-blocker-generated]')).toBe(null);
+      expect(document.querySelector('p').title).toBe('🔥');
+    });
+
+    test('should skip the font where font loading is unavailable', () => {
+      delete window.FontFace;
+      document.body.innerHTML = '<p>🔥</p>';
+      const style = document.createElement('style');
+      style.textContent = 'p { font-family: serif }';
+      document.head.appendChild(style);
+
+      processor.processDocumentSync('hide');
+      processor._setEmojiFont({ root: { fonts: {}, defaultView: null } }, 'hide');
+
+      expect(document.fonts.add).not.toHaveBeenCalled();
+      expect(overrides()).toContain(`p { font-family: ${family}, serif; }`);
+    });
+
+    test('should cover blocked emojis and the parts of their sequences', () => {
+      processor.setOptions({ categories: { flags: false }, respectTextPresentation: false });
+      const ranges = processor._getEmojiFontRanges();
+      const covers = (codePoint) =>
+        ranges.some(([start, end]) => start <= codePoint && codePoint <= end);
+
+      expect(covers(0x1f525)).toBe(true);
+      expect(covers(0x1f1f9)).toBe(false);
+      expect(covers(0xa9)).toBe(false);
+      expect(covers(0x23)).toBe(false);
+      expect([0x200d, 0x20e3, 0xfe0f, 0x1f3fb, 0xe0061].every(covers)).toBe(true);
+      expect(
+        ranges.every(([start, end], i) => start <= end && (!i || ranges[i - 1][1] < start - 1))
+      ).toBe(true);
+    });
+  });
+
+  describe('highlight strategy', () => {
+    const drawn = (mode) =>
+      [...(window.CSS.highlights.get(`emoji-blocker-${mode}`) || [])].map((range) =>
+        range.toString()
+      );
+
+    beforeEach(() => {
+      processor.setOptions({ strategy: 'highlight' });
+      window.Highlight = class extends Set {};
+      window.CSS = { highlights: new Map() };
+    });
+
+    afterEach(() => {
+      processor.revertProcessing();
+      delete window.Highlight;
+      delete window.CSS;
+    });
+
+    test('should draw visual modes through highlights without touching the page', () => {
+      document.body.innerHTML = '<p>Hot 🔥 and 👍🏽</p><img class="emoji" alt="🔥" src="fire.png">';
+      const text = document.querySelector('p').firstChild;
+
+      processor.processDocumentSync('dim');
+
+      expect([...document.querySelector('p').childNodes]).toEqual([text]);
+      expect(document.querySelector('img').parentNode).toBe(document.body);
+      expect(drawn('dim')).toEqual(['🔥', '👍🏽']);
+      expect(processor.takeStats()).toEqual({ '🔥': 1, '👍': 1 });
+
+      processor.updateMode('blur');
+      expect(window.CSS.highlights.has('emoji-blocker-dim')).toBe(false);
+      expect(drawn('blur')).toEqual(['🔥', '👍🏽']);
+
+      text.data = 'Now 🚀';
+      processor.invalidateNode(text);
+      processor.processNode(text, 'blur');
+      expect(drawn('blur')).toEqual(['🚀']);
+
+      text.data = 'Plain';
+      processor.invalidateNode(text);
+      processor.processNode(text, 'blur');
+      expect(drawn('blur')).toEqual([]);
+
+      processor.revertProcessing();
+      expect(window.CSS.highlights.size).toBe(0);
+    });
+
+    test('should fall back to spans for modes highlights cannot draw', () => {
+      document.body.innerHTML = '<p>Hot 🔥</p>';
+      processor.processDocumentSync('dim');
+      processor.updateMode('hide');
+
+      expect(window.CSS.highlights.size).toBe(0);
+      expect(document.querySelector('.emoji-blocker-emoji').textContent).toBe('🔥');
+      expect(processor.takeStats()).toEqual({ '🔥': 1 });
+
+      processor.updateMode('desaturate');
+      expect(document.querySelector('.emoji-blocker-emoji')).toBe(null);
+      expect(drawn('desaturate')).toEqual(['🔥']);
+      expect(processor.takeStats()).toEqual({});
+
+      delete window.Highlight;
+      processor.revertProcessing();
+      processor.processDocumentSync('dim');
+      expect(document.querySelector('.emoji-blocker-emoji').textContent).toBe('🔥');
+      expect(processor._usesHighlights('dim', document.implementation.createHTMLDocument())).toBe(
+        false
+      );
+    });
+
+    test('should drop ranges that removed text left collapsed as the highlight grows', () => {
+      document.body.innerHTML = '<p>🔥</p><p>🎉</p><p>🚀 👍</p>';
+      const [first, second, third] = document.querySelectorAll('p');
+      processor.setOptions({ emojiAllowlist: ['👍'] });
+      processor._processNodeImmediate(first, 'dim');
+      processor._processNodeImmediate(second, 'dim');
+      first.remove();
+      processor.highlights.get(document).pruneSize = 1;
+
+      processor._processNodeImmediate(third, 'dim');
+
+      expect(drawn('dim')).toEqual(['🎉', '🚀']);
+      expect(processor.highlights.get(document).pruneSize).toBe(
+        ProcessorConfig.HIGHLIGHT_PRUNE_SIZE
+      );
+
+      document.body.innerHTML = '<p>👍</p>';
+      processor._processNodeImmediate(document.body, 'dim');
+      expect(processor.highlightRanges.has(document.querySelector('p').firstChild)).toBe(false);
+    });
+  });
+
+  describe('options', () => {
+    test('should default to leaving text-style symbols alone', () => {
+      document.body.innerHTML = '<p>© 2024 Acme™. Terms ↔ more ‼ ℹ ▪</p>';
+      processor.processDocumentSync('hide');
+
+      expect(processor.options.respectTextPresentation).toBe(true);
+      expect(document.body.textContent).toBe('© 2024 Acme™. Terms ↔ more ‼ ℹ ▪');
+      expect(document.querySelector('.emoji-blocker-emoji')).toBeNull();
+    });
+
+    test('should accept options in the constructor and merge updates', () => {
+      const custom = new EmojiBlockerCore({ respectTextPresentation: false });
+      expect(custom.options.respectTextPresentation).toBe(false);
+
+      custom.setOptions({ emojiAllowlist: ['✅'] });
+      expect(custom.options.respectTextPresentation).toBe(false);
+      expect(custom.options.emojiAllowlist).toEqual(['✅']);
+    });
+
+    test('should leave text-style symbols in place when respecting presentation', () => {
+      const div = document.createElement('div');
+      div.textContent = 'Done ✔ and ✔️';
+      document.body.appendChild(div);
+
+      processor.setOptions({ respectTextPresentation: true });
+      processor.processDocumentSync('hide');
+
+      const spans = div.querySelectorAll('.emoji-blocker-emoji');
+      expect(spans.length).toBe(1);
+      expect(spans[0].textContent).toBe('✔️');
+    });
+  });
+
+  describe('emoji policy', () => {
+    const blockedTexts = (fragment) =>
+      [...fragment.querySelectorAll('.emoji-blocker-emoji')].map((span) => span.textContent);
+
+    test('should block every category by default', () => {
+      const fragment = processor._createEmojiFragment('😀 ✅ 🇹🇷', 'hide');
+      expect(blockedTexts(fragment)).toEqual(['😀', '✅', '🇹🇷']);
+    });
+
+    test('should leave emojis in unblocked categories as text', () => {
+      processor.setOptions({ categories: { symbols: false } });
+      const fragment = processor._createEmojiFragment('Build ✅ 😀 done ❌', 'hide');
+
+      expect(blockedTexts(fragment)).toEqual(['😀']);
+      expect(fragment.childNodes[0].textContent).toBe('Build ✅ ');
+      expect(fragment.textContent).toBe('Build ✅ 😀 done ❌');
+    });
+
+    test('should block only flags when other categories are allowed', () => {
+      const categories = Object.fromEntries(
+        EmojiDetection.CATEGORIES.map((category) => [category, category === 'flags'])
+      );
+      processor.setOptions({ categories });
+
+      expect(blockedTexts(processor._createEmojiFragment('😀 🇯🇵 🚀', 'hide'))).toEqual(['🇯🇵']);
+    });
+
+    test('should let the allowlist win over categories for every variant', () => {
+      processor.setOptions({ emojiAllowlist: ['👍', '✅'] });
+      const fragment = processor._createEmojiFragment('👍🏽 ✅ 😀', 'hide');
+
+      expect(blockedTexts(fragment)).toEqual(['😀']);
+    });
+
+    test('should block blocklisted emojis in allowed categories', () => {
+      processor.setOptions({ categories: { smileys: false }, emojiBlocklist: ['🤡'] });
+      const fragment = processor._createEmojiFragment('😀 🤡', 'hide');
+
+      expect(blockedTexts(fragment)).toEqual(['🤡']);
+    });
+
+    test('should return null when every emoji is allowed', () => {
+      processor.setOptions({ emojiAllowlist: ['✅'] });
+      expect(processor._createEmojiFragment('All ✅', 'hide')).toBeNull();
+    });
+  });
+
+  describe('stats', () => {
+    test('should count blocked emojis by normalized sequence', () => {
+      processor.setOptions({ emojiAllowlist: ['✅'] });
+      processor._createEmojiFragment('👍 👍🏽 ❤️ ✅ 😀', 'hide');
+      processor._createEmojiFragment('❤️', 'hide');
+
+      expect(processor.takeStats()).toEqual({ '👍': 2, '❤': 2, '😀': 1 });
+    });
+
+    test('should reset the counts once taken', () => {
+      processor._createEmojiFragment('😀', 'hide');
+      processor.takeStats();
+
+      expect(processor.takeStats()).toEqual({});
+    });
+  });
+
+  describe('_createEmojiFragment', () => {
+    test('should return null when no emojis', () => {
+      const fragment = processor._createEmojiFragment('hello world', 'hide');
+      expect(fragment).toBeNull();
+    });
+
+    test('should create one span per emoji sequence', () => {
+      const fragment = processor._createEmojiFragment('Family 👨‍👩‍👧 and 🇯🇵 #️⃣', 'blur');
+      const spans = fragment.querySelectorAll('.emoji-blocker-emoji');
+
+      expect([...spans].map((span) => span.textContent)).toEqual(['👨‍👩‍👧', '🇯🇵', '#️⃣']);
+      expect(fragment.textContent).toBe('Family 👨‍👩‍👧 and 🇯🇵 #️⃣');
+    });
+  });
+
+  describe('_shouldSkipElement extra cases', () => {
+    test('should skip contenteditable', () => {
+      const div = document.createElement('div');
+      Object.defineProperty(div, 'isContentEditable', { value: true, configurable: true });
+      expect(processor._shouldSkipElement(div)).toBe(true);
+    });
+
+    test('should skip hidden or display none', () => {
+      const divHidden = document.createElement('div');
+      divHidden.hidden = true;
+      expect(processor._shouldSkipElement(divHidden)).toBe(true);
+
+      const divDisplayNone = document.createElement('div');
+      divDisplayNone.style.display = 'none';
+      expect(processor._shouldSkipElement(divDisplayNone)).toBe(true);
+    });
+
+    test('should skip element with emoji class', () => {
+      const div = document.createElement('div');
+      div.classList.add(ProcessorConfig.EMOJI_CLASS);
+      expect(processor._shouldSkipElement(div)).toBe(true);
+    });
+  });
+
+  describe('_processNodeImmediate error handling', () => {
+    test('should swallow processing errors', () => {
+      const textNode = document.createTextNode('😀');
+      const parent = document.createElement('div');
+      parent.appendChild(textNode);
+      document.body.appendChild(parent);
+
+      const debugSpy = jest.spyOn(console, 'debug').mockImplementation(() => {});
+      const spy = jest.spyOn(processor, '_processTextNode').mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      expect(() => processor._processNodeImmediate(textNode, 'hide')).not.toThrow();
+      spy.mockRestore();
+      debugSpy.mockRestore();
+    });
+  });
+
+  describe('_processNodeImmediate element skipping', () => {
+    test('should skip elements when _shouldSkipElement returns true', () => {
+      const script = document.createElement('script');
+      const skipSpy = jest.spyOn(processor, '_shouldSkipElement');
+
+      processor._processNodeImmediate(script, 'hide');
+
+      expect(skipSpy).toHaveBeenCalled();
+      skipSpy.mockRestore();
+    });
+
+    test('should return early for already processed nodes', () => {
+      const textNode = document.createTextNode('😀');
+      processor.processedNodes.add(textNode);
+
+      processor._processNodeImmediate(textNode, 'hide');
+      expect(processor.processingQueue.length).toBe(0);
+    });
+
+    test('should ignore unsupported node types', () => {
+      const commentNode = document.createComment('comment');
+      processor._processNodeImmediate(commentNode, 'hide');
+      expect(processor.processingQueue.length).toBe(0);
+    });
+  });
+
+  describe('_processElementNode filtering', () => {
+    test('should reject already processed text nodes', () => {
+      const container = document.createElement('div');
+      const textNode = document.createTextNode('😀');
+      container.appendChild(textNode);
+      processor.processedNodes.add(textNode);
+
+      const textSpy = jest.spyOn(processor, '_processTextNode');
+      processor._processElementNode(container, 'hide');
+
+      expect(textSpy).not.toHaveBeenCalled();
+      textSpy.mockRestore();
+    });
+
+    test('should reject text nodes whose parent should be skipped', () => {
+      const container = document.createElement('div');
+      const parent = document.createElement('span');
+      parent.setAttribute('role', 'textbox');
+      const textNode = document.createTextNode('😀');
+      parent.appendChild(textNode);
+      container.appendChild(parent);
+
+      const textSpy = jest.spyOn(processor, '_processTextNode');
+      processor._processElementNode(container, 'hide');
+
+      expect(textSpy).not.toHaveBeenCalled();
+      textSpy.mockRestore();
+    });
+  });
+
+  describe('_processTextNode error handling', () => {
+    test('should handle fragment creation errors', () => {
+      const textNode = document.createTextNode('😀');
+      const parent = document.createElement('div');
+      parent.appendChild(textNode);
+      document.body.appendChild(parent);
+
+      const debugSpy = jest.spyOn(console, 'debug').mockImplementation(() => {});
+      const fragmentSpy = jest.spyOn(processor, '_createEmojiFragment').mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      processor._processTextNode(textNode, 'hide');
+
+      fragmentSpy.mockRestore();
+      debugSpy.mockRestore();
+    });
+
+    test('should skip replacement when parent does not contain node', () => {
+      const textNode = document.createTextNode('😀');
+      const parent = document.createElement('div');
+      parent.appendChild(textNode);
+      parent.contains = () => false;
+
+      processor._processTextNode(textNode, 'hide');
+
+      expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
+    });
+  });
+
+  describe('time-budgeted scheduler', () => {
+    let time;
+    let idleCallbacks;
+    const emojis = () =>
+      [...document.querySelectorAll('.emoji-blocker-emoji')].map((span) => span.dataset.emoji);
+    // Runs the next idle callback with a budget on the fake clock and reports the time used
+    const runSlice = (budget, didTimeout = false) => {
+      const start = time;
+      idleCallbacks.shift()({
+        didTimeout,
+        timeRemaining: () => Math.max(0, start + budget - time)
+      });
+      return time - start;
+    };
+
+    beforeEach(() => {
+      time = 0;
+      idleCallbacks = [];
+      jest.spyOn(performance, 'now').mockImplementation(() => time);
+      global.requestIdleCallback = jest.fn((callback) => idleCallbacks.push(callback));
+      // Every text node takes a millisecond
+      const processTextNode = processor._processTextNode.bind(processor);
+      jest.spyOn(processor, '_processTextNode').mockImplementation((node, mode) => {
+        time += 1;
+        processTextNode(node, mode);
+      });
+    });
+
+    afterEach(() => {
+      performance.now.mockRestore();
+      delete global.requestIdleCallback;
+    });
+
+    test('should pause a walk when the idle period runs out and resume it', () => {
+      document.body.innerHTML = '<p>😀</p>'.repeat(25);
+      const onComplete = jest.fn();
+      processor.processDocument('hide', onComplete);
+
+      expect(runSlice(10)).toBe(10);
+      expect(emojis()).toHaveLength(10);
+      expect(processor.isProcessing).toBe(true);
+
+      expect(runSlice(10)).toBe(10);
+      expect(runSlice(10)).toBe(5);
+      expect(idleCallbacks).toHaveLength(0);
+      expect(emojis()).toHaveLength(25);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(global.requestIdleCallback).toHaveBeenCalledWith(expect.any(Function), {
+        timeout: ProcessorConfig.IDLE_TIMEOUT
+      });
+    });
+
+    test('should make progress in spent idle periods and use a frame budget when forced', () => {
+      document.body.innerHTML = '<p>😀</p>'.repeat(ProcessorConfig.FRAME_BUDGET + 2);
+      processor.processNode(document.body, 'hide');
+
+      expect(runSlice(0)).toBe(1);
+      expect(runSlice(0, true)).toBe(ProcessorConfig.FRAME_BUDGET);
+      expect(emojis()).toHaveLength(ProcessorConfig.FRAME_BUDGET + 1);
+
+      // A synchronous pass finishes the paused walk, leaving nothing for the next slice
+      processor.processDocumentSync('hide');
+      expect(emojis()).toHaveLength(ProcessorConfig.FRAME_BUDGET + 2);
+      expect(runSlice(10)).toBe(0);
+      expect(processor.isProcessing).toBe(false);
+    });
+
+    test('should start the walk over when the page removes the node it paused on', () => {
+      document.body.innerHTML = '<p>😀</p><p>👍</p><p>🎉</p>';
+      processor.processNode(document.body, 'hide');
+
+      runSlice(1);
+      document.querySelectorAll('p')[1].remove();
+      runSlice(10);
+
+      expect(emojis()).toEqual(['😀', '🎉']);
+    });
+
+    test('should queue on-screen nodes ahead of off-screen ones', () => {
+      document.body.innerHTML = '<p>😀</p><p>👍</p><div></div>';
+      const [below, shown] = document.querySelectorAll('p');
+      const root = document.querySelector('div').attachShadow({ mode: 'open' });
+      root.innerHTML = '<b>🚀</b><b>🚀</b>';
+      const detached = document.createTextNode('🎉');
+      const rect = jest
+        .spyOn(below, 'getBoundingClientRect')
+        .mockReturnValue({ top: 2000, right: 100, bottom: 2020, left: 0 });
+      const nodes = (queue) => queue.map(({ node }) => node);
+
+      processor.processNode(below, 'hide');
+      processor.processNode(detached, 'hide');
+      processor.processNode(shown.firstChild, 'hide');
+      processor.processNode(root, 'hide');
+
+      expect(rect).not.toHaveBeenCalled();
+      expect(nodes(processor.processingQueue)).toEqual([below, detached, shown.firstChild, root]);
+
+      runSlice(1);
+      expect(processor.processingQueue).toHaveLength(0);
+      expect(nodes(processor.visibleQueue)).toEqual([root]);
+      expect(nodes(processor.offscreenQueue)).toEqual([below, detached]);
+      expect(rect).toHaveBeenCalledTimes(1);
+
+      const later = document.createTextNode('✅');
+      shown.appendChild(later);
+      processor.processNode(later, 'hide');
+      runSlice(1);
+      expect(root.querySelectorAll('.emoji-blocker-emoji')).toHaveLength(1);
+      expect(nodes(processor.visibleQueue)).toEqual([root, later]);
+
+      runSlice(10);
+      expect(emojis()).toEqual(['😀', '👍', '✅']);
+      expect(processor.offscreenQueue).toHaveLength(0);
+      expect(rect).toHaveBeenCalledTimes(1);
+    });
+
+    test('should pause between the images and other steps after the text', () => {
+      document.body.innerHTML =
+        '<img class="emoji" alt="😀" src="/a.png"><img class="emoji" alt="👍" src="/b.png">';
+      processor.processNode(document.body, 'hide');
+
+      runSlice(0);
+      expect(emojis()).toEqual(['😀']);
+      runSlice(0);
+      expect(emojis()).toEqual(['😀', '👍']);
+    });
+  });
+
+  describe('lazy processing', () => {
+    let observers;
+    const emojis = () =>
+      [...document.querySelectorAll('.emoji-blocker-emoji')].map((span) => span.dataset.emoji);
+    const place = (element, top) =>
+      jest
+        .spyOn(element, 'getBoundingClientRect')
+        .mockReturnValue({ top, right: 100, bottom: top + 20, left: 0 });
+
+    beforeEach(() => {
+      observers = [];
+      window.IntersectionObserver = class {
+        constructor(callback, options) {
+          this.callback = callback;
+          this.options = options;
+          this.targets = new Set();
+          observers.push(this);
+        }
+        observe(target) {
+          this.targets.add(target);
+        }
+        unobserve(target) {
+          this.targets.delete(target);
+        }
+        disconnect() {
+          this.targets.clear();
+        }
+      };
+      processor.setOptions({ lazyProcessing: true });
+    });
+
+    afterEach(() => {
+      delete window.IntersectionObserver;
+    });
+
+    test('should process what is near the viewport and the rest as it approaches', () => {
+      document.body.innerHTML =
+        '<main><p>Top 😀</p><p>Near 👍</p>' +
+        '<p>Far 🎉 <img class="emoji" alt="🚀" src="/r.png"></p></main>';
+      const [, near, far] = document.querySelectorAll('p');
+      place(near, 1000);
+      place(far, 3000);
+
+      processor.processDocumentSync('hide');
+
+      expect(emojis()).toEqual(['😀', '👍']);
+      const [observer] = observers;
+      expect(observer.options).toEqual({ rootMargin: '100% 0px' });
+      expect([...observer.targets]).toEqual([far]);
+
+      processor.updateMode('dim');
+      observer.callback([{ target: far, isIntersecting: false }]);
+      expect(emojis()).toHaveLength(2);
+
+      observer.callback([{ target: far, isIntersecting: true }]);
+      expect(emojis()).toEqual(['😀', '👍', '🎉', '🚀']);
+      expect(observer.targets.size).toBe(0);
+    });
+
+    test('should defer added elements far from the viewport and split those near it', () => {
+      processor.processDocumentSync('hide');
+      document.body.innerHTML = '<section><p>A 😀</p><p>B 👍</p></section><div>C 🎉</div>';
+      const section = document.querySelector('section');
+      const div = document.querySelector('div');
+      const below = section.lastChild;
+      place(below, 5000);
+      place(div, 5000);
+
+      processor.processNode(section, 'hide');
+      processor.processNode(div, 'hide');
+
+      expect(emojis()).toEqual(['😀']);
+      expect([...observers[0].targets]).toEqual([below, div]);
+
+      processor.revertProcessing();
+      expect(observers[0].targets.size).toBe(0);
+      expect(processor.lazyObserver).toBeNull();
+    });
+
+    test('should process everything outside document passes or without IntersectionObserver', () => {
+      document.body.innerHTML = '<p>A 😀</p><p>B 👍</p>';
+      const [first, second] = document.querySelectorAll('p');
+      place(first, 5000);
+      place(second, 5000);
+
+      processor.processNode(first, 'hide');
+      expect(emojis()).toEqual(['😀']);
+
+      delete window.IntersectionObserver;
+      processor.processDocumentSync('hide');
+      expect(emojis()).toEqual(['😀', '👍']);
+      expect(observers).toHaveLength(0);
+    });
+  });
+
+  describe('_scheduleProcessing using requestIdleCallback', () => {
+    test('should use requestIdleCallback when available', () => {
+      const idleSpy = jest.fn((cb) => cb());
+      global.requestIdleCallback = idleSpy;
+
+      const textNode = document.createTextNode('😀');
+      const parent = document.createElement('div');
+      parent.appendChild(textNode);
+      document.body.appendChild(parent);
+
+      processor.processNode(textNode, 'hide');
+      expect(idleSpy).toHaveBeenCalled();
+
+      delete global.requestIdleCallback;
+    });
+  });
+
+  describe('_scheduleProcessing early return', () => {
+    test('should return immediately when already processing', () => {
+      processor.isProcessing = true;
       const rafSpy = jest.fn();
       global.requestAnimationFrame = rafSpy;
 
@@ -578,5 +2327,208 @@ describe('EmojiBlockerCore', () => {
       expect(parent.querySelectorAll('.emoji-blocker-emoji').length).toBe(0);
       expect(parent.textContent).toBe('😀');
     });
+
+    test('should put back the exact text node with its original text', () => {
+      document.body.innerHTML = '<p>Hot 🔥 and 👍 <b>x</b></p>';
+      const p = document.querySelector('p');
+      const text = p.firstChild;
+
+      processor.processDocumentSync('hide');
+      expect(p.childNodes.length).toBe(6);
+      processor.updateMode('shortcode');
+      // A framework writing to the node it still holds
+      text.data = 'stale';
+      processor.revertProcessing();
+
+      expect(p.firstChild).toBe(text);
+      expect(p.childNodes.length).toBe(2);
+      expect(text.data).toBe('Hot 🔥 and 👍 ');
+    });
+
+    test('should fall back to plain text where the page moved the replacements', () => {
+      document.body.innerHTML = '<p>Hot 🔥 and 👍</p><div></div>';
+      const p = document.querySelector('p');
+      const text = p.firstChild;
+      processor.processDocumentSync('hide');
+
+      document.querySelector('div').appendChild(p.querySelectorAll('.emoji-blocker-emoji')[1]);
+      processor.revertProcessing();
+
+      expect(p.firstChild).not.toBe(text);
+      expect(p.textContent).toBe('Hot 🔥 and ');
+      expect(document.querySelector('div').textContent).toBe('👍');
+    });
+  });
+});
+
+describe('InputSanitizer', () => {
+  let processor;
+  let sanitizer;
+
+  const beforeInput = (target, inputType, data, init = {}) => {
+    const event = new InputEvent('beforeinput', {
+      inputType,
+      data,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      ...init
+    });
+    target.dispatchEvent(event);
+    return event;
+  };
+  const field = (html) => {
+    document.body.innerHTML = html;
+    const el = document.body.firstChild;
+    if (el.hasAttribute('contenteditable')) {
+      Object.defineProperty(el, 'isContentEditable', { value: true });
+    }
+    return el;
+  };
+
+  beforeEach(() => {
+    processor = new EmojiBlockerCore();
+    sanitizer = new InputSanitizer(processor);
+    sanitizer.attach();
+    delete document.execCommand;
+  });
+
+  afterEach(() => {
+    sanitizer.detach();
+    jest.useRealTimers();
+  });
+
+  test('should remove or shortcode emojis following the policy', () => {
+    processor.setOptions({ emojiAllowlist: ['✅'] });
+    expect(sanitizer.sanitize('Fix 🐛 ✅\nnext line')).toBe('Fix  ✅\nnext line');
+
+    processor.setOptions({ sanitizeStyle: 'shortcode' });
+    expect(sanitizer.sanitize('Fix 🐛')).toBe('Fix :bug:');
+    expect(processor.replaceEmojis('Fix 🐛 :)', 'emoticon')).toBe('Fix  :)');
+  });
+
+  test('should rewrite typed emojis through execCommand to keep undo', () => {
+    const input = field('<input type="text">');
+    document.execCommand = jest.fn(() => true);
+
+    const event = beforeInput(input, 'insertText', '🚀');
+    const plain = beforeInput(input, 'insertText', 'a');
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(document.execCommand).not.toHaveBeenCalled();
+    expect(plain.defaultPrevented).toBe(false);
+
+    processor.setOptions({ sanitizeStyle: 'shortcode' });
+    beforeInput(input, 'insertText', '🚀');
+    expect(document.execCommand).toHaveBeenCalledWith('insertText', false, ':rocket:');
+  });
+
+  test('should fall back to setRangeText and fire an input event', () => {
+    const textarea = field('<textarea>Hello world</textarea>');
+    const onInput = jest.fn();
+    textarea.addEventListener('input', onInput);
+    textarea.setSelectionRange(6, 11);
+
+    const event = new InputEvent('beforeinput', {
+      inputType: 'insertFromPaste',
+      bubbles: true,
+      cancelable: true
+    });
+    Object.defineProperty(event, 'dataTransfer', { value: { getData: () => 'team 🎉' } });
+    textarea.dispatchEvent(event);
+
+    expect(textarea.value).toBe('Hello team ');
+    expect(onInput).toHaveBeenCalledTimes(1);
+  });
+
+  test('should delete the selection when only emojis were pasted over it', () => {
+    const input = field('<input value="abc">');
+    document.execCommand = jest.fn(() => false);
+    input.setSelectionRange(1, 2);
+
+    beforeInput(input, 'insertReplacementText', '😀');
+
+    expect(document.execCommand).toHaveBeenCalledWith('delete', false, '');
+    expect(input.value).toBe('ac');
+  });
+
+  test('should sanitize contenteditable regions', () => {
+    const editor = field('<div contenteditable="true">Hi </div>');
+    document.getSelection().collapse(editor.firstChild, 3);
+
+    beforeInput(editor, 'insertText', 'there 👋');
+
+    expect(editor.textContent).toBe('Hi there ');
+    expect(document.getSelection().focusOffset).toBe(6);
+  });
+
+  test('should ignore other fields, edit types, composition and detached sanitizers', () => {
+    const password = field('<input type="password">');
+    expect(beforeInput(password, 'insertText', '🚀').defaultPrevented).toBe(false);
+
+    const input = field('<input>');
+    expect(beforeInput(input, 'insertFromDrop', '🚀').defaultPrevented).toBe(false);
+    expect(beforeInput(input, 'insertText', '🚀', { isComposing: true }).defaultPrevented).toBe(
+      false
+    );
+    expect(beforeInput(input, 'insertText', '').defaultPrevented).toBe(false);
+    expect(beforeInput(input, 'insertFromPaste', null).defaultPrevented).toBe(false);
+    expect(beforeInput(document.body, 'insertText', '🚀').defaultPrevented).toBe(false);
+
+    sanitizer.attach();
+    sanitizer.detach();
+    sanitizer.detach();
+    expect(beforeInput(input, 'insertText', '🚀').defaultPrevented).toBe(false);
+  });
+
+  test('should replace emojis committed by an IME once composition ends', () => {
+    jest.useFakeTimers();
+    const input = field('<input value="ok 😀">');
+    input.setSelectionRange(5, 5);
+
+    input.dispatchEvent(new CompositionEvent('compositionend', { data: '😀', bubbles: true }));
+    input.dispatchEvent(new CompositionEvent('compositionend', { data: 'ok', bubbles: true }));
+    input.dispatchEvent(new CompositionEvent('compositionend', { bubbles: true }));
+    jest.runAllTimers();
+
+    expect(input.value).toBe('ok ');
+  });
+
+  test('should leave the field alone when the committed text is not before the caret', () => {
+    jest.useFakeTimers();
+    const input = field('<input value="😀 ok">');
+    input.setSelectionRange(5, 5);
+    input.dispatchEvent(new CompositionEvent('compositionend', { data: '😀', bubbles: true }));
+
+    const short = field('<input value="">');
+    short.dispatchEvent(new CompositionEvent('compositionend', { data: '😀', bubbles: true }));
+    jest.runAllTimers();
+
+    expect(input.value).toBe('😀 ok');
+  });
+
+  test('should select IME text in contenteditable regions', () => {
+    jest.useFakeTimers();
+    const editor = field('<div contenteditable="true">Hey 🙂</div>');
+    const selection = document.getSelection();
+
+    selection.collapse(editor.firstChild, 6);
+    editor.dispatchEvent(new CompositionEvent('compositionend', { data: '🙂', bubbles: true }));
+    jest.runAllTimers();
+    expect(editor.textContent).toBe('Hey ');
+
+    selection.collapse(editor.firstChild, 1);
+    editor.dispatchEvent(new CompositionEvent('compositionend', { data: '🙂', bubbles: true }));
+    selection.collapse(editor, 0);
+    editor.dispatchEvent(new CompositionEvent('compositionend', { data: '🙂', bubbles: true }));
+    jest.runAllTimers();
+    selection.removeAllRanges();
+    editor.dispatchEvent(new CompositionEvent('compositionend', { data: '🙂', bubbles: true }));
+    jest.runAllTimers();
+    editor.firstChild.data = 'Hey x';
+    selection.collapse(editor.firstChild, 5);
+    editor.dispatchEvent(new CompositionEvent('compositionend', { data: '🙂', bubbles: true }));
+    jest.runAllTimers();
+    expect(editor.textContent).toBe('Hey x');
   });
 });
@@ -4,6 +4,7 @@
  */
 import { jest, describe, test, expect, beforeEach } from '@jest/globals';
 import { StorageManager } from '../src/core/StorageManager';
+import { EmojiData } from '../src/core/EmojiData';
 
 global.chrome = {
   storage: {
@@ -17,6 +18,7 @@ global.chrome = {
 describe('StorageManager', () => {
   let manager;
   let mockStorage;
+  let mockLocal;
 
   beforeEach(() => {
     mockStorage = {
@@ -27,8 +29,16 @@ describe('StorageManager', () => {
         return Promise.resolve();
       })
     };
-    
-    manager = new StorageManager(mockStorage);
+    mockLocal = {
+      data: {},
+      get: jest.fn((key) => Promise.resolve({ [key]: mockLocal.data[key] })),
+      set: jest.fn((obj) => {
+        Object.assign(mockLocal.data, obj);
+        return Promise.resolve();
+      })
+    };
+
+    manager = new StorageManager(mockStorage, mockLocal);
   });
 
   beforeEach(() => {
@@ -43,11 +53,17 @@ describe('StorageManager', () => {
     test('should have correct KEYS', () => {
       expect(StorageManager.KEYS.WHITELIST).toBe('emojiBlocker_whitelist');
       expect(StorageManager.KEYS.SETTINGS).toBe('emojiBlocker_settings');
+      expect(StorageManager.KEYS.CUSTOM_ICONS).toBe('emojiBlocker_customIcons');
+      expect(StorageManager.KEYS.SITE_RULES).toBe('emojiBlocker_siteRules');
     });
 
     test('should have correct DEFAULT_SETTINGS', () => {
       expect(StorageManager.DEFAULT_SETTINGS.mode).toBe('hide');
       expect(StorageManager.DEFAULT_SETTINGS.enabled).toBe(true);
+      expect(StorageManager.DEFAULT_SETTINGS.respectTextPresentation).toBe(true);
+      expect(StorageManager.DEFAULT_SETTINGS.shortcodeStyle).toBe('github');
+      expect(StorageManager.DEFAULT_SETTINGS.whitelistSubdomains).toBe(true);
+      expect(StorageManager.DEFAULT_SETTINGS.frameSite).toBe('top');
     });
 
     test('should use chrome.storage.sync by default', () => {
@@ -158,6 +174,75 @@ describe('StorageManager', () => {
     });
   });
 
+  describe('whitelist patterns', () => {
+    test('should normalize patterns and keep exclusion prefixes', () => {
+      expect(manager.normalizePattern(' https://www.Example.com/path ')).toBe('example.com');
+      expect(manager.normalizePattern('*.Example.com')).toBe('*.example.com');
+      expect(manager.normalizePattern('!www.ads.example.com')).toBe('!ads.example.com');
+    });
+
+    test('should match plain domains with or without subdomains', () => {
+      expect(manager.matchesDomainPattern('google.com', 'google.com')).toBe(true);
+      expect(manager.matchesDomainPattern('google.com', 'mail.google.com')).toBe(true);
+      expect(manager.matchesDomainPattern('google.com', 'mail.google.com', false)).toBe(false);
+      expect(manager.matchesDomainPattern('google.com', 'notgoogle.com')).toBe(false);
+    });
+
+    test('should match wildcards', () => {
+      expect(manager.matchesDomainPattern('*.example.com', 'a.example.com')).toBe(true);
+      expect(manager.matchesDomainPattern('*.example.com', 'a.b.example.com', false)).toBe(true);
+      expect(manager.matchesDomainPattern('*.example.com', 'example.com')).toBe(false);
+      expect(manager.matchesDomainPattern('*.example.com', 'example.com.evil.net')).toBe(false);
+      expect(manager.matchesDomainPattern('mail.*.com', 'mail.yahoo.com')).toBe(true);
+    });
+
+    test('should let exclusions win regardless of order', () => {
+      const whitelist = ['!ads.example.com', 'example.com'];
+      expect(manager.matchWhitelist(whitelist, 'www.example.com')).toBe(true);
+      expect(manager.matchWhitelist(whitelist, 'shop.example.com')).toBe(true);
+      expect(manager.matchWhitelist(whitelist, 'ads.example.com')).toBe(false);
+      expect(manager.matchWhitelist(whitelist, 'x.ads.example.com')).toBe(false);
+      expect(manager.matchWhitelist(whitelist, 'other.com')).toBe(false);
+      expect(manager.matchWhitelist(['example.com', 'other.com'], 'example.com')).toBe(true);
+    });
+
+    test('should store and remove patterns', async () => {
+      expect(await manager.addToWhitelist('*.Example.com')).toBe(true);
+      expect(await manager.addToWhitelist('!ads.example.com')).toBe(true);
+      expect(await manager.getWhitelist()).toEqual(['*.example.com', '!ads.example.com']);
+
+      expect(await manager.removeFromWhitelist('!ads.example.com')).toBe(true);
+      expect(await manager.getWhitelist()).toEqual(['*.example.com']);
+    });
+
+    test('should cover subdomains in isWhitelisted unless disabled', async () => {
+      await manager.addToWhitelist('google.com');
+      expect(await manager.isWhitelisted('mail.google.com')).toBe(true);
+
+      await manager.updateSettings({ whitelistSubdomains: false });
+      expect(await manager.isWhitelisted('mail.google.com')).toBe(false);
+      expect(await manager.isWhitelisted('google.com')).toBe(true);
+    });
+
+    test('should exclude a domain covered by a broader pattern', async () => {
+      await manager.addToWhitelist('google.com');
+
+      expect(await manager.setWhitelisted('mail.google.com', false)).toBe(false);
+      expect(await manager.getWhitelist()).toEqual(['google.com', '!mail.google.com']);
+
+      expect(await manager.setWhitelisted('mail.google.com', true)).toBe(true);
+      expect(await manager.getWhitelist()).toEqual(['google.com']);
+    });
+
+    test('should add and remove plain entries through setWhitelisted', async () => {
+      expect(await manager.setWhitelisted('https://www.example.com', true)).toBe(true);
+      expect(await manager.getWhitelist()).toEqual(['example.com']);
+
+      expect(await manager.setWhitelisted('example.com', false)).toBe(false);
+      expect(await manager.getWhitelist()).toEqual([]);
+    });
+  });
+
   describe('clearWhitelist', () => {
     test('should clear all domains from whitelist', async () => {
       await manager.addToWhitelist('example1.com');
@@ -204,6 +289,524 @@ describe('StorageManager', () => {
     });
   });
 
+  describe('emoji policy', () => {
+    test('should block every category by default', async () => {
+      const settings = await manager.getSettings();
+      expect(Object.keys(settings.categories)).toEqual(StorageManager.CATEGORIES);
+      expect(Object.values(settings.categories).every(Boolean)).toBe(true);
+      expect(settings.emojiAllowlist).toEqual([]);
+      expect(settings.emojiBlocklist).toEqual([]);
+    });
+
+    test('should merge stored category toggles with defaults', async () => {
+      mockStorage.data[StorageManager.KEYS.SETTINGS] = { categories: { flags: false } };
+
+      const settings = await manager.getSettings();
+      expect(settings.categories.flags).toBe(false);
+      expect(settings.categories.smileys).toBe(true);
+    });
+
+    test('should toggle a category', async () => {
+      expect(await manager.setCategoryBlocked('symbols', false)).toBe(true);
+
+      const settings = await manager.getSettings();
+      expect(settings.categories.symbols).toBe(false);
+      expect(settings.categories.people).toBe(true);
+    });
+
+    test('should move an emoji between the allowlist and blocklist', async () => {
+      await manager.setEmojiPolicy('✅', 'allow');
+      let settings = await manager.getSettings();
+      expect(settings.emojiAllowlist).toEqual(['✅']);
+
+      await manager.setEmojiPolicy('✅', 'block');
+      settings = await manager.getSettings();
+      expect(settings.emojiAllowlist).toEqual([]);
+      expect(settings.emojiBlocklist).toEqual(['✅']);
+
+      await manager.setEmojiPolicy('✅', null);
+      settings = await manager.getSettings();
+      expect(settings.emojiBlocklist).toEqual([]);
+    });
+
+    test('should store one entry per emoji regardless of variant', async () => {
+      await manager.setEmojiPolicy('👍🏽', 'allow');
+      await manager.setEmojiPolicy('👍', 'allow');
+      await manager.setEmojiPolicy('❤️', 'block');
+
+      const settings = await manager.getSettings();
+      expect(settings.emojiAllowlist).toEqual(['👍']);
+      expect(settings.emojiBlocklist).toEqual(['❤']);
+    });
+
+    test('should store the keys the processor looks emojis up by', () => {
+      for (const emoji of ['👩🏿‍💻', '☎︎', '🏳️‍🌈', '1️⃣']) {
+        expect(manager.normalizeEmoji(emoji)).toBe(EmojiData.normalize(emoji));
+      }
+      expect(manager.normalizeEmoji('👩🏿‍💻')).toBe('👩‍💻');
+    });
+
+    test('should preserve other settings when updating lists', async () => {
+      await manager.updateSettings({ mode: 'blur' });
+      await manager.setEmojiPolicy('✅', 'allow');
+
+      expect((await manager.getSettings()).mode).toBe('blur');
+    });
+  });
+
+  describe('site rules', () => {
+    test('should start without site rules', async () => {
+      expect(await manager.getSiteRules()).toEqual({});
+    });
+
+    test('should set, replace and remove rules by normalized domain', async () => {
+      expect(await manager.setSiteRule('https://www.GitHub.com/issues', 'dim')).toBe(true);
+      expect(await manager.setSiteRule('news.example.com', 'hide')).toBe(true);
+      await manager.setSiteRule('github.com', 'blur');
+      expect(await manager.getSiteRules()).toEqual({
+        'github.com': 'blur',
+        'news.example.com': 'hide'
+      });
+
+      await manager.setSiteRule('github.com', null);
+      expect(await manager.getSiteRules()).toEqual({ 'news.example.com': 'hide' });
+    });
+
+    test('should use the global settings without a rule', async () => {
+      await manager.updateSettings({ mode: 'blur' });
+      const settings = await manager.getEffectiveSettings('example.com');
+
+      expect(settings.mode).toBe('blur');
+      expect(settings.enabled).toBe(true);
+      expect(settings.siteRule).toBeNull();
+      expect(settings.whitelisted).toBe(false);
+    });
+
+    test('should let a site rule replace the global mode', async () => {
+      await manager.setSiteRule('github.com', 'dim');
+      const settings = await manager.getEffectiveSettings('github.com');
+
+      expect(settings.mode).toBe('dim');
+      expect(settings.enabled).toBe(true);
+      expect(settings.siteRule).toBe('dim');
+    });
+
+    test('should disable blocking for off rules, the whitelist and the global toggle', async () => {
+      await manager.setSiteRule('slack.com', StorageManager.SITE_RULE_OFF);
+      await manager.addToWhitelist('example.org');
+
+      const off = await manager.getEffectiveSettings('slack.com');
+      expect(off.enabled).toBe(false);
+      expect(off.mode).toBe('hide');
+      expect((await manager.getEffectiveSettings('example.org')).enabled).toBe(false);
+      expect((await manager.getEffectiveSettings('example.org')).whitelisted).toBe(true);
+
+      await manager.setSiteRule('github.com', 'dim');
+      await manager.updateSettings({ enabled: false });
+      expect((await manager.getEffectiveSettings('github.com')).enabled).toBe(false);
+    });
+
+    test('should only block listed sites and sites with a mode rule in blocklist mode', async () => {
+      await manager.updateSettings({ listMode: 'blocklist' });
+      await manager.addToWhitelist('news.com');
+      await manager.setSiteRule('github.com', 'dim');
+      await manager.setSiteRule('slack.com', StorageManager.SITE_RULE_OFF);
+
+      const listed = await manager.getEffectiveSettings('www.news.com');
+      expect(listed.enabled).toBe(true);
+      expect(listed.listed).toBe(true);
+      expect(listed.whitelisted).toBe(false);
+
+      const unlisted = await manager.getEffectiveSettings('example.com');
+      expect(unlisted.enabled).toBe(false);
+      expect(unlisted.listed).toBe(false);
+      expect(unlisted.whitelisted).toBe(true);
+
+      expect((await manager.getEffectiveSettings('github.com')).enabled).toBe(true);
+      expect((await manager.getEffectiveSettings('slack.com')).enabled).toBe(false);
+    });
+
+    test('should turn input sanitizing on and off per site', async () => {
+      expect(await manager.setSanitizeInput('https://www.GitHub.com/new', true)).toBe(true);
+      await manager.setSanitizeInput('gitlab.com', true);
+      await manager.setSanitizeInput('github.com', true);
+      expect(await manager.getSanitizeSites()).toEqual(['gitlab.com', 'github.com']);
+
+      await manager.setSanitizeInput('gitlab.com', false);
+      expect(await manager.getSanitizeSites()).toEqual(['github.com']);
+    });
+
+    test('should sanitize input on listed sites, even whitelisted ones, while enabled', async () => {
+      await manager.setSanitizeInput('github.com', true);
+      await manager.addToWhitelist('github.com');
+
+      expect((await manager.getEffectiveSettings('github.com')).sanitizeInput).toBe(true);
+      expect((await manager.getEffectiveSettings('gitlab.com')).sanitizeInput).toBe(false);
+
+      await manager.updateSettings({ enabled: false });
+      expect((await manager.getEffectiveSettings('github.com')).sanitizeInput).toBe(false);
+    });
+
+    test('should choose the blocking strategy per site', async () => {
+      expect(await manager.setSiteStrategy('https://docs.Example.com/d/1', 'font')).toBe(true);
+      await manager.setSiteStrategy('a.com', 'font');
+      expect(await manager.getSiteStrategies()).toEqual({
+        'docs.example.com': 'font',
+        'a.com': 'font'
+      });
+      expect((await manager.getEffectiveSettings('docs.example.com')).strategy).toBe('font');
+      expect((await manager.getEffectiveSettings('example.com')).strategy).toBe('span');
+
+      await manager.updateSettings({ strategy: 'highlight' });
+      await manager.setSiteStrategy('a.com', 'span');
+      await manager.setSiteStrategy('docs.example.com', null);
+      expect(await manager.getSiteStrategies()).toEqual({ 'a.com': 'span' });
+      expect((await manager.getEffectiveSettings('a.com')).strategy).toBe('span');
+      expect((await manager.getEffectiveSettings('docs.example.com')).strategy).toBe(
+        'highlight'
+      );
+    });
+  });
+
+  describe('custom icons', () => {
+    test('should start without custom icons', async () => {
+      expect(await manager.getCustomIcons()).toEqual({});
+    });
+
+    test('should store icons in local storage keyed by normalized emoji', async () => {
+      expect(await manager.setCustomIcon('❤️', 'data:image/svg+xml,a')).toBe(true);
+      expect(await manager.setCustomIcon('👍🏽', 'data:image/png;base64,b')).toBe(true);
+
+      expect(await manager.getCustomIcons()).toEqual({
+        '❤': 'data:image/svg+xml,a',
+        '👍': 'data:image/png;base64,b'
+      });
+      expect(mockStorage.set).not.toHaveBeenCalled();
+    });
+
+    test('should replace and remove icons', async () => {
+      await manager.setCustomIcon('🚀', 'data:image/png;base64,a');
+      await manager.setCustomIcon('🚀', 'data:image/png;base64,b');
+      expect((await manager.getCustomIcons())['🚀']).toBe('data:image/png;base64,b');
+
+      expect(await manager.removeCustomIcon('🚀')).toBe(true);
+      expect(await manager.removeCustomIcon('🚀')).toBe(false);
+      expect(await manager.getCustomIcons()).toEqual({});
+    });
+  });
+
+  describe('stats', () => {
+    const day = (text) => new Date(`${text}T12:00:00`);
+
+    test('should start without stats', async () => {
+      expect(await manager.getStats()).toEqual({});
+    });
+
+    test('should add counts to daily buckets by domain in local storage', async () => {
+      await manager.recordStats('www.example.com', { '😀': 2 }, day('2026-03-01'));
+      await manager.recordStats('example.com', { '😀': 1, '🚀': 1 }, day('2026-03-01'));
+      await manager.recordStats('github.com', { '🚀': 4 }, day('2026-03-02'));
+
+      expect(await manager.getStats()).toEqual({
+        '2026-03-01': { 'example.com': { '😀': 3, '🚀': 1 } },
+        '2026-03-02': { 'github.com': { '🚀': 4 } }
+      });
+      expect(mockStorage.set).not.toHaveBeenCalled();
+    });
+
+    test('should ignore counts that are not positive integers', async () => {
+      await manager.recordStats('a.com', { '😀': -1, '🚀': 'x', '❤': 2 }, day('2026-03-01'));
+      expect(await manager.getStats()).toEqual({ '2026-03-01': { 'a.com': { '❤': 2 } } });
+    });
+
+    test('should drop buckets older than the retention period', async () => {
+      await manager.recordStats('a.com', { '😀': 1 }, day('2026-01-01'));
+      await manager.recordStats('a.com', { '😀': 1 }, day('2026-01-02'));
+      await manager.recordStats('a.com', { '😀': 1 }, day('2026-04-01'));
+
+      expect(Object.keys(await manager.getStats())).toEqual(['2026-01-02', '2026-04-01']);
+    });
+
+    test('should clear stats', async () => {
+      await manager.recordStats('a.com', { '😀': 1 });
+      expect(await manager.clearStats()).toBe(true);
+      expect(await manager.getStats()).toEqual({});
+    });
+
+    test('should summarize totals, days, domains and emojis over a range', () => {
+      const stats = {
+        '2026-02-20': { 'old.com': { '😀': 50 } },
+        '2026-03-01': { 'a.com': { '😀': 3, '🚀': 1 }, 'b.com': { '🚀': 7 } },
+        '2026-03-03': { 'a.com': { '😀': 2 } }
+      };
+
+      expect(manager.summarizeStats(stats, 3, day('2026-03-03'))).toEqual({
+        total: 13,
+        days: [
+          ['2026-03-01', 11],
+          ['2026-03-02', 0],
+          ['2026-03-03', 2]
+        ],
+        domains: [
+          ['b.com', 7],
+          ['a.com', 6]
+        ],
+        emojis: [
+          ['🚀', 8],
+          ['😀', 5]
+        ]
+      });
+    });
+
+    test('should end the summary today by default', () => {
+      const { days } = manager.summarizeStats({}, 7);
+      expect(days).toHaveLength(7);
+      expect(days[6][0]).toBe(manager.formatDay(new Date()));
+    });
+
+    test('should export stats as CSV rows', () => {
+      const csv = manager.statsToCsv({
+        '2026-03-02': { 'b.com': { '😀': 1 } },
+        '2026-03-01': { 'b.com': { '🚀': 2 }, 'a,b.com': { '😀': 3 } }
+      });
+
+      expect(csv).toBe(
+        'date,domain,emoji,count\n' +
+          '2026-03-01,"a,b.com",😀,3\n' +
+          '2026-03-01,b.com,🚀,2\n' +
+          '2026-03-02,b.com,😀,1\n'
+      );
+    });
+
+    test('should keep spreadsheets from reading stats cells as formulas', () => {
+      const csv = manager.statsToCsv({
+        '2026-03-01': { '=cmd.com': { '@SUM(A1)': 1, '+1': 2, '-1,"x"': 3 } }
+      });
+
+      expect(csv).toBe(
+        'date,domain,emoji,count\n' +
+          "2026-03-01,'=cmd.com,'@SUM(A1),1\n" +
+          "2026-03-01,'=cmd.com,'+1,2\n" +
+          `2026-03-01,'=cmd.com,"'-1,""x""",3\n`
+      );
+    });
+  });
+
+  describe('import and export', () => {
+    const exportFile = (data) =>
+      JSON.stringify({
+        format: StorageManager.EXPORT_FORMAT,
+        version: StorageManager.EXPORT_VERSION,
+        ...data
+      });
+
+    test('should export every section with a format and version', async () => {
+      await manager.updateSettings({ mode: 'dim' });
+      await manager.addToWhitelist('example.com');
+      await manager.setSiteRule('github.com', 'blur');
+      await manager.setSanitizeInput('gitlab.com', true);
+      await manager.setSiteStrategy('docs.example.com', 'font');
+      await manager.setCustomIcon('🚀', 'data:image/png;base64,a');
+
+      const data = await manager.exportData();
+
+      expect(data.format).toBe(StorageManager.EXPORT_FORMAT);
+      expect(data.version).toBe(StorageManager.EXPORT_VERSION);
+      expect(typeof data.exportedAt).toBe('string');
+      expect(data.settings.mode).toBe('dim');
+      expect(data.whitelist).toEqual(['example.com']);
+      expect(data.siteRules).toEqual({ 'github.com': 'blur' });
+      expect(data.sanitizeSites).toEqual(['gitlab.com']);
+      expect(data.siteStrategies).toEqual({ 'docs.example.com': 'font' });
+      expect(data.customIcons).toEqual({ '🚀': 'data:image/png;base64,a' });
+    });
+
+    test('should round-trip an export', async () => {
+      await manager.updateSettings({ mode: 'icon', listMode: 'blocklist' });
+      await manager.addToWhitelist('*.example.com');
+      const text = JSON.stringify(await manager.exportData());
+
+      const other = new StorageManager(
+        { ...mockStorage, data: {} },
+        { ...mockLocal, data: {} }
+      );
+      const { data, errors } = other.parseImport(text);
+
+      expect(errors).toEqual([]);
+      expect(data.settings.mode).toBe('icon');
+      expect(data.settings.listMode).toBe('blocklist');
+      expect(data.whitelist).toEqual(['*.example.com']);
+    });
+
+    test('should reject files that are not exports', () => {
+      expect(manager.parseImport('{nope').errors).toEqual(['The file is not valid JSON']);
+      expect(manager.parseImport('[]').errors[0]).toMatch(/not an I don't care about emojis/);
+      expect(manager.parseImport('{"format":"other"}').errors[0]).toMatch(/not an/);
+      expect(manager.parseImport(exportFile({ version: 'x' })).errors[0]).toMatch(/version/);
+      expect(manager.parseImport(exportFile({ version: 99 })).errors[0]).toMatch(/version 99/);
+      expect(manager.parseImport(exportFile({ version: 99 })).data).toBeNull();
+    });
+
+    test('should report every invalid value', () => {
+      const { data, errors } = manager.parseImport(
+        exportFile({
+          settings: {
+            mode: 'sparkle',
+            enabled: 'yes',
+            emojiAllowlist: [1],
+            categories: { flags: 'no' },
+            unknownSetting: 1
+          },
+          whitelist: ['ok.com', ''],
+          siteRules: { 'a.com': 'loud' },
+          siteStrategies: { 'a.com': 'css' },
+          customIcons: { '🚀': 'https://example.com/icon.png' }
+        })
+      );
+
+      expect(data).toBeNull();
+      expect(errors).toEqual([
+        'settings.mode has unknown value "sparkle"',
+        'settings.enabled must be true or false',
+        'settings.emojiAllowlist must be a list of emojis',
+        'settings.categories must map known categories to true or false',
+        'whitelist[1] must be a domain',
+        'siteRules["a.com"] has unknown mode "loud"',
+        'siteStrategies["a.com"] has unknown strategy "css"',
+        'customIcons["🚀"] must be an SVG or PNG data URL'
+      ]);
+    });
+
+    test('should report sections of the wrong type', () => {
+      const { errors } = manager.parseImport(
+        exportFile({
+          settings: [],
+          whitelist: {},
+          siteRules: [],
+          sanitizeSites: ['ok.com', 3],
+          siteStrategies: ['font'],
+          customIcons: 'x'
+        })
+      );
+
+      expect(errors).toEqual([
+        'settings must be an object',
+        'whitelist must be a list of domains',
+        'siteRules must map domains to modes',
+        'sanitizeSites must be a list of domains',
+        'siteStrategies must map domains to strategies',
+        'customIcons must map emojis to images'
+      ]);
+    });
+
+    test('should normalize imported entries and omit missing sections', () => {
+      const { data } = manager.parseImport(
+        exportFile({
+          settings: { emojiBlocklist: ['👍🏽', '👍'], categories: { flags: false } },
+          whitelist: ['WWW.Example.com', 'example.com', '!Ads.Example.com'],
+          siteRules: { 'https://www.GitHub.com/': 'off' },
+          sanitizeSites: ['WWW.GitLab.com', 'gitlab.com'],
+          siteStrategies: { 'WWW.Docs.com': 'font' },
+          customIcons: { '❤️': 'data:image/svg+xml,a' }
+        })
+      );
+
+      expect(data).toEqual({
+        settings: { emojiBlocklist: ['👍'], categories: { flags: false } },
+        whitelist: ['example.com', '!ads.example.com'],
+        siteRules: { 'github.com': 'off' },
+        sanitizeSites: ['gitlab.com'],
+        siteStrategies: { 'docs.com': 'font' },
+        customIcons: { '❤': 'data:image/svg+xml,a' }
+      });
+      expect(manager.parseImport(exportFile({})).data).toEqual({});
+    });
+
+    test('should merge imported data into existing data', async () => {
+      await manager.updateSettings({ mode: 'dim', emojiAllowlist: ['✅'], emojiBlocklist: ['🎉'] });
+      await manager.addToWhitelist('a.com');
+      await manager.setSiteRule('a.com', 'blur');
+      await manager.setSanitizeInput('a.com', true);
+      await manager.setSiteStrategy('a.com', 'font');
+      await manager.setCustomIcon('🚀', 'data:image/png;base64,a');
+
+      const ok = await manager.importData({
+        settings: {
+          mode: 'icon',
+          emojiAllowlist: ['🎉'],
+          emojiBlocklist: ['😀'],
+          categories: { flags: false }
+        },
+        whitelist: ['a.com', 'b.com'],
+        siteRules: { 'b.com': 'off' },
+        sanitizeSites: ['a.com', 'b.com'],
+        siteStrategies: { 'b.com': 'font' },
+        customIcons: { '❤': 'data:image/svg+xml,b' }
+      });
+
+      expect(ok).toBe(true);
+      const settings = await manager.getSettings();
+      expect(settings.mode).toBe('icon');
+      expect(settings.emojiAllowlist).toEqual(['✅', '🎉']);
+      expect(settings.emojiBlocklist).toEqual(['😀']);
+      expect(settings.categories.flags).toBe(false);
+      expect(settings.categories.smileys).toBe(true);
+      expect(await manager.getWhitelist()).toEqual(['a.com', 'b.com']);
+      expect(await manager.getSiteRules()).toEqual({ 'a.com': 'blur', 'b.com': 'off' });
+      expect(await manager.getSanitizeSites()).toEqual(['a.com', 'b.com']);
+      expect(await manager.getSiteStrategies()).toEqual({ 'a.com': 'font', 'b.com': 'font' });
+      expect(Object.keys(await manager.getCustomIcons())).toEqual(['🚀', '❤']);
+    });
+
+    test('should let a merged list entry win over the opposite existing list', async () => {
+      await manager.setEmojiPolicy('✅', 'allow');
+      await manager.importData({ settings: { emojiBlocklist: ['✅'] } });
+
+      const settings = await manager.getSettings();
+      expect(settings.emojiAllowlist).toEqual([]);
+      expect(settings.emojiBlocklist).toEqual(['✅']);
+
+      await manager.importData({ settings: { emojiAllowlist: ['✅'] } });
+      expect((await manager.getSettings()).emojiBlocklist).toEqual([]);
+    });
+
+    test('should replace only the sections present in the import', async () => {
+      await manager.updateSettings({ mode: 'dim', shortcodeStyle: 'slack' });
+      await manager.addToWhitelist('a.com');
+      await manager.setSiteRule('a.com', 'blur');
+      await manager.setCustomIcon('🚀', 'data:image/png;base64,a');
+
+      await manager.importData(
+        { settings: { mode: 'icon' }, whitelist: ['b.com'], customIcons: {} },
+        'replace'
+      );
+
+      const settings = await manager.getSettings();
+      expect(settings.mode).toBe('icon');
+      expect(settings.shortcodeStyle).toBe('github');
+      expect(await manager.getWhitelist()).toEqual(['b.com']);
+      expect(await manager.getSiteRules()).toEqual({ 'a.com': 'blur' });
+      expect(await manager.getCustomIcons()).toEqual({});
+    });
+
+    test('should replace site rules and keep icons when the import has none', async () => {
+      await manager.setSiteRule('a.com', 'blur');
+      await manager.setCustomIcon('🚀', 'data:image/png;base64,a');
+
+      await manager.setSanitizeInput('a.com', true);
+      await manager.setSiteStrategy('a.com', 'font');
+      await manager.importData(
+        { siteRules: { 'b.com': 'dim' }, sanitizeSites: ['b.com'], siteStrategies: {} },
+        'replace'
+      );
+
+      expect(await manager.getSiteRules()).toEqual({ 'b.com': 'dim' });
+      expect(await manager.getSanitizeSites()).toEqual(['b.com']);
+      expect(await manager.getSiteStrategies()).toEqual({});
+      expect(await manager.getCustomIcons()).toEqual({ '🚀': 'data:image/png;base64,a' });
+    });
+  });
+
   describe('error handling', () => {
     test('getWhitelist should return empty array on error', async () => {
       const failingStorage = { get: jest.fn(() => { throw new Error('fail'); }), set: jest.fn() };
@@ -264,6 +867,93 @@ describe('StorageManager', () => {
       expect(settings).toEqual(StorageManager.DEFAULT_SETTINGS);
     });
 
+    test('setCategoryBlocked should return false on error', async () => {
+      const failingStorage = {
+        get: jest.fn(() => ({})),
+        set: jest.fn(() => { throw new Error('fail'); })
+      };
+      const failingManager = new StorageManager(failingStorage);
+      jest.spyOn(failingManager, 'getSettings').mockRejectedValue(new Error('fail'));
+
+      const result = await failingManager.setCategoryBlocked('flags', false);
+      expect(result).toBe(false);
+    });
+
+    test('setWhitelisted should return false on invalid input', async () => {
+      expect(await manager.setWhitelisted(null, true)).toBe(false);
+    });
+
+    test('site rule methods should fail safely on storage error', async () => {
+      const failingStorage = {
+        get: jest.fn(() => { throw new Error('fail'); }),
+        set: jest.fn(() => { throw new Error('fail'); })
+      };
+      const failingManager = new StorageManager(failingStorage, mockLocal);
+
+      expect(await failingManager.getSiteRules()).toEqual({});
+      expect(await failingManager.setSiteRule('github.com', 'dim')).toBe(false);
+      expect(await failingManager.getSanitizeSites()).toEqual([]);
+      expect(await failingManager.setSanitizeInput('github.com', true)).toBe(false);
+      expect(await failingManager.getSiteStrategies()).toEqual({});
+      expect(await failingManager.setSiteStrategy('github.com', 'font')).toBe(false);
+
+      const settings = await failingManager.getEffectiveSettings(null);
+      expect(settings).toEqual({
+        ...StorageManager.DEFAULT_SETTINGS,
+        siteRule: null,
+        listed: false,
+        whitelisted: false,
+        sanitizeInput: false
+      });
+    });
+
+    test('stats methods should fail safely on storage error', async () => {
+      const failingLocal = {
+        get: jest.fn(() => { throw new Error('fail'); }),
+        set: jest.fn(() => { throw new Error('fail'); })
+      };
+      const failingManager = new StorageManager(mockStorage, failingLocal);
+
+      expect(await failingManager.getStats()).toEqual({});
+      expect(await failingManager.recordStats('a.com', { '😀': 1 })).toBe(false);
+      expect(await failingManager.clearStats()).toBe(false);
+    });
+
+    test('importData should return false on storage error', async () => {
+      const failingStorage = {
+        get: jest.fn(() => ({})),
+        set: jest.fn(() => { throw new Error('fail'); })
+      };
+      const failingManager = new StorageManager(failingStorage, mockLocal);
+
+      expect(await failingManager.importData({ whitelist: ['a.com'] })).toBe(false);
+    });
+
+    test('custom icon methods should fail safely on storage error', async () => {
+      const failingLocal = {
+        get: jest.fn(() => { throw new Error('fail'); }),
+        set: jest.fn(() => { throw new Error('fail'); })
+      };
+      const failingManager = new StorageManager(mockStorage, failingLocal);
+
+      expect(await failingManager.getCustomIcons()).toEqual({});
+      expect(await failingManager.setCustomIcon('🚀', 'data:,')).toBe(false);
+
+      jest.spyOn(failingManager, 'getCustomIcons').mockResolvedValue({ '🚀': 'data:,' });
+      expect(await failingManager.removeCustomIcon('🚀')).toBe(false);
+    });
+
+    test('setEmojiPolicy should return false on storage error', async () => {
+      const failingStorage = {
+        get: jest.fn(() => ({})),
+        set: jest.fn(() => { throw new Error('fail'); })
+      };
+      const failingManager = new StorageManager(failingStorage);
+
+      const result = await failingManager.setEmojiPolicy('✅', 'allow');
+      expect(result).toBe(false);
+    });
+
     test('updateSettings should return false on error', async () => {
       const failingStorage = {
         get: jest.fn(() => ({ [StorageManager.KEYS.SETTINGS]: { mode: 'hide', enabled: true } })),
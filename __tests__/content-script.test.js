@@ -0,0 +1,104 @@
+/**
+ * Content Script Tests
+ * Tests for the content script when the emoji names cannot be injected
+ */
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+
+// The names are injected into a frame on demand, so content frames start without them
+jest.unstable_mockModule('../src/core/EmojiNames.js', () => ({ EmojiNames: undefined }));
+
+const { EmojiBlockerCore, EmojiText, InputSanitizer, ProcessorConfig } =
+  await import('../src/core/EmojiBlockerCore.js');
+const { StorageManager } = await import('../src/core/StorageManager.js');
+
+const createArea = (data = {}) => ({
+  get: jest.fn((key) => Promise.resolve({ [key]: data[key] })),
+  set: jest.fn((obj) => {
+    Object.assign(data, obj);
+    return Promise.resolve();
+  })
+});
+
+const messageListeners = [];
+
+const sendToContent = (message) => {
+  for (const listener of messageListeners) listener(message, {}, () => {});
+};
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const getSpan = () => document.querySelector('[data-emoji]');
+
+const getDocumentMode = () => document.documentElement.getAttribute(ProcessorConfig.MODE_ATTRIBUTE);
+
+describe('content script without emoji names', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    Object.assign(global, { EmojiBlockerCore, InputSanitizer, StorageManager });
+    global.chrome = {
+      storage: {
+        sync: createArea({ [StorageManager.KEYS.SETTINGS]: { mode: 'shortcode' } }),
+        local: createArea()
+      },
+      runtime: {
+        onMessage: { addListener: (listener) => messageListeners.push(listener) },
+        sendMessage: jest.fn((message) =>
+          message.action === 'loadEmojiNames'
+            ? Promise.reject(new Error('Cannot access contents of the page'))
+            : Promise.resolve({ success: true })
+        )
+      }
+    };
+    document.body.innerHTML = '<p>Hello 😀</p>';
+
+    await import('../src/content/content-script.js');
+    await waitFor(() => getSpan() && getDocumentMode());
+  });
+
+  test('should fall back to hiding when the names message rejects', () => {
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'loadEmojiNames' });
+    expect(console.error).toHaveBeenCalledWith(
+      "I don't care about emojis: Could not load emoji names",
+      expect.any(Error)
+    );
+    expect(getDocumentMode()).toBe('hide');
+    expect(getSpan().textContent).toBe('😀');
+  });
+
+  test('should ask again and keep hiding when a later mode change needs the names', async () => {
+    chrome.runtime.sendMessage.mockClear();
+
+    sendToContent({ action: 'updateMode', mode: 'name' });
+    await waitFor(() => chrome.runtime.sendMessage.mock.calls.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'loadEmojiNames' });
+    expect(getDocumentMode()).toBe('hide');
+    expect(getSpan().textContent).toBe('😀');
+  });
+
+  test('should switch to a mode that does not need the names', async () => {
+    sendToContent({ action: 'updateMode', mode: 'dim' });
+    await waitFor(() => getDocumentMode() === 'dim');
+
+    expect(getDocumentMode()).toBe('dim');
+  });
+
+  test('should have no replacement text for the text modes', () => {
+    expect(EmojiText.toShortcode('😀')).toBeNull();
+    expect(EmojiText.toName('😀')).toBeNull();
+  });
+
+  test('should remove emojis from input instead of writing shortcodes', () => {
+    const processor = new EmojiBlockerCore();
+    processor.setOptions({ sanitizeStyle: 'shortcode' });
+
+    expect(new InputSanitizer(processor).sanitize('Hi 😀')).toBe('Hi ');
+  });
+});
@@ -14,6 +14,10 @@ const __dirname = path.dirname(__filename);
 const BUILD_DIR = path.join(__dirname, '..', 'dist');
 const SRC_DIR = path.join(__dirname, '..', 'src');
 const ROOT_DIR = path.join(__dirname, '..');
+const SERVICE_WORKER = path.join(SRC_DIR, 'background', 'service-worker.js');
+
+const IMPORT_PATTERN = /^import\s+\{[^}]*\}\s+from\s+'([^']*)';?\s*$/gm;
+const EXPORT_PATTERN = /^export\s+\{[^}]*\};?\s*$/gm;
 
 function setupBuildDir() {
   if (fs.existsSync(BUILD_DIR)) {
@@ -35,11 +39,14 @@ function copyDirectory(src, dest, processFiles = false) {
 
     if (entry.isDirectory()) {
       copyDirectory(srcPath, destPath, processFiles);
+    } else if (processFiles && srcPath === SERVICE_WORKER) {
+      fs.writeFileSync(destPath, bundleModule(srcPath));
     } else if (processFiles && entry.name.endsWith('.js')) {
 
       let content = fs.readFileSync(srcPath, 'utf8');
 
-      content = content.replace(/^export\s+\{[^}]*\};?\s*$/gm, '');
+      content = content.replace(IMPORT_PATTERN, '');
+      content = content.replace(EXPORT_PATTERN, '');
       fs.writeFileSync(destPath, content);
     } else {
       fs.copyFileSync(srcPath, destPath);
@@ -47,6 +54,23 @@ function copyDirectory(src, dest, processFiles = false) {
   }
 }
 
+/**
+ * Inline a module's imports in place. Sources are stripped of import and export
+ * lines to load as classic scripts, so the service worker gets the shared
+ * modules it imports written into it instead
+ */
+function bundleModule(filePath, included = new Set()) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return content
+    .replace(IMPORT_PATTERN, (_line, specifier) => {
+      const dependency = path.resolve(path.dirname(filePath), specifier);
+      if (included.has(dependency)) return '';
+      included.add(dependency);
+      return bundleModule(dependency, included);
+    })
+    .replace(EXPORT_PATTERN, '');
+}
+
 function copyFile(src, dest) {
   fs.copyFileSync(src, dest);
 }
@@ -0,0 +1,404 @@
+/**
+ * Emoji Data Generator
+ * Builds src/core/EmojiData.js, src/core/EmojiCatalog.js and src/core/EmojiNames.js from
+ * the Unicode emoji data files in data/unicode and the shortcode lists in data/shortcodes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prettier from 'prettier';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'unicode');
+const SHORTCODE_DIR = path.join(__dirname, '..', 'data', 'shortcodes');
+const OUTPUT_PATH = path.join(__dirname, '..', 'src', 'core', 'EmojiData.js');
+const CATALOG_PATH = path.join(__dirname, '..', 'src', 'core', 'EmojiCatalog.js');
+const NAMES_PATH = path.join(__dirname, '..', 'src', 'core', 'EmojiNames.js');
+
+const SHORTCODE_STYLES = ['github', 'slack', 'discord'];
+
+const PROPERTIES = {
+  EMOJI: 'Emoji',
+  EMOJI_PRESENTATION: 'Emoji_Presentation',
+  EMOJI_MODIFIER: 'Emoji_Modifier'
+};
+
+// emoji-test.txt group name -> category id. Components (skin tones, hair) belong with people.
+const CATEGORIES = {
+  'Smileys & Emotion': 'smileys',
+  'People & Body': 'people',
+  Component: 'people',
+  'Animals & Nature': 'animals',
+  'Food & Drink': 'food',
+  'Travel & Places': 'travel',
+  Activities: 'activities',
+  Objects: 'objects',
+  Symbols: 'symbols',
+  Flags: 'flags'
+};
+
+const VS15 = 0xfe0e;
+const VS16 = 0xfe0f;
+
+function readDataFile(name, dir = DATA_DIR) {
+  const filePath = path.join(dir, name);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${name} not found in ${dir}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function parseVersion(content, name) {
+  const match = content.match(/^# Version: (\d+\.\d+)/m);
+  if (!match) throw new Error(`No "# Version:" header in ${name}`);
+  return match[1];
+}
+
+function dataLines(content) {
+  return content
+    .split('\n')
+    .map((line) => line.split('#')[0].trim())
+    .filter(Boolean)
+    .map((line) => line.split(';').map((field) => field.trim()));
+}
+
+function parseEmojiData(content) {
+  const ranges = {};
+
+  for (const [codePoints, property] of dataLines(content)) {
+    const [start, end = start] = codePoints.split('..').map((hex) => parseInt(hex, 16));
+    (ranges[property] ||= []).push([start, end]);
+  }
+
+  return ranges;
+}
+
+function parseSequences(content) {
+  const sequences = {};
+
+  for (const [codePoints, type] of dataLines(content)) {
+    const text = String.fromCodePoint(...codePoints.split(/\s+/).map((hex) => parseInt(hex, 16)));
+    (sequences[type] ||= []).push(text);
+  }
+
+  return sequences;
+}
+
+/**
+ * Parse emoji-test.txt into entries with their group, qualification and CLDR name
+ * @param {string} content
+ * @returns {{text: string, codePoints: number[], group: string, status: string, name: string}[]}
+ */
+function parseEmojiTest(content) {
+  const entries = [];
+  let group = null;
+
+  for (const line of content.split('\n')) {
+    const groupMatch = line.match(/^# group: (.+)$/);
+    if (groupMatch) {
+      group = groupMatch[1].trim();
+      continue;
+    }
+
+    const match = line.match(/^([0-9A-F ]+?)\s*;\s*([\w-]+)\s*#\s*\S+\s+E\d+\.\d+\s+(.+)$/);
+    if (!match) continue;
+
+    const codePoints = match[1].split(/\s+/).map((hex) => parseInt(hex, 16));
+    entries.push({
+      text: String.fromCodePoint(...codePoints),
+      codePoints,
+      group,
+      status: match[2],
+      name: match[3].trim()
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Assign each leading code point to a category. Single-character entries win over
+ * sequences that merely start with the same code point.
+ * @returns {Object<string, number[]>} - Flat range table per category
+ */
+function buildCategoryRanges(entries) {
+  const byCodePoint = new Map();
+
+  for (const entry of entries) {
+    const category = CATEGORIES[entry.group];
+    if (!category) throw new Error(`Unknown emoji group: ${entry.group}`);
+
+    const first = entry.codePoints[0];
+    const isSingle = entry.codePoints.filter((codePoint) => codePoint !== VS16).length === 1;
+    const existing = byCodePoint.get(first);
+    if (!existing || (isSingle && !existing.isSingle)) {
+      byCodePoint.set(first, { category, isSingle });
+    }
+  }
+
+  // Code points between two assigned neighbours are not emoji, so runs of the same
+  // category can be merged across those gaps
+  const ranges = Object.fromEntries([...new Set(Object.values(CATEGORIES))].map((id) => [id, []]));
+  const sorted = [...byCodePoint.entries()].sort((a, b) => a[0] - b[0]);
+  let run = null;
+
+  for (const [codePoint, { category }] of sorted) {
+    if (run && run.category === category) {
+      run.end = codePoint;
+    } else {
+      if (run) ranges[run.category].push([run.start, run.end]);
+      run = { category, start: codePoint, end: codePoint };
+    }
+  }
+  if (run) ranges[run.category].push([run.start, run.end]);
+
+  return ranges;
+}
+
+/**
+ * Build the picker catalog: fully-qualified emojis per category, without skin tone variants
+ */
+function buildCatalog(entries, modifierRanges) {
+  const isModifier = (codePoint) =>
+    modifierRanges.some(([start, end]) => codePoint >= start && codePoint <= end);
+  const catalog = {};
+
+  for (const entry of entries) {
+    if (entry.status !== 'fully-qualified' || entry.group === 'Component') continue;
+    if (entry.codePoints.some(isModifier)) continue;
+
+    const category = CATEGORIES[entry.group];
+    catalog[category] ||= { label: entry.group, emojis: [] };
+    catalog[category].emojis.push([entry.text, entry.name]);
+  }
+
+  return catalog;
+}
+
+/**
+ * Lookup key shared with EmojiDetection.normalize: variation selectors and skin tone
+ * modifiers removed, so every variant of an emoji resolves to the same entry
+ */
+function nameKey(codePoints, isModifier) {
+  const base = codePoints.filter((cp) => cp !== VS15 && cp !== VS16 && !isModifier(cp));
+  return String.fromCodePoint(...base);
+}
+
+/**
+ * Build the text replacement tables: a CLDR short name and a shortcode per platform
+ * for every emoji, keyed by nameKey
+ */
+function buildNames(entries, modifierRanges) {
+  const isModifier = (codePoint) =>
+    modifierRanges.some(([start, end]) => codePoint >= start && codePoint <= end);
+  const names = {};
+
+  for (const entry of entries) {
+    if (entry.status !== 'fully-qualified' || entry.codePoints.some(isModifier)) continue;
+    const key = nameKey(entry.codePoints, isModifier);
+    if (key) names[key] ||= entry.name;
+  }
+
+  const shortcodes = {};
+  for (const style of SHORTCODE_STYLES) {
+    const list = JSON.parse(readDataFile(`${style}.json`, SHORTCODE_DIR));
+    shortcodes[style] = {};
+
+    for (const [hexcode, value] of Object.entries(list)) {
+      const codePoints = hexcode.split('-').map((hex) => parseInt(hex, 16));
+      const key = nameKey(codePoints, isModifier);
+      shortcodes[style][key] ||= Array.isArray(value) ? value[0] : value;
+    }
+  }
+
+  return { names, shortcodes };
+}
+
+/**
+ * Sort and merge adjacent ranges, then flatten to [start, end, start, end, ...]
+ * @param {number[][]} ranges
+ * @returns {number[]}
+ */
+function flattenRanges(ranges) {
+  const merged = [];
+
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  return merged.flat();
+}
+
+function formatRanges(flat) {
+  return `[${flat.map((codePoint) => `0x${codePoint.toString(16)}`).join(', ')}]`;
+}
+
+function formatStrings(strings) {
+  return `[${strings.map((text) => `'${text}'`).join(', ')}]`;
+}
+
+function quote(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function formatMap(map, indent) {
+  return Object.entries(map)
+    .map(([key, value]) => `${indent}${quote(key)}: ${quote(value)}`)
+    .join(',\n');
+}
+
+async function writeFormatted(filePath, source) {
+  const options = await prettier.resolveConfig(filePath);
+  const formatted = await prettier.format(source, { ...options, filepath: filePath });
+  fs.writeFileSync(filePath, formatted);
+  console.log(`Emoji data written to ${path.relative(process.cwd(), filePath)}`);
+}
+
+async function generate() {
+  console.log('Generating emoji data tables...');
+
+  const emojiData = readDataFile('emoji-data.txt');
+  const emojiSequences = readDataFile('emoji-sequences.txt');
+  const emojiTest = readDataFile('emoji-test.txt');
+
+  const version = parseVersion(emojiData, 'emoji-data.txt');
+  for (const [name, content] of [
+    ['emoji-sequences.txt', emojiSequences],
+    ['emoji-test.txt', emojiTest]
+  ]) {
+    const fileVersion = parseVersion(content, name);
+    if (fileVersion !== version) {
+      throw new Error(`Version mismatch: emoji-data.txt is ${version}, ${name} is ${fileVersion}`);
+    }
+  }
+
+  const ranges = parseEmojiData(emojiData);
+  const sequences = parseSequences(emojiSequences);
+  const testEntries = parseEmojiTest(emojiTest);
+
+  const tables = Object.entries(PROPERTIES).map(([key, property]) => {
+    if (!ranges[property]) throw new Error(`No ${property} entries in emoji-data.txt`);
+    return `  ${key}: ${formatRanges(flattenRanges(ranges[property]))}`;
+  });
+
+  const keycapBases = [...new Set(sequences.Emoji_Keycap_Sequence.map((text) => text[0]))];
+  const flags = sequences.RGI_Emoji_Flag_Sequence;
+
+  const categoryRanges = buildCategoryRanges(testEntries);
+  const categoryTables = Object.entries(categoryRanges).map(
+    ([category, list]) => `    ${category}: ${formatRanges(flattenRanges(list))}`
+  );
+
+  const source = `/**
+ * EmojiData - Unicode emoji property and sequence tables
+ * Generated by scripts/generate-emoji-data.js from data/unicode. Do not edit by hand.
+ * Ranges are flat, sorted [start, end, start, end, ...] code point pairs.
+ */
+
+const EmojiData = {
+  UNICODE_VERSION: '${version}',
+${tables.join(',\n')},
+  KEYCAP_BASES: ${formatStrings(keycapBases)},
+  FLAG_SEQUENCES: ${formatStrings(flags)},
+  CATEGORY_RANGES: {
+${categoryTables.join(',\n')}
+  },
+
+  /**
+   * Reduce an emoji sequence to its policy key by dropping presentation selectors
+   * and skin tone modifiers, so one list entry covers every variant. Shared by the
+   * processor and StorageManager, so stored lists and lookups agree
+   * @param {string} emoji - Emoji sequence
+   * @returns {string}
+   */
+  normalize(emoji) {
+    let key = '';
+    for (const char of emoji) {
+      const codePoint = char.codePointAt(0);
+      if (codePoint === 0x${VS15.toString(16)} || codePoint === 0x${VS16.toString(16)}) continue;
+      if (this._inRanges(codePoint, this.EMOJI_MODIFIER)) continue;
+      key += char;
+    }
+    return key;
+  },
+
+  _inRanges(codePoint, ranges) {
+    for (let i = 0; i < ranges.length; i += 2) {
+      if (codePoint < ranges[i]) return false;
+      if (codePoint <= ranges[i + 1]) return true;
+    }
+    return false;
+  }
+};
+
+export { EmojiData };
+`;
+
+  const catalog = buildCatalog(testEntries, ranges.Emoji_Modifier);
+  const catalogEntries = Object.entries(catalog).map(
+    ([category, { label, emojis }]) => `  ${category}: {
+    label: ${quote(label)},
+    emojis: [${emojis.map(([text, name]) => `[${quote(text)}, ${quote(name)}]`).join(', ')}]
+  }`
+  );
+
+  const catalogSource = `/**
+ * EmojiCatalog - Emoji picker data grouped by category, with CLDR short names
+ * Generated by scripts/generate-emoji-data.js from data/unicode. Do not edit by hand.
+ * Skin tone variants are omitted; policies apply to every variant of an emoji.
+ */
+
+const EmojiCatalog = {
+  UNICODE_VERSION: '${version}',
+  CATEGORIES: {
+${catalogEntries.join(',\n')}
+  }
+};
+
+export { EmojiCatalog };
+`;
+
+  const { names, shortcodes } = buildNames(testEntries, ranges.Emoji_Modifier);
+  const shortcodeTables = Object.entries(shortcodes).map(
+    ([style, map]) => `    ${style}: {
+${formatMap(map, '      ')}
+    }`
+  );
+
+  const namesSource = `/**
+ * EmojiNames - CLDR short names and per-platform shortcodes for text replacement
+ * Generated by scripts/generate-emoji-data.js from data/unicode and data/shortcodes.
+ * Do not edit by hand. Keys are normalized emojis (see EmojiDetection.normalize).
+ */
+
+const EmojiNames = {
+  UNICODE_VERSION: '${version}',
+  NAMES: {
+${formatMap(names, '    ')}
+  },
+  SHORTCODES: {
+${shortcodeTables.join(',\n')}
+  }
+};
+
+export { EmojiNames };
+`;
+
+  await writeFormatted(OUTPUT_PATH, source);
+  await writeFormatted(CATALOG_PATH, catalogSource);
+  await writeFormatted(NAMES_PATH, namesSource);
+  console.log(`   Unicode emoji version: ${version}`);
+}
+
+generate().catch((error) => {
+  console.error('Emoji data generation failed:', error);
+  process.exit(1);
+});
@@ -3,122 +3,7 @@
  * Handles extension lifecycle and cross-page communication
  */
 
-/**
- * StorageManager - Embedded for service worker (ES module context)
- * Mirrors src/core/StorageManager.js
- */
-class StorageManager {
-  static KEYS = {
-    WHITELIST: 'emojiBlocker_whitelist',
-    SETTINGS: 'emojiBlocker_settings'
-  };
-
-  static DEFAULT_SETTINGS = {
-    mode: 'hide',
-    enabled: true
-  };
-
-  constructor(storage = chrome.storage.sync) {
-    this.storage = storage;
-  }
-
-  async getWhitelist() {
-    try {
-      const result = await this.storage.get(StorageManager.KEYS.WHITELIST);
-      return result[StorageManager.KEYS.WHITELIST] || [];
-    } catch (error) {
-      console.error('StorageManager: Error fetching whitelist:', error);
-      return [];
-    }
-  }
-
-  async addToWhitelist(domain) {
-    try {
-      const whitelist = await this.getWhitelist();
-      const normalized = this.normalizeDomain(domain);
-      if (whitelist.includes(normalized)) return false;
-      whitelist.push(normalized);
-      await this.storage.set({ [StorageManager.KEYS.WHITELIST]: whitelist });
-      return true;
-    } catch (error) {
-      console.error('StorageManager: Error adding to whitelist:', error);
-      return false;
-    }
-  }
-
-  async removeFromWhitelist(domain) {
-    try {
-      const whitelist = await this.getWhitelist();
-      const normalized = this.normalizeDomain(domain);
-      const index = whitelist.indexOf(normalized);
-      if (index === -1) return false;
-      whitelist.splice(index, 1);
-      await this.storage.set({ [StorageManager.KEYS.WHITELIST]: whitelist });
-      return true;
-    } catch (error) {
-      console.error('StorageManager: Error removing from whitelist:', error);
-      return false;
-    }
-  }
-
-  async isWhitelisted(domain) {
-    try {
-      const whitelist = await this.getWhitelist();
-      return whitelist.includes(this.normalizeDomain(domain));
-    } catch (error) {
-      console.error('StorageManager: Error checking whitelist:', error);
-      return false;
-    }
-  }
-
-  async clearWhitelist() {
-    try {
-      await this.storage.set({ [StorageManager.KEYS.WHITELIST]: [] });
-      return true;
-    } catch (error) {
-      console.error('StorageManager: Error clearing whitelist:', error);
-      return false;
-    }
-  }
-
-  async getSettings() {
-    try {
-      const result = await this.storage.get(StorageManager.KEYS.SETTINGS);
-      return { ...StorageManager.DEFAULT_SETTINGS, ...result[StorageManager.KEYS.SETTINGS] };
-    } catch (error) {
-      console.error('StorageManager: Error fetching settings:', error);
-      return { ...StorageManager.DEFAULT_SETTINGS };
-    }
-  }
-
-  async updateSettings(settings) {
-    try {
-      const current = await this.getSettings();
-      const merged = { ...current, ...settings };
-      await this.storage.set({ [StorageManager.KEYS.SETTINGS]: merged });
-      return true;
-    } catch (error) {
-      console.error('StorageManager: Error updating settings:', error);
-      return false;
-    }
-  }
-
-  normalizeDomain(domain) {
-    return domain
-      .toLowerCase()
-      .replace(/^https?:\/\//, '')
-      .replace(/^www\./, '')
-      .split('/')[0];
-  }
-
-  extractDomain(url) {
-    try {
-      return this.normalizeDomain(new URL(url).hostname);
-    } catch {
-      return this.normalizeDomain(url);
-    }
-  }
-}
+import { StorageManager } from '../core/StorageManager.js';
 
 /**
  * Background Service - Handles extension lifecycle
@@ -126,6 +11,7 @@ class StorageManager {
 class BackgroundService {
   constructor() {
     this.storage = new StorageManager();
+    this.statsQueue = Promise.resolve();
     this.NORMAL_ICON = {
       16: 'icons/icon16.png',
       32: 'icons/icon32.png',
@@ -170,7 +56,7 @@ class BackgroundService {
     console.log("I don't care about emojis: Extension installed");
   }
 
-  async handleMessage(message, _sender, sendResponse) {
+  async handleMessage(message, sender, sendResponse) {
     try {
       switch (message.action) {
         case 'getWhitelist': {
@@ -181,18 +67,39 @@ class BackgroundService {
         case 'addToWhitelist':
           await this.storage.addToWhitelist(message.domain);
           sendResponse({ success: true });
-          this.notifyContentScripts(message.domain, 'reloadPage');
+          this.notifyContentScripts(message.domain, 'reloadSettings');
           break;
         case 'removeFromWhitelist':
           await this.storage.removeFromWhitelist(message.domain);
           sendResponse({ success: true });
-          this.notifyContentScripts(message.domain, 'reloadPage');
+          this.notifyContentScripts(message.domain, 'reloadSettings');
           break;
         case 'isWhitelisted': {
           const isWhitelisted = await this.storage.isWhitelisted(message.domain);
           sendResponse({ success: true, data: isWhitelisted });
           break;
         }
+        case 'recordStats':
+          // Tabs report concurrently; chain the writes so no counts are lost
+          this.statsQueue = this.statsQueue.then(() =>
+            this.storage.recordStats(message.domain, message.counts)
+          );
+          await this.statsQueue;
+          sendResponse({ success: true });
+          break;
+        case 'loadEmojiNames':
+          // Injected into the asking frame only once a text mode or the shortcode
+          // sanitizer needs them, instead of with every frame's content scripts
+          await chrome.scripting.executeScript({
+            target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+            files: ['src/core/EmojiNames.js']
+          });
+          sendResponse({ success: true });
+          break;
+        case 'getTopUrl':
+          // Frames cannot read a cross-origin top-level location themselves
+          sendResponse({ success: true, data: sender.tab?.url || null });
+          break;
         case 'getSettings': {
           const settings = await this.storage.getSettings();
           sendResponse({ success: true, data: settings });
@@ -216,9 +123,13 @@ class BackgroundService {
   }
 
   async notifyContentScripts(domain, action) {
+    const pattern = this.storage.normalizePattern(domain).replace(/^!/, '');
     const tabs = await chrome.tabs.query({});
     tabs.forEach((tab) => {
-      if (tab.url?.includes(domain)) {
+      if (
+        tab.url &&
+        this.storage.matchesDomainPattern(pattern, this.storage.extractDomain(tab.url))
+      ) {
         chrome.tabs.sendMessage(tab.id, { action }).catch(() => {});
       }
     });
@@ -236,6 +147,12 @@ class BackgroundService {
       if (tabId) {
         const tab = await chrome.tabs.get(tabId);
         if (!tab.url) return;
+
+        const settings = await this.storage.getEffectiveSettings(
+          this.storage.extractDomain(tab.url)
+        );
+        await this.setActionIcon(settings.enabled);
+        return;
       }
 
       const settings = await this.storage.getSettings();
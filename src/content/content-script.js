@@ -4,7 +4,7 @@
  * Optimized for performance with throttling and debouncing
  */
 
-/* global EmojiBlockerCore */
+/* global EmojiBlockerCore, InputSanitizer, EmojiNames */
 
 if (document.documentElement) {
   document.documentElement.classList.add('emoji-blocker-hold');
@@ -15,8 +15,13 @@ class EmojiBlockerContent {
     this.storage = new StorageManager();
     this.processor = new EmojiBlockerCore();
     this.observer = null;
+    this.headObserver = null;
+    this.inputSanitizer = new InputSanitizer(this.processor);
+    this.processor.onRoot = (root) => this.observeRoot(root);
     this.isEnabled = true;
     this.currentMode = 'hide';
+    this.currentDomain = '';
+    this.siteRule = null;
 
     this.initialHoldActive = true;
     this.holdReleaseTimeout = null;
@@ -24,7 +29,24 @@ class EmojiBlockerContent {
 
     this.pendingMutations = [];
     this.mutationTimeout = null;
+    this.styleSheetTimeout = null;
     this.MUTATION_DELAY = 100;
+    // Visibility attributes that _shouldSkipElement looks at; old values tell shows from hides
+    this.OBSERVER_OPTIONS = {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['hidden', 'style'],
+      attributeOldValue: true
+    };
+
+    this.statsTimeout = null;
+    this.STATS_REPORT_DELAY = 2000;
+
+    // Modes that show emoji names or shortcodes, which are injected on first use
+    this.NAME_MODES = new Set(['shortcode', 'name']);
+    this.emojiNamesRequest = null;
   }
 
   /**
@@ -32,20 +54,37 @@ class EmojiBlockerContent {
    */
   async init() {
     try {
-      const currentDomain = this.storage.extractDomain(window.location.href);
-      const isWhitelisted = await this.storage.isWhitelisted(currentDomain);
+      this.currentDomain = await this.resolveDomain();
+      const settings = await this.storage.getEffectiveSettings(this.currentDomain);
+      this.processor.setOptions(this.getProcessorOptions(settings));
+      this.updateInputSanitizer(settings.sanitizeInput);
 
-      if (isWhitelisted) {
-        console.log("I don't care about emojis: Domain is whitelisted");
-        this.releaseHold();
-        return;
-      }
-
-      const settings = await this.storage.getSettings();
       this.isEnabled = settings.enabled;
       this.currentMode = settings.mode;
+      this.siteRule = settings.siteRule;
+      this.processor.setOptions({ customIcons: await this.storage.getCustomIcons() });
+
+      // Listen before the enabled check so a list change, site rule or the global toggle
+      // can turn blocking back on without a reload
+      this.setupMessageListener();
+      window.addEventListener('pagehide', () => this.reportStats());
+      // Stylesheet links finish loading after they are added; load does not bubble
+      document.addEventListener(
+        'load',
+        (event) => {
+          if (this.processor.isStyleSheetNode(event.target)) this.scheduleStyleSheetRefresh();
+        },
+        true
+      );
 
       if (!this.isEnabled) {
+        if (settings.whitelisted) {
+          console.log(
+            settings.listMode === 'blocklist'
+              ? "I don't care about emojis: Domain is not on the blocklist"
+              : "I don't care about emojis: Domain is whitelisted"
+          );
+        }
         this.releaseHold();
         return;
       }
@@ -56,13 +95,65 @@ class EmojiBlockerContent {
         this.waitForBodyAndStart();
       }
 
-      this.setupMessageListener();
       console.log("I don't care about emojis: Active on this page");
     } catch (error) {
       console.error("I don't care about emojis: Initialization error", error);
     }
   }
 
+  /**
+   * The site whose list entry and rule apply here: the frame's own site, or for
+   * subframes the top-level page's unless the frameSite setting says otherwise
+   * @returns {Promise<string>}
+   */
+  async resolveDomain() {
+    const ownDomain = this.storage.extractDomain(window.location.href);
+    if (window === window.top) return ownDomain;
+
+    const { frameSite } = await this.storage.getSettings();
+    if (frameSite === 'frame') return ownDomain;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTopUrl' });
+      if (response?.data) return this.storage.extractDomain(response.data);
+    } catch {
+      /* Service worker unavailable */
+    }
+    return ownDomain;
+  }
+
+  /**
+   * Pick the detection, emoji policy and strategy options the processor understands
+   * @param {Object} settings - Effective settings for this site
+   * @returns {Object}
+   */
+  getProcessorOptions(settings) {
+    const {
+      respectTextPresentation,
+      processAttributes,
+      processTitle,
+      lazyProcessing,
+      categories,
+      emojiAllowlist,
+      emojiBlocklist,
+      shortcodeStyle,
+      sanitizeStyle,
+      strategy
+    } = settings;
+    return {
+      respectTextPresentation,
+      processAttributes,
+      processTitle,
+      lazyProcessing,
+      categories,
+      emojiAllowlist,
+      emojiBlocklist,
+      shortcodeStyle,
+      sanitizeStyle,
+      strategy
+    };
+  }
+
   /**
    * Start processing as soon as <body> is available
    */
@@ -92,12 +183,55 @@ class EmojiBlockerContent {
   /**
    * Start processing the page
    */
-  startProcessing() {
+  async startProcessing() {
     this.setupMutationObserver();
-    this.processor.processDocumentSync(this.currentMode);
+    this.setupHeadObserver();
+    // The first pass runs in idle slices like any other; the hold keeps the page hidden
+    // until it is done
+    this.processor.processDocument(await this.resolveMode(), () => this.finishPass());
+  }
 
+  /**
+   * Show the page once a document pass is done, and report what it blocked
+   */
+  finishPass() {
     this.releaseHold();
-    this.scheduleHoldRelease();
+    this.scheduleStatsReport();
+  }
+
+  /**
+   * Have the service worker inject the emoji names and shortcodes into this frame once
+   * the mode or the input sanitizer needs them. They are most of the content scripts'
+   * size and few pages use them, so they are not loaded into every frame up front
+   * @returns {Promise<boolean>} Whether the names are loaded; true when nothing needs them
+   */
+  async loadEmojiNames() {
+    const needed =
+      this.NAME_MODES.has(this.currentMode) ||
+      (this.inputSanitizer.attached && this.processor.options.sanitizeStyle === 'shortcode');
+    if (!needed || typeof EmojiNames !== 'undefined') return true;
+
+    this.emojiNamesRequest ??= chrome.runtime
+      .sendMessage({ action: 'loadEmojiNames' })
+      .catch((error) => {
+        console.error("I don't care about emojis: Could not load emoji names", error);
+      });
+    await this.emojiNamesRequest;
+    if (typeof EmojiNames !== 'undefined') return true;
+
+    // Let the next mode or option change try again
+    this.emojiNamesRequest = null;
+    return false;
+  }
+
+  /**
+   * The mode to process the page in: the chosen one, or hide when it shows emoji names
+   * that could not be loaded
+   * @returns {Promise<string>}
+   */
+  async resolveMode() {
+    const namesLoaded = await this.loadEmojiNames();
+    return namesLoaded || !this.NAME_MODES.has(this.currentMode) ? this.currentMode : 'hide';
   }
 
   /**
@@ -106,18 +240,91 @@ class EmojiBlockerContent {
   setupMutationObserver() {
     this.observer = new MutationObserver((mutations) => {
       for (const mutation of mutations) {
+        if (this.isStyleSheetChange(mutation)) this.scheduleStyleSheetRefresh();
+        if (mutation.type === 'characterData' || this.isShown(mutation)) {
+          // Already processed, but with different text or while it was hidden
+          this.processor.invalidateNode(mutation.target);
+          this.pendingMutations.push(mutation.target);
+          continue;
+        }
         for (const node of mutation.addedNodes) {
           if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
             this.pendingMutations.push(node);
           }
         }
       }
+      if (this.pendingMutations.length === 0) return;
 
       if (this.mutationTimeout) clearTimeout(this.mutationTimeout);
       this.mutationTimeout = setTimeout(() => this.processPendingMutations(), this.MUTATION_DELAY);
     });
 
-    this.observer.observe(document.body, { childList: true, subtree: true });
+    this.observeRoot(document.body);
+  }
+
+  /**
+   * Watch a subtree for added nodes; shadow roots and blank frames are not covered by
+   * the observer on the page body, so each one is observed on its own
+   * @param {Node} root - document.body, an open shadow root or a blank frame's body
+   */
+  observeRoot(root) {
+    this.observer?.observe(root, this.OBSERVER_OPTIONS);
+  }
+
+  /**
+   * Whether an attribute mutation revealed an element that processing skipped as hidden
+   * @param {MutationRecord} mutation
+   * @returns {boolean}
+   */
+  isShown(mutation) {
+    if (mutation.type !== 'attributes') return false;
+
+    const { target, attributeName, oldValue } = mutation;
+    if (attributeName === 'hidden') return oldValue !== null && !target.hidden;
+    return /display:\s*none/.test(oldValue || '') && target.style.display !== 'none';
+  }
+
+  /**
+   * Whether a mutation added, removed or edited a stylesheet
+   * @param {MutationRecord} mutation
+   * @returns {boolean}
+   */
+  isStyleSheetChange(mutation) {
+    const { target } = mutation;
+    return [target, target.parentNode, ...mutation.addedNodes, ...mutation.removedNodes].some(
+      (node) => node?.nodeType === Node.ELEMENT_NODE && this.processor.isStyleSheetNode(node)
+    );
+  }
+
+  /**
+   * Re-read stylesheets once the page has stopped changing them for a moment
+   */
+  scheduleStyleSheetRefresh() {
+    if (this.styleSheetTimeout) clearTimeout(this.styleSheetTimeout);
+    this.styleSheetTimeout = setTimeout(() => {
+      this.styleSheetTimeout = null;
+      this.processor.processStyleSheets();
+    }, this.MUTATION_DELAY);
+  }
+
+  /**
+   * Re-process the title when the page changes it, e.g. unread counters and SPA
+   * navigation, and stylesheets when the page adds or edits them
+   */
+  setupHeadObserver() {
+    if (this.headObserver || !document.head) return;
+
+    this.headObserver = new MutationObserver((mutations) => {
+      this.processor.processTitle(this.currentMode);
+      if (mutations.some((mutation) => this.isStyleSheetChange(mutation))) {
+        this.scheduleStyleSheetRefresh();
+      }
+    });
+    this.headObserver.observe(document.head, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
   }
 
   /**
@@ -132,7 +339,7 @@ class EmojiBlockerContent {
 
     const uniqueNodes = new Set();
     for (const node of this.pendingMutations) {
-      if (!document.body.contains(node)) continue;
+      if (!node.isConnected) continue;
 
       let dominated = false;
       for (const existing of uniqueNodes) {
@@ -158,6 +365,36 @@ class EmojiBlockerContent {
 
     this.pendingMutations = [];
     this.scheduleHoldRelease();
+    this.scheduleStatsReport();
+  }
+
+  /**
+   * Report blocked emoji counts once processing has been quiet for a while
+   */
+  scheduleStatsReport() {
+    if (this.statsTimeout) clearTimeout(this.statsTimeout);
+    this.statsTimeout = setTimeout(() => this.reportStats(), this.STATS_REPORT_DELAY);
+  }
+
+  /**
+   * Send the counts collected since the last report to the service worker
+   */
+  reportStats() {
+    if (this.statsTimeout) {
+      clearTimeout(this.statsTimeout);
+      this.statsTimeout = null;
+    }
+
+    const counts = this.processor.takeStats();
+    if (Object.keys(counts).length === 0) return;
+
+    try {
+      chrome.runtime
+        .sendMessage({ action: 'recordStats', domain: this.currentDomain, counts })
+        .catch(() => {});
+    } catch {
+      /* Extension context invalidated after an update */
+    }
   }
 
   /**
@@ -194,15 +431,33 @@ class EmojiBlockerContent {
     chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       switch (message.action) {
         case 'toggleEnabled':
-          this.toggleEnabled(message.enabled);
+          // Re-resolved, so the domain list and site rules still decide, and the master
+          // switch also covers input sanitizing
+          this.refreshSiteSettings();
           sendResponse({ success: true });
           break;
         case 'updateMode':
-          this.updateMode(message.mode);
+          // A site rule pins the mode on this site
+          if (!this.siteRule) this.updateMode(message.mode);
+          sendResponse({ success: true });
+          break;
+        case 'updateSiteRule':
+          if (this.storage.normalizeDomain(message.domain) === this.currentDomain) {
+            this.refreshSiteSettings();
+          }
+          sendResponse({ success: true });
+          break;
+        case 'updateStrategy':
+          // Sites with their own strategy keep it
+          this.refreshSiteSettings();
+          sendResponse({ success: true });
+          break;
+        case 'updateOptions':
+          this.updateOptions(message.options);
           sendResponse({ success: true });
           break;
-        case 'reloadPage':
-          window.location.reload();
+        case 'reloadSettings':
+          this.reloadSettings();
           sendResponse({ success: true });
           break;
         default:
@@ -216,12 +471,13 @@ class EmojiBlockerContent {
    * Toggle emoji blocking
    * @param {boolean} enabled
    */
-  toggleEnabled(enabled) {
+  async toggleEnabled(enabled) {
     this.isEnabled = enabled;
 
     if (enabled) {
-      this.processor.processDocument(this.currentMode);
+      this.processor.processDocument(await this.resolveMode(), () => this.finishPass());
       if (!this.observer) this.setupMutationObserver();
+      this.setupHeadObserver();
     } else {
       this.processor.revertProcessing();
       this.releaseHold();
@@ -229,6 +485,8 @@ class EmojiBlockerContent {
         this.observer.disconnect();
         this.observer = null;
       }
+      this.headObserver?.disconnect();
+      this.headObserver = null;
       this.pendingMutations = [];
       if (this.mutationTimeout) {
         clearTimeout(this.mutationTimeout);
@@ -241,9 +499,71 @@ class EmojiBlockerContent {
    * Update processing mode
    * @param {string} mode
    */
-  updateMode(mode) {
+  async updateMode(mode) {
     this.currentMode = mode;
-    this.processor.updateMode(mode);
+    const resolvedMode = await this.resolveMode();
+    // While disabled, listed or waiting for <body>, the next document pass takes the mode
+    if (this.processor.mode) this.processor.updateMode(resolvedMode);
+  }
+
+  /**
+   * Re-resolve this site's settings after its rule changed
+   */
+  async refreshSiteSettings() {
+    const settings = await this.storage.getEffectiveSettings(this.currentDomain);
+    this.siteRule = settings.siteRule;
+    this.updateInputSanitizer(settings.sanitizeInput);
+
+    if (settings.strategy !== this.processor.options.strategy) {
+      await this.updateOptions({ strategy: settings.strategy });
+    }
+    if (settings.mode !== this.currentMode) await this.updateMode(settings.mode);
+    if (settings.enabled !== this.isEnabled) await this.toggleEnabled(settings.enabled);
+  }
+
+  /**
+   * Re-read every setting after the domain list, list matching, frame handling or an
+   * import changed, and process the page again in place of reloading it
+   */
+  async reloadSettings() {
+    this.currentDomain = await this.resolveDomain();
+    const settings = await this.storage.getEffectiveSettings(this.currentDomain);
+    this.processor.setOptions({
+      ...this.getProcessorOptions(settings),
+      customIcons: await this.storage.getCustomIcons()
+    });
+    this.siteRule = settings.siteRule;
+    this.currentMode = settings.mode;
+    this.updateInputSanitizer(settings.sanitizeInput);
+
+    if (this.isEnabled) await this.toggleEnabled(false);
+    if (settings.enabled) await this.toggleEnabled(true);
+  }
+
+  /**
+   * Start or stop stripping emojis from what the user types on this site
+   * @param {boolean} enabled
+   */
+  updateInputSanitizer(enabled) {
+    if (enabled) {
+      this.inputSanitizer.attach();
+      this.loadEmojiNames();
+    } else {
+      this.inputSanitizer.detach();
+    }
+  }
+
+  /**
+   * Update detection options and re-process the page with them
+   * @param {Object} options
+   */
+  async updateOptions(options) {
+    this.processor.setOptions(options);
+    const resolvedMode = await this.resolveMode();
+    if (!this.isEnabled) return;
+
+    this.processor.revertProcessing();
+    this.processor.processDocument(resolvedMode, () => this.finishPass());
   }
 }
 
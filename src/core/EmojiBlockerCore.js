@@ -4,28 +4,27 @@
  * Follows Single Responsibility Principle with focused internal modules
  */
 
+import { EmojiData } from './EmojiData.js';
+import { EmojiNames } from './EmojiNames.js';
+import { EmojiIcons } from './EmojiIcons.js';
+import { EmojiFont } from './EmojiFont.js';
+
 /**
  * Emoji detection utilities
+ * Property lookups are backed by the generated Unicode tables in EmojiData
  */
 const EmojiDetection = {
-  EMOJI_RANGES: [
-    [0x1f600, 0x1f64f], // Emoticons
-    [0x1f300, 0x1f5ff], // Misc Symbols and Pictographs
-    [0x1f680, 0x1f6ff], // Transport and Map
-    [0x1f700, 0x1f77f], // Alchemical Symbols
-    [0x1f780, 0x1f7ff], // Geometric Shapes Extended
-    [0x1f800, 0x1f8ff], // Supplemental Arrows-C
-    [0x1f900, 0x1f9ff], // Supplemental Symbols and Pictographs
-    [0x1fa00, 0x1fa6f], // Chess Symbols
-    [0x1fa70, 0x1faff], // Symbols and Pictographs Extended-A
-    [0x2600, 0x26ff], // Misc symbols
-    [0x2700, 0x27bf], // Dingbats
-    [0xfe00, 0xfe0f], // Variation Selectors
-    [0x1f1e6, 0x1f1ff], // Regional Indicator Symbols (flags)
-    [0x1f191, 0x1f251], // Enclosed characters
-    [0x1f004, 0x1f0cf], // Mahjong and playing card symbols
-    [0x1f170, 0x1f189] // Enclosed Alphanumeric Supplement
-  ],
+  UNICODE_VERSION: EmojiData.UNICODE_VERSION,
+
+  ZWJ: 0x200d,
+  VS15: 0xfe0e,
+  VS16: 0xfe0f,
+  KEYCAP: 0x20e3,
+  TAG_RANGE: [0xe0020, 0xe007f],
+  REGIONAL_INDICATOR_RANGE: [0x1f1e6, 0x1f1ff],
+  KEYCAP_BASES: new Set(EmojiData.KEYCAP_BASES),
+  FLAG_SEQUENCES: new Set(EmojiData.FLAG_SEQUENCES),
+  CATEGORIES: Object.keys(EmojiData.CATEGORY_RANGES),
 
   /**
    * Check if a character is an emoji
@@ -33,31 +32,324 @@ const EmojiDetection = {
    * @returns {boolean}
    */
   isEmoji(char) {
-    const codePoint = char.codePointAt(0);
-    return this.EMOJI_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+    return this._isEmojiCodePoint(char.codePointAt(0));
+  },
+
+  /**
+   * Check if a code point defaults to emoji (colorful) presentation
+   * @param {string} char - Character to check
+   * @returns {boolean}
+   */
+  hasEmojiPresentation(char) {
+    return this._inTable(char.codePointAt(0), EmojiData.EMOJI_PRESENTATION);
+  },
+
+  /**
+   * Get the category of an emoji sequence from its leading code point
+   * @param {string} emoji - Emoji sequence
+   * @returns {string|null} - Category id such as 'smileys' or 'flags'
+   */
+  getCategory(emoji) {
+    const codePoint = emoji?.codePointAt(0);
+    // Category tables bridge non-emoji gaps, so only look up actual emoji code points
+    if (!this._inTable(codePoint, EmojiData.EMOJI)) return null;
+    return (
+      this.CATEGORIES.find((category) =>
+        this._inTable(codePoint, EmojiData.CATEGORY_RANGES[category])
+      ) || null
+    );
+  },
+
+  /**
+   * Reduce an emoji sequence to its policy key (see EmojiData.normalize)
+   * @param {string} emoji - Emoji sequence
+   * @returns {string}
+   */
+  normalize(emoji) {
+    return EmojiData.normalize(emoji);
   },
 
   /**
    * Check if text contains emojis
    * @param {string} text - Text to check
+   * @param {Object} [options] - Detection options
+   * @param {boolean} [options.respectTextPresentation] - Skip text-style symbols without VS16
+   *   (default true; false blocks every Emoji=Yes code point)
    * @returns {boolean}
    */
-  containsEmoji(text) {
+  containsEmoji(text, options = {}) {
     if (!text) return false;
-    for (const char of text) {
-      if (this.isEmoji(char)) return true;
+    for (let i = 0; i < text.length; i++) {
+      if (this.matchSequence(text, i, options) > i) return true;
     }
     return false;
   },
 
   /**
-   * Extract all emojis from text
+   * Extract all emojis from text, one entry per full emoji sequence
    * @param {string} text - Text to analyze
+   * @param {Object} [options] - Detection options, see containsEmoji
    * @returns {string[]}
    */
-  extractEmojis(text) {
+  extractEmojis(text, options = {}) {
     if (!text) return [];
-    return [...text].filter((char) => this.isEmoji(char));
+    return this.segment(text, options)
+      .filter((part) => part.isEmoji)
+      .map((part) => part.text);
+  },
+
+  /**
+   * Check if text is exactly one emoji sequence
+   * @param {string} text - Text to check
+   * @param {Object} [options] - Detection options, see containsEmoji
+   * @returns {boolean}
+   */
+  isSingleEmoji(text, options = {}) {
+    const parts = this.segment(text, options);
+    return parts.length === 1 && parts[0].isEmoji;
+  },
+
+  /**
+   * Split text into plain-text runs and complete emoji sequences
+   * (ZWJ sequences, flags, keycaps, modifier and tag sequences)
+   * @param {string} text - Text to split
+   * @param {Object} [options] - Detection options, see containsEmoji
+   * @returns {{text: string, isEmoji: boolean}[]}
+   */
+  segment(text, options = {}) {
+    const parts = [];
+    if (!text) return parts;
+
+    let textStart = 0;
+    let i = 0;
+    while (i < text.length) {
+      const end = this.matchSequence(text, i, options);
+      if (end > i) {
+        if (i > textStart) parts.push({ text: text.slice(textStart, i), isEmoji: false });
+        parts.push({ text: text.slice(i, end), isEmoji: true });
+        i = end;
+        textStart = end;
+      } else {
+        i += this._charLength(text, i);
+      }
+    }
+
+    if (textStart < text.length) parts.push({ text: text.slice(textStart), isEmoji: false });
+    return parts;
+  },
+
+  /**
+   * Match a complete emoji sequence starting at index
+   * @param {string} text - Text to scan
+   * @param {number} index - UTF-16 index to start at
+   * @param {Object} [options] - Detection options, see containsEmoji
+   * @returns {number} - End index of the sequence, or index when there is none
+   */
+  matchSequence(text, index, options = {}) {
+    const end = this._matchElement(text, index);
+    if (end === index) return index;
+
+    let current = end;
+    while (text.codePointAt(current) === this.ZWJ) {
+      const next = this._matchElement(text, current + 1);
+      if (next === current + 1) break;
+      current = next;
+    }
+
+    // A ZWJ sequence always renders as emoji; a lone element needs emoji presentation
+    if (current === end && options.respectTextPresentation !== false) {
+      return this._isEmojiPresentation(text, index) ? end : index;
+    }
+    return current;
+  },
+
+  /**
+   * Resolve presentation of the element at index from VS15/VS16, modifiers or the
+   * Emoji_Presentation property
+   */
+  _isEmojiPresentation(text, index) {
+    const codePoint = text.codePointAt(index);
+    if (this.KEYCAP_BASES.has(text[index])) return true;
+
+    const following = text.codePointAt(index + this._charLength(text, index));
+    if (following === this.VS15) return false;
+    if (following === this.VS16 || this._inTable(following, EmojiData.EMOJI_MODIFIER)) return true;
+
+    return this._inTable(codePoint, EmojiData.EMOJI_PRESENTATION);
+  },
+
+  _matchElement(text, index) {
+    const codePoint = text.codePointAt(index);
+    if (codePoint === undefined) return index;
+
+    if (this.KEYCAP_BASES.has(text[index])) {
+      let next = index + 1;
+      if (text.codePointAt(next) === this.VS16) next++;
+      return text.codePointAt(next) === this.KEYCAP ? next + 1 : index;
+    }
+
+    if (this._inRange(codePoint, this.REGIONAL_INDICATOR_RANGE)) {
+      return this.FLAG_SEQUENCES.has(text.slice(index, index + 4)) ? index + 4 : index + 2;
+    }
+
+    if (!this._isEmojiCodePoint(codePoint)) return index;
+
+    let next = index + this._charLength(text, index);
+    for (;;) {
+      const following = text.codePointAt(next);
+      if (following === this.VS15 || following === this.VS16 || following === this.KEYCAP) {
+        next++;
+      } else if (
+        this._inTable(following, EmojiData.EMOJI_MODIFIER) ||
+        this._inRange(following, this.TAG_RANGE)
+      ) {
+        next += 2;
+      } else {
+        return next;
+      }
+    }
+  },
+
+  _isEmojiCodePoint(codePoint) {
+    // ASCII keycap bases carry Emoji=Yes but only count as part of a keycap sequence
+    return codePoint > 0x7f && this._inTable(codePoint, EmojiData.EMOJI);
+  },
+
+  /**
+   * Binary search a flat [start, end, start, end, ...] range table
+   * @param {number} codePoint - Code point to look up
+   * @param {number[]} table - Sorted range table from EmojiData
+   * @returns {boolean}
+   */
+  _inTable(codePoint, table) {
+    if (codePoint === undefined || codePoint < table[0]) return false;
+
+    let low = 0;
+    let high = table.length / 2 - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (codePoint < table[mid * 2]) {
+        high = mid - 1;
+      } else if (codePoint > table[mid * 2 + 1]) {
+        low = mid + 1;
+      } else {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  _inRange(codePoint, [start, end]) {
+    return codePoint >= start && codePoint <= end;
+  },
+
+  _charLength(text, index) {
+    return text.codePointAt(index) > 0xffff ? 2 : 1;
+  }
+};
+
+/**
+ * Replacement text for the text modes
+ * Lookups use EmojiDetection.normalize keys, so skin tone variants share their base entry
+ */
+const EmojiText = {
+  SHORTCODE_STYLES: ['github', 'slack', 'discord'],
+
+  // Hand-picked: only emojis with a widely recognised ASCII equivalent
+  EMOTICONS: {
+    '🙂': ':)',
+    '☺': ':)',
+    '😊': '^_^',
+    '😀': ':D',
+    '😃': ':D',
+    '😄': ':D',
+    '😁': ':D',
+    '😆': 'XD',
+    '🤣': 'XD',
+    '😂': ":')",
+    '😉': ';)',
+    '😛': ':P',
+    '😜': ';P',
+    '😝': 'XP',
+    '🙁': ':(',
+    '☹': ':(',
+    '😞': ':(',
+    '😢': ":'(",
+    '😭': ":'(",
+    '😮': ':O',
+    '😯': ':o',
+    '😲': ':O',
+    '😐': ':|',
+    '😑': '-_-',
+    '😕': ':/',
+    '😠': '>:(',
+    '😡': '>:(',
+    '😇': 'O:)',
+    '😈': '>:)',
+    '😎': 'B)',
+    '😘': ':*',
+    '😗': ':*',
+    '😳': 'O_O',
+    '❤': '<3',
+    '💔': '</3'
+  },
+
+  /**
+   * Replacement text for an emoji in a text mode
+   * @param {string} emoji - Emoji sequence
+   * @param {string} mode - 'shortcode', 'name' or 'emoticon'
+   * @param {Object} [options]
+   * @param {string} [options.shortcodeStyle] - 'github' (default), 'slack' or 'discord'
+   * @returns {string|null} - null when the mode has no text for this emoji
+   */
+  replace(emoji, mode, options = {}) {
+    switch (mode) {
+      case 'shortcode':
+        return this.toShortcode(emoji, options.shortcodeStyle);
+      case 'name':
+        return this.toName(emoji);
+      case 'emoticon':
+        return this.toEmoticon(emoji);
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Platform shortcode, falling back to the snake_cased CLDR name when the
+   * platform has none
+   * @param {string} emoji - Emoji sequence
+   * @param {string} [style] - Shortcode style
+   * @returns {string|null}
+   */
+  toShortcode(emoji, style = 'github') {
+    // The names are injected into content frames on demand and may have failed to load
+    if (typeof EmojiNames === 'undefined') return null;
+    const key = EmojiDetection.normalize(emoji);
+    const shortcodes = EmojiNames.SHORTCODES[style] || EmojiNames.SHORTCODES.github;
+    const name =
+      shortcodes[key] || EmojiNames.NAMES[key]?.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    return name ? `:${name}:` : null;
+  },
+
+  /**
+   * CLDR short name in brackets, e.g. [face with tears of joy]
+   * @param {string} emoji - Emoji sequence
+   * @returns {string|null}
+   */
+  toName(emoji) {
+    if (typeof EmojiNames === 'undefined') return null;
+    const name = EmojiNames.NAMES[EmojiDetection.normalize(emoji)];
+    return name ? `[${name}]` : null;
+  },
+
+  /**
+   * ASCII emoticon, where one exists
+   * @param {string} emoji - Emoji sequence
+   * @returns {string|null}
+   */
+  toEmoticon(emoji) {
+    return this.EMOTICONS[EmojiDetection.normalize(emoji)] || null;
   }
 };
 
@@ -66,14 +358,43 @@ const EmojiDetection = {
  */
 const ProcessorConfig = {
   EMOJI_CLASS: 'emoji-blocker-emoji',
-  BATCH_SIZE: 50,
+  ICON_CLASS: 'emoji-blocker-icon',
+  // Set on <html> to the mode every span follows unless its own data-mode says otherwise
+  MODE_ATTRIBUTE: 'data-emoji-blocker-mode',
+  // Queued work runs in idle periods; a slice forced by IDLE_TIMEOUT, or scheduled with
+  // requestAnimationFrame where idle callbacks are missing, gets FRAME_BUDGET milliseconds
+  IDLE_TIMEOUT: 100,
+  FRAME_BUDGET: 8,
+  // Lazy processing: elements farther than this many viewport heights from the viewport
+  // wait until they scroll within that distance
+  LAZY_MARGIN: 1,
   MAX_TEXT_LENGTH: 10000,
 
+  // Mode values also written out in SPAN_CSS and emoji-blocker.css; keep in sync
   MODE_STYLES: {
     hide: { display: 'none' },
     desaturate: { filter: 'grayscale(100%) contrast(0.8) brightness(1.1)', opacity: '0.5' },
     dim: { filter: 'grayscale(60%) brightness(1.1)', opacity: '0.35' },
-    blur: { filter: 'blur(3px) grayscale(50%)', opacity: '0.7' }
+    blur: { filter: 'blur(3px) grayscale(50%)', opacity: '0.7' },
+    shortcode: {},
+    name: {},
+    emoticon: {},
+    icon: {}
+  },
+
+  // Modes that replace the emoji with text; emojis without a replacement are hidden
+  TEXT_MODES: new Set(['shortcode', 'name', 'emoticon']),
+  // Modes drawn by the stylesheet alone: spans hold the original emoji in all of them
+  STYLE_MODES: new Set(['hide', 'desaturate', 'dim', 'blur']),
+
+  SVG_NS: 'http://www.w3.org/2000/svg',
+  ICON_ATTRIBUTES: {
+    fill: 'none',
+    stroke: 'currentColor',
+    'stroke-width': '2',
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round',
+    'aria-hidden': 'true'
   },
 
   SKIP_TAGS: new Set([
@@ -101,15 +422,242 @@ const ProcessorConfig = {
     'TITLE'
   ]),
 
-  SKIP_ROLES: new Set(['textbox', 'searchbox', 'combobox'])
+  SKIP_ROLES: new Set(['textbox', 'searchbox', 'combobox']),
+
+  // Emoji images: WordPress, Discord and GitHub classes, Slack's c-emoji, Twemoji builds
+  EMOJI_IMAGE_CLASSES: new Set(['emoji', 'wp-smiley', 'twemoji', 'emojione', 'c-emoji']),
+  EMOJI_IMAGE_URLS: [
+    /twemoji/i,
+    /\/\/abs(-\d+)?\.twimg\.com\/emoji\//,
+    /\/\/cdn\.discordapp\.com\/emojis\//,
+    /\/\/[a-z0-9.-]*slack-edge\.com\/.*emoji/,
+    /\/\/github\.githubassets\.com\/images\/icons\/emoji\//,
+    /\/\/static\.xx\.fbcdn\.net\/images\/emoji/,
+    /\/\/fonts\.gstatic\.com\/s\/e\/notoemoji\//,
+    /\/\/s\.w\.org\/images\/core\/emoji\//
+  ],
+  // Images larger than this, as rendered or by their width and height attributes, are
+  // content rather than emojis, whatever their class, URL or alt text
+  MAX_EMOJI_IMAGE_SIZE: 72,
+
+  // Attributes rewritten by the opt-in attribute pass; inputs only for their button label
+  TEXT_ATTRIBUTES: ['title', 'alt', 'aria-label', 'placeholder'],
+  BUTTON_INPUT_TYPES: new Set(['button', 'submit', 'reset']),
+
+  // Edits the input sanitizer rewrites, and the fields it watches besides textareas
+  // and contenteditable regions
+  SANITIZE_INPUT_TYPES: new Set(['insertText', 'insertFromPaste', 'insertReplacementText']),
+  SANITIZE_FIELD_TYPES: new Set(['text', 'search', 'url', 'email', 'tel']),
+
+  // Content scripts do not run in these frames, so the parent page processes them
+  BLANK_FRAME_URLS: ['about:blank', 'about:srcdoc'],
+
+  // Generated content: rules whose selector targets these pseudo-elements can insert
+  // emojis through content, and any rule through a list-style-type string. Elements
+  // found through computed styles are tagged with GENERATED_ATTRIBUTE so override
+  // rules can target them; overrides go into a <style> with GENERATED_STYLE_ATTRIBUTE
+  // where constructed stylesheets are not supported. Behind cross-origin stylesheets
+  // only list items and the elements of readable rules with content are inspected
+  GENERATED_PSEUDO_SELECTOR: /::?(?:before|after)\b|::marker\b/i,
+  MARKER_SELECTOR: /::marker\b/i,
+  BARE_PSEUDO_ELEMENT: /(^|[\s,>+~])::?(?:before|after|marker)\b/gi,
+  PSEUDO_ELEMENT: /::?(?:before|after|marker)\b/gi,
+  GENERATED_PSEUDO_ELEMENTS: ['::before', '::after'],
+  GENERATED_ATTRIBUTE: 'data-emoji-blocker-generated',
+  GENERATED_STYLE_ATTRIBUTE: 'data-emoji-blocker-generated-styles',
+  CSS_STRING: /"((?:[^"\\\n]|\\[\s\S])*)"|'((?:[^'\\\n]|\\[\s\S])*)'/g,
+  CSS_ESCAPE: /\\(?:([0-9a-fA-F]{1,6})[ \t\n]?|\n|([\s\S]))/g,
+
+  // Font strategy: font-family values that cannot take a prefix, and the rule giving
+  // pages that set no font of their own the emoji font
+  CSS_WIDE_KEYWORDS: new Set(['inherit', 'initial', 'unset', 'revert', 'revert-layer']),
+  ROOT_SELECTOR: ':where(:root)',
+
+  // Highlight strategy: modes drawn by the ::highlight() rules in SPAN_CSS, one
+  // highlight name per mode; other modes fall back to spans. Ranges that removed or
+  // rewritten text left collapsed are dropped whenever a highlight grows past its prune size
+  HIGHLIGHT_PREFIX: 'emoji-blocker-',
+  HIGHLIGHT_MODES: new Set(['desaturate', 'dim', 'blur']),
+  HIGHLIGHT_PRUNE_SIZE: 500,
+
+  // Span rules from emoji-blocker.css, which does not reach into shadow roots or blank
+  // frames; keep in sync
+  STYLE_ATTRIBUTE: 'data-emoji-blocker-styles',
+  SPAN_CSS: `
+    .emoji-blocker-emoji {
+      display: var(--emoji-blocker-display, inline-block) !important;
+      filter: var(--emoji-blocker-filter, none);
+      opacity: var(--emoji-blocker-opacity, 1);
+      width: var(--emoji-blocker-size, auto);
+      height: var(--emoji-blocker-size, auto);
+      vertical-align: var(--emoji-blocker-vertical-align, baseline);
+      transition: filter 0.3s ease, opacity 0.3s ease;
+      cursor: var(--emoji-blocker-cursor, default);
+      white-space: var(--emoji-blocker-white-space, pre);
+    }
+    .emoji-blocker-emoji[data-mode] {
+      --emoji-blocker-display: initial;
+      --emoji-blocker-filter: initial;
+      --emoji-blocker-opacity: initial;
+      --emoji-blocker-size: initial;
+      --emoji-blocker-vertical-align: initial;
+      --emoji-blocker-cursor: initial;
+      --emoji-blocker-white-space: initial;
+    }
+    html[data-emoji-blocker-mode='hide'],
+    .emoji-blocker-emoji[data-mode='hide'] {
+      --emoji-blocker-display: none;
+    }
+    html[data-emoji-blocker-mode='desaturate'],
+    .emoji-blocker-emoji[data-mode='desaturate'] {
+      --emoji-blocker-filter: grayscale(100%) contrast(0.8) brightness(1.1);
+      --emoji-blocker-opacity: 0.5;
+    }
+    html[data-emoji-blocker-mode='dim'],
+    .emoji-blocker-emoji[data-mode='dim'] {
+      --emoji-blocker-filter: grayscale(60%) brightness(1.1);
+      --emoji-blocker-opacity: 0.35;
+    }
+    html[data-emoji-blocker-mode='blur'],
+    .emoji-blocker-emoji[data-mode='blur'] {
+      --emoji-blocker-filter: blur(3px) grayscale(50%);
+      --emoji-blocker-opacity: 0.7;
+    }
+    .emoji-blocker-emoji:hover {
+      filter: none !important;
+      opacity: 1 !important;
+    }
+    html[data-emoji-blocker-mode='shortcode'],
+    html[data-emoji-blocker-mode='name'],
+    html[data-emoji-blocker-mode='emoticon'],
+    .emoji-blocker-emoji[data-mode='shortcode'],
+    .emoji-blocker-emoji[data-mode='name'],
+    .emoji-blocker-emoji[data-mode='emoticon'] {
+      --emoji-blocker-display: inline;
+      --emoji-blocker-white-space: normal;
+      --emoji-blocker-cursor: text;
+    }
+    html[data-emoji-blocker-mode='icon'],
+    .emoji-blocker-emoji[data-mode='icon'] {
+      --emoji-blocker-size: 1em;
+      --emoji-blocker-vertical-align: -0.125em;
+    }
+    .emoji-blocker-icon {
+      display: block;
+      width: 100%;
+      height: 100%;
+      object-fit: contain;
+    }
+    ::highlight(emoji-blocker-desaturate) {
+      color: transparent;
+      text-shadow: 0 0 0 rgb(128 128 128 / 0.5);
+    }
+    ::highlight(emoji-blocker-dim) {
+      color: transparent;
+      text-shadow: 0 0 0 rgb(128 128 128 / 0.35);
+    }
+    ::highlight(emoji-blocker-blur) {
+      color: transparent;
+      text-shadow: 0 0 4px rgb(128 128 128 / 0.7);
+    }
+  `
 };
 
 class EmojiBlockerCore {
-  constructor() {
+  /**
+   * @param {Object} [options] - Detection and policy options
+   * @param {boolean} [options.respectTextPresentation] - Leave text-style symbols without VS16
+   * @param {Object<string, boolean>} [options.categories] - Category id -> blocked (default true)
+   * @param {string[]} [options.emojiAllowlist] - Emojis that are never blocked
+   * @param {string[]} [options.emojiBlocklist] - Emojis blocked even in allowed categories
+   * @param {string} [options.shortcodeStyle] - Shortcode flavour for the shortcode mode
+   * @param {Object<string, string>} [options.customIcons] - Uploaded icons for the icon mode
+   * @param {boolean} [options.processAttributes] - Also rewrite tooltips, labels and placeholders
+   * @param {boolean} [options.processTitle] - Also rewrite document.title
+   * @param {string} [options.sanitizeStyle] - 'remove' or 'shortcode' for the input sanitizer
+   * @param {string} [options.strategy] - 'span' wraps emojis in spans; 'font' leaves the DOM
+   *   alone and puts an emoji font first in the page's font stacks; 'highlight' leaves text
+   *   nodes alone and styles emojis through CSS highlights where the mode allows
+   * @param {boolean} [options.lazyProcessing] - Leave off-screen elements until they
+   *   approach the viewport
+   */
+  constructor(options = {}) {
+    this.options = {};
+    this.setOptions({
+      respectTextPresentation: true,
+      categories: {},
+      emojiAllowlist: [],
+      emojiBlocklist: [],
+      shortcodeStyle: 'github',
+      customIcons: {},
+      processAttributes: false,
+      processTitle: false,
+      sanitizeStyle: 'remove',
+      strategy: 'span',
+      lazyProcessing: false,
+      ...options
+    });
     this.processedNodes = new WeakSet();
+    // Nodes queued since the last slice, then the ones sorted by whether they were in the
+    // viewport, each processed in order with on-screen nodes first
     this.processingQueue = [];
+    this.visibleQueue = [];
+    this.offscreenQueue = [];
     this.isProcessing = false;
     this.onCompleteCallback = null;
+    // Subtree root -> walk paused when a slice ran out of time
+    this.walks = new WeakMap();
+    // Off-screen elements left for lazyObserver to hand back as they approach the viewport
+    this.deferredNodes = new WeakSet();
+    this.lazyObserver = null;
+    this.stats = {};
+    this.emojiImages = new WeakMap();
+    // Emoji span -> { original, data, nodes } for the text node it was split out of, so
+    // revertProcessing can put that exact node back
+    this.textRecords = new WeakMap();
+    this.shadowRoots = new Set();
+    this.shadowStyleSheet = null;
+    // Blank frames processed while they are on the page
+    this.frames = new Set();
+    this.handleFrameLoad = (event) => {
+      if (this.mode) this._processFrame(event.currentTarget, this.mode);
+    };
+    // Element -> { attribute: { original, replaced } } for the attribute pass, and weak
+    // references to those elements for mode changes and revert to walk; elements the
+    // page removes can still be collected
+    this.attributeOriginals = new WeakMap();
+    this.attributeElements = new Set();
+    // { original, replaced } while document.title is rewritten
+    this.titleRecord = null;
+    // Document, shadow root or blank frame document -> generated content and font
+    // overrides: { root, sheet, style, rules, elements, opaque, face, fontSource }
+    this.generatedContent = new Map();
+    this.generatedId = 0;
+    // Document -> { registry, highlight, name, pruneSize } while the highlight strategy
+    // draws emojis there, and text node -> the ranges it added
+    this.highlights = new Map();
+    this.highlightRanges = new WeakMap();
+    // Mode of the last document pass, for frames that load afterwards; null once reverted
+    this.mode = null;
+    // Called with each open shadow root and blank frame body as it is processed, so
+    // callers can observe it
+    this.onRoot = null;
+  }
+
+  /**
+   * Update detection options for subsequent processing
+   * @param {Object} options - Partial options to merge
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+    this.allowedEmojis = new Set(
+      this.options.emojiAllowlist.map((e) => EmojiDetection.normalize(e))
+    );
+    this.blockedEmojis = new Set(
+      this.options.emojiBlocklist.map((e) => EmojiDetection.normalize(e))
+    );
+    // Built from the policy on first use by the font strategy
+    this.emojiFont = null;
   }
 
   /**
@@ -120,16 +668,65 @@ class EmojiBlockerCore {
   processNode(node, mode = 'hide') {
     if (!node || this.processedNodes.has(node)) return;
 
+    if (this._isLazy() && node.nodeType === Node.ELEMENT_NODE) {
+      if (!this._isInViewport(node, ProcessorConfig.LAZY_MARGIN)) {
+        this._deferNode(node);
+        return;
+      }
+      this._deferOffscreen(node);
+    }
+    this._enqueue(node, mode);
+  }
+
+  /**
+   * @param {Node} node - Node to process
+   * @param {string} mode - Processing mode
+   */
+  _enqueue(node, mode) {
+    // Sorted by position when the next slice starts, so queueing forces no layout
     this.processingQueue.push({ node, mode });
     this._scheduleProcessing();
   }
 
+  /**
+   * Text with blocked emojis replaced for text modes and removed for visual modes,
+   * which cannot style part of a string
+   * @param {string} text - Text to rewrite
+   * @param {string} mode - Processing mode
+   * @returns {string}
+   */
+  replaceEmojis(text, mode) {
+    let result = '';
+    for (const part of EmojiDetection.segment(text, this.options)) {
+      if (!part.isEmoji || !this._shouldBlockEmoji(part.text)) {
+        result += part.text;
+      } else if (ProcessorConfig.TEXT_MODES.has(mode)) {
+        result += EmojiText.replace(part.text, mode, this.options) ?? '';
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Forget that a node was processed, so the next processNode call looks at its
+   * changed text or newly shown content again
+   * @param {Node} node - Text node whose data changed, or element that was shown
+   */
+  invalidateNode(node) {
+    this.processedNodes.delete(node);
+  }
+
   /**
    * Process entire document synchronously (for initial load)
    * @param {string} mode - Processing mode
    */
   processDocumentSync(mode = 'hide') {
+    this.mode = mode;
+    this._setDocumentModes(mode);
+    this.processTitle(mode);
+    this._processStyleSheets(document, mode);
     if (document.body) {
+      if (this._isLazy()) this._deferOffscreen(document.body);
       this._processNodeImmediate(document.body, mode);
     }
   }
@@ -141,6 +738,10 @@ class EmojiBlockerCore {
    */
   processDocument(mode = 'hide', onComplete = null) {
     this.onCompleteCallback = onComplete;
+    this.mode = mode;
+    this._setDocumentModes(mode);
+    this.processTitle(mode);
+    this._processStyleSheets(document, mode);
     if (document.body) {
       this.processNode(document.body, mode);
     } else if (onComplete) {
@@ -150,58 +751,173 @@ class EmojiBlockerCore {
 
   /**
    * Update mode for all processed emojis
-   * @param {string} mode - New mode to apply
+   * @param {string} requestedMode - New mode to apply; unknown ones, e.g. from a settings
+   *   broadcast that left the mode alone, fall back to hide
    */
-  updateMode(mode) {
-    document.querySelectorAll(`.${ProcessorConfig.EMOJI_CLASS}`).forEach((el) => {
-      el.setAttribute('data-mode', mode);
-      this._applyModeStyles(el, mode);
-    });
+  updateMode(requestedMode) {
+    const mode = Object.hasOwn(ProcessorConfig.MODE_STYLES, requestedMode) ? requestedMode : 'hide';
+    // Moving between a mode highlights can draw and one that needs spans starts over
+    if (this.mode && this._usesHighlights(this.mode) !== this._usesHighlights(mode)) {
+      const stats = { ...this.stats };
+      this.revertProcessing();
+      this.processDocumentSync(mode);
+      this.stats = stats;
+      return;
+    }
+
+    const previous = this.mode;
+    this.mode = mode;
+    this._setDocumentModes(mode);
+    // Between modes the stylesheet draws, the attribute on <html> is all that changes
+    if (!ProcessorConfig.STYLE_MODES.has(previous) || !ProcessorConfig.STYLE_MODES.has(mode)) {
+      this._getEmojiSpans().forEach((el) => {
+        this._applyMode(el, mode);
+      });
+    }
+    this._updateAttributes(({ text }) => this._replaceEmojisInText(text, mode));
+    if (this._ownsTitle()) this._setTitle(this.titleRecord.original, mode);
+    for (const record of this.generatedContent.values()) {
+      this._renderGeneratedContent(record, mode);
+    }
+    for (const record of this.highlights.values()) {
+      this._setHighlightMode(record, mode);
+    }
+  }
+
+  /**
+   * Read stylesheets again after the page added, removed or changed one, in the
+   * document and in every shadow root and blank frame processed so far
+   */
+  processStyleSheets() {
+    if (!this.mode) return;
+
+    for (const root of [...this.generatedContent.keys()]) {
+      if (root.host ? root.host.isConnected : root.defaultView) {
+        this._processStyleSheets(root, this.mode);
+      } else {
+        this.generatedContent.delete(root);
+      }
+    }
+  }
+
+  /**
+   * @param {Node} node - Node added to or changed in the page
+   * @returns {boolean} Whether the node is a page stylesheet, as opposed to the
+   *   styles this processor adds
+   */
+  isStyleSheetNode(node) {
+    const isSheet =
+      node.tagName === 'STYLE' || (node.tagName === 'LINK' && /\bstylesheet\b/i.test(node.rel));
+    return (
+      isSheet &&
+      !node.hasAttribute(ProcessorConfig.STYLE_ATTRIBUTE) &&
+      !node.hasAttribute(ProcessorConfig.GENERATED_STYLE_ATTRIBUTE)
+    );
+  }
+
+  /**
+   * Rewrite emojis in document.title; call again whenever the page changes its title
+   * @param {string} mode - Processing mode
+   */
+  processTitle(mode = 'hide') {
+    if (!this.options.processTitle || this._ownsTitle()) return;
+    this._setTitle(document.title, mode);
+  }
+
+  /**
+   * Hand over the blocked emoji counts collected since the last call
+   * @returns {Object<string, number>} - Normalized emoji -> number of times it was blocked
+   */
+  takeStats() {
+    const stats = this.stats;
+    this.stats = {};
+    return stats;
   }
 
   /**
-   * Remove all emoji processing from page
+   * Remove all emoji processing from page, putting back the original text nodes and
+   * images where the page has left their replacements in place
    */
   revertProcessing() {
-    document.querySelectorAll(`.${ProcessorConfig.EMOJI_CLASS}`).forEach((el) => {
+    const restored = new Set();
+    this._getEmojiSpans().forEach((el) => {
+      const record = this.textRecords.get(el);
+      if (restored.has(record)) return;
+      if (record && this._restoreTextNode(record)) {
+        restored.add(record);
+        return;
+      }
+
       try {
-        const textNode = document.createTextNode(el.textContent);
-        el.parentNode?.replaceChild(textNode, el);
+        const original =
+          this.emojiImages.get(el) ||
+          el.ownerDocument.createTextNode(el.getAttribute('data-emoji'));
+        el.parentNode?.replaceChild(original, el);
       } catch {
         /* Element may have been removed */
       }
     });
+    this._updateAttributes(({ original }) => original);
+    this.attributeOriginals = new WeakMap();
+    this.attributeElements.clear();
+    if (this._ownsTitle()) document.title = this.titleRecord.original;
+    this.titleRecord = null;
+    this._revertGeneratedContent();
+    for (const { registry, name } of this.highlights.values()) registry.delete(name);
+    this.highlights.clear();
+    this.highlightRanges = new WeakMap();
     this.processedNodes = new WeakSet();
+    this._setDocumentModes(null);
+    this.frames.clear();
     this.processingQueue = [];
+    this.visibleQueue = [];
+    this.offscreenQueue = [];
+    this.walks = new WeakMap();
+    this.lazyObserver?.disconnect();
+    this.lazyObserver = null;
+    this.deferredNodes = new WeakSet();
+    this.mode = null;
   }
 
   _scheduleProcessing() {
     if (this.isProcessing) return;
     this.isProcessing = true;
+    this._requestBatch();
+  }
 
-    const callback = () => this._processBatch();
-
+  _requestBatch() {
     if (typeof requestIdleCallback !== 'undefined') {
-      requestIdleCallback(callback, { timeout: 100 });
+      requestIdleCallback((deadline) => this._processBatch(deadline), {
+        timeout: ProcessorConfig.IDLE_TIMEOUT
+      });
     } else {
-      requestAnimationFrame(callback);
+      requestAnimationFrame(() => this._processBatch());
     }
   }
 
-  _processBatch() {
-    const batch = this.processingQueue.splice(0, ProcessorConfig.BATCH_SIZE);
+  /**
+   * Work through the queue while the idle period lasts, pausing inside a large subtree
+   * and resuming it in the next slice. At least one node or step of a walk is done per
+   * slice, so a busy page still makes progress
+   * @param {IdleDeadline} [deadline] - Idle deadline, missing under requestAnimationFrame
+   */
+  _processBatch(deadline) {
+    const budget =
+      deadline && !deadline.didTimeout ? deadline.timeRemaining() : ProcessorConfig.FRAME_BUDGET;
+    const end = performance.now() + budget;
+    const hasTime = () => performance.now() < end;
 
-    for (const { node, mode } of batch) {
-      this._processNodeImmediate(node, mode);
+    this._sortQueue();
+    while (this.visibleQueue.length > 0 || this.offscreenQueue.length > 0) {
+      const queue = this.visibleQueue.length > 0 ? this.visibleQueue : this.offscreenQueue;
+      const { node, mode } = queue[0];
+      if (!this._processNodeImmediate(node, mode, hasTime)) break;
+      queue.shift();
+      if (!hasTime()) break;
     }
 
-    if (this.processingQueue.length > 0) {
-      const callback = () => this._processBatch();
-      if (typeof requestIdleCallback !== 'undefined') {
-        requestIdleCallback(callback, { timeout: 100 });
-      } else {
-        requestAnimationFrame(callback);
-      }
+    if (this.processingQueue.length + this.visibleQueue.length + this.offscreenQueue.length > 0) {
+      this._requestBatch();
     } else {
       this.isProcessing = false;
       if (this.onCompleteCallback) {
@@ -211,111 +927,1240 @@ class EmojiBlockerCore {
     }
   }
 
-  _processNodeImmediate(node, mode) {
-    if (!node || this.processedNodes.has(node)) return;
-
-    try {
-      if (node.nodeType === Node.TEXT_NODE) {
-        this._processTextNode(node, mode);
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
-        if (this._shouldSkipElement(node)) return;
-        this._processElementNode(node, mode);
-      }
-      this.processedNodes.add(node);
-    } catch (error) {
-      console.debug("I don't care about emojis: Error processing node", error);
+  /**
+   * Put the nodes queued since the last slice behind the on-screen or off-screen ones
+   * already waiting, reading all their positions before the slice changes the page
+   */
+  _sortQueue() {
+    for (const entry of this.processingQueue) {
+      (this._isInViewport(entry.node) ? this.visibleQueue : this.offscreenQueue).push(entry);
     }
+    this.processingQueue = [];
   }
 
-  _processElementNode(element, mode) {
-    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
-      acceptNode: (textNode) => {
-        if (this.processedNodes.has(textNode)) return NodeFilter.FILTER_REJECT;
-        const parent = textNode.parentNode;
-        if (parent && this._shouldSkipElement(parent)) return NodeFilter.FILTER_REJECT;
-        return NodeFilter.FILTER_ACCEPT;
-      }
-    });
-
-    const textNodes = [];
-    let current;
-    while ((current = walker.nextNode())) {
-      textNodes.push(current);
-    }
+  /**
+   * @param {Node} node - Queued node
+   * @param {number} [margin] - Viewport heights above and below the viewport that count
+   * @returns {boolean} Whether the node, or the element holding it, is in the viewport
+   */
+  _isInViewport(node, margin = 0) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement || node.host;
+    if (!element?.isConnected) return false;
 
-    for (const textNode of textNodes) {
-      this._processTextNode(textNode, mode);
-    }
+    const { top, right, bottom, left } = element.getBoundingClientRect();
+    const view = element.ownerDocument.defaultView;
+    const extra = view.innerHeight * margin;
+    return (
+      bottom >= -extra && right >= 0 && top <= view.innerHeight + extra && left <= view.innerWidth
+    );
   }
 
-  _processTextNode(textNode, mode) {
-    if (this.processedNodes.has(textNode)) return;
+  /**
+   * @returns {boolean} Whether document passes leave far off-screen elements for later
+   */
+  _isLazy() {
+    return (
+      !!this.mode && this.options.lazyProcessing && typeof IntersectionObserver !== 'undefined'
+    );
+  }
 
-    const text = textNode.textContent;
+  /**
+   * Defer the elements below a subtree root that are far from the viewport, so walks
+   * pass over them. Every position is read before anything is processed, so the page
+   * is laid out once
+   * @param {Element} root - Subtree root, which is not deferred itself
+   */
+  _deferOffscreen(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: (element) => {
+        if (this._isInViewport(element, ProcessorConfig.LAZY_MARGIN)) {
+          return NodeFilter.FILTER_SKIP;
+        }
+        this._deferNode(element);
+        return NodeFilter.FILTER_REJECT;
+      }
+    });
+    while (walker.nextNode());
+  }
 
-    if (!text || text.length > ProcessorConfig.MAX_TEXT_LENGTH || !/\S/.test(text)) {
-      this.processedNodes.add(textNode);
-      return;
+  /**
+   * @param {Element} element - Element to process once it approaches the viewport
+   */
+  _deferNode(element) {
+    if (!this.lazyObserver) {
+      this.lazyObserver = new IntersectionObserver(
+        (entries) => this._processNearViewport(entries),
+        { rootMargin: `${ProcessorConfig.LAZY_MARGIN * 100}% 0px` }
+      );
     }
+    this.deferredNodes.add(element);
+    this.lazyObserver.observe(element);
+  }
 
-    if (!EmojiDetection.containsEmoji(text)) {
-      this.processedNodes.add(textNode);
-      return;
-    }
+  /**
+   * Queue deferred elements that came within LAZY_MARGIN of the viewport, deferring
+   * the parts of them that are still far from it
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  _processNearViewport(entries) {
+    for (const { target, isIntersecting } of entries) {
+      if (!isIntersecting) continue;
 
-    const parent = textNode.parentNode;
-    if (!parent || this._shouldSkipElement(parent)) {
-      this.processedNodes.add(textNode);
-      return;
+      this.lazyObserver.unobserve(target);
+      this.deferredNodes.delete(target);
+      this._deferOffscreen(target);
+      this._enqueue(target, this.mode);
     }
+  }
+
+  /**
+   * @param {Node} node - Node to process
+   * @param {string} mode - Processing mode
+   * @param {function(): boolean} [hasTime] - Whether the slice has time left; a subtree
+   *   walk pauses once it returns false and resumes on the next call for the same node
+   * @returns {boolean} Whether the node is done, as opposed to paused
+   */
+  _processNodeImmediate(node, mode, hasTime = null) {
+    if (!node || this.processedNodes.has(node)) return true;
 
     try {
-      const fragment = this._createEmojiFragment(text, mode);
-      if (fragment && parent.contains(textNode)) {
-        parent.replaceChild(fragment, textNode);
+      const resuming = this.walks.has(node);
+      if (node.nodeType === Node.ELEMENT_NODE && !resuming) this._processAttributes(node, mode);
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        this._processTextNode(node, mode);
+      } else if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'IMG') {
+        this._processImage(node, mode);
+      } else if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'IFRAME') {
+        this._processFrame(node, mode);
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        if (!resuming && this._shouldSkipElement(node)) return true;
+        if (!this._processElementNode(node, mode, hasTime)) return false;
+      } else if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        if (!this._processElementNode(node, mode, hasTime)) return false;
       }
+      this.processedNodes.add(node);
     } catch (error) {
-      console.debug("I don't care about emojis: Error processing text node", error);
+      this.walks.delete(node);
+      console.debug("I don't care about emojis: Error processing node", error);
     }
-
-    this.processedNodes.add(textNode);
+    return true;
   }
 
-  _createEmojiFragment(text, mode) {
-    const fragment = document.createDocumentFragment();
-    let hasEmojis = false;
-    let currentText = '';
-
-    for (const char of text) {
-      if (EmojiDetection.isEmoji(char)) {
-        hasEmojis = true;
-        if (currentText) {
-          fragment.appendChild(document.createTextNode(currentText));
-          currentText = '';
-        }
+  /**
+   * Process the text nodes, emoji images, open shadow roots and blank frames below
+   * an element or shadow root in one walk, which can pause between nodes
+   * @param {Element|ShadowRoot} element - Subtree root
+   * @param {string} mode - Processing mode
+   * @param {function(): boolean} [hasTime] - Whether the slice has time left
+   * @returns {boolean} Whether the walk finished, as opposed to paused
+   */
+  _processElementNode(element, mode, hasTime = null) {
+    let walk = this.walks.get(element);
+    // The page removed the node the paused walk stood on; processed nodes are passed
+    // over when it starts again
+    if (!walk || (walk.next && !element.contains(walk.next))) {
+      walk = this._createWalk(element);
+      this.walks.set(element, walk);
+    }
+    const outOfTime = () => hasTime && !hasTime();
 
-        const emojiSpan = document.createElement('span');
-        emojiSpan.className = ProcessorConfig.EMOJI_CLASS;
-        emojiSpan.setAttribute('data-mode', mode);
-        this._applyModeStyles(emojiSpan, mode);
-        emojiSpan.textContent = char;
-        fragment.appendChild(emojiSpan);
-      } else {
-        currentText += char;
-      }
+    while (walk.next) {
+      const textNode = walk.next;
+      // Step past the node first, as replacing it takes it out of the walker's path
+      walk.next = walk.walker.nextNode();
+      this._processTextNode(textNode, mode);
+      if (outOfTime()) return false;
     }
 
-    if (currentText) {
-      fragment.appendChild(document.createTextNode(currentText));
+    if (!walk.steps) walk.steps = this._getWalkSteps(walk);
+    while (walk.steps.length > 0) {
+      walk.steps.shift()(mode);
+      if (outOfTime()) return false;
     }
 
-    return hasEmojis ? fragment : null;
+    this.walks.delete(element);
+    return true;
   }
 
-  _shouldSkipElement(element) {
-    if (!element?.tagName) return true;
-
-    const tagName = element.tagName.toUpperCase();
+  /**
+   * Start walking the text nodes below a subtree root, noting the images, shadow roots,
+   * frames and elements with attributes or styles passed on the way
+   * @param {Element|ShadowRoot} element - Subtree root
+   * @returns {Object} Walk state: { walker, next, images, frames, attributeElements,
+   *   styledElements, shadowRoots, generated, steps }
+   */
+  _createWalk(element) {
+    const walk = {
+      images: [],
+      frames: [],
+      attributeElements: [],
+      // Elements to inspect for generated content the stylesheets do not reveal: inline
+      // list markers, and likely candidates while a cross-origin stylesheet cannot be read
+      styledElements: [],
+      shadowRoots: element.shadowRoot ? [element.shadowRoot] : [],
+      generated: this.generatedContent.get(element.getRootNode()),
+      steps: null
+    };
+    // The font strategy leaves text, images, attributes and elements as they are
+    const usesFont = this.options.strategy === 'font';
+    const hasOwnStyles = (node) =>
+      !usesFont &&
+      (node.hasAttribute('style') ||
+        (!!walk.generated?.opaque && this._mayHaveGeneratedContent(node, walk.generated)));
+    if (element.nodeType === Node.ELEMENT_NODE && hasOwnStyles(element)) {
+      walk.styledElements.push(element);
+    }
+    walk.walker = document.createTreeWalker(
+      element,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            if (this.deferredNodes.has(node)) return NodeFilter.FILTER_REJECT;
+            if (node.tagName === 'IMG' && !usesFont) walk.images.push(node);
+            if (node.tagName === 'IFRAME') walk.frames.push(node);
+            if (this.options.processAttributes && !usesFont) walk.attributeElements.push(node);
+            if (hasOwnStyles(node)) walk.styledElements.push(node);
+            if (node.shadowRoot) walk.shadowRoots.push(node.shadowRoot);
+            return NodeFilter.FILTER_SKIP;
+          }
+          if (usesFont || this.processedNodes.has(node)) return NodeFilter.FILTER_REJECT;
+          const parent = node.parentNode;
+          if (parent && this._shouldSkipElement(parent)) return NodeFilter.FILTER_REJECT;
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      }
+    );
+    walk.next = walk.walker.nextNode();
+    return walk;
+  }
+
+  /**
+   * @param {Object} walk - Walk whose text nodes are done
+   * @returns {Array<function(string)>} The rest of the walk, one step per image, shadow
+   *   root, frame and attribute element, each called with the processing mode
+   */
+  _getWalkSteps(walk) {
+    const { generated } = walk;
+    const steps = [
+      ...walk.images.map((img) => (mode) => this._processImage(img, mode)),
+      ...walk.shadowRoots.map((root) => (mode) => this._processShadowRoot(root, mode)),
+      ...walk.frames.map((frame) => (mode) => this._processFrame(frame, mode)),
+      ...walk.attributeElements.map((el) => (mode) => this._processAttributes(el, mode))
+    ];
+    if (generated) {
+      steps.push((mode) => {
+        for (const el of walk.styledElements) {
+          this._processElementGeneratedContent(el, generated);
+        }
+        this._renderGeneratedContent(generated, mode);
+      });
+    }
+    return steps;
+  }
+
+  /**
+   * Rewrite emojis in an element's tooltip, accessible name, placeholder, button label
+   * or option label, remembering the originals for updateMode and revertProcessing
+   * @param {Element} element - Element to rewrite
+   * @param {string} mode - Processing mode
+   */
+  _processAttributes(element, mode) {
+    if (!this.options.processAttributes || element.isContentEditable) return;
+
+    for (const [name, text] of this._getTextAttributes(element)) {
+      const replaced = this._replaceEmojisInText(text, mode);
+      if (replaced === text) continue;
+
+      let originals = this.attributeOriginals.get(element);
+      if (!originals) {
+        originals = {};
+        this.attributeOriginals.set(element, originals);
+        this.attributeElements.add(new WeakRef(element));
+      }
+      originals[name] = { original: element.getAttribute(name), text, replaced };
+      element.setAttribute(name, replaced);
+    }
+  }
+
+  /**
+   * @param {Element} element - Element to inspect
+   * @returns {Array<[string, string]>} Attribute names with the text they show
+   */
+  _getTextAttributes(element) {
+    const attributes = [];
+    for (const name of ProcessorConfig.TEXT_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (value) attributes.push([name, value]);
+    }
+
+    const type = element.getAttribute('type')?.toLowerCase();
+    if (element.tagName === 'INPUT' && ProcessorConfig.BUTTON_INPUT_TYPES.has(type)) {
+      const value = element.getAttribute('value');
+      if (value) attributes.push(['value', value]);
+    }
+
+    // The label attribute changes what an option shows without changing its value
+    if (element.tagName === 'OPTION') {
+      const label = element.getAttribute('label') ?? element.text;
+      if (label) attributes.push(['label', label]);
+    }
+    return attributes;
+  }
+
+  /**
+   * Set rewritten attributes to new values, leaving those the page has changed since;
+   * records of removed elements and changed attributes are dropped
+   * @param {function(Object): ?string} getValue - Value for a { original, text } record,
+   *   null to remove the attribute
+   */
+  _updateAttributes(getValue) {
+    for (const ref of this.attributeElements) {
+      const element = ref.deref();
+      const originals = element && this.attributeOriginals.get(element);
+      if (!originals) {
+        this.attributeElements.delete(ref);
+        continue;
+      }
+
+      for (const [name, record] of Object.entries(originals)) {
+        if (!element.isConnected || element.getAttribute(name) !== record.replaced) {
+          delete originals[name];
+          continue;
+        }
+
+        const value = getValue(record);
+        if (value === null) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, value);
+        }
+        record.replaced = value;
+      }
+      if (Object.keys(originals).length === 0) {
+        this.attributeOriginals.delete(element);
+        this.attributeElements.delete(ref);
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether document.title is still the one this processor set
+   */
+  _ownsTitle() {
+    return this.titleRecord !== null && document.title === this.titleRecord.replaced;
+  }
+
+  /**
+   * @param {string} original - Title as the page set it
+   * @param {string} mode - Processing mode
+   */
+  _setTitle(original, mode) {
+    const replaced = this._replaceEmojisInText(original, mode);
+    this.titleRecord = replaced === original ? null : { original, replaced };
+    if (document.title !== replaced) document.title = replaced;
+  }
+
+  /**
+   * Attribute or title text with blocked emojis replaced, tidying the spaces left
+   * where emojis were removed
+   * @param {string} text - Attribute or title text
+   * @param {string} mode - Processing mode
+   * @returns {string}
+   */
+  _replaceEmojisInText(text, mode) {
+    const result = this.replaceEmojis(text, mode);
+    return result === text ? text : result.replace(/\s{2,}/g, ' ').trim();
+  }
+
+  /**
+   * Process an open shadow root, giving it the span styles the first time it is seen
+   * @param {ShadowRoot} root - Shadow root
+   * @param {string} mode - Processing mode
+   */
+  _processShadowRoot(root, mode) {
+    if (this.processedNodes.has(root)) return;
+
+    if (!this.shadowRoots.has(root)) {
+      this.shadowRoots.add(root);
+      this._injectShadowStyles(root);
+    }
+    this.onRoot?.(root);
+    this._processStyleSheets(root, mode);
+    this._processNodeImmediate(root, mode);
+  }
+
+  /**
+   * Add the span rules to a shadow root, as a shared constructed stylesheet where
+   * supported and a <style> element otherwise
+   * @param {ShadowRoot} root - Shadow root
+   */
+  _injectShadowStyles(root) {
+    if (root.adoptedStyleSheets && typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+      if (!this.shadowStyleSheet) {
+        this.shadowStyleSheet = new CSSStyleSheet();
+        this.shadowStyleSheet.replaceSync(ProcessorConfig.SPAN_CSS);
+      }
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, this.shadowStyleSheet];
+      return;
+    }
+
+    root.prepend(this._createStyleElement(root.ownerDocument));
+  }
+
+  /**
+   * Process an about:blank or srcdoc frame with this page's settings, and again
+   * each time it loads; other frames run their own content script
+   * @param {HTMLIFrameElement} frame - Frame element
+   * @param {string} mode - Processing mode
+   */
+  _processFrame(frame, mode) {
+    if (!this.frames.has(frame)) {
+      this._forgetDetachedFrames();
+      this.frames.add(frame);
+      // srcdoc content and documents written by scripts arrive after the frame is inserted;
+      // the shared handler is added once however often the frame is processed again
+      frame.addEventListener('load', this.handleFrameLoad);
+    }
+
+    const doc = this._getBlankFrameDocument(frame);
+    if (!doc?.body) return;
+
+    if (!doc.querySelector(`style[${ProcessorConfig.STYLE_ATTRIBUTE}]`)) {
+      doc.head?.append(this._createStyleElement(doc));
+    }
+    this._setDocumentMode(doc, this.mode);
+    this.onRoot?.(doc.body);
+    this._processStyleSheets(doc, mode);
+    this._processNodeImmediate(doc.body, mode);
+  }
+
+  /**
+   * @param {HTMLIFrameElement} frame - Frame element
+   * @returns {Document|null} The frame's document if it is same-origin about:blank or srcdoc
+   */
+  _getBlankFrameDocument(frame) {
+    const doc = frame.contentDocument;
+    return ProcessorConfig.BLANK_FRAME_URLS.includes(doc?.URL) ? doc : null;
+  }
+
+  /**
+   * @param {Document} [doc] - Document the element goes into
+   * @returns {HTMLStyleElement} A <style> element with the span rules
+   */
+  _createStyleElement(doc = document) {
+    const style = doc.createElement('style');
+    style.setAttribute(ProcessorConfig.STYLE_ATTRIBUTE, '');
+    style.textContent = ProcessorConfig.SPAN_CSS;
+    return style;
+  }
+
+  /**
+   * Point the span rules at a mode in the document and every blank frame processed
+   * so far; shadow roots follow their document
+   * @param {string|null} mode - Processing mode, or null to remove it
+   */
+  _setDocumentModes(mode) {
+    this._setDocumentMode(document, mode);
+    this._forgetDetachedFrames();
+    for (const frame of this.frames) {
+      const doc = this._getBlankFrameDocument(frame);
+      if (doc) this._setDocumentMode(doc, mode);
+    }
+  }
+
+  /**
+   * @param {Document} doc - Document or blank frame document
+   * @param {string|null} mode - Processing mode, or null to remove it
+   */
+  _setDocumentMode(doc, mode) {
+    const root = doc.documentElement;
+    if (!root) return;
+    if (mode) {
+      root.setAttribute(ProcessorConfig.MODE_ATTRIBUTE, mode);
+    } else {
+      root.removeAttribute(ProcessorConfig.MODE_ATTRIBUTE);
+    }
+  }
+
+  /**
+   * Emoji spans in the document and in every shadow root and blank frame that is
+   * still attached; detached ones are forgotten
+   * @returns {HTMLElement[]}
+   */
+  _getEmojiSpans() {
+    const selector = `.${ProcessorConfig.EMOJI_CLASS}`;
+    const spans = [...document.querySelectorAll(selector)];
+
+    for (const root of this.shadowRoots) {
+      if (root.host.isConnected) {
+        spans.push(...root.querySelectorAll(selector));
+      } else {
+        this.shadowRoots.delete(root);
+      }
+    }
+
+    this._forgetDetachedFrames();
+    for (const frame of this.frames) {
+      const doc = this._getBlankFrameDocument(frame);
+      if (doc) spans.push(...doc.querySelectorAll(selector));
+    }
+    return spans;
+  }
+
+  /**
+   * Drop frames the page has removed, so their documents can be collected
+   */
+  _forgetDetachedFrames() {
+    for (const frame of this.frames) {
+      if (!frame.isConnected) this.frames.delete(frame);
+    }
+  }
+
+  /**
+   * Collect the rules in a root's stylesheets that insert emojis as generated content
+   * or list markers, and apply overrides for them
+   * @param {Document|ShadowRoot} root - Document, shadow root or blank frame document
+   * @param {string} mode - Processing mode
+   */
+  _processStyleSheets(root, mode) {
+    let record = this.generatedContent.get(root);
+    if (!record) {
+      record = {
+        root,
+        sheet: null,
+        style: null,
+        rules: [],
+        elements: new Map(),
+        opaque: false,
+        contentSelector: ''
+      };
+      this.generatedContent.set(root, record);
+    }
+
+    record.rules = [];
+    record.opaque = false;
+    record.contentSelector = '';
+    if (this.options.strategy === 'font' && root.documentElement) {
+      const view = root.defaultView;
+      const value = this._stripEmojiFont(view.getComputedStyle(root.documentElement).fontFamily);
+      if (value) {
+        record.rules.push({
+          wrappers: [],
+          selector: ProcessorConfig.ROOT_SELECTOR,
+          property: 'font-family',
+          value,
+          important: false
+        });
+      }
+    }
+    for (const sheet of [...(root.styleSheets || []), ...(root.adoptedStyleSheets || [])]) {
+      if (sheet !== record.sheet && sheet.ownerNode !== record.style) {
+        this._collectGeneratedRules(sheet, [], record);
+      }
+    }
+    this._renderGeneratedContent(record, mode);
+  }
+
+  /**
+   * @param {CSSStyleSheet|CSSRule} parent - Stylesheet or grouping rule
+   * @param {string[]} wrappers - Preludes of the enclosing @media, @supports, @layer
+   *   and nesting rules, which the overrides repeat
+   * @param {Object} record - Generated content record of the root
+   */
+  _collectGeneratedRules(parent, wrappers, record) {
+    let rules;
+    try {
+      rules = parent.cssRules;
+    } catch {
+      // Cross-origin stylesheets cannot be read; computed styles stand in for them
+      record.opaque = true;
+      return;
+    }
+
+    for (const rule of rules) {
+      if (rule.styleSheet) {
+        const media = rule.media?.mediaText;
+        this._collectGeneratedRules(
+          rule.styleSheet,
+          media ? [...wrappers, `@media ${media}`] : wrappers,
+          record
+        );
+        continue;
+      }
+
+      if (rule.selectorText && rule.style) {
+        let entry;
+        if (this.options.strategy === 'font') {
+          entry = this._getFontEntry(rule.style);
+        } else {
+          const pseudo = ProcessorConfig.GENERATED_PSEUDO_SELECTOR.test(rule.selectorText);
+          const properties = pseudo
+            ? ['content', 'list-style-type', 'list-style']
+            : ['list-style-type', 'list-style'];
+          entry = this._getGeneratedEntry(rule.style, properties);
+          if (pseudo && rule.style.getPropertyValue('content')) {
+            this._addContentSelector(rule.selectorText, record);
+          }
+        }
+        if (entry) record.rules.push({ ...entry, wrappers, selector: rule.selectorText });
+      }
+
+      if (rule.cssRules?.length) {
+        const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+        this._collectGeneratedRules(rule, [...wrappers, prelude], record);
+      }
+    }
+  }
+
+  /**
+   * Remember the elements a readable rule gives generated content, whose computed
+   * content is checked while cross-origin stylesheets may override it
+   * @param {string} selectorText - Selector of a rule setting content on pseudo-elements
+   * @param {Object} record - Generated content record of the root
+   */
+  _addContentSelector(selectorText, record) {
+    const selector = selectorText
+      .replace(ProcessorConfig.BARE_PSEUDO_ELEMENT, '$1*')
+      .replace(ProcessorConfig.PSEUDO_ELEMENT, '');
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch {
+      return;
+    }
+    record.contentSelector = record.contentSelector
+      ? `${record.contentSelector}, ${selector}`
+      : selector;
+  }
+
+  /**
+   * @param {Element} element - Element in a root with unreadable stylesheets
+   * @param {Object} record - Generated content record of the element's root
+   * @returns {boolean} Whether the element is a list item or has content from a
+   *   readable rule, the only elements checked through computed styles
+   */
+  _mayHaveGeneratedContent(element, record) {
+    if (element.localName === 'li') return true;
+    return !!record.contentSelector && element.matches(record.contentSelector);
+  }
+
+  /**
+   * Find generated content of an element that stylesheets cannot tell about: list
+   * markers set in its style attribute, and anything from cross-origin stylesheets
+   * @param {Element} element - Element with a style attribute, or a likely candidate
+   *   in a root with unreadable stylesheets
+   * @param {Object} record - Generated content record of the element's root
+   */
+  _processElementGeneratedContent(element, record) {
+    const entries = [];
+    if (record.opaque) {
+      const view = element.ownerDocument.defaultView;
+      for (const pseudo of ProcessorConfig.GENERATED_PSEUDO_ELEMENTS) {
+        const entry = this._getGeneratedEntry(view.getComputedStyle(element, pseudo), ['content']);
+        if (entry) entries.push({ ...entry, pseudo, important: true });
+      }
+      const entry = this._getGeneratedEntry(view.getComputedStyle(element), ['list-style-type']);
+      if (entry) entries.push({ ...entry, pseudo: '', important: true });
+    } else {
+      const entry = this._getGeneratedEntry(element.style, ['list-style-type', 'list-style']);
+      if (entry) entries.push({ ...entry, pseudo: '', important: true });
+    }
+
+    if (entries.length === 0) {
+      record.elements.delete(element);
+      element.removeAttribute(ProcessorConfig.GENERATED_ATTRIBUTE);
+      return;
+    }
+
+    let id = element.getAttribute(ProcessorConfig.GENERATED_ATTRIBUTE);
+    if (!id) {
+      id = String(++this.generatedId);
+      element.setAttribute(ProcessorConfig.GENERATED_ATTRIBUTE, id);
+    }
+    const target = `[${ProcessorConfig.GENERATED_ATTRIBUTE}="${id}"]`;
+    record.elements.set(
+      element,
+      entries.map(({ pseudo, ...entry }) => ({ ...entry, wrappers: [], selector: target + pseudo }))
+    );
+  }
+
+  /**
+   * @param {CSSStyleDeclaration} style - Rule, inline or computed style
+   * @returns {?Object} { property, value, important } for a font-family the emoji font
+   *   can go in front of
+   */
+  _getFontEntry(style) {
+    const value = style.getPropertyValue('font-family');
+    if (!value || ProcessorConfig.CSS_WIDE_KEYWORDS.has(value.trim().toLowerCase())) return null;
+    return {
+      property: 'font-family',
+      value,
+      important: style.getPropertyPriority('font-family') === 'important'
+    };
+  }
+
+  /**
+   * @param {string} value - Computed font-family, possibly already overridden
+   * @returns {string} The font stack without the emoji font
+   */
+  _stripEmojiFont(value) {
+    return value.replace(`"${EmojiFont.FAMILY}", `, '');
+  }
+
+  /**
+   * @param {CSSStyleDeclaration} style - Rule, inline or computed style
+   * @param {string[]} properties - Properties to look at, in order
+   * @returns {?Object} { property, value, important } for the first property whose
+   *   strings contain an emoji
+   */
+  _getGeneratedEntry(style, properties) {
+    for (const property of properties) {
+      const value = style.getPropertyValue(property);
+      const text = this._getCssStrings(value).join('');
+      if (text && EmojiDetection.containsEmoji(text, this.options)) {
+        return { property, value, important: style.getPropertyPriority(property) === 'important' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write the overrides of a root for a mode. Visual modes style pseudo-elements that
+   * show nothing but emojis; everything else has its strings rewritten, which removes
+   * the emojis in modes without a text replacement. Overrides keep the selector,
+   * conditions and priority of the rule they replace, and come after it, so they win
+   * exactly where it applied
+   * @param {Object} record - Generated content record
+   * @param {string} mode - Processing mode
+   */
+  _renderGeneratedContent(record, mode) {
+    const css = [];
+    for (const element of record.elements.keys()) {
+      if (!element.isConnected) record.elements.delete(element);
+    }
+
+    for (const entry of [...record.rules, ...[...record.elements.values()].flat()]) {
+      const declarations = this._getGeneratedDeclarations(entry, mode);
+      if (!declarations) continue;
+      css.push(
+        entry.wrappers.reduceRight(
+          (rule, wrapper) => `${wrapper} { ${rule} }`,
+          `${entry.selector} { ${declarations} }`
+        )
+      );
+    }
+    this._setGeneratedStyles(record, css.join('\n'));
+    if (this.options.strategy === 'font') this._setEmojiFont(record, mode);
+  }
+
+  /**
+   * @param {Object} entry - { selector, property, value, important }
+   * @param {string} mode - Processing mode
+   * @returns {?string} Declarations overriding the entry, null if it shows no blocked emoji
+   */
+  _getGeneratedDeclarations({ selector, property, value, important }, mode) {
+    const priority = important ? ' !important' : '';
+    if (property === 'font-family') {
+      return `font-family: "${EmojiFont.FAMILY}", ${value}${priority};`;
+    }
+
+    const styles = ProcessorConfig.MODE_STYLES[mode] ?? ProcessorConfig.MODE_STYLES.hide;
+    // Markers accept no filter, so they lose their emojis in every mode
+    if (
+      styles.filter &&
+      property === 'content' &&
+      !ProcessorConfig.MARKER_SELECTOR.test(selector) &&
+      this._isOnlyBlockedEmojis(value)
+    ) {
+      return `filter: ${styles.filter}${priority}; opacity: ${styles.opacity}${priority};`;
+    }
+
+    const replaced = value.replace(ProcessorConfig.CSS_STRING, (match, double, single) => {
+      const text = this._decodeCssString(double ?? single);
+      const result = this.replaceEmojis(text, mode);
+      return result === text ? match : this._encodeCssString(result);
+    });
+    return replaced === value ? null : `${property}: ${replaced}${priority};`;
+  }
+
+  /**
+   * @param {string} value - CSS value
+   * @returns {boolean} Whether the value is only strings of whitespace and blocked emojis
+   */
+  _isOnlyBlockedEmojis(value) {
+    if (value.replace(ProcessorConfig.CSS_STRING, '').trim()) return false;
+
+    const parts = EmojiDetection.segment(this._getCssStrings(value).join(''), this.options);
+    return (
+      parts.some((part) => part.isEmoji) &&
+      parts.every((part) => (part.isEmoji ? this._shouldBlockEmoji(part.text) : !part.text.trim()))
+    );
+  }
+
+  /**
+   * @param {string} value - CSS value
+   * @returns {string[]} The value's string tokens, unescaped
+   */
+  _getCssStrings(value) {
+    return [...value.matchAll(ProcessorConfig.CSS_STRING)].map(([, double, single]) =>
+      this._decodeCssString(double ?? single)
+    );
+  }
+
+  /**
+   * @param {string} raw - Contents of a CSS string token, without quotes
+   * @returns {string}
+   */
+  _decodeCssString(raw) {
+    return raw.replace(ProcessorConfig.CSS_ESCAPE, (match, hex, char) => {
+      if (!hex) return char ?? '';
+      const codePoint = parseInt(hex, 16);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+    });
+  }
+
+  /**
+   * @param {string} text - String contents
+   * @returns {string} A double-quoted CSS string token
+   */
+  _encodeCssString(text) {
+    return `"${text.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+  }
+
+  /**
+   * Put a root's override CSS in place: a constructed stylesheet adopted after the
+   * page's own where supported, otherwise a <style> kept last in the head or shadow
+   * root. Nothing is added while there is nothing to override
+   * @param {Object} record - Generated content record
+   * @param {string} css - Override rules
+   */
+  _setGeneratedStyles(record, css) {
+    const { root } = record;
+    if (!record.sheet && !record.style && !css) return;
+
+    if (root.adoptedStyleSheets && typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+      if (!record.sheet) {
+        const view = (root.ownerDocument || root).defaultView;
+        record.sheet = new view.CSSStyleSheet();
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, record.sheet];
+      }
+      record.sheet.replaceSync(css);
+      return;
+    }
+
+    if (!record.style) {
+      record.style = (root.ownerDocument || root).createElement('style');
+      record.style.setAttribute(ProcessorConfig.GENERATED_STYLE_ATTRIBUTE, '');
+    }
+    record.style.textContent = css;
+    const container = root.head || root.documentElement || root;
+    if (container.lastElementChild !== record.style) container.append(record.style);
+  }
+
+  /**
+   * Give a document the emoji font for a mode: the blank font hides emojis, the
+   * monochrome system fonts stand in for every other mode. Shadow roots use the
+   * fonts of their document
+   * @param {Object} record - Font override record
+   * @param {string} mode - Processing mode
+   */
+  _setEmojiFont(record, mode) {
+    const { root } = record;
+    const source = mode === 'hide' ? 'blank' : 'monochrome';
+    if (!root.fonts || !root.defaultView?.FontFace || record.fontSource === source) return;
+
+    if (!this.emojiFont) {
+      const ranges = this._getEmojiFontRanges();
+      this.emojiFont = {
+        unicodeRange: EmojiFont.toUnicodeRange(ranges),
+        blank: EmojiFont.buildBlankFont(ranges)
+      };
+    }
+
+    if (record.face) root.fonts.delete(record.face);
+    record.face = new root.defaultView.FontFace(
+      EmojiFont.FAMILY,
+      source === 'blank' ? this.emojiFont.blank : EmojiFont.getMonochromeSource(),
+      { unicodeRange: this.emojiFont.unicodeRange }
+    );
+    record.fontSource = source;
+    root.fonts.add(record.face);
+  }
+
+  /**
+   * Code points the emoji font covers: those of blocked emojis drawn as emojis by
+   * default, plus the joiners, selectors, modifiers and tags that emoji sequences are
+   * built from. Text-style symbols such as © stay with the page's fonts
+   * @returns {Array<[number, number]>} Sorted, merged ranges
+   */
+  _getEmojiFontRanges() {
+    const table = EmojiData.EMOJI_PRESENTATION;
+    const codePoints = [
+      EmojiDetection.ZWJ,
+      EmojiDetection.KEYCAP,
+      EmojiDetection.VS16,
+      ...this._expandRange(EmojiData.EMOJI_MODIFIER),
+      ...this._expandRange(EmojiDetection.TAG_RANGE)
+    ];
+    for (let i = 0; i < table.length; i += 2) {
+      for (const codePoint of this._expandRange([Math.max(table[i], 0x80), table[i + 1]])) {
+        if (this._shouldBlockEmoji(String.fromCodePoint(codePoint))) codePoints.push(codePoint);
+      }
+    }
+
+    const ranges = [];
+    for (const codePoint of [...new Set(codePoints)].sort((a, b) => a - b)) {
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === codePoint - 1) {
+        last[1] = codePoint;
+      } else {
+        ranges.push([codePoint, codePoint]);
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * @param {[number, number]} range - Inclusive code point range
+   * @returns {number[]}
+   */
+  _expandRange([start, end]) {
+    const codePoints = [];
+    for (let codePoint = start; codePoint <= end; codePoint++) codePoints.push(codePoint);
+    return codePoints;
+  }
+
+  /**
+   * Remove all generated content and font overrides, and the attributes tying
+   * elements to them
+   */
+  _revertGeneratedContent() {
+    for (const { root, sheet, style, elements, face } of this.generatedContent.values()) {
+      if (face) root.fonts.delete(face);
+      if (sheet) {
+        root.adoptedStyleSheets = root.adoptedStyleSheets.filter((s) => s !== sheet);
+      }
+      style?.remove();
+      for (const element of elements.keys()) {
+        element.removeAttribute(ProcessorConfig.GENERATED_ATTRIBUTE);
+      }
+    }
+    this.generatedContent.clear();
+  }
+
+  /**
+   * Wrap an emoji image in an emoji span so the modes apply to it. The image is
+   * kept aside, so visual modes show it and reverting puts it back
+   * @param {HTMLImageElement} img - Image element
+   * @param {string} mode - Processing mode
+   */
+  _processImage(img, mode) {
+    if (
+      this.processedNodes.has(img) ||
+      this.options.strategy === 'font' ||
+      this._usesHighlights(mode, img.ownerDocument)
+    ) {
+      return;
+    }
+    this.processedNodes.add(img);
+
+    const parent = img.parentNode;
+    if (!parent || this._shouldSkipElement(parent) || !this._isEmojiImage(img)) return;
+
+    const emoji = this._getImageEmoji(img);
+    if (!this._shouldBlockEmoji(emoji)) return;
+
+    const next = img.nextSibling;
+    const span = this._createEmojiSpan(emoji, mode, img.ownerDocument, img);
+    parent.insertBefore(span, next);
+  }
+
+  /**
+   * Recognise emoji images by known class names, emoji CDN URLs, a <g-emoji>
+   * ancestor, or an alt text that is nothing but emojis, as long as they are small
+   * @param {HTMLImageElement} img - Image element
+   * @returns {boolean}
+   */
+  _isEmojiImage(img) {
+    return this._looksLikeEmojiImage(img) && this._isEmojiSized(img);
+  }
+
+  /**
+   * @param {HTMLImageElement} img - Image element
+   * @returns {boolean} Whether the image's markup marks it as an emoji
+   */
+  _looksLikeEmojiImage(img) {
+    if (img.closest('g-emoji')) return true;
+    if ([...img.classList].some((name) => ProcessorConfig.EMOJI_IMAGE_CLASSES.has(name))) {
+      return true;
+    }
+    if (img.getAttribute('data-type') === 'emoji') return true;
+
+    const src = img.getAttribute('src') || '';
+    if (ProcessorConfig.EMOJI_IMAGE_URLS.some((pattern) => pattern.test(src))) return true;
+
+    const alt = (img.getAttribute('alt') || '').trim();
+    const parts = alt ? EmojiDetection.segment(alt, this.options) : [];
+    return (
+      parts.some((part) => part.isEmoji) && parts.every((part) => part.isEmoji || !part.text.trim())
+    );
+  }
+
+  /**
+   * @param {HTMLImageElement} img - Image element
+   * @returns {boolean} Whether the image is no larger than an emoji, going by its
+   *   rendered size once laid out and by its width and height attributes before
+   */
+  _isEmojiSized(img) {
+    const { width, height } = img.getBoundingClientRect();
+    const sizes =
+      width || height
+        ? [width, height]
+        : [Number(img.getAttribute('width')), Number(img.getAttribute('height'))];
+    return sizes.every((size) => !(size > ProcessorConfig.MAX_EMOJI_IMAGE_SIZE));
+  }
+
+  /**
+   * The emoji an image stands for: its alt text when that is a single emoji sequence,
+   * otherwise nothing, so page text never ends up in data-emoji or the stats
+   * @param {HTMLImageElement} img - Image element
+   * @returns {string}
+   */
+  _getImageEmoji(img) {
+    const alt = img.getAttribute('alt')?.trim() || '';
+    // The image already draws it as an emoji, whatever its default presentation
+    const options = { ...this.options, respectTextPresentation: false };
+    return EmojiDetection.isSingleEmoji(alt, options) ? alt : '';
+  }
+
+  _processTextNode(textNode, mode) {
+    if (this.processedNodes.has(textNode) || this.options.strategy === 'font') return;
+    this._removeHighlightRanges(textNode);
+
+    const text = textNode.textContent;
+
+    if (!text || text.length > ProcessorConfig.MAX_TEXT_LENGTH || !/\S/.test(text)) {
+      this.processedNodes.add(textNode);
+      return;
+    }
+
+    if (!EmojiDetection.containsEmoji(text, this.options)) {
+      this.processedNodes.add(textNode);
+      return;
+    }
+
+    // Not marked as processed, so the text is picked up if its parent is shown later
+    const parent = textNode.parentNode;
+    if (!parent || this._shouldSkipElement(parent)) return;
+
+    try {
+      if (this._usesHighlights(mode, textNode.ownerDocument)) {
+        this._highlightTextNode(textNode, mode);
+      } else {
+        const fragment = this._createEmojiFragment(text, mode, textNode.ownerDocument);
+        if (fragment && parent.contains(textNode)) {
+          const record = { original: textNode, data: text, nodes: [...fragment.childNodes] };
+          for (const node of record.nodes) {
+            if (node.nodeType === Node.ELEMENT_NODE) this.textRecords.set(node, record);
+          }
+          parent.replaceChild(fragment, textNode);
+        }
+      }
+    } catch (error) {
+      console.debug("I don't care about emojis: Error processing text node", error);
+    }
+
+    this.processedNodes.add(textNode);
+  }
+
+  /**
+   * Put a text node back in place of the text and spans it was split into, with the
+   * text it had then
+   * @param {Object} record - { original, data, nodes } from _processTextNode
+   * @returns {boolean} False if the page has moved or removed any of those nodes
+   */
+  _restoreTextNode({ original, data, nodes }) {
+    const parent = nodes[0].parentNode;
+    if (!parent || nodes.some((node) => node.parentNode !== parent)) return false;
+
+    parent.insertBefore(original, nodes[0]);
+    if (original.data !== data) original.data = data;
+    nodes.forEach((node) => node.remove());
+    return true;
+  }
+
+  /**
+   * @param {string} mode - Processing mode
+   * @param {Document} [doc] - Document the emojis are in
+   * @returns {boolean} Whether emojis are drawn through CSS highlights instead of spans
+   */
+  _usesHighlights(mode, doc = document) {
+    const view = doc.defaultView;
+    return (
+      this.options.strategy === 'highlight' &&
+      ProcessorConfig.HIGHLIGHT_MODES.has(mode) &&
+      typeof view?.Highlight === 'function' &&
+      !!view.CSS?.highlights
+    );
+  }
+
+  /**
+   * Cover the blocked emojis in a text node with ranges in its document's highlight,
+   * leaving the node itself unchanged
+   * @param {Text} textNode - Text node with emojis
+   * @param {string} mode - Processing mode
+   */
+  _highlightTextNode(textNode, mode) {
+    const doc = textNode.ownerDocument;
+    const record = this._getHighlight(doc, mode);
+    if (record.highlight.size >= record.pruneSize) {
+      for (const range of record.highlight) {
+        if (range.collapsed) record.highlight.delete(range);
+      }
+      record.pruneSize = Math.max(record.highlight.size * 2, ProcessorConfig.HIGHLIGHT_PRUNE_SIZE);
+    }
+
+    const ranges = [];
+    let index = 0;
+    for (const part of EmojiDetection.segment(textNode.data, this.options)) {
+      if (part.isEmoji && this._shouldBlockEmoji(part.text)) {
+        const range = doc.createRange();
+        range.setStart(textNode, index);
+        range.setEnd(textNode, index + part.text.length);
+        record.highlight.add(range);
+        ranges.push(range);
+        this._countEmoji(part.text);
+      }
+      index += part.text.length;
+    }
+    if (ranges.length) this.highlightRanges.set(textNode, ranges);
+  }
+
+  /**
+   * Forget the ranges a text node added, before its changed text is looked at again
+   * @param {Text} textNode - Text node
+   */
+  _removeHighlightRanges(textNode) {
+    const ranges = this.highlightRanges.get(textNode);
+    if (!ranges) return;
+
+    const { highlight } = this.highlights.get(textNode.ownerDocument);
+    ranges.forEach((range) => highlight.delete(range));
+    this.highlightRanges.delete(textNode);
+  }
+
+  /**
+   * @param {Document} doc - Document to draw emojis in
+   * @param {string} mode - Processing mode
+   * @returns {Object} The document's highlight record, registered for the mode
+   */
+  _getHighlight(doc, mode) {
+    let record = this.highlights.get(doc);
+    if (!record) {
+      const view = doc.defaultView;
+      record = {
+        registry: view.CSS.highlights,
+        highlight: new view.Highlight(),
+        name: null,
+        pruneSize: ProcessorConfig.HIGHLIGHT_PRUNE_SIZE
+      };
+      this.highlights.set(doc, record);
+    }
+    this._setHighlightMode(record, mode);
+    return record;
+  }
+
+  /**
+   * Register a document's highlight under the name whose ::highlight() rule draws the mode
+   * @param {Object} record - Highlight record
+   * @param {string} mode - Processing mode
+   */
+  _setHighlightMode(record, mode) {
+    const name = ProcessorConfig.HIGHLIGHT_PREFIX + mode;
+    if (record.name === name) return;
+
+    if (record.name) record.registry.delete(record.name);
+    record.registry.set(name, record.highlight);
+    record.name = name;
+  }
+
+  _createEmojiFragment(text, mode, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    let hasEmojis = false;
+    let pendingText = '';
+
+    for (const part of EmojiDetection.segment(text, this.options)) {
+      if (!part.isEmoji || !this._shouldBlockEmoji(part.text)) {
+        pendingText += part.text;
+        continue;
+      }
+
+      if (pendingText) {
+        fragment.appendChild(doc.createTextNode(pendingText));
+        pendingText = '';
+      }
+
+      hasEmojis = true;
+      fragment.appendChild(this._createEmojiSpan(part.text, mode, doc));
+    }
+
+    if (pendingText) {
+      fragment.appendChild(doc.createTextNode(pendingText));
+    }
+
+    return hasEmojis ? fragment : null;
+  }
+
+  /**
+   * Create the span that stands in for a blocked emoji and count it
+   * @param {string} emoji - Emoji sequence; empty for an emoji image without one, which
+   *   is not counted
+   * @param {string} mode - Processing mode
+   * @param {Document} doc - Document the span goes into
+   * @param {HTMLImageElement} [image] - Emoji image the span replaces
+   * @returns {HTMLElement}
+   */
+  _createEmojiSpan(emoji, mode, doc, image = null) {
+    this._countEmoji(emoji);
+
+    const span = doc.createElement('span');
+    span.className = ProcessorConfig.EMOJI_CLASS;
+    span.setAttribute('data-emoji', emoji);
+    if (image) this.emojiImages.set(span, image);
+    this._applyMode(span, mode);
+    return span;
+  }
+
+  /**
+   * @param {string} emoji - Blocked emoji sequence, counted for takeStats; empty for
+   *   an emoji image without one, which is not counted
+   */
+  _countEmoji(emoji) {
+    if (!emoji) return;
+    const key = EmojiDetection.normalize(emoji);
+    this.stats[key] = (this.stats[key] || 0) + 1;
+  }
+
+  /**
+   * Resolve the allowlist, blocklist and category policy for one emoji sequence
+   * @param {string} emoji - Emoji sequence
+   * @returns {boolean}
+   */
+  _shouldBlockEmoji(emoji) {
+    const key = EmojiDetection.normalize(emoji);
+    if (this.allowedEmojis.has(key)) return false;
+    if (this.blockedEmojis.has(key)) return true;
+
+    const category = EmojiDetection.getCategory(emoji);
+    return !category || this.options.categories[category] !== false;
+  }
+
+  _shouldSkipElement(element) {
+    if (element?.nodeType === Node.DOCUMENT_FRAGMENT_NODE) return false;
+    if (!element?.tagName) return true;
+
+    const tagName = element.tagName.toUpperCase();
     if (ProcessorConfig.SKIP_TAGS.has(tagName)) return true;
     if (element.isContentEditable) return true;
 
@@ -327,20 +2172,77 @@ class EmojiBlockerCore {
     return false;
   }
 
-  _applyModeStyles(element, mode) {
-    const styles = ProcessorConfig.MODE_STYLES[mode] || ProcessorConfig.MODE_STYLES['hide'];
-
-    element.style.removeProperty('display');
-    element.style.removeProperty('filter');
-    element.style.removeProperty('opacity');
+  /**
+   * Render an emoji span in a mode. The original emoji always stays in data-emoji
+   * (and emoji images in emojiImages), so text and icon modes can be switched back
+   * and reverted without loss. Spans take their look from the document's mode; one
+   * drawn in any other mode gets it as its own data-mode
+   * @param {HTMLElement} element - Emoji span
+   * @param {string} mode - Processing mode
+   */
+  _applyMode(element, mode) {
+    const emoji = element.getAttribute('data-emoji');
 
-    if (styles.display) {
-      element.style.display = styles.display;
+    if (mode === 'icon') {
+      element.replaceChildren(this._createIcon(emoji, element.ownerDocument));
+      this._setSpanMode(element, mode);
       return;
     }
 
-    if (styles.filter) element.style.filter = styles.filter;
-    if (styles.opacity) element.style.opacity = styles.opacity;
+    const isTextMode = ProcessorConfig.TEXT_MODES.has(mode);
+    const replacement = isTextMode ? EmojiText.replace(emoji, mode, this.options) : null;
+    const image = this.emojiImages.get(element);
+
+    if (image && replacement === null) {
+      element.replaceChildren(image);
+    } else {
+      element.textContent = replacement ?? emoji;
+    }
+    this._setSpanMode(element, isTextMode && replacement === null ? 'hide' : mode);
+  }
+
+  /**
+   * @param {HTMLElement} element - Emoji span
+   * @param {string} mode - Mode the span is drawn in
+   */
+  _setSpanMode(element, mode) {
+    if (mode === this.mode) {
+      element.removeAttribute('data-mode');
+    } else {
+      element.setAttribute('data-mode', mode);
+    }
+  }
+
+  /**
+   * Build the icon for an emoji: the user's uploaded image if there is one,
+   * otherwise the bundled monochrome glyph
+   * @param {string} emoji - Emoji sequence
+   * @param {Document} doc - Document the icon goes into
+   * @returns {Element}
+   */
+  _createIcon(emoji, doc) {
+    const key = EmojiDetection.normalize(emoji);
+    const customIcon = this.options.customIcons[key];
+
+    if (customIcon) {
+      const img = doc.createElement('img');
+      img.className = ProcessorConfig.ICON_CLASS;
+      img.src = customIcon;
+      img.alt = emoji;
+      return img;
+    }
+
+    const svg = doc.createElementNS(ProcessorConfig.SVG_NS, 'svg');
+    svg.setAttribute('class', ProcessorConfig.ICON_CLASS);
+    svg.setAttribute('viewBox', EmojiIcons.VIEW_BOX);
+    for (const [name, value] of Object.entries(ProcessorConfig.ICON_ATTRIBUTES)) {
+      svg.setAttribute(name, value);
+    }
+
+    const path = doc.createElementNS(ProcessorConfig.SVG_NS, 'path');
+    path.setAttribute('d', EmojiIcons.getGlyph(key));
+    svg.appendChild(path);
+    return svg;
   }
 
   static isEmoji(char) {
@@ -356,4 +2258,154 @@ class EmojiBlockerCore {
   }
 }
 
-export { EmojiBlockerCore, EmojiDetection, ProcessorConfig };
+/**
+ * Keeps emojis out of what the user types or pastes into text fields and
+ * contenteditable regions. Edits are rewritten through the browser's own editing
+ * commands, so undo keeps working and frameworks that control the field value see
+ * a normal input event. IME composition is left alone until it ends
+ */
+class InputSanitizer {
+  /**
+   * @param {EmojiBlockerCore} processor - Supplies the emoji policy and sanitizeStyle
+   */
+  constructor(processor) {
+    this.processor = processor;
+    this.attached = false;
+    this.handleBeforeInput = (event) => this._onBeforeInput(event);
+    this.handleCompositionEnd = (event) => this._onCompositionEnd(event);
+  }
+
+  attach() {
+    if (this.attached) return;
+    this.attached = true;
+    document.addEventListener('beforeinput', this.handleBeforeInput, true);
+    document.addEventListener('compositionend', this.handleCompositionEnd, true);
+  }
+
+  detach() {
+    if (!this.attached) return;
+    this.attached = false;
+    document.removeEventListener('beforeinput', this.handleBeforeInput, true);
+    document.removeEventListener('compositionend', this.handleCompositionEnd, true);
+  }
+
+  /**
+   * @param {string} text - Typed or pasted text
+   * @returns {string} Text with blocked emojis removed, or shortcodes in 'shortcode' style
+   */
+  sanitize(text) {
+    const mode = this.processor.options.sanitizeStyle === 'shortcode' ? 'shortcode' : 'hide';
+    return this.processor.replaceEmojis(text, mode);
+  }
+
+  /**
+   * Replace a typed or pasted insertion before the browser applies it. Rich pastes
+   * that contain emojis are inserted as plain text
+   * @param {InputEvent} event
+   */
+  _onBeforeInput(event) {
+    if (event.isComposing || !ProcessorConfig.SANITIZE_INPUT_TYPES.has(event.inputType)) return;
+
+    const field = this._getField(event);
+    if (!field) return;
+
+    const text = event.data ?? event.dataTransfer?.getData('text/plain') ?? '';
+    const sanitized = this.sanitize(text);
+    if (sanitized === text) return;
+
+    event.preventDefault();
+    this._insertText(field, sanitized);
+  }
+
+  /**
+   * Select the text an IME just committed and replace it; composition events cannot
+   * be cancelled, and changing the field mid-composition breaks the IME
+   * @param {CompositionEvent} event
+   */
+  _onCompositionEnd(event) {
+    const field = this._getField(event);
+    if (!field || !event.data) return;
+
+    const sanitized = this.sanitize(event.data);
+    if (sanitized === event.data) return;
+
+    // Wait for the input event that commits the composition
+    setTimeout(() => {
+      if (this._selectCommitted(field, event.data)) this._insertText(field, sanitized);
+    });
+  }
+
+  /**
+   * @param {Event} event - Editing event
+   * @returns {HTMLElement|null} The text field or contenteditable element being edited
+   */
+  _getField(event) {
+    const target = event.composedPath()[0];
+    if (target?.tagName === 'TEXTAREA') return target;
+    if (target?.tagName === 'INPUT') {
+      return ProcessorConfig.SANITIZE_FIELD_TYPES.has(target.type) ? target : null;
+    }
+    return target?.isContentEditable ? target : null;
+  }
+
+  /**
+   * Select text that ends at the caret
+   * @param {HTMLElement} field - Field being edited
+   * @param {string} text - Text expected before the caret
+   * @returns {boolean} Whether the text was found and selected
+   */
+  _selectCommitted(field, text) {
+    if (field.isContentEditable) {
+      const selection = document.getSelection();
+      const { focusNode, focusOffset } = selection;
+      const start = focusOffset - text.length;
+      if (focusNode?.nodeType !== Node.TEXT_NODE || start < 0) return false;
+      if (focusNode.data.slice(start, focusOffset) !== text) return false;
+
+      selection.setBaseAndExtent(focusNode, start, focusNode, focusOffset);
+      return true;
+    }
+
+    const end = field.selectionEnd;
+    const start = end - text.length;
+    if (start < 0 || field.value.slice(start, end) !== text) return false;
+
+    field.setSelectionRange(start, end);
+    return true;
+  }
+
+  /**
+   * Replace the selection in a field with text, as if the user had typed it
+   * @param {HTMLElement} field - Focused text field or contenteditable element
+   * @param {string} text - Replacement, possibly empty
+   */
+  _insertText(field, text) {
+    const doc = field.ownerDocument;
+    const selection = doc.getSelection();
+    const collapsed = field.isContentEditable
+      ? selection.isCollapsed
+      : field.selectionStart === field.selectionEnd;
+    if (!text && collapsed) return;
+
+    // execCommand keeps the undo stack and fires the input event frameworks listen for
+    const command = text ? 'insertText' : 'delete';
+    if (typeof doc.execCommand === 'function' && doc.execCommand(command, false, text)) {
+      return;
+    }
+
+    if (field.isContentEditable) {
+      const range = selection.getRangeAt(0);
+      const node = doc.createTextNode(text);
+      range.deleteContents();
+      range.insertNode(node);
+      selection.collapse(node, text.length);
+    } else {
+      field.setRangeText(text, field.selectionStart, field.selectionEnd, 'end');
+    }
+    field.dispatchEvent(
+      new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text })
+    );
+  }
+}
+
+export { EmojiBlockerCore, EmojiDetection, EmojiText, InputSanitizer, ProcessorConfig };
@@ -0,0 +1,430 @@
+/**
+ * EmojiData - Unicode emoji property and sequence tables
+ * Generated by scripts/generate-emoji-data.js from data/unicode. Do not edit by hand.
+ * Ranges are flat, sorted [start, end, start, end, ...] code point pairs.
+ */
+
+const EmojiData = {
+  UNICODE_VERSION: '15.1',
+  EMOJI: [
+    0x23, 0x23, 0x2a, 0x2a, 0x30, 0x39, 0xa9, 0xa9, 0xae, 0xae, 0x203c, 0x203c, 0x2049, 0x2049,
+    0x2122, 0x2122, 0x2139, 0x2139, 0x2194, 0x2199, 0x21a9, 0x21aa, 0x231a, 0x231b, 0x2328, 0x2328,
+    0x23cf, 0x23cf, 0x23e9, 0x23f3, 0x23f8, 0x23fa, 0x24c2, 0x24c2, 0x25aa, 0x25ab, 0x25b6, 0x25b6,
+    0x25c0, 0x25c0, 0x25fb, 0x25fe, 0x2600, 0x2604, 0x260e, 0x260e, 0x2611, 0x2611, 0x2614, 0x2615,
+    0x2618, 0x2618, 0x261d, 0x261d, 0x2620, 0x2620, 0x2622, 0x2623, 0x2626, 0x2626, 0x262a, 0x262a,
+    0x262e, 0x262f, 0x2638, 0x263a, 0x2640, 0x2640, 0x2642, 0x2642, 0x2648, 0x2653, 0x265f, 0x2660,
+    0x2663, 0x2663, 0x2665, 0x2666, 0x2668, 0x2668, 0x267b, 0x267b, 0x267e, 0x267f, 0x2692, 0x2697,
+    0x2699, 0x2699, 0x269b, 0x269c, 0x26a0, 0x26a1, 0x26a7, 0x26a7, 0x26aa, 0x26ab, 0x26b0, 0x26b1,
+    0x26bd, 0x26be, 0x26c4, 0x26c5, 0x26c8, 0x26c8, 0x26ce, 0x26cf, 0x26d1, 0x26d1, 0x26d3, 0x26d4,
+    0x26e9, 0x26ea, 0x26f0, 0x26f5, 0x26f7, 0x26fa, 0x26fd, 0x26fd, 0x2702, 0x2702, 0x2705, 0x2705,
+    0x2708, 0x270d, 0x270f, 0x270f, 0x2712, 0x2712, 0x2714, 0x2714, 0x2716, 0x2716, 0x271d, 0x271d,
+    0x2721, 0x2721, 0x2728, 0x2728, 0x2733, 0x2734, 0x2744, 0x2744, 0x2747, 0x2747, 0x274c, 0x274c,
+    0x274e, 0x274e, 0x2753, 0x2755, 0x2757, 0x2757, 0x2763, 0x2764, 0x2795, 0x2797, 0x27a1, 0x27a1,
+    0x27b0, 0x27b0, 0x27bf, 0x27bf, 0x2934, 0x2935, 0x2b05, 0x2b07, 0x2b1b, 0x2b1c, 0x2b50, 0x2b50,
+    0x2b55, 0x2b55, 0x3030, 0x3030, 0x303d, 0x303d, 0x3297, 0x3297, 0x3299, 0x3299, 0x1f004,
+    0x1f004, 0x1f0cf, 0x1f0cf, 0x1f170, 0x1f171, 0x1f17e, 0x1f17f, 0x1f18e, 0x1f18e, 0x1f191,
+    0x1f19a, 0x1f1e6, 0x1f1ff, 0x1f201, 0x1f202, 0x1f21a, 0x1f21a, 0x1f22f, 0x1f22f, 0x1f232,
+    0x1f23a, 0x1f250, 0x1f251, 0x1f300, 0x1f321, 0x1f324, 0x1f393, 0x1f396, 0x1f397, 0x1f399,
+    0x1f39b, 0x1f39e, 0x1f3f0, 0x1f3f3, 0x1f3f5, 0x1f3f7, 0x1f4fd, 0x1f4ff, 0x1f53d, 0x1f549,
+    0x1f54e, 0x1f550, 0x1f567, 0x1f56f, 0x1f570, 0x1f573, 0x1f57a, 0x1f587, 0x1f587, 0x1f58a,
+    0x1f58d, 0x1f590, 0x1f590, 0x1f595, 0x1f596, 0x1f5a4, 0x1f5a5, 0x1f5a8, 0x1f5a8, 0x1f5b1,
+    0x1f5b2, 0x1f5bc, 0x1f5bc, 0x1f5c2, 0x1f5c4, 0x1f5d1, 0x1f5d3, 0x1f5dc, 0x1f5de, 0x1f5e1,
+    0x1f5e1, 0x1f5e3, 0x1f5e3, 0x1f5e8, 0x1f5e8, 0x1f5ef, 0x1f5ef, 0x1f5f3, 0x1f5f3, 0x1f5fa,
+    0x1f64f, 0x1f680, 0x1f6c5, 0x1f6cb, 0x1f6d2, 0x1f6d5, 0x1f6d7, 0x1f6dc, 0x1f6e5, 0x1f6e9,
+    0x1f6e9, 0x1f6eb, 0x1f6ec, 0x1f6f0, 0x1f6f0, 0x1f6f3, 0x1f6fc, 0x1f7e0, 0x1f7eb, 0x1f7f0,
+    0x1f7f0, 0x1f90c, 0x1f93a, 0x1f93c, 0x1f945, 0x1f947, 0x1f9ff, 0x1fa70, 0x1fa7c, 0x1fa80,
+    0x1fa88, 0x1fa90, 0x1fabd, 0x1fabf, 0x1fac5, 0x1face, 0x1fadb, 0x1fae0, 0x1fae8, 0x1faf0,
+    0x1faf8
+  ],
+  EMOJI_PRESENTATION: [
+    0x231a, 0x231b, 0x23e9, 0x23ec, 0x23f0, 0x23f0, 0x23f3, 0x23f3, 0x25fd, 0x25fe, 0x2614, 0x2615,
+    0x2648, 0x2653, 0x267f, 0x267f, 0x2693, 0x2693, 0x26a1, 0x26a1, 0x26aa, 0x26ab, 0x26bd, 0x26be,
+    0x26c4, 0x26c5, 0x26ce, 0x26ce, 0x26d4, 0x26d4, 0x26ea, 0x26ea, 0x26f2, 0x26f3, 0x26f5, 0x26f5,
+    0x26fa, 0x26fa, 0x26fd, 0x26fd, 0x2705, 0x2705, 0x270a, 0x270b, 0x2728, 0x2728, 0x274c, 0x274c,
+    0x274e, 0x274e, 0x2753, 0x2755, 0x2757, 0x2757, 0x2795, 0x2797, 0x27b0, 0x27b0, 0x27bf, 0x27bf,
+    0x2b1b, 0x2b1c, 0x2b50, 0x2b50, 0x2b55, 0x2b55, 0x1f004, 0x1f004, 0x1f0cf, 0x1f0cf, 0x1f18e,
+    0x1f18e, 0x1f191, 0x1f19a, 0x1f1e6, 0x1f1ff, 0x1f201, 0x1f201, 0x1f21a, 0x1f21a, 0x1f22f,
+    0x1f22f, 0x1f232, 0x1f236, 0x1f238, 0x1f23a, 0x1f250, 0x1f251, 0x1f300, 0x1f320, 0x1f32d,
+    0x1f335, 0x1f337, 0x1f37c, 0x1f37e, 0x1f393, 0x1f3a0, 0x1f3ca, 0x1f3cf, 0x1f3d3, 0x1f3e0,
+    0x1f3f0, 0x1f3f4, 0x1f3f4, 0x1f3f8, 0x1f43e, 0x1f440, 0x1f440, 0x1f442, 0x1f4fc, 0x1f4ff,
+    0x1f53d, 0x1f54b, 0x1f54e, 0x1f550, 0x1f567, 0x1f57a, 0x1f57a, 0x1f595, 0x1f596, 0x1f5a4,
+    0x1f5a4, 0x1f5fb, 0x1f64f, 0x1f680, 0x1f6c5, 0x1f6cc, 0x1f6cc, 0x1f6d0, 0x1f6d2, 0x1f6d5,
+    0x1f6d7, 0x1f6dc, 0x1f6df, 0x1f6eb, 0x1f6ec, 0x1f6f4, 0x1f6fc, 0x1f7e0, 0x1f7eb, 0x1f7f0,
+    0x1f7f0, 0x1f90c, 0x1f93a, 0x1f93c, 0x1f945, 0x1f947, 0x1f9ff, 0x1fa70, 0x1fa7c, 0x1fa80,
+    0x1fa88, 0x1fa90, 0x1fabd, 0x1fabf, 0x1fac5, 0x1face, 0x1fadb, 0x1fae0, 0x1fae8, 0x1faf0,
+    0x1faf8
+  ],
+  EMOJI_MODIFIER: [0x1f3fb, 0x1f3ff],
+  KEYCAP_BASES: ['#', '*', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+  FLAG_SEQUENCES: [
+    '🇦🇨',
+    '🇦🇩',
+    '🇦🇪',
+    '🇦🇫',
+    '🇦🇬',
+    '🇦🇮',
+    '🇦🇱',
+    '🇦🇲',
+    '🇦🇴',
+    '🇦🇶',
+    '🇦🇷',
+    '🇦🇸',
+    '🇦🇹',
+    '🇦🇺',
+    '🇦🇼',
+    '🇦🇽',
+    '🇦🇿',
+    '🇧🇦',
+    '🇧🇧',
+    '🇧🇩',
+    '🇧🇪',
+    '🇧🇫',
+    '🇧🇬',
+    '🇧🇭',
+    '🇧🇮',
+    '🇧🇯',
+    '🇧🇱',
+    '🇧🇲',
+    '🇧🇳',
+    '🇧🇴',
+    '🇧🇶',
+    '🇧🇷',
+    '🇧🇸',
+    '🇧🇹',
+    '🇧🇻',
+    '🇧🇼',
+    '🇧🇾',
+    '🇧🇿',
+    '🇨🇦',
+    '🇨🇨',
+    '🇨🇩',
+    '🇨🇫',
+    '🇨🇬',
+    '🇨🇭',
+    '🇨🇮',
+    '🇨🇰',
+    '🇨🇱',
+    '🇨🇲',
+    '🇨🇳',
+    '🇨🇴',
+    '🇨🇵',
+    '🇨🇷',
+    '🇨🇺',
+    '🇨🇻',
+    '🇨🇼',
+    '🇨🇽',
+    '🇨🇾',
+    '🇨🇿',
+    '🇩🇪',
+    '🇩🇬',
+    '🇩🇯',
+    '🇩🇰',
+    '🇩🇲',
+    '🇩🇴',
+    '🇩🇿',
+    '🇪🇦',
+    '🇪🇨',
+    '🇪🇪',
+    '🇪🇬',
+    '🇪🇭',
+    '🇪🇷',
+    '🇪🇸',
+    '🇪🇹',
+    '🇪🇺',
+    '🇫🇮',
+    '🇫🇯',
+    '🇫🇰',
+    '🇫🇲',
+    '🇫🇴',
+    '🇫🇷',
+    '🇬🇦',
+    '🇬🇧',
+    '🇬🇩',
+    '🇬🇪',
+    '🇬🇫',
+    '🇬🇬',
+    '🇬🇭',
+    '🇬🇮',
+    '🇬🇱',
+    '🇬🇲',
+    '🇬🇳',
+    '🇬🇵',
+    '🇬🇶',
+    '🇬🇷',
+    '🇬🇸',
+    '🇬🇹',
+    '🇬🇺',
+    '🇬🇼',
+    '🇬🇾',
+    '🇭🇰',
+    '🇭🇲',
+    '🇭🇳',
+    '🇭🇷',
+    '🇭🇹',
+    '🇭🇺',
+    '🇮🇨',
+    '🇮🇩',
+    '🇮🇪',
+    '🇮🇱',
+    '🇮🇲',
+    '🇮🇳',
+    '🇮🇴',
+    '🇮🇶',
+    '🇮🇷',
+    '🇮🇸',
+    '🇮🇹',
+    '🇯🇪',
+    '🇯🇲',
+    '🇯🇴',
+    '🇯🇵',
+    '🇰🇪',
+    '🇰🇬',
+    '🇰🇭',
+    '🇰🇮',
+    '🇰🇲',
+    '🇰🇳',
+    '🇰🇵',
+    '🇰🇷',
+    '🇰🇼',
+    '🇰🇾',
+    '🇰🇿',
+    '🇱🇦',
+    '🇱🇧',
+    '🇱🇨',
+    '🇱🇮',
+    '🇱🇰',
+    '🇱🇷',
+    '🇱🇸',
+    '🇱🇹',
+    '🇱🇺',
+    '🇱🇻',
+    '🇱🇾',
+    '🇲🇦',
+    '🇲🇨',
+    '🇲🇩',
+    '🇲🇪',
+    '🇲🇫',
+    '🇲🇬',
+    '🇲🇭',
+    '🇲🇰',
+    '🇲🇱',
+    '🇲🇲',
+    '🇲🇳',
+    '🇲🇴',
+    '🇲🇵',
+    '🇲🇶',
+    '🇲🇷',
+    '🇲🇸',
+    '🇲🇹',
+    '🇲🇺',
+    '🇲🇻',
+    '🇲🇼',
+    '🇲🇽',
+    '🇲🇾',
+    '🇲🇿',
+    '🇳🇦',
+    '🇳🇨',
+    '🇳🇪',
+    '🇳🇫',
+    '🇳🇬',
+    '🇳🇮',
+    '🇳🇱',
+    '🇳🇴',
+    '🇳🇵',
+    '🇳🇷',
+    '🇳🇺',
+    '🇳🇿',
+    '🇴🇲',
+    '🇵🇦',
+    '🇵🇪',
+    '🇵🇫',
+    '🇵🇬',
+    '🇵🇭',
+    '🇵🇰',
+    '🇵🇱',
+    '🇵🇲',
+    '🇵🇳',
+    '🇵🇷',
+    '🇵🇸',
+    '🇵🇹',
+    '🇵🇼',
+    '🇵🇾',
+    '🇶🇦',
+    '🇷🇪',
+    '🇷🇴',
+    '🇷🇸',
+    '🇷🇺',
+    '🇷🇼',
+    '🇸🇦',
+    '🇸🇧',
+    '🇸🇨',
+    '🇸🇩',
+    '🇸🇪',
+    '🇸🇬',
+    '🇸🇭',
+    '🇸🇮',
+    '🇸🇯',
+    '🇸🇰',
+    '🇸🇱',
+    '🇸🇲',
+    '🇸🇳',
+    '🇸🇴',
+    '🇸🇷',
+    '🇸🇸',
+    '🇸🇹',
+    '🇸🇻',
+    '🇸🇽',
+    '🇸🇾',
+    '🇸🇿',
+    '🇹🇦',
+    '🇹🇨',
+    '🇹🇩',
+    '🇹🇫',
+    '🇹🇬',
+    '🇹🇭',
+    '🇹🇯',
+    '🇹🇰',
+    '🇹🇱',
+    '🇹🇲',
+    '🇹🇳',
+    '🇹🇴',
+    '🇹🇷',
+    '🇹🇹',
+    '🇹🇻',
+    '🇹🇼',
+    '🇹🇿',
+    '🇺🇦',
+    '🇺🇬',
+    '🇺🇲',
+    '🇺🇳',
+    '🇺🇸',
+    '🇺🇾',
+    '🇺🇿',
+    '🇻🇦',
+    '🇻🇨',
+    '🇻🇪',
+    '🇻🇬',
+    '🇻🇮',
+    '🇻🇳',
+    '🇻🇺',
+    '🇼🇫',
+    '🇼🇸',
+    '🇽🇰',
+    '🇾🇪',
+    '🇾🇹',
+    '🇿🇦',
+    '🇿🇲',
+    '🇿🇼'
+  ],
+  CATEGORY_RANGES: {
+    smileys: [
+      0x2620, 0x2620, 0x2639, 0x263a, 0x2763, 0x2764, 0x1f479, 0x1f47b, 0x1f47d, 0x1f480, 0x1f48b,
+      0x1f48c, 0x1f493, 0x1f49f, 0x1f4a2, 0x1f4a2, 0x1f4a4, 0x1f4a6, 0x1f4a8, 0x1f4a9, 0x1f4ab,
+      0x1f4ad, 0x1f4af, 0x1f4af, 0x1f573, 0x1f573, 0x1f5a4, 0x1f5a4, 0x1f5e8, 0x1f5ef, 0x1f600,
+      0x1f644, 0x1f648, 0x1f64a, 0x1f90d, 0x1f90e, 0x1f910, 0x1f917, 0x1f920, 0x1f925, 0x1f927,
+      0x1f92f, 0x1f970, 0x1f976, 0x1f978, 0x1f97a, 0x1f9d0, 0x1f9d0, 0x1f9e1, 0x1f9e1, 0x1fa75,
+      0x1fa77, 0x1fae0, 0x1fae5, 0x1fae8, 0x1fae8
+    ],
+    people: [
+      0x261d, 0x261d, 0x26f7, 0x26f7, 0x26f9, 0x26f9, 0x270a, 0x270d, 0x1f385, 0x1f385, 0x1f3c2,
+      0x1f3c4, 0x1f3c7, 0x1f3c7, 0x1f3ca, 0x1f3cc, 0x1f3fb, 0x1f3ff, 0x1f440, 0x1f450, 0x1f463,
+      0x1f478, 0x1f47c, 0x1f47c, 0x1f481, 0x1f483, 0x1f485, 0x1f487, 0x1f48f, 0x1f48f, 0x1f491,
+      0x1f491, 0x1f4aa, 0x1f4aa, 0x1f574, 0x1f575, 0x1f57a, 0x1f57a, 0x1f590, 0x1f596, 0x1f5e3,
+      0x1f5e3, 0x1f645, 0x1f647, 0x1f64b, 0x1f64f, 0x1f6a3, 0x1f6a3, 0x1f6b4, 0x1f6b6, 0x1f6c0,
+      0x1f6c0, 0x1f6cc, 0x1f6cc, 0x1f90c, 0x1f90c, 0x1f90f, 0x1f90f, 0x1f918, 0x1f91f, 0x1f926,
+      0x1f926, 0x1f930, 0x1f93e, 0x1f977, 0x1f977, 0x1f9b0, 0x1f9b9, 0x1f9bb, 0x1f9bb, 0x1f9be,
+      0x1f9bf, 0x1f9cc, 0x1f9cf, 0x1f9d1, 0x1f9e0, 0x1fac0, 0x1fac5, 0x1fae6, 0x1fae6, 0x1faf0,
+      0x1faf8
+    ],
+    animals: [
+      0x2618, 0x2618, 0x1f331, 0x1f335, 0x1f337, 0x1f33c, 0x1f33e, 0x1f344, 0x1f3f5, 0x1f3f5,
+      0x1f400, 0x1f43f, 0x1f490, 0x1f490, 0x1f4ae, 0x1f4ae, 0x1f54a, 0x1f54a, 0x1f577, 0x1f578,
+      0x1f940, 0x1f940, 0x1f981, 0x1f98f, 0x1f992, 0x1f99d, 0x1f99f, 0x1f9a9, 0x1f9ab, 0x1f9ae,
+      0x1fab0, 0x1fab4, 0x1fab6, 0x1fabf, 0x1face, 0x1facf
+    ],
+    food: [
+      0x2615, 0x2615, 0x1f32d, 0x1f330, 0x1f336, 0x1f336, 0x1f33d, 0x1f33d, 0x1f345, 0x1f37f,
+      0x1f382, 0x1f382, 0x1f3fa, 0x1f3fa, 0x1f52a, 0x1f52a, 0x1f942, 0x1f944, 0x1f950, 0x1f96f,
+      0x1f980, 0x1f980, 0x1f990, 0x1f991, 0x1f99e, 0x1f99e, 0x1f9aa, 0x1f9aa, 0x1f9c0, 0x1f9cb,
+      0x1fad0, 0x1fadb
+    ],
+    travel: [
+      0x231a, 0x231b, 0x23f0, 0x23f3, 0x2600, 0x2604, 0x2614, 0x2614, 0x2668, 0x2668, 0x2693,
+      0x2693, 0x26a1, 0x26a1, 0x26c4, 0x26c8, 0x26e9, 0x26f2, 0x26f4, 0x26f5, 0x26fa, 0x26fd,
+      0x2708, 0x2708, 0x2744, 0x2744, 0x2b50, 0x2b50, 0x1f300, 0x1f32c, 0x1f3a0, 0x1f3a2, 0x1f3aa,
+      0x1f3aa, 0x1f3cd, 0x1f3ce, 0x1f3d4, 0x1f3e6, 0x1f3e8, 0x1f3ed, 0x1f3ef, 0x1f3f0, 0x1f488,
+      0x1f488, 0x1f492, 0x1f492, 0x1f4a7, 0x1f4a7, 0x1f4ba, 0x1f4ba, 0x1f525, 0x1f525, 0x1f54b,
+      0x1f54d, 0x1f550, 0x1f567, 0x1f570, 0x1f570, 0x1f5fa, 0x1f5fe, 0x1f680, 0x1f6a2, 0x1f6a4,
+      0x1f6a8, 0x1f6b2, 0x1f6b2, 0x1f6ce, 0x1f6ce, 0x1f6d1, 0x1f6d1, 0x1f6d5, 0x1f6d6, 0x1f6dd,
+      0x1f6df, 0x1f6e2, 0x1f6f6, 0x1f6f8, 0x1f6fc, 0x1f9bc, 0x1f9bd, 0x1f9ed, 0x1f9ed, 0x1f9f1,
+      0x1f9f1, 0x1f9f3, 0x1f9f3, 0x1fa82, 0x1fa82, 0x1fa90, 0x1fa90, 0x1faa8, 0x1faa8, 0x1fab5,
+      0x1fab5
+    ],
+    activities: [
+      0x265f, 0x2666, 0x26bd, 0x26be, 0x26f3, 0x26f3, 0x26f8, 0x26f8, 0x2728, 0x2728, 0x1f004,
+      0x1f0cf, 0x1f380, 0x1f381, 0x1f383, 0x1f384, 0x1f386, 0x1f38b, 0x1f38d, 0x1f391, 0x1f396,
+      0x1f397, 0x1f39f, 0x1f39f, 0x1f3a3, 0x1f3a3, 0x1f3a8, 0x1f3a8, 0x1f3ab, 0x1f3ab, 0x1f3ad,
+      0x1f3b4, 0x1f3bd, 0x1f3c0, 0x1f3c5, 0x1f3c6, 0x1f3c8, 0x1f3c9, 0x1f3cf, 0x1f3d3, 0x1f3f8,
+      0x1f3f8, 0x1f52b, 0x1f52b, 0x1f52e, 0x1f52e, 0x1f579, 0x1f579, 0x1f5bc, 0x1f5bc, 0x1f6f7,
+      0x1f6f7, 0x1f93f, 0x1f93f, 0x1f945, 0x1f94f, 0x1f9e7, 0x1f9e9, 0x1f9f5, 0x1f9f6, 0x1f9f8,
+      0x1f9f8, 0x1fa80, 0x1fa81, 0x1fa84, 0x1fa86, 0x1faa1, 0x1faa2, 0x1faa9, 0x1faa9
+    ],
+    objects: [
+      0x2328, 0x2328, 0x260e, 0x260e, 0x2692, 0x2692, 0x2694, 0x2694, 0x2696, 0x2699, 0x26b0,
+      0x26b1, 0x26cf, 0x26d3, 0x2702, 0x2702, 0x2709, 0x2709, 0x270f, 0x2712, 0x1f392, 0x1f393,
+      0x1f399, 0x1f39e, 0x1f3a4, 0x1f3a5, 0x1f3a7, 0x1f3a7, 0x1f3a9, 0x1f3a9, 0x1f3ac, 0x1f3ac,
+      0x1f3b5, 0x1f3bc, 0x1f3ee, 0x1f3ee, 0x1f3f7, 0x1f3f7, 0x1f3f9, 0x1f3f9, 0x1f451, 0x1f462,
+      0x1f484, 0x1f484, 0x1f489, 0x1f48a, 0x1f48d, 0x1f48e, 0x1f4a1, 0x1f4a1, 0x1f4a3, 0x1f4a3,
+      0x1f4b0, 0x1f4b0, 0x1f4b3, 0x1f4b9, 0x1f4bb, 0x1f4da, 0x1f4dc, 0x1f4f2, 0x1f4f7, 0x1f4ff,
+      0x1f507, 0x1f517, 0x1f526, 0x1f529, 0x1f52c, 0x1f52d, 0x1f56f, 0x1f56f, 0x1f576, 0x1f576,
+      0x1f587, 0x1f58d, 0x1f5a5, 0x1f5b2, 0x1f5c2, 0x1f5e1, 0x1f5f3, 0x1f5f3, 0x1f5ff, 0x1f5ff,
+      0x1f6aa, 0x1f6aa, 0x1f6ac, 0x1f6ac, 0x1f6bd, 0x1f6bd, 0x1f6bf, 0x1f6bf, 0x1f6c1, 0x1f6c1,
+      0x1f6cb, 0x1f6cb, 0x1f6cd, 0x1f6cd, 0x1f6cf, 0x1f6cf, 0x1f6d2, 0x1f6d2, 0x1f6d7, 0x1f6d7,
+      0x1f6e0, 0x1f6e1, 0x1f941, 0x1f941, 0x1f97b, 0x1f97f, 0x1f9af, 0x1f9af, 0x1f9ba, 0x1f9ba,
+      0x1f9e2, 0x1f9e6, 0x1f9ea, 0x1f9ec, 0x1f9ee, 0x1f9f0, 0x1f9f2, 0x1f9f2, 0x1f9f4, 0x1f9f4,
+      0x1f9f7, 0x1f9f7, 0x1f9f9, 0x1fa74, 0x1fa78, 0x1fa7c, 0x1fa83, 0x1fa83, 0x1fa87, 0x1fa88,
+      0x1fa91, 0x1faa0, 0x1faa3, 0x1faa7, 0x1faaa, 0x1faae, 0x1fae7, 0x1fae7
+    ],
+    symbols: [
+      0x23, 0x21aa, 0x23cf, 0x23ef, 0x23f8, 0x25fe, 0x2611, 0x2611, 0x2622, 0x2638, 0x2640, 0x2653,
+      0x267b, 0x267f, 0x2695, 0x2695, 0x269b, 0x26a0, 0x26a7, 0x26ab, 0x26ce, 0x26ce, 0x26d4,
+      0x26d4, 0x2705, 0x2705, 0x2714, 0x2721, 0x2733, 0x2734, 0x2747, 0x2757, 0x2795, 0x2b1c,
+      0x2b55, 0x3299, 0x1f170, 0x1f19a, 0x1f201, 0x1f251, 0x1f3a6, 0x1f3a6, 0x1f3e7, 0x1f3e7,
+      0x1f4a0, 0x1f4a0, 0x1f4b1, 0x1f4b2, 0x1f4db, 0x1f4db, 0x1f4f3, 0x1f4f6, 0x1f500, 0x1f506,
+      0x1f518, 0x1f524, 0x1f52f, 0x1f549, 0x1f54e, 0x1f54e, 0x1f6ab, 0x1f6ab, 0x1f6ad, 0x1f6b1,
+      0x1f6b3, 0x1f6b3, 0x1f6b7, 0x1f6bc, 0x1f6be, 0x1f6be, 0x1f6c2, 0x1f6c5, 0x1f6d0, 0x1f6d0,
+      0x1f6dc, 0x1f6dc, 0x1f7e0, 0x1f7f0, 0x1faaf, 0x1faaf
+    ],
+    flags: [
+      0x1f1e6, 0x1f1ff, 0x1f38c, 0x1f38c, 0x1f3c1, 0x1f3c1, 0x1f3f3, 0x1f3f4, 0x1f6a9, 0x1f6a9
+    ]
+  },
+
+  /**
+   * Reduce an emoji sequence to its policy key by dropping presentation selectors
+   * and skin tone modifiers, so one list entry covers every variant. Shared by the
+   * processor and StorageManager, so stored lists and lookups agree
+   * @param {string} emoji - Emoji sequence
+   * @returns {string}
+   */
+  normalize(emoji) {
+    let key = '';
+    for (const char of emoji) {
+      const codePoint = char.codePointAt(0);
+      if (codePoint === 0xfe0e || codePoint === 0xfe0f) continue;
+      if (this._inRanges(codePoint, this.EMOJI_MODIFIER)) continue;
+      key += char;
+    }
+    return key;
+  },
+
+  _inRanges(codePoint, ranges) {
+    for (let i = 0; i < ranges.length; i += 2) {
+      if (codePoint < ranges[i]) return false;
+      if (codePoint <= ranges[i + 1]) return true;
+    }
+    return false;
+  }
+};
+
+export { EmojiData };
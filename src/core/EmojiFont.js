@@ -0,0 +1,289 @@
+/**
+ * EmojiFont - Fonts for the font strategy, which hides emojis or draws them
+ * monochrome without touching the DOM
+ * The blank font is a minimal TrueType font built in memory: every covered code point
+ * maps to its own empty, zero-width glyph, so emoji text collapses to nothing.
+ */
+
+const EmojiFont = {
+  FAMILY: 'I Dont Care About Emojis',
+  UNITS_PER_EM: 1000,
+  ASCENDER: 800,
+  DESCENDER: -200,
+
+  // Monochrome system fonts with emoji glyphs, tried in order for the other modes
+  MONOCHROME_SOURCES: ['Noto Emoji', 'Segoe UI Symbol', 'Apple Symbols', 'Symbola'],
+
+  // Box drawn for .notdef, which no covered code point maps to
+  NOTDEF_BOX: [50, 0, 450, 700],
+
+  /**
+   * @param {Array<[number, number]>} ranges - Sorted, non-overlapping code point ranges
+   * @returns {string} CSS unicode-range descriptor
+   */
+  toUnicodeRange(ranges) {
+    const hex = (codePoint) => codePoint.toString(16).toUpperCase();
+    return ranges
+      .map(([start, end]) => (start === end ? `U+${hex(start)}` : `U+${hex(start)}-${hex(end)}`))
+      .join(', ');
+  },
+
+  /**
+   * @returns {string} FontFace source list of the monochrome system fonts
+   */
+  getMonochromeSource() {
+    return this.MONOCHROME_SOURCES.map((name) => `local("${name}")`).join(', ');
+  },
+
+  /**
+   * Build a TrueType font mapping every code point in ranges to an empty glyph
+   * @param {Array<[number, number]>} ranges - Sorted, non-overlapping code point ranges
+   * @returns {ArrayBuffer}
+   */
+  buildBlankFont(ranges) {
+    const numGlyphs = 1 + ranges.reduce((count, [start, end]) => count + end - start + 1, 0);
+    const [xMin, yMin, xMax, yMax] = this.NOTDEF_BOX;
+    const notdef = this._buildNotdef();
+
+    const tables = {
+      'OS/2': this._buildOS2(ranges),
+      cmap: this._buildCmap(ranges),
+      glyf: notdef,
+      head: this._table((t) => {
+        t.u32(0x00010000).u32(0x00010000).u32(0).u32(0x5f0f3cf5);
+        // Baseline and left sidebearing at 0, integer scaling
+        t.u16(0x000b).u16(this.UNITS_PER_EM);
+        t.u32(0).u32(0).u32(0).u32(0);
+        t.i16(xMin).i16(yMin).i16(xMax).i16(yMax);
+        t.u16(0).u16(8).i16(2).i16(0).i16(0);
+      }),
+      hhea: this._table((t) => {
+        t.u32(0x00010000).i16(this.ASCENDER).i16(this.DESCENDER).i16(0);
+        t.u16(0).i16(xMin).i16(-xMax).i16(xMax);
+        t.i16(1).i16(0).i16(0).i16(0).i16(0).i16(0).i16(0).i16(0);
+        t.u16(1);
+      }),
+      // No glyph advances; only .notdef has a sidebearing
+      hmtx: this._table((t) => {
+        t.u16(0).i16(xMin);
+        for (let i = 1; i < numGlyphs; i++) t.i16(0);
+      }),
+      // Short offsets: .notdef holds the only outline, every other glyph is empty
+      loca: this._table((t) => {
+        t.u16(0);
+        for (let i = 0; i < numGlyphs; i++) t.u16(notdef.length / 2);
+      }),
+      maxp: this._table((t) => {
+        t.u32(0x00010000).u16(numGlyphs).u16(4).u16(1).u16(0).u16(0).u16(2);
+        for (let i = 0; i < 8; i++) t.u16(0);
+      }),
+      name: this._buildName(),
+      post: this._table((t) => {
+        t.u32(0x00030000).u32(0).i16(-100).i16(50);
+        for (let i = 0; i < 5; i++) t.u32(0);
+      })
+    };
+
+    return this._assemble(tables);
+  },
+
+  /**
+   * @param {function(Object)} write - Receives a big-endian writer
+   * @returns {Uint8Array}
+   */
+  _table(write) {
+    const bytes = [];
+    const writer = {
+      u8(value) {
+        bytes.push(value & 0xff);
+        return writer;
+      },
+      u16(value) {
+        return writer.u8(value >> 8).u8(value);
+      },
+      i16(value) {
+        return writer.u16(value & 0xffff);
+      },
+      u32(value) {
+        return writer.u16(value >>> 16).u16(value & 0xffff);
+      }
+    };
+    write(writer);
+    return Uint8Array.from(bytes);
+  },
+
+  _buildNotdef() {
+    const [xMin, yMin, xMax, yMax] = this.NOTDEF_BOX;
+    return this._table((t) => {
+      t.i16(1).i16(xMin).i16(yMin).i16(xMax).i16(yMax);
+      t.u16(3).u16(0);
+      // Four on-curve points, coordinates as 16-bit deltas
+      t.u8(1).u8(1).u8(1).u8(1);
+      t.i16(xMin)
+        .i16(0)
+        .i16(xMax - xMin)
+        .i16(0);
+      t.i16(yMin)
+        .i16(yMax - yMin)
+        .i16(0)
+        .i16(yMin - yMax);
+    });
+  },
+
+  /**
+   * Format 4 for the Basic Multilingual Plane and format 12 for everything, both
+   * numbering glyphs in code point order
+   */
+  _buildCmap(ranges) {
+    const groups = [];
+    let glyph = 1;
+    for (const [start, end] of ranges) {
+      groups.push([start, end, glyph]);
+      glyph += end - start + 1;
+    }
+
+    const segments = groups
+      .filter(([start]) => start < 0xffff)
+      .map(([start, end, first]) => [start, Math.min(end, 0xfffe), first]);
+    segments.push([0xffff, 0xffff, 0]);
+    const segCount = segments.length;
+    const entrySelector = Math.floor(Math.log2(segCount));
+    const searchRange = 2 ** entrySelector * 2;
+
+    const format4 = this._table((t) => {
+      t.u16(4)
+        .u16(16 + segCount * 8)
+        .u16(0);
+      t.u16(segCount * 2)
+        .u16(searchRange)
+        .u16(entrySelector)
+        .u16(segCount * 2 - searchRange);
+      segments.forEach(([, end]) => t.u16(end));
+      t.u16(0);
+      segments.forEach(([start]) => t.u16(start));
+      // The final segment maps 0xFFFF to .notdef
+      segments.forEach(([start, , first]) => t.u16(start === 0xffff ? 1 : first - start));
+      segments.forEach(() => t.u16(0));
+    });
+
+    const format12 = this._table((t) => {
+      t.u16(12)
+        .u16(0)
+        .u32(16 + groups.length * 12)
+        .u32(0)
+        .u32(groups.length);
+      groups.forEach(([start, end, first]) => t.u32(start).u32(end).u32(first));
+    });
+
+    return this._table((t) => {
+      t.u16(0).u16(2);
+      t.u16(3).u16(1).u32(20);
+      t.u16(3)
+        .u16(10)
+        .u32(20 + format4.length);
+      format4.forEach((byte) => t.u8(byte));
+      format12.forEach((byte) => t.u8(byte));
+    });
+  },
+
+  _buildOS2(ranges) {
+    const first = Math.min(ranges[0][0], 0xffff);
+    const last = Math.min(ranges[ranges.length - 1][1], 0xffff);
+    return this._table((t) => {
+      t.u16(4).i16(0).u16(400).u16(5).u16(0);
+      t.i16(650).i16(600).i16(0).i16(75).i16(650).i16(600).i16(0).i16(350);
+      t.i16(50).i16(300).i16(0);
+      for (let i = 0; i < 10; i++) t.u8(0);
+      t.u32(0).u32(0).u32(0).u32(0);
+      [...'NONE'].forEach((char) => t.u8(char.charCodeAt(0)));
+      // Regular
+      t.u16(0x0040).u16(first).u16(last);
+      t.i16(this.ASCENDER).i16(this.DESCENDER).i16(0);
+      t.u16(this.ASCENDER).u16(-this.DESCENDER);
+      t.u32(0).u32(0);
+      t.i16(500).i16(700).u16(0).u16(0x20).u16(0);
+    });
+  },
+
+  _buildName() {
+    const postScriptName = this.FAMILY.replace(/\s/g, '');
+    const names = [
+      [1, this.FAMILY],
+      [2, 'Regular'],
+      [4, this.FAMILY],
+      [6, postScriptName]
+    ];
+    const offset = 6 + names.length * 12;
+
+    return this._table((t) => {
+      t.u16(0).u16(names.length).u16(offset);
+      let stringOffset = 0;
+      for (const [nameId, value] of names) {
+        t.u16(3)
+          .u16(1)
+          .u16(0x409)
+          .u16(nameId)
+          .u16(value.length * 2)
+          .u16(stringOffset);
+        stringOffset += value.length * 2;
+      }
+      // Windows names are UTF-16BE
+      for (const [, value] of names) {
+        [...value].forEach((char) => t.u16(char.charCodeAt(0)));
+      }
+    });
+  },
+
+  /**
+   * Lay out the table directory and tables, with checksums
+   * @param {Object<string, Uint8Array>} tables - Tables by tag, in tag order
+   * @returns {ArrayBuffer}
+   */
+  _assemble(tables) {
+    const tags = Object.keys(tables);
+    const entrySelector = Math.floor(Math.log2(tags.length));
+    const searchRange = 2 ** entrySelector * 16;
+    const pad = (length) => (length + 3) & ~3;
+
+    let size = 12 + tags.length * 16;
+    const offsets = tags.map((tag) => {
+      const offset = size;
+      size += pad(tables[tag].length);
+      return offset;
+    });
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    view.setUint32(0, 0x00010000);
+    view.setUint16(4, tags.length);
+    view.setUint16(6, searchRange);
+    view.setUint16(8, entrySelector);
+    view.setUint16(10, tags.length * 16 - searchRange);
+
+    tags.forEach((tag, index) => {
+      const record = 12 + index * 16;
+      const table = tables[tag];
+      bytes.set(table, offsets[index]);
+      [...tag].forEach((char, i) => view.setUint8(record + i, char.charCodeAt(0)));
+      view.setUint32(record + 4, this._checksum(view, offsets[index], pad(table.length)));
+      view.setUint32(record + 8, offsets[index]);
+      view.setUint32(record + 12, table.length);
+    });
+
+    // head.checkSumAdjustment makes the whole font sum to 0xB1B0AFBA
+    const head = offsets[tags.indexOf('head')];
+    view.setUint32(head + 8, (0xb1b0afba - this._checksum(view, 0, size)) >>> 0);
+    return buffer;
+  },
+
+  _checksum(view, offset, length) {
+    let sum = 0;
+    for (let i = offset; i < offset + length; i += 4) {
+      sum = (sum + view.getUint32(i)) >>> 0;
+    }
+    return sum;
+  }
+};
+
+export { EmojiFont };
@@ -0,0 +1,115 @@
+/**
+ * EmojiIcons - Monochrome glyphs for the icon mode
+ * Glyphs are stroke-only SVG paths on a 24x24 grid, drawn in currentColor so they
+ * follow the page's text color. Emoji keys are normalized (see EmojiDetection.normalize).
+ */
+
+const EmojiIcons = {
+  VIEW_BOX: '0 0 24 24',
+  FALLBACK: 'generic',
+
+  GLYPHS: {
+    generic: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM12 12h.01',
+    smile: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM8 14s1.5 2 4 2 4-2 4-2M9 9h.01M15 9h.01',
+    laugh: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM8 13h8a4 4 0 0 1-8 0zM9 9h.01M15 9h.01',
+    wink: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM8 14s1.5 2 4 2 4-2 4-2M9 9h.01M14 9h2',
+    frown: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM16 16s-1.5-2-4-2-4 2-4 2M9 9h.01M15 9h.01',
+    neutral: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM8 15h8M9 9h.01M15 9h.01',
+    surprised:
+      'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM12 14a2 2 0 1 0 0 4a2 2 0 1 0 0-4zM9 9h.01M15 9h.01',
+    angry: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM16 16s-1.5-2-4-2-4 2-4 2M8 8l2 1M16 8l-2 1',
+    heart:
+      'M20.8 4.6a5.5 5.5 0 0 0-7.8 0L12 5.7l-1-1.1a5.5 5.5 0 0 0-7.8 7.8l1 1.1L12 21l7.8-7.5 1-1.1a5.5 5.5 0 0 0 0-7.8z',
+    brokenHeart:
+      'M20.8 4.6a5.5 5.5 0 0 0-7.8 0L12 5.7l-1-1.1a5.5 5.5 0 0 0-7.8 7.8l1 1.1L12 21l7.8-7.5 1-1.1a5.5 5.5 0 0 0 0-7.8zM12 5.7l-2 4 4 2-2 4',
+    star: 'M12 2l3.1 6.3 6.9 1-5 4.9 1.2 6.8L12 17.8 5.8 21l1.2-6.8-5-4.9 6.9-1z',
+    sparkles:
+      'M11 3l1.5 4.5L17 9l-4.5 1.5L11 15l-1.5-4.5L5 9l4.5-1.5zM19 14l.8 2.2 2.2.8-2.2.8L19 20l-.8-2.2-2.2-.8 2.2-.8z',
+    check: 'M5 12l5 5L20 7',
+    cross: 'M6 6l12 12M18 6L6 18',
+    thumbsUp:
+      'M7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3M7 11l4-9a3 3 0 0 1 3 3v4h5.7a2 2 0 0 1 2 2.3l-1.4 9a2 2 0 0 1-2 1.7H7z',
+    thumbsDown:
+      'M17 2h3a2 2 0 0 1 2 2v7a2 2 0 0 1-2 2h-3M17 13l-4 9a3 3 0 0 1-3-3v-4H4.3a2 2 0 0 1-2-2.3l1.4-9A2 2 0 0 1 5.7 2H17z',
+    fire: 'M12 22c4 0 7-3 7-7 0-4-3-6-4-10-2 2-3 4-3 6-1-1-2-2-2-4-2 2-5 5-5 8 0 4 3 7 7 7z',
+    warning:
+      'M10.3 3.9L1.8 18a2 2 0 0 0 1.7 3h17a2 2 0 0 0 1.7-3L13.7 3.9a2 2 0 0 0-3.4 0zM12 9v4M12 17h.01',
+    info: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM12 16v-4M12 8h.01',
+    question: 'M12 3a9 9 0 1 0 0 18a9 9 0 1 0 0-18zM9.1 9a3 3 0 0 1 5.8 1c0 2-3 3-3 3M12 17h.01',
+    exclamation: 'M12 4v10M12 20h.01',
+    sun: 'M12 8a4 4 0 1 0 0 8a4 4 0 1 0 0-8zM12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4',
+    moon: 'M21 12.8A9 9 0 1 1 11.2 3a7 7 0 0 0 9.8 9.8z',
+    cloud: 'M18 10h-1.3A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z',
+    zap: 'M13 2L3 14h9l-1 8 10-12h-9l1-8z',
+    music: 'M9 18V5l12-2v13M9 18a3 3 0 1 1-6 0a3 3 0 1 1 6 0zM21 16a3 3 0 1 1-6 0a3 3 0 1 1 6 0z',
+    flag: 'M4 22V4M4 4h13l-2 4 2 4H4'
+  },
+
+  EMOJIS: {
+    smile: ['🙂', '☺', '😊', '😇', '😌', '🥰'],
+    laugh: ['😀', '😃', '😄', '😁', '😆', '😅', '😂', '🤣'],
+    wink: ['😉', '😜'],
+    frown: ['🙁', '☹', '😞', '😟', '😔', '😢', '😭', '😥'],
+    neutral: ['😐', '😑', '😶', '😕', '🫤'],
+    surprised: ['😮', '😯', '😲', '😱', '😳'],
+    angry: ['😠', '😡', '🤬', '👿'],
+    heart: [
+      '❤',
+      '♥',
+      '🧡',
+      '💛',
+      '💚',
+      '💙',
+      '🩵',
+      '💜',
+      '🤎',
+      '🖤',
+      '🩶',
+      '🤍',
+      '🩷',
+      '💕',
+      '💖',
+      '💗',
+      '💓',
+      '💞',
+      '💘',
+      '💝'
+    ],
+    brokenHeart: ['💔'],
+    star: ['⭐', '🌟'],
+    sparkles: ['✨', '💫', '🎉', '🎊'],
+    check: ['✅', '✔', '☑'],
+    cross: ['❌', '✖', '❎', '🚫', '⛔'],
+    thumbsUp: ['👍'],
+    thumbsDown: ['👎'],
+    fire: ['🔥'],
+    warning: ['⚠', '🚨'],
+    info: ['ℹ'],
+    question: ['❓', '❔', '🤔'],
+    exclamation: ['❗', '❕', '‼'],
+    sun: ['☀', '🌞', '🌤'],
+    moon: ['🌙', '🌛', '🌜', '🌚', '🌝'],
+    cloud: ['☁', '🌥'],
+    zap: ['⚡'],
+    music: ['🎵', '🎶'],
+    flag: ['🏁', '🚩', '🏳', '🏴', '🎌']
+  },
+
+  /**
+   * Path data for a normalized emoji, or the fallback glyph when it has none
+   * @param {string} key - Normalized emoji
+   * @returns {string}
+   */
+  getGlyph(key) {
+    if (!this._byEmoji) {
+      this._byEmoji = new Map(
+        Object.entries(this.EMOJIS).flatMap(([glyph, emojis]) =>
+          emojis.map((emoji) => [emoji, glyph])
+        )
+      );
+    }
+    return this.GLYPHS[this._byEmoji.get(key) || this.FALLBACK];
+  }
+};
+
+export { EmojiIcons };
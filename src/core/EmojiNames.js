@@ -0,0 +1,7620 @@
+/**
+ * EmojiNames - CLDR short names and per-platform shortcodes for text replacement
+ * Generated by scripts/generate-emoji-data.js from data/unicode and data/shortcodes.
+ * Do not edit by hand. Keys are normalized emojis (see EmojiDetection.normalize).
+ */
+
+const EmojiNames = {
+  UNICODE_VERSION: '15.1',
+  NAMES: {
+    '😀': 'grinning face',
+    '😃': 'grinning face with big eyes',
+    '😄': 'grinning face with smiling eyes',
+    '😁': 'beaming face with smiling eyes',
+    '😆': 'grinning squinting face',
+    '😅': 'grinning face with sweat',
+    '🤣': 'rolling on the floor laughing',
+    '😂': 'face with tears of joy',
+    '🙂': 'slightly smiling face',
+    '🙃': 'upside-down face',
+    '🫠': 'melting face',
+    '😉': 'winking face',
+    '😊': 'smiling face with smiling eyes',
+    '😇': 'smiling face with halo',
+    '🥰': 'smiling face with hearts',
+    '😍': 'smiling face with heart-eyes',
+    '🤩': 'star-struck',
+    '😘': 'face blowing a kiss',
+    '😗': 'kissing face',
+    '☺': 'smiling face',
+    '😚': 'kissing face with closed eyes',
+    '😙': 'kissing face with smiling eyes',
+    '🥲': 'smiling face with tear',
+    '😋': 'face savoring food',
+    '😛': 'face with tongue',
+    '😜': 'winking face with tongue',
+    '🤪': 'zany face',
+    '😝': 'squinting face with tongue',
+    '🤑': 'money-mouth face',
+    '🤗': 'smiling face with open hands',
+    '🤭': 'face with hand over mouth',
+    '🫢': 'face with open eyes and hand over mouth',
+    '🫣': 'face with peeking eye',
+    '🤫': 'shushing face',
+    '🤔': 'thinking face',
+    '🫡': 'saluting face',
+    '🤐': 'zipper-mouth face',
+    '🤨': 'face with raised eyebrow',
+    '😐': 'neutral face',
+    '😑': 'expressionless face',
+    '😶': 'face without mouth',
+    '🫥': 'dotted line face',
+    '😶‍🌫': 'face in clouds',
+    '😏': 'smirking face',
+    '😒': 'unamused face',
+    '🙄': 'face with rolling eyes',
+    '😬': 'grimacing face',
+    '😮‍💨': 'face exhaling',
+    '🤥': 'lying face',
+    '🫨': 'shaking face',
+    '🙂‍↔': 'head shaking horizontally',
+    '🙂‍↕': 'head shaking vertically',
+    '😌': 'relieved face',
+    '😔': 'pensive face',
+    '😪': 'sleepy face',
+    '🤤': 'drooling face',
+    '😴': 'sleeping face',
+    '😷': 'face with medical mask',
+    '🤒': 'face with thermometer',
+    '🤕': 'face with head-bandage',
+    '🤢': 'nauseated face',
+    '🤮': 'face vomiting',
+    '🤧': 'sneezing face',
+    '🥵': 'hot face',
+    '🥶': 'cold face',
+    '🥴': 'woozy face',
+    '😵': 'face with crossed-out eyes',
+    '😵‍💫': 'face with spiral eyes',
+    '🤯': 'exploding head',
+    '🤠': 'cowboy hat face',
+    '🥳': 'partying face',
+    '🥸': 'disguised face',
+    '😎': 'smiling face with sunglasses',
+    '🤓': 'nerd face',
+    '🧐': 'face with monocle',
+    '😕': 'confused face',
+    '🫤': 'face with diagonal mouth',
+    '😟': 'worried face',
+    '🙁': 'slightly frowning face',
+    '☹': 'frowning face',
+    '😮': 'face with open mouth',
+    '😯': 'hushed face',
+    '😲': 'astonished face',
+    '😳': 'flushed face',
+    '🥺': 'pleading face',
+    '🥹': 'face holding back tears',
+    '😦': 'frowning face with open mouth',
+    '😧': 'anguished face',
+    '😨': 'fearful face',
+    '😰': 'anxious face with sweat',
+    '😥': 'sad but relieved face',
+    '😢': 'crying face',
+    '😭': 'loudly crying face',
+    '😱': 'face screaming in fear',
+    '😖': 'confounded face',
+    '😣': 'persevering face',
+    '😞': 'disappointed face',
+    '😓': 'downcast face with sweat',
+    '😩': 'weary face',
+    '😫': 'tired face',
+    '🥱': 'yawning face',
+    '😤': 'face with steam from nose',
+    '😡': 'enraged face',
+    '😠': 'angry face',
+    '🤬': 'face with symbols on mouth',
+    '😈': 'smiling face with horns',
+    '👿': 'angry face with horns',
+    '💀': 'skull',
+    '☠': 'skull and crossbones',
+    '💩': 'pile of poo',
+    '🤡': 'clown face',
+    '👹': 'ogre',
+    '👺': 'goblin',
+    '👻': 'ghost',
+    '👽': 'alien',
+    '👾': 'alien monster',
+    '🤖': 'robot',
+    '😺': 'grinning cat',
+    '😸': 'grinning cat with smiling eyes',
+    '😹': 'cat with tears of joy',
+    '😻': 'smiling cat with heart-eyes',
+    '😼': 'cat with wry smile',
+    '😽': 'kissing cat',
+    '🙀': 'weary cat',
+    '😿': 'crying cat',
+    '😾': 'pouting cat',
+    '🙈': 'see-no-evil monkey',
+    '🙉': 'hear-no-evil monkey',
+    '🙊': 'speak-no-evil monkey',
+    '💌': 'love letter',
+    '💘': 'heart with arrow',
+    '💝': 'heart with ribbon',
+    '💖': 'sparkling heart',
+    '💗': 'growing heart',
+    '💓': 'beating heart',
+    '💞': 'revolving hearts',
+    '💕': 'two hearts',
+    '💟': 'heart decoration',
+    '❣': 'heart exclamation',
+    '💔': 'broken heart',
+    '❤‍🔥': 'heart on fire',
+    '❤‍🩹': 'mending heart',
+    '❤': 'red heart',
+    '🩷': 'pink heart',
+    '🧡': 'orange heart',
+    '💛': 'yellow heart',
+    '💚': 'green heart',
+    '💙': 'blue heart',
+    '🩵': 'light blue heart',
+    '💜': 'purple heart',
+    '🤎': 'brown heart',
+    '🖤': 'black heart',
+    '🩶': 'grey heart',
+    '🤍': 'white heart',
+    '💋': 'kiss mark',
+    '💯': 'hundred points',
+    '💢': 'anger symbol',
+    '💥': 'collision',
+    '💫': 'dizzy',
+    '💦': 'sweat droplets',
+    '💨': 'dashing away',
+    '🕳': 'hole',
+    '💬': 'speech balloon',
+    '👁‍🗨': 'eye in speech bubble',
+    '🗨': 'left speech bubble',
+    '🗯': 'right anger bubble',
+    '💭': 'thought balloon',
+    '💤': 'ZZZ',
+    '👋': 'waving hand',
+    '🤚': 'raised back of hand',
+    '🖐': 'hand with fingers splayed',
+    '✋': 'raised hand',
+    '🖖': 'vulcan salute',
+    '🫱': 'rightwards hand',
+    '🫲': 'leftwards hand',
+    '🫳': 'palm down hand',
+    '🫴': 'palm up hand',
+    '🫷': 'leftwards pushing hand',
+    '🫸': 'rightwards pushing hand',
+    '👌': 'OK hand',
+    '🤌': 'pinched fingers',
+    '🤏': 'pinching hand',
+    '✌': 'victory hand',
+    '🤞': 'crossed fingers',
+    '🫰': 'hand with index finger and thumb crossed',
+    '🤟': 'love-you gesture',
+    '🤘': 'sign of the horns',
+    '🤙': 'call me hand',
+    '👈': 'backhand index pointing left',
+    '👉': 'backhand index pointing right',
+    '👆': 'backhand index pointing up',
+    '🖕': 'middle finger',
+    '👇': 'backhand index pointing down',
+    '☝': 'index pointing up',
+    '🫵': 'index pointing at the viewer',
+    '👍': 'thumbs up',
+    '👎': 'thumbs down',
+    '✊': 'raised fist',
+    '👊': 'oncoming fist',
+    '🤛': 'left-facing fist',
+    '🤜': 'right-facing fist',
+    '👏': 'clapping hands',
+    '🙌': 'raising hands',
+    '🫶': 'heart hands',
+    '👐': 'open hands',
+    '🤲': 'palms up together',
+    '🤝': 'handshake',
+    '🙏': 'folded hands',
+    '✍': 'writing hand',
+    '💅': 'nail polish',
+    '🤳': 'selfie',
+    '💪': 'flexed biceps',
+    '🦾': 'mechanical arm',
+    '🦿': 'mechanical leg',
+    '🦵': 'leg',
+    '🦶': 'foot',
+    '👂': 'ear',
+    '🦻': 'ear with hearing aid',
+    '👃': 'nose',
+    '🧠': 'brain',
+    '🫀': 'anatomical heart',
+    '🫁': 'lungs',
+    '🦷': 'tooth',
+    '🦴': 'bone',
+    '👀': 'eyes',
+    '👁': 'eye',
+    '👅': 'tongue',
+    '👄': 'mouth',
+    '🫦': 'biting lip',
+    '👶': 'baby',
+    '🧒': 'child',
+    '👦': 'boy',
+    '👧': 'girl',
+    '🧑': 'person',
+    '👱': 'person: blond hair',
+    '👨': 'man',
+    '🧔': 'person: beard',
+    '🧔‍♂': 'man: beard',
+    '🧔‍♀': 'woman: beard',
+    '👨‍🦰': 'man: red hair',
+    '👨‍🦱': 'man: curly hair',
+    '👨‍🦳': 'man: white hair',
+    '👨‍🦲': 'man: bald',
+    '👩': 'woman',
+    '👩‍🦰': 'woman: red hair',
+    '🧑‍🦰': 'person: red hair',
+    '👩‍🦱': 'woman: curly hair',
+    '🧑‍🦱': 'person: curly hair',
+    '👩‍🦳': 'woman: white hair',
+    '🧑‍🦳': 'person: white hair',
+    '👩‍🦲': 'woman: bald',
+    '🧑‍🦲': 'person: bald',
+    '👱‍♀': 'woman: blond hair',
+    '👱‍♂': 'man: blond hair',
+    '🧓': 'older person',
+    '👴': 'old man',
+    '👵': 'old woman',
+    '🙍': 'person frowning',
+    '🙍‍♂': 'man frowning',
+    '🙍‍♀': 'woman frowning',
+    '🙎': 'person pouting',
+    '🙎‍♂': 'man pouting',
+    '🙎‍♀': 'woman pouting',
+    '🙅': 'person gesturing NO',
+    '🙅‍♂': 'man gesturing NO',
+    '🙅‍♀': 'woman gesturing NO',
+    '🙆': 'person gesturing OK',
+    '🙆‍♂': 'man gesturing OK',
+    '🙆‍♀': 'woman gesturing OK',
+    '💁': 'person tipping hand',
+    '💁‍♂': 'man tipping hand',
+    '💁‍♀': 'woman tipping hand',
+    '🙋': 'person raising hand',
+    '🙋‍♂': 'man raising hand',
+    '🙋‍♀': 'woman raising hand',
+    '🧏': 'deaf person',
+    '🧏‍♂': 'deaf man',
+    '🧏‍♀': 'deaf woman',
+    '🙇': 'person bowing',
+    '🙇‍♂': 'man bowing',
+    '🙇‍♀': 'woman bowing',
+    '🤦': 'person facepalming',
+    '🤦‍♂': 'man facepalming',
+    '🤦‍♀': 'woman facepalming',
+    '🤷': 'person shrugging',
+    '🤷‍♂': 'man shrugging',
+    '🤷‍♀': 'woman shrugging',
+    '🧑‍⚕': 'health worker',
+    '👨‍⚕': 'man health worker',
+    '👩‍⚕': 'woman health worker',
+    '🧑‍🎓': 'student',
+    '👨‍🎓': 'man student',
+    '👩‍🎓': 'woman student',
+    '🧑‍🏫': 'teacher',
+    '👨‍🏫': 'man teacher',
+    '👩‍🏫': 'woman teacher',
+    '🧑‍⚖': 'judge',
+    '👨‍⚖': 'man judge',
+    '👩‍⚖': 'woman judge',
+    '🧑‍🌾': 'farmer',
+    '👨‍🌾': 'man farmer',
+    '👩‍🌾': 'woman farmer',
+    '🧑‍🍳': 'cook',
+    '👨‍🍳': 'man cook',
+    '👩‍🍳': 'woman cook',
+    '🧑‍🔧': 'mechanic',
+    '👨‍🔧': 'man mechanic',
+    '👩‍🔧': 'woman mechanic',
+    '🧑‍🏭': 'factory worker',
+    '👨‍🏭': 'man factory worker',
+    '👩‍🏭': 'woman factory worker',
+    '🧑‍💼': 'office worker',
+    '👨‍💼': 'man office worker',
+    '👩‍💼': 'woman office worker',
+    '🧑‍🔬': 'scientist',
+    '👨‍🔬': 'man scientist',
+    '👩‍🔬': 'woman scientist',
+    '🧑‍💻': 'technologist',
+    '👨‍💻': 'man technologist',
+    '👩‍💻': 'woman technologist',
+    '🧑‍🎤': 'singer',
+    '👨‍🎤': 'man singer',
+    '👩‍🎤': 'woman singer',
+    '🧑‍🎨': 'artist',
+    '👨‍🎨': 'man artist',
+    '👩‍🎨': 'woman artist',
+    '🧑‍✈': 'pilot',
+    '👨‍✈': 'man pilot',
+    '👩‍✈': 'woman pilot',
+    '🧑‍🚀': 'astronaut',
+    '👨‍🚀': 'man astronaut',
+    '👩‍🚀': 'woman astronaut',
+    '🧑‍🚒': 'firefighter',
+    '👨‍🚒': 'man firefighter',
+    '👩‍🚒': 'woman firefighter',
+    '👮': 'police officer',
+    '👮‍♂': 'man police officer',
+    '👮‍♀': 'woman police officer',
+    '🕵': 'detective',
+    '🕵‍♂': 'man detective',
+    '🕵‍♀': 'woman detective',
+    '💂': 'guard',
+    '💂‍♂': 'man guard',
+    '💂‍♀': 'woman guard',
+    '🥷': 'ninja',
+    '👷': 'construction worker',
+    '👷‍♂': 'man construction worker',
+    '👷‍♀': 'woman construction worker',
+    '🫅': 'person with crown',
+    '🤴': 'prince',
+    '👸': 'princess',
+    '👳': 'person wearing turban',
+    '👳‍♂': 'man wearing turban',
+    '👳‍♀': 'woman wearing turban',
+    '👲': 'person with skullcap',
+    '🧕': 'woman with headscarf',
+    '🤵': 'person in tuxedo',
+    '🤵‍♂': 'man in tuxedo',
+    '🤵‍♀': 'woman in tuxedo',
+    '👰': 'person with veil',
+    '👰‍♂': 'man with veil',
+    '👰‍♀': 'woman with veil',
+    '🤰': 'pregnant woman',
+    '🫃': 'pregnant man',
+    '🫄': 'pregnant person',
+    '🤱': 'breast-feeding',
+    '👩‍🍼': 'woman feeding baby',
+    '👨‍🍼': 'man feeding baby',
+    '🧑‍🍼': 'person feeding baby',
+    '👼': 'baby angel',
+    '🎅': 'Santa Claus',
+    '🤶': 'Mrs. Claus',
+    '🧑‍🎄': 'mx claus',
+    '🦸': 'superhero',
+    '🦸‍♂': 'man superhero',
+    '🦸‍♀': 'woman superhero',
+    '🦹': 'supervillain',
+    '🦹‍♂': 'man supervillain',
+    '🦹‍♀': 'woman supervillain',
+    '🧙': 'mage',
+    '🧙‍♂': 'man mage',
+    '🧙‍♀': 'woman mage',
+    '🧚': 'fairy',
+    '🧚‍♂': 'man fairy',
+    '🧚‍♀': 'woman fairy',
+    '🧛': 'vampire',
+    '🧛‍♂': 'man vampire',
+    '🧛‍♀': 'woman vampire',
+    '🧜': 'merperson',
+    '🧜‍♂': 'merman',
+    '🧜‍♀': 'mermaid',
+    '🧝': 'elf',
+    '🧝‍♂': 'man elf',
+    '🧝‍♀': 'woman elf',
+    '🧞': 'genie',
+    '🧞‍♂': 'man genie',
+    '🧞‍♀': 'woman genie',
+    '🧟': 'zombie',
+    '🧟‍♂': 'man zombie',
+    '🧟‍♀': 'woman zombie',
+    '🧌': 'troll',
+    '💆': 'person getting massage',
+    '💆‍♂': 'man getting massage',
+    '💆‍♀': 'woman getting massage',
+    '💇': 'person getting haircut',
+    '💇‍♂': 'man getting haircut',
+    '💇‍♀': 'woman getting haircut',
+    '🚶': 'person walking',
+    '🚶‍♂': 'man walking',
+    '🚶‍♀': 'woman walking',
+    '🚶‍➡': 'person walking facing right',
+    '🚶‍♀‍➡': 'woman walking facing right',
+    '🚶‍♂‍➡': 'man walking facing right',
+    '🧍': 'person standing',
+    '🧍‍♂': 'man standing',
+    '🧍‍♀': 'woman standing',
+    '🧎': 'person kneeling',
+    '🧎‍♂': 'man kneeling',
+    '🧎‍♀': 'woman kneeling',
+    '🧎‍➡': 'person kneeling facing right',
+    '🧎‍♀‍➡': 'woman kneeling facing right',
+    '🧎‍♂‍➡': 'man kneeling facing right',
+    '🧑‍🦯': 'person with white cane',
+    '🧑‍🦯‍➡': 'person with white cane facing right',
+    '👨‍🦯': 'man with white cane',
+    '👨‍🦯‍➡': 'man with white cane facing right',
+    '👩‍🦯': 'woman with white cane',
+    '👩‍🦯‍➡': 'woman with white cane facing right',
+    '🧑‍🦼': 'person in motorized wheelchair',
+    '🧑‍🦼‍➡': 'person in motorized wheelchair facing right',
+    '👨‍🦼': 'man in motorized wheelchair',
+    '👨‍🦼‍➡': 'man in motorized wheelchair facing right',
+    '👩‍🦼': 'woman in motorized wheelchair',
+    '👩‍🦼‍➡': 'woman in motorized wheelchair facing right',
+    '🧑‍🦽': 'person in manual wheelchair',
+    '🧑‍🦽‍➡': 'person in manual wheelchair facing right',
+    '👨‍🦽': 'man in manual wheelchair',
+    '👨‍🦽‍➡': 'man in manual wheelchair facing right',
+    '👩‍🦽': 'woman in manual wheelchair',
+    '👩‍🦽‍➡': 'woman in manual wheelchair facing right',
+    '🏃': 'person running',
+    '🏃‍♂': 'man running',
+    '🏃‍♀': 'woman running',
+    '🏃‍➡': 'person running facing right',
+    '🏃‍♀‍➡': 'woman running facing right',
+    '🏃‍♂‍➡': 'man running facing right',
+    '💃': 'woman dancing',
+    '🕺': 'man dancing',
+    '🕴': 'person in suit levitating',
+    '👯': 'people with bunny ears',
+    '👯‍♂': 'men with bunny ears',
+    '👯‍♀': 'women with bunny ears',
+    '🧖': 'person in steamy room',
+    '🧖‍♂': 'man in steamy room',
+    '🧖‍♀': 'woman in steamy room',
+    '🧗': 'person climbing',
+    '🧗‍♂': 'man climbing',
+    '🧗‍♀': 'woman climbing',
+    '🤺': 'person fencing',
+    '🏇': 'horse racing',
+    '⛷': 'skier',
+    '🏂': 'snowboarder',
+    '🏌': 'person golfing',
+    '🏌‍♂': 'man golfing',
+    '🏌‍♀': 'woman golfing',
+    '🏄': 'person surfing',
+    '🏄‍♂': 'man surfing',
+    '🏄‍♀': 'woman surfing',
+    '🚣': 'person rowing boat',
+    '🚣‍♂': 'man rowing boat',
+    '🚣‍♀': 'woman rowing boat',
+    '🏊': 'person swimming',
+    '🏊‍♂': 'man swimming',
+    '🏊‍♀': 'woman swimming',
+    '⛹': 'person bouncing ball',
+    '⛹‍♂': 'man bouncing ball',
+    '⛹‍♀': 'woman bouncing ball',
+    '🏋': 'person lifting weights',
+    '🏋‍♂': 'man lifting weights',
+    '🏋‍♀': 'woman lifting weights',
+    '🚴': 'person biking',
+    '🚴‍♂': 'man biking',
+    '🚴‍♀': 'woman biking',
+    '🚵': 'person mountain biking',
+    '🚵‍♂': 'man mountain biking',
+    '🚵‍♀': 'woman mountain biking',
+    '🤸': 'person cartwheeling',
+    '🤸‍♂': 'man cartwheeling',
+    '🤸‍♀': 'woman cartwheeling',
+    '🤼': 'people wrestling',
+    '🤼‍♂': 'men wrestling',
+    '🤼‍♀': 'women wrestling',
+    '🤽': 'person playing water polo',
+    '🤽‍♂': 'man playing water polo',
+    '🤽‍♀': 'woman playing water polo',
+    '🤾': 'person playing handball',
+    '🤾‍♂': 'man playing handball',
+    '🤾‍♀': 'woman playing handball',
+    '🤹': 'person juggling',
+    '🤹‍♂': 'man juggling',
+    '🤹‍♀': 'woman juggling',
+    '🧘': 'person in lotus position',
+    '🧘‍♂': 'man in lotus position',
+    '🧘‍♀': 'woman in lotus position',
+    '🛀': 'person taking bath',
+    '🛌': 'person in bed',
+    '🧑‍🤝‍🧑': 'people holding hands',
+    '👭': 'women holding hands',
+    '👫': 'woman and man holding hands',
+    '👬': 'men holding hands',
+    '💏': 'kiss',
+    '👩‍❤‍💋‍👨': 'kiss: woman, man',
+    '👨‍❤‍💋‍👨': 'kiss: man, man',
+    '👩‍❤‍💋‍👩': 'kiss: woman, woman',
+    '💑': 'couple with heart',
+    '👩‍❤‍👨': 'couple with heart: woman, man',
+    '👨‍❤‍👨': 'couple with heart: man, man',
+    '👩‍❤‍👩': 'couple with heart: woman, woman',
+    '👨‍👩‍👦': 'family: man, woman, boy',
+    '👨‍👩‍👧': 'family: man, woman, girl',
+    '👨‍👩‍👧‍👦': 'family: man, woman, girl, boy',
+    '👨‍👩‍👦‍👦': 'family: man, woman, boy, boy',
+    '👨‍👩‍👧‍👧': 'family: man, woman, girl, girl',
+    '👨‍👨‍👦': 'family: man, man, boy',
+    '👨‍👨‍👧': 'family: man, man, girl',
+    '👨‍👨‍👧‍👦': 'family: man, man, girl, boy',
+    '👨‍👨‍👦‍👦': 'family: man, man, boy, boy',
+    '👨‍👨‍👧‍👧': 'family: man, man, girl, girl',
+    '👩‍👩‍👦': 'family: woman, woman, boy',
+    '👩‍👩‍👧': 'family: woman, woman, girl',
+    '👩‍👩‍👧‍👦': 'family: woman, woman, girl, boy',
+    '👩‍👩‍👦‍👦': 'family: woman, woman, boy, boy',
+    '👩‍👩‍👧‍👧': 'family: woman, woman, girl, girl',
+    '👨‍👦': 'family: man, boy',
+    '👨‍👦‍👦': 'family: man, boy, boy',
+    '👨‍👧': 'family: man, girl',
+    '👨‍👧‍👦': 'family: man, girl, boy',
+    '👨‍👧‍👧': 'family: man, girl, girl',
+    '👩‍👦': 'family: woman, boy',
+    '👩‍👦‍👦': 'family: woman, boy, boy',
+    '👩‍👧': 'family: woman, girl',
+    '👩‍👧‍👦': 'family: woman, girl, boy',
+    '👩‍👧‍👧': 'family: woman, girl, girl',
+    '🗣': 'speaking head',
+    '👤': 'bust in silhouette',
+    '👥': 'busts in silhouette',
+    '🫂': 'people hugging',
+    '👪': 'family',
+    '🧑‍🧑‍🧒': 'family: adult, adult, child',
+    '🧑‍🧑‍🧒‍🧒': 'family: adult, adult, child, child',
+    '🧑‍🧒': 'family: adult, child',
+    '🧑‍🧒‍🧒': 'family: adult, child, child',
+    '👣': 'footprints',
+    '🐵': 'monkey face',
+    '🐒': 'monkey',
+    '🦍': 'gorilla',
+    '🦧': 'orangutan',
+    '🐶': 'dog face',
+    '🐕': 'dog',
+    '🦮': 'guide dog',
+    '🐕‍🦺': 'service dog',
+    '🐩': 'poodle',
+    '🐺': 'wolf',
+    '🦊': 'fox',
+    '🦝': 'raccoon',
+    '🐱': 'cat face',
+    '🐈': 'cat',
+    '🐈‍⬛': 'black cat',
+    '🦁': 'lion',
+    '🐯': 'tiger face',
+    '🐅': 'tiger',
+    '🐆': 'leopard',
+    '🐴': 'horse face',
+    '🫎': 'moose',
+    '🫏': 'donkey',
+    '🐎': 'horse',
+    '🦄': 'unicorn',
+    '🦓': 'zebra',
+    '🦌': 'deer',
+    '🦬': 'bison',
+    '🐮': 'cow face',
+    '🐂': 'ox',
+    '🐃': 'water buffalo',
+    '🐄': 'cow',
+    '🐷': 'pig face',
+    '🐖': 'pig',
+    '🐗': 'boar',
+    '🐽': 'pig nose',
+    '🐏': 'ram',
+    '🐑': 'ewe',
+    '🐐': 'goat',
+    '🐪': 'camel',
+    '🐫': 'two-hump camel',
+    '🦙': 'llama',
+    '🦒': 'giraffe',
+    '🐘': 'elephant',
+    '🦣': 'mammoth',
+    '🦏': 'rhinoceros',
+    '🦛': 'hippopotamus',
+    '🐭': 'mouse face',
+    '🐁': 'mouse',
+    '🐀': 'rat',
+    '🐹': 'hamster',
+    '🐰': 'rabbit face',
+    '🐇': 'rabbit',
+    '🐿': 'chipmunk',
+    '🦫': 'beaver',
+    '🦔': 'hedgehog',
+    '🦇': 'bat',
+    '🐻': 'bear',
+    '🐻‍❄': 'polar bear',
+    '🐨': 'koala',
+    '🐼': 'panda',
+    '🦥': 'sloth',
+    '🦦': 'otter',
+    '🦨': 'skunk',
+    '🦘': 'kangaroo',
+    '🦡': 'badger',
+    '🐾': 'paw prints',
+    '🦃': 'turkey',
+    '🐔': 'chicken',
+    '🐓': 'rooster',
+    '🐣': 'hatching chick',
+    '🐤': 'baby chick',
+    '🐥': 'front-facing baby chick',
+    '🐦': 'bird',
+    '🐧': 'penguin',
+    '🕊': 'dove',
+    '🦅': 'eagle',
+    '🦆': 'duck',
+    '🦢': 'swan',
+    '🦉': 'owl',
+    '🦤': 'dodo',
+    '🪶': 'feather',
+    '🦩': 'flamingo',
+    '🦚': 'peacock',
+    '🦜': 'parrot',
+    '🪽': 'wing',
+    '🐦‍⬛': 'black bird',
+    '🪿': 'goose',
+    '🐦‍🔥': 'phoenix',
+    '🐸': 'frog',
+    '🐊': 'crocodile',
+    '🐢': 'turtle',
+    '🦎': 'lizard',
+    '🐍': 'snake',
+    '🐲': 'dragon face',
+    '🐉': 'dragon',
+    '🦕': 'sauropod',
+    '🦖': 'T-Rex',
+    '🐳': 'spouting whale',
+    '🐋': 'whale',
+    '🐬': 'dolphin',
+    '🦭': 'seal',
+    '🐟': 'fish',
+    '🐠': 'tropical fish',
+    '🐡': 'blowfish',
+    '🦈': 'shark',
+    '🐙': 'octopus',
+    '🐚': 'spiral shell',
+    '🪸': 'coral',
+    '🪼': 'jellyfish',
+    '🐌': 'snail',
+    '🦋': 'butterfly',
+    '🐛': 'bug',
+    '🐜': 'ant',
+    '🐝': 'honeybee',
+    '🪲': 'beetle',
+    '🐞': 'lady beetle',
+    '🦗': 'cricket',
+    '🪳': 'cockroach',
+    '🕷': 'spider',
+    '🕸': 'spider web',
+    '🦂': 'scorpion',
+    '🦟': 'mosquito',
+    '🪰': 'fly',
+    '🪱': 'worm',
+    '🦠': 'microbe',
+    '💐': 'bouquet',
+    '🌸': 'cherry blossom',
+    '💮': 'white flower',
+    '🪷': 'lotus',
+    '🏵': 'rosette',
+    '🌹': 'rose',
+    '🥀': 'wilted flower',
+    '🌺': 'hibiscus',
+    '🌻': 'sunflower',
+    '🌼': 'blossom',
+    '🌷': 'tulip',
+    '🪻': 'hyacinth',
+    '🌱': 'seedling',
+    '🪴': 'potted plant',
+    '🌲': 'evergreen tree',
+    '🌳': 'deciduous tree',
+    '🌴': 'palm tree',
+    '🌵': 'cactus',
+    '🌾': 'sheaf of rice',
+    '🌿': 'herb',
+    '☘': 'shamrock',
+    '🍀': 'four leaf clover',
+    '🍁': 'maple leaf',
+    '🍂': 'fallen leaf',
+    '🍃': 'leaf fluttering in wind',
+    '🪹': 'empty nest',
+    '🪺': 'nest with eggs',
+    '🍄': 'mushroom',
+    '🍇': 'grapes',
+    '🍈': 'melon',
+    '🍉': 'watermelon',
+    '🍊': 'tangerine',
+    '🍋': 'lemon',
+    '🍋‍🟩': 'lime',
+    '🍌': 'banana',
+    '🍍': 'pineapple',
+    '🥭': 'mango',
+    '🍎': 'red apple',
+    '🍏': 'green apple',
+    '🍐': 'pear',
+    '🍑': 'peach',
+    '🍒': 'cherries',
+    '🍓': 'strawberry',
+    '🫐': 'blueberries',
+    '🥝': 'kiwi fruit',
+    '🍅': 'tomato',
+    '🫒': 'olive',
+    '🥥': 'coconut',
+    '🥑': 'avocado',
+    '🍆': 'eggplant',
+    '🥔': 'potato',
+    '🥕': 'carrot',
+    '🌽': 'ear of corn',
+    '🌶': 'hot pepper',
+    '🫑': 'bell pepper',
+    '🥒': 'cucumber',
+    '🥬': 'leafy green',
+    '🥦': 'broccoli',
+    '🧄': 'garlic',
+    '🧅': 'onion',
+    '🥜': 'peanuts',
+    '🫘': 'beans',
+    '🌰': 'chestnut',
+    '🫚': 'ginger root',
+    '🫛': 'pea pod',
+    '🍄‍🟫': 'brown mushroom',
+    '🍞': 'bread',
+    '🥐': 'croissant',
+    '🥖': 'baguette bread',
+    '🫓': 'flatbread',
+    '🥨': 'pretzel',
+    '🥯': 'bagel',
+    '🥞': 'pancakes',
+    '🧇': 'waffle',
+    '🧀': 'cheese wedge',
+    '🍖': 'meat on bone',
+    '🍗': 'poultry leg',
+    '🥩': 'cut of meat',
+    '🥓': 'bacon',
+    '🍔': 'hamburger',
+    '🍟': 'french fries',
+    '🍕': 'pizza',
+    '🌭': 'hot dog',
+    '🥪': 'sandwich',
+    '🌮': 'taco',
+    '🌯': 'burrito',
+    '🫔': 'tamale',
+    '🥙': 'stuffed flatbread',
+    '🧆': 'falafel',
+    '🥚': 'egg',
+    '🍳': 'cooking',
+    '🥘': 'shallow pan of food',
+    '🍲': 'pot of food',
+    '🫕': 'fondue',
+    '🥣': 'bowl with spoon',
+    '🥗': 'green salad',
+    '🍿': 'popcorn',
+    '🧈': 'butter',
+    '🧂': 'salt',
+    '🥫': 'canned food',
+    '🍱': 'bento box',
+    '🍘': 'rice cracker',
+    '🍙': 'rice ball',
+    '🍚': 'cooked rice',
+    '🍛': 'curry rice',
+    '🍜': 'steaming bowl',
+    '🍝': 'spaghetti',
+    '🍠': 'roasted sweet potato',
+    '🍢': 'oden',
+    '🍣': 'sushi',
+    '🍤': 'fried shrimp',
+    '🍥': 'fish cake with swirl',
+    '🥮': 'moon cake',
+    '🍡': 'dango',
+    '🥟': 'dumpling',
+    '🥠': 'fortune cookie',
+    '🥡': 'takeout box',
+    '🦀': 'crab',
+    '🦞': 'lobster',
+    '🦐': 'shrimp',
+    '🦑': 'squid',
+    '🦪': 'oyster',
+    '🍦': 'soft ice cream',
+    '🍧': 'shaved ice',
+    '🍨': 'ice cream',
+    '🍩': 'doughnut',
+    '🍪': 'cookie',
+    '🎂': 'birthday cake',
+    '🍰': 'shortcake',
+    '🧁': 'cupcake',
+    '🥧': 'pie',
+    '🍫': 'chocolate bar',
+    '🍬': 'candy',
+    '🍭': 'lollipop',
+    '🍮': 'custard',
+    '🍯': 'honey pot',
+    '🍼': 'baby bottle',
+    '🥛': 'glass of milk',
+    '☕': 'hot beverage',
+    '🫖': 'teapot',
+    '🍵': 'teacup without handle',
+    '🍶': 'sake',
+    '🍾': 'bottle with popping cork',
+    '🍷': 'wine glass',
+    '🍸': 'cocktail glass',
+    '🍹': 'tropical drink',
+    '🍺': 'beer mug',
+    '🍻': 'clinking beer mugs',
+    '🥂': 'clinking glasses',
+    '🥃': 'tumbler glass',
+    '🫗': 'pouring liquid',
+    '🥤': 'cup with straw',
+    '🧋': 'bubble tea',
+    '🧃': 'beverage box',
+    '🧉': 'mate',
+    '🧊': 'ice',
+    '🥢': 'chopsticks',
+    '🍽': 'fork and knife with plate',
+    '🍴': 'fork and knife',
+    '🥄': 'spoon',
+    '🔪': 'kitchen knife',
+    '🫙': 'jar',
+    '🏺': 'amphora',
+    '🌍': 'globe showing Europe-Africa',
+    '🌎': 'globe showing Americas',
+    '🌏': 'globe showing Asia-Australia',
+    '🌐': 'globe with meridians',
+    '🗺': 'world map',
+    '🗾': 'map of Japan',
+    '🧭': 'compass',
+    '🏔': 'snow-capped mountain',
+    '⛰': 'mountain',
+    '🌋': 'volcano',
+    '🗻': 'mount fuji',
+    '🏕': 'camping',
+    '🏖': 'beach with umbrella',
+    '🏜': 'desert',
+    '🏝': 'desert island',
+    '🏞': 'national park',
+    '🏟': 'stadium',
+    '🏛': 'classical building',
+    '🏗': 'building construction',
+    '🧱': 'brick',
+    '🪨': 'rock',
+    '🪵': 'wood',
+    '🛖': 'hut',
+    '🏘': 'houses',
+    '🏚': 'derelict house',
+    '🏠': 'house',
+    '🏡': 'house with garden',
+    '🏢': 'office building',
+    '🏣': 'Japanese post office',
+    '🏤': 'post office',
+    '🏥': 'hospital',
+    '🏦': 'bank',
+    '🏨': 'hotel',
+    '🏩': 'love hotel',
+    '🏪': 'convenience store',
+    '🏫': 'school',
+    '🏬': 'department store',
+    '🏭': 'factory',
+    '🏯': 'Japanese castle',
+    '🏰': 'castle',
+    '💒': 'wedding',
+    '🗼': 'Tokyo tower',
+    '🗽': 'Statue of Liberty',
+    '⛪': 'church',
+    '🕌': 'mosque',
+    '🛕': 'hindu temple',
+    '🕍': 'synagogue',
+    '⛩': 'shinto shrine',
+    '🕋': 'kaaba',
+    '⛲': 'fountain',
+    '⛺': 'tent',
+    '🌁': 'foggy',
+    '🌃': 'night with stars',
+    '🏙': 'cityscape',
+    '🌄': 'sunrise over mountains',
+    '🌅': 'sunrise',
+    '🌆': 'cityscape at dusk',
+    '🌇': 'sunset',
+    '🌉': 'bridge at night',
+    '♨': 'hot springs',
+    '🎠': 'carousel horse',
+    '🛝': 'playground slide',
+    '🎡': 'ferris wheel',
+    '🎢': 'roller coaster',
+    '💈': 'barber pole',
+    '🎪': 'circus tent',
+    '🚂': 'locomotive',
+    '🚃': 'railway car',
+    '🚄': 'high-speed train',
+    '🚅': 'bullet train',
+    '🚆': 'train',
+    '🚇': 'metro',
+    '🚈': 'light rail',
+    '🚉': 'station',
+    '🚊': 'tram',
+    '🚝': 'monorail',
+    '🚞': 'mountain railway',
+    '🚋': 'tram car',
+    '🚌': 'bus',
+    '🚍': 'oncoming bus',
+    '🚎': 'trolleybus',
+    '🚐': 'minibus',
+    '🚑': 'ambulance',
+    '🚒': 'fire engine',
+    '🚓': 'police car',
+    '🚔': 'oncoming police car',
+    '🚕': 'taxi',
+    '🚖': 'oncoming taxi',
+    '🚗': 'automobile',
+    '🚘': 'oncoming automobile',
+    '🚙': 'sport utility vehicle',
+    '🛻': 'pickup truck',
+    '🚚': 'delivery truck',
+    '🚛': 'articulated lorry',
+    '🚜': 'tractor',
+    '🏎': 'racing car',
+    '🏍': 'motorcycle',
+    '🛵': 'motor scooter',
+    '🦽': 'manual wheelchair',
+    '🦼': 'motorized wheelchair',
+    '🛺': 'auto rickshaw',
+    '🚲': 'bicycle',
+    '🛴': 'kick scooter',
+    '🛹': 'skateboard',
+    '🛼': 'roller skate',
+    '🚏': 'bus stop',
+    '🛣': 'motorway',
+    '🛤': 'railway track',
+    '🛢': 'oil drum',
+    '⛽': 'fuel pump',
+    '🛞': 'wheel',
+    '🚨': 'police car light',
+    '🚥': 'horizontal traffic light',
+    '🚦': 'vertical traffic light',
+    '🛑': 'stop sign',
+    '🚧': 'construction',
+    '⚓': 'anchor',
+    '🛟': 'ring buoy',
+    '⛵': 'sailboat',
+    '🛶': 'canoe',
+    '🚤': 'speedboat',
+    '🛳': 'passenger ship',
+    '⛴': 'ferry',
+    '🛥': 'motor boat',
+    '🚢': 'ship',
+    '✈': 'airplane',
+    '🛩': 'small airplane',
+    '🛫': 'airplane departure',
+    '🛬': 'airplane arrival',
+    '🪂': 'parachute',
+    '💺': 'seat',
+    '🚁': 'helicopter',
+    '🚟': 'suspension railway',
+    '🚠': 'mountain cableway',
+    '🚡': 'aerial tramway',
+    '🛰': 'satellite',
+    '🚀': 'rocket',
+    '🛸': 'flying saucer',
+    '🛎': 'bellhop bell',
+    '🧳': 'luggage',
+    '⌛': 'hourglass done',
+    '⏳': 'hourglass not done',
+    '⌚': 'watch',
+    '⏰': 'alarm clock',
+    '⏱': 'stopwatch',
+    '⏲': 'timer clock',
+    '🕰': 'mantelpiece clock',
+    '🕛': 'twelve o’clock',
+    '🕧': 'twelve-thirty',
+    '🕐': 'one o’clock',
+    '🕜': 'one-thirty',
+    '🕑': 'two o’clock',
+    '🕝': 'two-thirty',
+    '🕒': 'three o’clock',
+    '🕞': 'three-thirty',
+    '🕓': 'four o’clock',
+    '🕟': 'four-thirty',
+    '🕔': 'five o’clock',
+    '🕠': 'five-thirty',
+    '🕕': 'six o’clock',
+    '🕡': 'six-thirty',
+    '🕖': 'seven o’clock',
+    '🕢': 'seven-thirty',
+    '🕗': 'eight o’clock',
+    '🕣': 'eight-thirty',
+    '🕘': 'nine o’clock',
+    '🕤': 'nine-thirty',
+    '🕙': 'ten o’clock',
+    '🕥': 'ten-thirty',
+    '🕚': 'eleven o’clock',
+    '🕦': 'eleven-thirty',
+    '🌑': 'new moon',
+    '🌒': 'waxing crescent moon',
+    '🌓': 'first quarter moon',
+    '🌔': 'waxing gibbous moon',
+    '🌕': 'full moon',
+    '🌖': 'waning gibbous moon',
+    '🌗': 'last quarter moon',
+    '🌘': 'waning crescent moon',
+    '🌙': 'crescent moon',
+    '🌚': 'new moon face',
+    '🌛': 'first quarter moon face',
+    '🌜': 'last quarter moon face',
+    '🌡': 'thermometer',
+    '☀': 'sun',
+    '🌝': 'full moon face',
+    '🌞': 'sun with face',
+    '🪐': 'ringed planet',
+    '⭐': 'star',
+    '🌟': 'glowing star',
+    '🌠': 'shooting star',
+    '🌌': 'milky way',
+    '☁': 'cloud',
+    '⛅': 'sun behind cloud',
+    '⛈': 'cloud with lightning and rain',
+    '🌤': 'sun behind small cloud',
+    '🌥': 'sun behind large cloud',
+    '🌦': 'sun behind rain cloud',
+    '🌧': 'cloud with rain',
+    '🌨': 'cloud with snow',
+    '🌩': 'cloud with lightning',
+    '🌪': 'tornado',
+    '🌫': 'fog',
+    '🌬': 'wind face',
+    '🌀': 'cyclone',
+    '🌈': 'rainbow',
+    '🌂': 'closed umbrella',
+    '☂': 'umbrella',
+    '☔': 'umbrella with rain drops',
+    '⛱': 'umbrella on ground',
+    '⚡': 'high voltage',
+    '❄': 'snowflake',
+    '☃': 'snowman',
+    '⛄': 'snowman without snow',
+    '☄': 'comet',
+    '🔥': 'fire',
+    '💧': 'droplet',
+    '🌊': 'water wave',
+    '🎃': 'jack-o-lantern',
+    '🎄': 'Christmas tree',
+    '🎆': 'fireworks',
+    '🎇': 'sparkler',
+    '🧨': 'firecracker',
+    '✨': 'sparkles',
+    '🎈': 'balloon',
+    '🎉': 'party popper',
+    '🎊': 'confetti ball',
+    '🎋': 'tanabata tree',
+    '🎍': 'pine decoration',
+    '🎎': 'Japanese dolls',
+    '🎏': 'carp streamer',
+    '🎐': 'wind chime',
+    '🎑': 'moon viewing ceremony',
+    '🧧': 'red envelope',
+    '🎀': 'ribbon',
+    '🎁': 'wrapped gift',
+    '🎗': 'reminder ribbon',
+    '🎟': 'admission tickets',
+    '🎫': 'ticket',
+    '🎖': 'military medal',
+    '🏆': 'trophy',
+    '🏅': 'sports medal',
+    '🥇': '1st place medal',
+    '🥈': '2nd place medal',
+    '🥉': '3rd place medal',
+    '⚽': 'soccer ball',
+    '⚾': 'baseball',
+    '🥎': 'softball',
+    '🏀': 'basketball',
+    '🏐': 'volleyball',
+    '🏈': 'american football',
+    '🏉': 'rugby football',
+    '🎾': 'tennis',
+    '🥏': 'flying disc',
+    '🎳': 'bowling',
+    '🏏': 'cricket game',
+    '🏑': 'field hockey',
+    '🏒': 'ice hockey',
+    '🥍': 'lacrosse',
+    '🏓': 'ping pong',
+    '🏸': 'badminton',
+    '🥊': 'boxing glove',
+    '🥋': 'martial arts uniform',
+    '🥅': 'goal net',
+    '⛳': 'flag in hole',
+    '⛸': 'ice skate',
+    '🎣': 'fishing pole',
+    '🤿': 'diving mask',
+    '🎽': 'running shirt',
+    '🎿': 'skis',
+    '🛷': 'sled',
+    '🥌': 'curling stone',
+    '🎯': 'bullseye',
+    '🪀': 'yo-yo',
+    '🪁': 'kite',
+    '🔫': 'water pistol',
+    '🎱': 'pool 8 ball',
+    '🔮': 'crystal ball',
+    '🪄': 'magic wand',
+    '🎮': 'video game',
+    '🕹': 'joystick',
+    '🎰': 'slot machine',
+    '🎲': 'game die',
+    '🧩': 'puzzle piece',
+    '🧸': 'teddy bear',
+    '🪅': 'piñata',
+    '🪩': 'mirror ball',
+    '🪆': 'nesting dolls',
+    '♠': 'spade suit',
+    '♥': 'heart suit',
+    '♦': 'diamond suit',
+    '♣': 'club suit',
+    '♟': 'chess pawn',
+    '🃏': 'joker',
+    '🀄': 'mahjong red dragon',
+    '🎴': 'flower playing cards',
+    '🎭': 'performing arts',
+    '🖼': 'framed picture',
+    '🎨': 'artist palette',
+    '🧵': 'thread',
+    '🪡': 'sewing needle',
+    '🧶': 'yarn',
+    '🪢': 'knot',
+    '👓': 'glasses',
+    '🕶': 'sunglasses',
+    '🥽': 'goggles',
+    '🥼': 'lab coat',
+    '🦺': 'safety vest',
+    '👔': 'necktie',
+    '👕': 't-shirt',
+    '👖': 'jeans',
+    '🧣': 'scarf',
+    '🧤': 'gloves',
+    '🧥': 'coat',
+    '🧦': 'socks',
+    '👗': 'dress',
+    '👘': 'kimono',
+    '🥻': 'sari',
+    '🩱': 'one-piece swimsuit',
+    '🩲': 'briefs',
+    '🩳': 'shorts',
+    '👙': 'bikini',
+    '👚': 'woman’s clothes',
+    '🪭': 'folding hand fan',
+    '👛': 'purse',
+    '👜': 'handbag',
+    '👝': 'clutch bag',
+    '🛍': 'shopping bags',
+    '🎒': 'backpack',
+    '🩴': 'thong sandal',
+    '👞': 'man’s shoe',
+    '👟': 'running shoe',
+    '🥾': 'hiking boot',
+    '🥿': 'flat shoe',
+    '👠': 'high-heeled shoe',
+    '👡': 'woman’s sandal',
+    '🩰': 'ballet shoes',
+    '👢': 'woman’s boot',
+    '🪮': 'hair pick',
+    '👑': 'crown',
+    '👒': 'woman’s hat',
+    '🎩': 'top hat',
+    '🎓': 'graduation cap',
+    '🧢': 'billed cap',
+    '🪖': 'military helmet',
+    '⛑': 'rescue worker’s helmet',
+    '📿': 'prayer beads',
+    '💄': 'lipstick',
+    '💍': 'ring',
+    '💎': 'gem stone',
+    '🔇': 'muted speaker',
+    '🔈': 'speaker low volume',
+    '🔉': 'speaker medium volume',
+    '🔊': 'speaker high volume',
+    '📢': 'loudspeaker',
+    '📣': 'megaphone',
+    '📯': 'postal horn',
+    '🔔': 'bell',
+    '🔕': 'bell with slash',
+    '🎼': 'musical score',
+    '🎵': 'musical note',
+    '🎶': 'musical notes',
+    '🎙': 'studio microphone',
+    '🎚': 'level slider',
+    '🎛': 'control knobs',
+    '🎤': 'microphone',
+    '🎧': 'headphone',
+    '📻': 'radio',
+    '🎷': 'saxophone',
+    '🪗': 'accordion',
+    '🎸': 'guitar',
+    '🎹': 'musical keyboard',
+    '🎺': 'trumpet',
+    '🎻': 'violin',
+    '🪕': 'banjo',
+    '🥁': 'drum',
+    '🪘': 'long drum',
+    '🪇': 'maracas',
+    '🪈': 'flute',
+    '📱': 'mobile phone',
+    '📲': 'mobile phone with arrow',
+    '☎': 'telephone',
+    '📞': 'telephone receiver',
+    '📟': 'pager',
+    '📠': 'fax machine',
+    '🔋': 'battery',
+    '🪫': 'low battery',
+    '🔌': 'electric plug',
+    '💻': 'laptop',
+    '🖥': 'desktop computer',
+    '🖨': 'printer',
+    '⌨': 'keyboard',
+    '🖱': 'computer mouse',
+    '🖲': 'trackball',
+    '💽': 'computer disk',
+    '💾': 'floppy disk',
+    '💿': 'optical disk',
+    '📀': 'dvd',
+    '🧮': 'abacus',
+    '🎥': 'movie camera',
+    '🎞': 'film frames',
+    '📽': 'film projector',
+    '🎬': 'clapper board',
+    '📺': 'television',
+    '📷': 'camera',
+    '📸': 'camera with flash',
+    '📹': 'video camera',
+    '📼': 'videocassette',
+    '🔍': 'magnifying glass tilted left',
+    '🔎': 'magnifying glass tilted right',
+    '🕯': 'candle',
+    '💡': 'light bulb',
+    '🔦': 'flashlight',
+    '🏮': 'red paper lantern',
+    '🪔': 'diya lamp',
+    '📔': 'notebook with decorative cover',
+    '📕': 'closed book',
+    '📖': 'open book',
+    '📗': 'green book',
+    '📘': 'blue book',
+    '📙': 'orange book',
+    '📚': 'books',
+    '📓': 'notebook',
+    '📒': 'ledger',
+    '📃': 'page with curl',
+    '📜': 'scroll',
+    '📄': 'page facing up',
+    '📰': 'newspaper',
+    '🗞': 'rolled-up newspaper',
+    '📑': 'bookmark tabs',
+    '🔖': 'bookmark',
+    '🏷': 'label',
+    '💰': 'money bag',
+    '🪙': 'coin',
+    '💴': 'yen banknote',
+    '💵': 'dollar banknote',
+    '💶': 'euro banknote',
+    '💷': 'pound banknote',
+    '💸': 'money with wings',
+    '💳': 'credit card',
+    '🧾': 'receipt',
+    '💹': 'chart increasing with yen',
+    '✉': 'envelope',
+    '📧': 'e-mail',
+    '📨': 'incoming envelope',
+    '📩': 'envelope with arrow',
+    '📤': 'outbox tray',
+    '📥': 'inbox tray',
+    '📦': 'package',
+    '📫': 'closed mailbox with raised flag',
+    '📪': 'closed mailbox with lowered flag',
+    '📬': 'open mailbox with raised flag',
+    '📭': 'open mailbox with lowered flag',
+    '📮': 'postbox',
+    '🗳': 'ballot box with ballot',
+    '✏': 'pencil',
+    '✒': 'black nib',
+    '🖋': 'fountain pen',
+    '🖊': 'pen',
+    '🖌': 'paintbrush',
+    '🖍': 'crayon',
+    '📝': 'memo',
+    '💼': 'briefcase',
+    '📁': 'file folder',
+    '📂': 'open file folder',
+    '🗂': 'card index dividers',
+    '📅': 'calendar',
+    '📆': 'tear-off calendar',
+    '🗒': 'spiral notepad',
+    '🗓': 'spiral calendar',
+    '📇': 'card index',
+    '📈': 'chart increasing',
+    '📉': 'chart decreasing',
+    '📊': 'bar chart',
+    '📋': 'clipboard',
+    '📌': 'pushpin',
+    '📍': 'round pushpin',
+    '📎': 'paperclip',
+    '🖇': 'linked paperclips',
+    '📏': 'straight ruler',
+    '📐': 'triangular ruler',
+    '✂': 'scissors',
+    '🗃': 'card file box',
+    '🗄': 'file cabinet',
+    '🗑': 'wastebasket',
+    '🔒': 'locked',
+    '🔓': 'unlocked',
+    '🔏': 'locked with pen',
+    '🔐': 'locked with key',
+    '🔑': 'key',
+    '🗝': 'old key',
+    '🔨': 'hammer',
+    '🪓': 'axe',
+    '⛏': 'pick',
+    '⚒': 'hammer and pick',
+    '🛠': 'hammer and wrench',
+    '🗡': 'dagger',
+    '⚔': 'crossed swords',
+    '💣': 'bomb',
+    '🪃': 'boomerang',
+    '🏹': 'bow and arrow',
+    '🛡': 'shield',
+    '🪚': 'carpentry saw',
+    '🔧': 'wrench',
+    '🪛': 'screwdriver',
+    '🔩': 'nut and bolt',
+    '⚙': 'gear',
+    '🗜': 'clamp',
+    '⚖': 'balance scale',
+    '🦯': 'white cane',
+    '🔗': 'link',
+    '⛓‍💥': 'broken chain',
+    '⛓': 'chains',
+    '🪝': 'hook',
+    '🧰': 'toolbox',
+    '🧲': 'magnet',
+    '🪜': 'ladder',
+    '⚗': 'alembic',
+    '🧪': 'test tube',
+    '🧫': 'petri dish',
+    '🧬': 'dna',
+    '🔬': 'microscope',
+    '🔭': 'telescope',
+    '📡': 'satellite antenna',
+    '💉': 'syringe',
+    '🩸': 'drop of blood',
+    '💊': 'pill',
+    '🩹': 'adhesive bandage',
+    '🩼': 'crutch',
+    '🩺': 'stethoscope',
+    '🩻': 'x-ray',
+    '🚪': 'door',
+    '🛗': 'elevator',
+    '🪞': 'mirror',
+    '🪟': 'window',
+    '🛏': 'bed',
+    '🛋': 'couch and lamp',
+    '🪑': 'chair',
+    '🚽': 'toilet',
+    '🪠': 'plunger',
+    '🚿': 'shower',
+    '🛁': 'bathtub',
+    '🪤': 'mouse trap',
+    '🪒': 'razor',
+    '🧴': 'lotion bottle',
+    '🧷': 'safety pin',
+    '🧹': 'broom',
+    '🧺': 'basket',
+    '🧻': 'roll of paper',
+    '🪣': 'bucket',
+    '🧼': 'soap',
+    '🫧': 'bubbles',
+    '🪥': 'toothbrush',
+    '🧽': 'sponge',
+    '🧯': 'fire extinguisher',
+    '🛒': 'shopping cart',
+    '🚬': 'cigarette',
+    '⚰': 'coffin',
+    '🪦': 'headstone',
+    '⚱': 'funeral urn',
+    '🧿': 'nazar amulet',
+    '🪬': 'hamsa',
+    '🗿': 'moai',
+    '🪧': 'placard',
+    '🪪': 'identification card',
+    '🏧': 'ATM sign',
+    '🚮': 'litter in bin sign',
+    '🚰': 'potable water',
+    '♿': 'wheelchair symbol',
+    '🚹': 'men’s room',
+    '🚺': 'women’s room',
+    '🚻': 'restroom',
+    '🚼': 'baby symbol',
+    '🚾': 'water closet',
+    '🛂': 'passport control',
+    '🛃': 'customs',
+    '🛄': 'baggage claim',
+    '🛅': 'left luggage',
+    '⚠': 'warning',
+    '🚸': 'children crossing',
+    '⛔': 'no entry',
+    '🚫': 'prohibited',
+    '🚳': 'no bicycles',
+    '🚭': 'no smoking',
+    '🚯': 'no littering',
+    '🚱': 'non-potable water',
+    '🚷': 'no pedestrians',
+    '📵': 'no mobile phones',
+    '🔞': 'no one under eighteen',
+    '☢': 'radioactive',
+    '☣': 'biohazard',
+    '⬆': 'up arrow',
+    '↗': 'up-right arrow',
+    '➡': 'right arrow',
+    '↘': 'down-right arrow',
+    '⬇': 'down arrow',
+    '↙': 'down-left arrow',
+    '⬅': 'left arrow',
+    '↖': 'up-left arrow',
+    '↕': 'up-down arrow',
+    '↔': 'left-right arrow',
+    '↩': 'right arrow curving left',
+    '↪': 'left arrow curving right',
+    '⤴': 'right arrow curving up',
+    '⤵': 'right arrow curving down',
+    '🔃': 'clockwise vertical arrows',
+    '🔄': 'counterclockwise arrows button',
+    '🔙': 'BACK arrow',
+    '🔚': 'END arrow',
+    '🔛': 'ON! arrow',
+    '🔜': 'SOON arrow',
+    '🔝': 'TOP arrow',
+    '🛐': 'place of worship',
+    '⚛': 'atom symbol',
+    '🕉': 'om',
+    '✡': 'star of David',
+    '☸': 'wheel of dharma',
+    '☯': 'yin yang',
+    '✝': 'latin cross',
+    '☦': 'orthodox cross',
+    '☪': 'star and crescent',
+    '☮': 'peace symbol',
+    '🕎': 'menorah',
+    '🔯': 'dotted six-pointed star',
+    '🪯': 'khanda',
+    '♈': 'Aries',
+    '♉': 'Taurus',
+    '♊': 'Gemini',
+    '♋': 'Cancer',
+    '♌': 'Leo',
+    '♍': 'Virgo',
+    '♎': 'Libra',
+    '♏': 'Scorpio',
+    '♐': 'Sagittarius',
+    '♑': 'Capricorn',
+    '♒': 'Aquarius',
+    '♓': 'Pisces',
+    '⛎': 'Ophiuchus',
+    '🔀': 'shuffle tracks button',
+    '🔁': 'repeat button',
+    '🔂': 'repeat single button',
+    '▶': 'play button',
+    '⏩': 'fast-forward button',
+    '⏭': 'next track button',
+    '⏯': 'play or pause button',
+    '◀': 'reverse button',
+    '⏪': 'fast reverse button',
+    '⏮': 'last track button',
+    '🔼': 'upwards button',
+    '⏫': 'fast up button',
+    '🔽': 'downwards button',
+    '⏬': 'fast down button',
+    '⏸': 'pause button',
+    '⏹': 'stop button',
+    '⏺': 'record button',
+    '⏏': 'eject button',
+    '🎦': 'cinema',
+    '🔅': 'dim button',
+    '🔆': 'bright button',
+    '📶': 'antenna bars',
+    '🛜': 'wireless',
+    '📳': 'vibration mode',
+    '📴': 'mobile phone off',
+    '♀': 'female sign',
+    '♂': 'male sign',
+    '⚧': 'transgender symbol',
+    '✖': 'multiply',
+    '➕': 'plus',
+    '➖': 'minus',
+    '➗': 'divide',
+    '🟰': 'heavy equals sign',
+    '♾': 'infinity',
+    '‼': 'double exclamation mark',
+    '⁉': 'exclamation question mark',
+    '❓': 'red question mark',
+    '❔': 'white question mark',
+    '❕': 'white exclamation mark',
+    '❗': 'red exclamation mark',
+    '〰': 'wavy dash',
+    '💱': 'currency exchange',
+    '💲': 'heavy dollar sign',
+    '⚕': 'medical symbol',
+    '♻': 'recycling symbol',
+    '⚜': 'fleur-de-lis',
+    '🔱': 'trident emblem',
+    '📛': 'name badge',
+    '🔰': 'Japanese symbol for beginner',
+    '⭕': 'hollow red circle',
+    '✅': 'check mark button',
+    '☑': 'check box with check',
+    '✔': 'check mark',
+    '❌': 'cross mark',
+    '❎': 'cross mark button',
+    '➰': 'curly loop',
+    '➿': 'double curly loop',
+    '〽': 'part alternation mark',
+    '✳': 'eight-spoked asterisk',
+    '✴': 'eight-pointed star',
+    '❇': 'sparkle',
+    '©': 'copyright',
+    '®': 'registered',
+    '™': 'trade mark',
+    '#⃣': 'keycap: #',
+    '*⃣': 'keycap: *',
+    '0⃣': 'keycap: 0',
+    '1⃣': 'keycap: 1',
+    '2⃣': 'keycap: 2',
+    '3⃣': 'keycap: 3',
+    '4⃣': 'keycap: 4',
+    '5⃣': 'keycap: 5',
+    '6⃣': 'keycap: 6',
+    '7⃣': 'keycap: 7',
+    '8⃣': 'keycap: 8',
+    '9⃣': 'keycap: 9',
+    '🔟': 'keycap: 10',
+    '🔠': 'input latin uppercase',
+    '🔡': 'input latin lowercase',
+    '🔢': 'input numbers',
+    '🔣': 'input symbols',
+    '🔤': 'input latin letters',
+    '🅰': 'A button (blood type)',
+    '🆎': 'AB button (blood type)',
+    '🅱': 'B button (blood type)',
+    '🆑': 'CL button',
+    '🆒': 'COOL button',
+    '🆓': 'FREE button',
+    ℹ: 'information',
+    '🆔': 'ID button',
+    'Ⓜ': 'circled M',
+    '🆕': 'NEW button',
+    '🆖': 'NG button',
+    '🅾': 'O button (blood type)',
+    '🆗': 'OK button',
+    '🅿': 'P button',
+    '🆘': 'SOS button',
+    '🆙': 'UP! button',
+    '🆚': 'VS button',
+    '🈁': 'Japanese “here” button',
+    '🈂': 'Japanese “service charge” button',
+    '🈷': 'Japanese “monthly amount” button',
+    '🈶': 'Japanese “not free of charge” button',
+    '🈯': 'Japanese “reserved” button',
+    '🉐': 'Japanese “bargain” button',
+    '🈹': 'Japanese “discount” button',
+    '🈚': 'Japanese “free of charge” button',
+    '🈲': 'Japanese “prohibited” button',
+    '🉑': 'Japanese “acceptable” button',
+    '🈸': 'Japanese “application” button',
+    '🈴': 'Japanese “passing grade” button',
+    '🈳': 'Japanese “vacancy” button',
+    '㊗': 'Japanese “congratulations” button',
+    '㊙': 'Japanese “secret” button',
+    '🈺': 'Japanese “open for business” button',
+    '🈵': 'Japanese “no vacancy” button',
+    '🔴': 'red circle',
+    '🟠': 'orange circle',
+    '🟡': 'yellow circle',
+    '🟢': 'green circle',
+    '🔵': 'blue circle',
+    '🟣': 'purple circle',
+    '🟤': 'brown circle',
+    '⚫': 'black circle',
+    '⚪': 'white circle',
+    '🟥': 'red square',
+    '🟧': 'orange square',
+    '🟨': 'yellow square',
+    '🟩': 'green square',
+    '🟦': 'blue square',
+    '🟪': 'purple square',
+    '🟫': 'brown square',
+    '⬛': 'black large square',
+    '⬜': 'white large square',
+    '◼': 'black medium square',
+    '◻': 'white medium square',
+    '◾': 'black medium-small square',
+    '◽': 'white medium-small square',
+    '▪': 'black small square',
+    '▫': 'white small square',
+    '🔶': 'large orange diamond',
+    '🔷': 'large blue diamond',
+    '🔸': 'small orange diamond',
+    '🔹': 'small blue diamond',
+    '🔺': 'red triangle pointed up',
+    '🔻': 'red triangle pointed down',
+    '💠': 'diamond with a dot',
+    '🔘': 'radio button',
+    '🔳': 'white square button',
+    '🔲': 'black square button',
+    '🏁': 'chequered flag',
+    '🚩': 'triangular flag',
+    '🎌': 'crossed flags',
+    '🏴': 'black flag',
+    '🏳': 'white flag',
+    '🏳‍🌈': 'rainbow flag',
+    '🏳‍⚧': 'transgender flag',
+    '🏴‍☠': 'pirate flag',
+    '🇦🇨': 'flag: Ascension Island',
+    '🇦🇩': 'flag: Andorra',
+    '🇦🇪': 'flag: United Arab Emirates',
+    '🇦🇫': 'flag: Afghanistan',
+    '🇦🇬': 'flag: Antigua & Barbuda',
+    '🇦🇮': 'flag: Anguilla',
+    '🇦🇱': 'flag: Albania',
+    '🇦🇲': 'flag: Armenia',
+    '🇦🇴': 'flag: Angola',
+    '🇦🇶': 'flag: Antarctica',
+    '🇦🇷': 'flag: Argentina',
+    '🇦🇸': 'flag: American Samoa',
+    '🇦🇹': 'flag: Austria',
+    '🇦🇺': 'flag: Australia',
+    '🇦🇼': 'flag: Aruba',
+    '🇦🇽': 'flag: Åland Islands',
+    '🇦🇿': 'flag: Azerbaijan',
+    '🇧🇦': 'flag: Bosnia & Herzegovina',
+    '🇧🇧': 'flag: Barbados',
+    '🇧🇩': 'flag: Bangladesh',
+    '🇧🇪': 'flag: Belgium',
+    '🇧🇫': 'flag: Burkina Faso',
+    '🇧🇬': 'flag: Bulgaria',
+    '🇧🇭': 'flag: Bahrain',
+    '🇧🇮': 'flag: Burundi',
+    '🇧🇯': 'flag: Benin',
+    '🇧🇱': 'flag: St. Barthélemy',
+    '🇧🇲': 'flag: Bermuda',
+    '🇧🇳': 'flag: Brunei',
+    '🇧🇴': 'flag: Bolivia',
+    '🇧🇶': 'flag: Caribbean Netherlands',
+    '🇧🇷': 'flag: Brazil',
+    '🇧🇸': 'flag: Bahamas',
+    '🇧🇹': 'flag: Bhutan',
+    '🇧🇻': 'flag: Bouvet Island',
+    '🇧🇼': 'flag: Botswana',
+    '🇧🇾': 'flag: Belarus',
+    '🇧🇿': 'flag: Belize',
+    '🇨🇦': 'flag: Canada',
+    '🇨🇨': 'flag: Cocos (Keeling) Islands',
+    '🇨🇩': 'flag: Congo - Kinshasa',
+    '🇨🇫': 'flag: Central African Republic',
+    '🇨🇬': 'flag: Congo - Brazzaville',
+    '🇨🇭': 'flag: Switzerland',
+    '🇨🇮': 'flag: Côte d’Ivoire',
+    '🇨🇰': 'flag: Cook Islands',
+    '🇨🇱': 'flag: Chile',
+    '🇨🇲': 'flag: Cameroon',
+    '🇨🇳': 'flag: China',
+    '🇨🇴': 'flag: Colombia',
+    '🇨🇵': 'flag: Clipperton Island',
+    '🇨🇷': 'flag: Costa Rica',
+    '🇨🇺': 'flag: Cuba',
+    '🇨🇻': 'flag: Cape Verde',
+    '🇨🇼': 'flag: Curaçao',
+    '🇨🇽': 'flag: Christmas Island',
+    '🇨🇾': 'flag: Cyprus',
+    '🇨🇿': 'flag: Czechia',
+    '🇩🇪': 'flag: Germany',
+    '🇩🇬': 'flag: Diego Garcia',
+    '🇩🇯': 'flag: Djibouti',
+    '🇩🇰': 'flag: Denmark',
+    '🇩🇲': 'flag: Dominica',
+    '🇩🇴': 'flag: Dominican Republic',
+    '🇩🇿': 'flag: Algeria',
+    '🇪🇦': 'flag: Ceuta & Melilla',
+    '🇪🇨': 'flag: Ecuador',
+    '🇪🇪': 'flag: Estonia',
+    '🇪🇬': 'flag: Egypt',
+    '🇪🇭': 'flag: Western Sahara',
+    '🇪🇷': 'flag: Eritrea',
+    '🇪🇸': 'flag: Spain',
+    '🇪🇹': 'flag: Ethiopia',
+    '🇪🇺': 'flag: European Union',
+    '🇫🇮': 'flag: Finland',
+    '🇫🇯': 'flag: Fiji',
+    '🇫🇰': 'flag: Falkland Islands',
+    '🇫🇲': 'flag: Micronesia',
+    '🇫🇴': 'flag: Faroe Islands',
+    '🇫🇷': 'flag: France',
+    '🇬🇦': 'flag: Gabon',
+    '🇬🇧': 'flag: United Kingdom',
+    '🇬🇩': 'flag: Grenada',
+    '🇬🇪': 'flag: Georgia',
+    '🇬🇫': 'flag: French Guiana',
+    '🇬🇬': 'flag: Guernsey',
+    '🇬🇭': 'flag: Ghana',
+    '🇬🇮': 'flag: Gibraltar',
+    '🇬🇱': 'flag: Greenland',
+    '🇬🇲': 'flag: Gambia',
+    '🇬🇳': 'flag: Guinea',
+    '🇬🇵': 'flag: Guadeloupe',
+    '🇬🇶': 'flag: Equatorial Guinea',
+    '🇬🇷': 'flag: Greece',
+    '🇬🇸': 'flag: South Georgia & South Sandwich Islands',
+    '🇬🇹': 'flag: Guatemala',
+    '🇬🇺': 'flag: Guam',
+    '🇬🇼': 'flag: Guinea-Bissau',
+    '🇬🇾': 'flag: Guyana',
+    '🇭🇰': 'flag: Hong Kong SAR China',
+    '🇭🇲': 'flag: Heard & McDonald Islands',
+    '🇭🇳': 'flag: Honduras',
+    '🇭🇷': 'flag: Croatia',
+    '🇭🇹': 'flag: Haiti',
+    '🇭🇺': 'flag: Hungary',
+    '🇮🇨': 'flag: Canary Islands',
+    '🇮🇩': 'flag: Indonesia',
+    '🇮🇪': 'flag: Ireland',
+    '🇮🇱': 'flag: Israel',
+    '🇮🇲': 'flag: Isle of Man',
+    '🇮🇳': 'flag: India',
+    '🇮🇴': 'flag: British Indian Ocean Territory',
+    '🇮🇶': 'flag: Iraq',
+    '🇮🇷': 'flag: Iran',
+    '🇮🇸': 'flag: Iceland',
+    '🇮🇹': 'flag: Italy',
+    '🇯🇪': 'flag: Jersey',
+    '🇯🇲': 'flag: Jamaica',
+    '🇯🇴': 'flag: Jordan',
+    '🇯🇵': 'flag: Japan',
+    '🇰🇪': 'flag: Kenya',
+    '🇰🇬': 'flag: Kyrgyzstan',
+    '🇰🇭': 'flag: Cambodia',
+    '🇰🇮': 'flag: Kiribati',
+    '🇰🇲': 'flag: Comoros',
+    '🇰🇳': 'flag: St. Kitts & Nevis',
+    '🇰🇵': 'flag: North Korea',
+    '🇰🇷': 'flag: South Korea',
+    '🇰🇼': 'flag: Kuwait',
+    '🇰🇾': 'flag: Cayman Islands',
+    '🇰🇿': 'flag: Kazakhstan',
+    '🇱🇦': 'flag: Laos',
+    '🇱🇧': 'flag: Lebanon',
+    '🇱🇨': 'flag: St. Lucia',
+    '🇱🇮': 'flag: Liechtenstein',
+    '🇱🇰': 'flag: Sri Lanka',
+    '🇱🇷': 'flag: Liberia',
+    '🇱🇸': 'flag: Lesotho',
+    '🇱🇹': 'flag: Lithuania',
+    '🇱🇺': 'flag: Luxembourg',
+    '🇱🇻': 'flag: Latvia',
+    '🇱🇾': 'flag: Libya',
+    '🇲🇦': 'flag: Morocco',
+    '🇲🇨': 'flag: Monaco',
+    '🇲🇩': 'flag: Moldova',
+    '🇲🇪': 'flag: Montenegro',
+    '🇲🇫': 'flag: St. Martin',
+    '🇲🇬': 'flag: Madagascar',
+    '🇲🇭': 'flag: Marshall Islands',
+    '🇲🇰': 'flag: North Macedonia',
+    '🇲🇱': 'flag: Mali',
+    '🇲🇲': 'flag: Myanmar (Burma)',
+    '🇲🇳': 'flag: Mongolia',
+    '🇲🇴': 'flag: Macao SAR China',
+    '🇲🇵': 'flag: Northern Mariana Islands',
+    '🇲🇶': 'flag: Martinique',
+    '🇲🇷': 'flag: Mauritania',
+    '🇲🇸': 'flag: Montserrat',
+    '🇲🇹': 'flag: Malta',
+    '🇲🇺': 'flag: Mauritius',
+    '🇲🇻': 'flag: Maldives',
+    '🇲🇼': 'flag: Malawi',
+    '🇲🇽': 'flag: Mexico',
+    '🇲🇾': 'flag: Malaysia',
+    '🇲🇿': 'flag: Mozambique',
+    '🇳🇦': 'flag: Namibia',
+    '🇳🇨': 'flag: New Caledonia',
+    '🇳🇪': 'flag: Niger',
+    '🇳🇫': 'flag: Norfolk Island',
+    '🇳🇬': 'flag: Nigeria',
+    '🇳🇮': 'flag: Nicaragua',
+    '🇳🇱': 'flag: Netherlands',
+    '🇳🇴': 'flag: Norway',
+    '🇳🇵': 'flag: Nepal',
+    '🇳🇷': 'flag: Nauru',
+    '🇳🇺': 'flag: Niue',
+    '🇳🇿': 'flag: New Zealand',
+    '🇴🇲': 'flag: Oman',
+    '🇵🇦': 'flag: Panama',
+    '🇵🇪': 'flag: Peru',
+    '🇵🇫': 'flag: French Polynesia',
+    '🇵🇬': 'flag: Papua New Guinea',
+    '🇵🇭': 'flag: Philippines',
+    '🇵🇰': 'flag: Pakistan',
+    '🇵🇱': 'flag: Poland',
+    '🇵🇲': 'flag: St. Pierre & Miquelon',
+    '🇵🇳': 'flag: Pitcairn Islands',
+    '🇵🇷': 'flag: Puerto Rico',
+    '🇵🇸': 'flag: Palestinian Territories',
+    '🇵🇹': 'flag: Portugal',
+    '🇵🇼': 'flag: Palau',
+    '🇵🇾': 'flag: Paraguay',
+    '🇶🇦': 'flag: Qatar',
+    '🇷🇪': 'flag: Réunion',
+    '🇷🇴': 'flag: Romania',
+    '🇷🇸': 'flag: Serbia',
+    '🇷🇺': 'flag: Russia',
+    '🇷🇼': 'flag: Rwanda',
+    '🇸🇦': 'flag: Saudi Arabia',
+    '🇸🇧': 'flag: Solomon Islands',
+    '🇸🇨': 'flag: Seychelles',
+    '🇸🇩': 'flag: Sudan',
+    '🇸🇪': 'flag: Sweden',
+    '🇸🇬': 'flag: Singapore',
+    '🇸🇭': 'flag: St. Helena',
+    '🇸🇮': 'flag: Slovenia',
+    '🇸🇯': 'flag: Svalbard & Jan Mayen',
+    '🇸🇰': 'flag: Slovakia',
+    '🇸🇱': 'flag: Sierra Leone',
+    '🇸🇲': 'flag: San Marino',
+    '🇸🇳': 'flag: Senegal',
+    '🇸🇴': 'flag: Somalia',
+    '🇸🇷': 'flag: Suriname',
+    '🇸🇸': 'flag: South Sudan',
+    '🇸🇹': 'flag: São Tomé & Príncipe',
+    '🇸🇻': 'flag: El Salvador',
+    '🇸🇽': 'flag: Sint Maarten',
+    '🇸🇾': 'flag: Syria',
+    '🇸🇿': 'flag: Eswatini',
+    '🇹🇦': 'flag: Tristan da Cunha',
+    '🇹🇨': 'flag: Turks & Caicos Islands',
+    '🇹🇩': 'flag: Chad',
+    '🇹🇫': 'flag: French Southern Territories',
+    '🇹🇬': 'flag: Togo',
+    '🇹🇭': 'flag: Thailand',
+    '🇹🇯': 'flag: Tajikistan',
+    '🇹🇰': 'flag: Tokelau',
+    '🇹🇱': 'flag: Timor-Leste',
+    '🇹🇲': 'flag: Turkmenistan',
+    '🇹🇳': 'flag: Tunisia',
+    '🇹🇴': 'flag: Tonga',
+    '🇹🇷': 'flag: Türkiye',
+    '🇹🇹': 'flag: Trinidad & Tobago',
+    '🇹🇻': 'flag: Tuvalu',
+    '🇹🇼': 'flag: Taiwan',
+    '🇹🇿': 'flag: Tanzania',
+    '🇺🇦': 'flag: Ukraine',
+    '🇺🇬': 'flag: Uganda',
+    '🇺🇲': 'flag: U.S. Outlying Islands',
+    '🇺🇳': 'flag: United Nations',
+    '🇺🇸': 'flag: United States',
+    '🇺🇾': 'flag: Uruguay',
+    '🇺🇿': 'flag: Uzbekistan',
+    '🇻🇦': 'flag: Vatican City',
+    '🇻🇨': 'flag: St. Vincent & Grenadines',
+    '🇻🇪': 'flag: Venezuela',
+    '🇻🇬': 'flag: British Virgin Islands',
+    '🇻🇮': 'flag: U.S. Virgin Islands',
+    '🇻🇳': 'flag: Vietnam',
+    '🇻🇺': 'flag: Vanuatu',
+    '🇼🇫': 'flag: Wallis & Futuna',
+    '🇼🇸': 'flag: Samoa',
+    '🇽🇰': 'flag: Kosovo',
+    '🇾🇪': 'flag: Yemen',
+    '🇾🇹': 'flag: Mayotte',
+    '🇿🇦': 'flag: South Africa',
+    '🇿🇲': 'flag: Zambia',
+    '🇿🇼': 'flag: Zimbabwe',
+    '🏴󠁧󠁢󠁥󠁮󠁧󠁿': 'flag: England',
+    '🏴󠁧󠁢󠁳󠁣󠁴󠁿': 'flag: Scotland',
+    '🏴󠁧󠁢󠁷󠁬󠁳󠁿': 'flag: Wales'
+  },
+  SHORTCODES: {
+    github: {
+      '⁉': 'interrobang',
+      '™': 'tm',
+      ℹ: 'information_source',
+      '↔': 'left_right_arrow',
+      '↕': 'arrow_up_down',
+      '↖': 'arrow_upper_left',
+      '↗': 'arrow_upper_right',
+      '↘': 'arrow_lower_right',
+      '↙': 'arrow_lower_left',
+      '⌨': 'keyboard',
+      '☀': 'sunny',
+      '☁': 'cloud',
+      '☂': 'open_umbrella',
+      '☃': 'snowman_with_snow',
+      '☄': 'comet',
+      '☑': 'ballot_box_with_check',
+      '☔': 'umbrella',
+      '☕': 'coffee',
+      '☘': 'shamrock',
+      '☠': 'skull_and_crossbones',
+      '☢': 'radioactive',
+      '☣': 'biohazard',
+      '☦': 'orthodox_cross',
+      '☸': 'wheel_of_dharma',
+      '☹': 'frowning_face',
+      '♀': 'female_sign',
+      '♂': 'male_sign',
+      '♈': 'aries',
+      '♉': 'taurus',
+      '♐': 'sagittarius',
+      '♑': 'capricorn',
+      '♒': 'aquarius',
+      '♓': 'pisces',
+      '♠': 'spades',
+      '♣': 'clubs',
+      '♥': 'hearts',
+      '♦': 'diamonds',
+      '♨': 'hotsprings',
+      '⚒': 'hammer_and_pick',
+      '⚓': 'anchor',
+      '⚔': 'crossed_swords',
+      '⚕': 'medical_symbol',
+      '⚖': 'balance_scale',
+      '⚗': 'alembic',
+      '⚙': 'gear',
+      '✂': 'scissors',
+      '✅': 'white_check_mark',
+      '✈': 'airplane',
+      '✉': 'envelope',
+      '✒': 'black_nib',
+      '✔': 'heavy_check_mark',
+      '✖': 'heavy_multiplication_x',
+      '✡': 'star_of_david',
+      '✨': 'sparkles',
+      '✳': 'eight_spoked_asterisk',
+      '✴': 'eight_pointed_black_star',
+      '❄': 'snowflake',
+      '❇': 'sparkle',
+      '❓': 'question',
+      '❔': 'grey_question',
+      '❕': 'grey_exclamation',
+      '❗': 'exclamation',
+      '❣': 'heavy_heart_exclamation',
+      '❤': 'heart',
+      '➕': 'heavy_plus_sign',
+      '➖': 'heavy_minus_sign',
+      '➗': 'heavy_division_sign',
+      '⤴': 'arrow_heading_up',
+      '⤵': 'arrow_heading_down',
+      '〰': 'wavy_dash',
+      '㊗': 'congratulations',
+      '㊙': 'secret',
+      '💯': '100',
+      '🔢': '1234',
+      '👍': '+1',
+      '👎': '-1',
+      '🥇': '1st_place_medal',
+      '🥈': '2nd_place_medal',
+      '🥉': '3rd_place_medal',
+      '🎱': '8ball',
+      '🅰': 'a',
+      '🆎': 'ab',
+      '🧮': 'abacus',
+      '🔤': 'abc',
+      '🔡': 'abcd',
+      '🉑': 'accept',
+      '🪗': 'accordion',
+      '🩹': 'adhesive_bandage',
+      '🧑': 'adult',
+      '🚡': 'aerial_tramway',
+      '🇦🇫': 'afghanistan',
+      '🇦🇽': 'aland_islands',
+      '⏰': 'alarm_clock',
+      '🇦🇱': 'albania',
+      '🇩🇿': 'algeria',
+      '👽': 'alien',
+      '🚑': 'ambulance',
+      '🇦🇸': 'american_samoa',
+      '🏺': 'amphora',
+      '🫀': 'anatomical_heart',
+      '🇦🇩': 'andorra',
+      '👼': 'angel',
+      '💢': 'anger',
+      '🇦🇴': 'angola',
+      '😠': 'angry',
+      '🇦🇮': 'anguilla',
+      '😧': 'anguished',
+      '🐜': 'ant',
+      '🇦🇶': 'antarctica',
+      '🇦🇬': 'antigua_barbuda',
+      '🍎': 'apple',
+      '🇦🇷': 'argentina',
+      '🇦🇲': 'armenia',
+      '◀': 'arrow_backward',
+      '⏬': 'arrow_double_down',
+      '⏫': 'arrow_double_up',
+      '⬇': 'arrow_down',
+      '🔽': 'arrow_down_small',
+      '▶': 'arrow_forward',
+      '⬅': 'arrow_left',
+      '➡': 'arrow_right',
+      '↪': 'arrow_right_hook',
+      '⬆': 'arrow_up',
+      '🔼': 'arrow_up_small',
+      '🔃': 'arrows_clockwise',
+      '🔄': 'arrows_counterclockwise',
+      '🎨': 'art',
+      '🚛': 'articulated_lorry',
+      '🛰': 'artificial_satellite',
+      '🧑‍🎨': 'artist',
+      '🇦🇼': 'aruba',
+      '🇦🇨': 'ascension_island',
+      '*⃣': 'asterisk',
+      '😲': 'astonished',
+      '🧑‍🚀': 'astronaut',
+      '👟': 'athletic_shoe',
+      '🏧': 'atm',
+      '⚛': 'atom_symbol',
+      '🇦🇺': 'australia',
+      '🇦🇹': 'austria',
+      '🛺': 'auto_rickshaw',
+      '🥑': 'avocado',
+      '🪓': 'axe',
+      '🇦🇿': 'azerbaijan',
+      '🅱': 'b',
+      '👶': 'baby',
+      '🍼': 'baby_bottle',
+      '🐤': 'baby_chick',
+      '🚼': 'baby_symbol',
+      '🔙': 'back',
+      '🥓': 'bacon',
+      '🦡': 'badger',
+      '🏸': 'badminton',
+      '🥯': 'bagel',
+      '🛄': 'baggage_claim',
+      '🥖': 'baguette_bread',
+      '🇧🇸': 'bahamas',
+      '🇧🇭': 'bahrain',
+      '👨‍🦲': 'bald_man',
+      '👩‍🦲': 'bald_woman',
+      '🩰': 'ballet_shoes',
+      '🎈': 'balloon',
+      '🗳': 'ballot_box',
+      '🎍': 'bamboo',
+      '🍌': 'banana',
+      '‼': 'bangbang',
+      '🇧🇩': 'bangladesh',
+      '🪕': 'banjo',
+      '🏦': 'bank',
+      '📊': 'bar_chart',
+      '🇧🇧': 'barbados',
+      '💈': 'barber',
+      '⚾': 'baseball',
+      '🧺': 'basket',
+      '🏀': 'basketball',
+      '⛹‍♂': 'basketball_man',
+      '⛹‍♀': 'basketball_woman',
+      '🦇': 'bat',
+      '🛀': 'bath',
+      '🛁': 'bathtub',
+      '🔋': 'battery',
+      '🏖': 'beach_umbrella',
+      '🫘': 'beans',
+      '🐻': 'bear',
+      '🧔': 'bearded_person',
+      '🦫': 'beaver',
+      '🛏': 'bed',
+      '🐝': 'bee',
+      '🍺': 'beer',
+      '🍻': 'beers',
+      '🪲': 'beetle',
+      '🔰': 'beginner',
+      '🇧🇾': 'belarus',
+      '🇧🇪': 'belgium',
+      '🇧🇿': 'belize',
+      '🔔': 'bell',
+      '🫑': 'bell_pepper',
+      '🛎': 'bellhop_bell',
+      '🇧🇯': 'benin',
+      '🍱': 'bento',
+      '🇧🇲': 'bermuda',
+      '🧃': 'beverage_box',
+      '🇧🇹': 'bhutan',
+      '🚴': 'bicyclist',
+      '🚲': 'bike',
+      '🚴‍♂': 'biking_man',
+      '🚴‍♀': 'biking_woman',
+      '👙': 'bikini',
+      '🧢': 'billed_cap',
+      '🐦': 'bird',
+      '🎂': 'birthday',
+      '🦬': 'bison',
+      '🫦': 'biting_lip',
+      '🐦‍⬛': 'black_bird',
+      '🐈‍⬛': 'black_cat',
+      '⚫': 'black_circle',
+      '🏴': 'black_flag',
+      '🖤': 'black_heart',
+      '🃏': 'black_joker',
+      '⬛': 'black_large_square',
+      '◾': 'black_medium_small_square',
+      '◼': 'black_medium_square',
+      '▪': 'black_small_square',
+      '🔲': 'black_square_button',
+      '👱‍♂': 'blond_haired_man',
+      '👱': 'blond_haired_person',
+      '👱‍♀': 'blond_haired_woman',
+      '🌼': 'blossom',
+      '🐡': 'blowfish',
+      '📘': 'blue_book',
+      '🚙': 'blue_car',
+      '💙': 'blue_heart',
+      '🟦': 'blue_square',
+      '🫐': 'blueberries',
+      '😊': 'blush',
+      '🐗': 'boar',
+      '⛵': 'boat',
+      '🇧🇴': 'bolivia',
+      '💣': 'bomb',
+      '🦴': 'bone',
+      '📖': 'book',
+      '🔖': 'bookmark',
+      '📑': 'bookmark_tabs',
+      '📚': 'books',
+      '💥': 'boom',
+      '🪃': 'boomerang',
+      '👢': 'boot',
+      '🇧🇦': 'bosnia_herzegovina',
+      '🇧🇼': 'botswana',
+      '⛹': 'bouncing_ball_person',
+      '💐': 'bouquet',
+      '🇧🇻': 'bouvet_island',
+      '🙇': 'bow',
+      '🏹': 'bow_and_arrow',
+      '🙇‍♂': 'bowing_man',
+      '🙇‍♀': 'bowing_woman',
+      '🥣': 'bowl_with_spoon',
+      '🎳': 'bowling',
+      '🥊': 'boxing_glove',
+      '👦': 'boy',
+      '🧠': 'brain',
+      '🇧🇷': 'brazil',
+      '🍞': 'bread',
+      '🤱': 'breast_feeding',
+      '🧱': 'bricks',
+      '👰‍♀': 'bride_with_veil',
+      '🌉': 'bridge_at_night',
+      '💼': 'briefcase',
+      '🇮🇴': 'british_indian_ocean_territory',
+      '🇻🇬': 'british_virgin_islands',
+      '🥦': 'broccoli',
+      '💔': 'broken_heart',
+      '🧹': 'broom',
+      '🟤': 'brown_circle',
+      '🤎': 'brown_heart',
+      '🟫': 'brown_square',
+      '🇧🇳': 'brunei',
+      '🧋': 'bubble_tea',
+      '🫧': 'bubbles',
+      '🪣': 'bucket',
+      '🐛': 'bug',
+      '🏗': 'building_construction',
+      '💡': 'bulb',
+      '🇧🇬': 'bulgaria',
+      '🚅': 'bullettrain_front',
+      '🚄': 'bullettrain_side',
+      '🇧🇫': 'burkina_faso',
+      '🌯': 'burrito',
+      '🇧🇮': 'burundi',
+      '🚌': 'bus',
+      '🕴': 'business_suit_levitating',
+      '🚏': 'busstop',
+      '👤': 'bust_in_silhouette',
+      '👥': 'busts_in_silhouette',
+      '🧈': 'butter',
+      '🦋': 'butterfly',
+      '🌵': 'cactus',
+      '🍰': 'cake',
+      '📆': 'calendar',
+      '🤙': 'call_me_hand',
+      '📲': 'calling',
+      '🇰🇭': 'cambodia',
+      '🐫': 'camel',
+      '📷': 'camera',
+      '📸': 'camera_flash',
+      '🇨🇲': 'cameroon',
+      '🏕': 'camping',
+      '🇨🇦': 'canada',
+      '🇮🇨': 'canary_islands',
+      '♋': 'cancer',
+      '🕯': 'candle',
+      '🍬': 'candy',
+      '🥫': 'canned_food',
+      '🛶': 'canoe',
+      '🇨🇻': 'cape_verde',
+      '🔠': 'capital_abcd',
+      '🚗': 'car',
+      '🗃': 'card_file_box',
+      '📇': 'card_index',
+      '🗂': 'card_index_dividers',
+      '🇧🇶': 'caribbean_netherlands',
+      '🎠': 'carousel_horse',
+      '🪚': 'carpentry_saw',
+      '🥕': 'carrot',
+      '🤸': 'cartwheeling',
+      '🐱': 'cat',
+      '🐈': 'cat2',
+      '🇰🇾': 'cayman_islands',
+      '💿': 'cd',
+      '🇨🇫': 'central_african_republic',
+      '🇪🇦': 'ceuta_melilla',
+      '🇹🇩': 'chad',
+      '⛓': 'chains',
+      '🪑': 'chair',
+      '🍾': 'champagne',
+      '💹': 'chart',
+      '📉': 'chart_with_downwards_trend',
+      '📈': 'chart_with_upwards_trend',
+      '🏁': 'checkered_flag',
+      '🧀': 'cheese',
+      '🍒': 'cherries',
+      '🌸': 'cherry_blossom',
+      '♟': 'chess_pawn',
+      '🌰': 'chestnut',
+      '🐔': 'chicken',
+      '🧒': 'child',
+      '🚸': 'children_crossing',
+      '🇨🇱': 'chile',
+      '🐿': 'chipmunk',
+      '🍫': 'chocolate_bar',
+      '🥢': 'chopsticks',
+      '🇨🇽': 'christmas_island',
+      '🎄': 'christmas_tree',
+      '⛪': 'church',
+      '🎦': 'cinema',
+      '🎪': 'circus_tent',
+      '🌇': 'city_sunrise',
+      '🌆': 'city_sunset',
+      '🏙': 'cityscape',
+      '🆑': 'cl',
+      '🗜': 'clamp',
+      '👏': 'clap',
+      '🎬': 'clapper',
+      '🏛': 'classical_building',
+      '🧗': 'climbing',
+      '🧗‍♂': 'climbing_man',
+      '🧗‍♀': 'climbing_woman',
+      '🥂': 'clinking_glasses',
+      '📋': 'clipboard',
+      '🇨🇵': 'clipperton_island',
+      '🕐': 'clock1',
+      '🕙': 'clock10',
+      '🕥': 'clock1030',
+      '🕚': 'clock11',
+      '🕦': 'clock1130',
+      '🕛': 'clock12',
+      '🕧': 'clock1230',
+      '🕜': 'clock130',
+      '🕑': 'clock2',
+      '🕝': 'clock230',
+      '🕒': 'clock3',
+      '🕞': 'clock330',
+      '🕓': 'clock4',
+      '🕟': 'clock430',
+      '🕔': 'clock5',
+      '🕠': 'clock530',
+      '🕕': 'clock6',
+      '🕡': 'clock630',
+      '🕖': 'clock7',
+      '🕢': 'clock730',
+      '🕗': 'clock8',
+      '🕣': 'clock830',
+      '🕘': 'clock9',
+      '🕤': 'clock930',
+      '📕': 'closed_book',
+      '🔐': 'closed_lock_with_key',
+      '🌂': 'closed_umbrella',
+      '🌩': 'cloud_with_lightning',
+      '⛈': 'cloud_with_lightning_and_rain',
+      '🌧': 'cloud_with_rain',
+      '🌨': 'cloud_with_snow',
+      '🤡': 'clown_face',
+      '🇨🇳': 'cn',
+      '🧥': 'coat',
+      '🪳': 'cockroach',
+      '🍸': 'cocktail',
+      '🥥': 'coconut',
+      '🇨🇨': 'cocos_islands',
+      '⚰': 'coffin',
+      '🪙': 'coin',
+      '🥶': 'cold_face',
+      '😰': 'cold_sweat',
+      '🇨🇴': 'colombia',
+      '🇰🇲': 'comoros',
+      '🧭': 'compass',
+      '💻': 'computer',
+      '🖱': 'computer_mouse',
+      '🎊': 'confetti_ball',
+      '😖': 'confounded',
+      '😕': 'confused',
+      '🇨🇬': 'congo_brazzaville',
+      '🇨🇩': 'congo_kinshasa',
+      '🚧': 'construction',
+      '👷': 'construction_worker',
+      '👷‍♂': 'construction_worker_man',
+      '👷‍♀': 'construction_worker_woman',
+      '🎛': 'control_knobs',
+      '🏪': 'convenience_store',
+      '🧑‍🍳': 'cook',
+      '🇨🇰': 'cook_islands',
+      '🍪': 'cookie',
+      '🆒': 'cool',
+      '👮': 'cop',
+      '©': 'copyright',
+      '🪸': 'coral',
+      '🌽': 'corn',
+      '🇨🇷': 'costa_rica',
+      '🇨🇮': 'cote_divoire',
+      '🛋': 'couch_and_lamp',
+      '👫': 'couple',
+      '💑': 'couple_with_heart',
+      '👨‍❤‍👨': 'couple_with_heart_man_man',
+      '👩‍❤‍👨': 'couple_with_heart_woman_man',
+      '👩‍❤‍👩': 'couple_with_heart_woman_woman',
+      '💏': 'couplekiss',
+      '👨‍❤‍💋‍👨': 'couplekiss_man_man',
+      '👩‍❤‍💋‍👨': 'couplekiss_man_woman',
+      '👩‍❤‍💋‍👩': 'couplekiss_woman_woman',
+      '🐮': 'cow',
+      '🐄': 'cow2',
+      '🤠': 'cowboy_hat_face',
+      '🦀': 'crab',
+      '🖍': 'crayon',
+      '💳': 'credit_card',
+      '🌙': 'crescent_moon',
+      '🦗': 'cricket',
+      '🏏': 'cricket_game',
+      '🇭🇷': 'croatia',
+      '🐊': 'crocodile',
+      '🥐': 'croissant',
+      '🤞': 'crossed_fingers',
+      '🎌': 'crossed_flags',
+      '👑': 'crown',
+      '🩼': 'crutch',
+      '😢': 'cry',
+      '😿': 'crying_cat_face',
+      '🔮': 'crystal_ball',
+      '🇨🇺': 'cuba',
+      '🥒': 'cucumber',
+      '🥤': 'cup_with_straw',
+      '🧁': 'cupcake',
+      '💘': 'cupid',
+      '🇨🇼': 'curacao',
+      '🥌': 'curling_stone',
+      '👨‍🦱': 'curly_haired_man',
+      '👩‍🦱': 'curly_haired_woman',
+      '➰': 'curly_loop',
+      '💱': 'currency_exchange',
+      '🍛': 'curry',
+      '🤬': 'cursing_face',
+      '🍮': 'custard',
+      '🛃': 'customs',
+      '🥩': 'cut_of_meat',
+      '🌀': 'cyclone',
+      '🇨🇾': 'cyprus',
+      '🇨🇿': 'czech_republic',
+      '🗡': 'dagger',
+      '💃': 'dancer',
+      '👯': 'dancers',
+      '👯‍♂': 'dancing_men',
+      '👯‍♀': 'dancing_women',
+      '🍡': 'dango',
+      '🕶': 'dark_sunglasses',
+      '🎯': 'dart',
+      '💨': 'dash',
+      '📅': 'date',
+      '🇩🇪': 'de',
+      '🧏‍♂': 'deaf_man',
+      '🧏': 'deaf_person',
+      '🧏‍♀': 'deaf_woman',
+      '🌳': 'deciduous_tree',
+      '🦌': 'deer',
+      '🇩🇰': 'denmark',
+      '🏬': 'department_store',
+      '🏚': 'derelict_house',
+      '🏜': 'desert',
+      '🏝': 'desert_island',
+      '🖥': 'desktop_computer',
+      '🕵': 'detective',
+      '💠': 'diamond_shape_with_a_dot_inside',
+      '🇩🇬': 'diego_garcia',
+      '😞': 'disappointed',
+      '😥': 'disappointed_relieved',
+      '🥸': 'disguised_face',
+      '🤿': 'diving_mask',
+      '🪔': 'diya_lamp',
+      '💫': 'dizzy',
+      '😵': 'dizzy_face',
+      '🇩🇯': 'djibouti',
+      '🧬': 'dna',
+      '🚯': 'do_not_litter',
+      '🦤': 'dodo',
+      '🐶': 'dog',
+      '🐕': 'dog2',
+      '💵': 'dollar',
+      '🎎': 'dolls',
+      '🐬': 'dolphin',
+      '🇩🇲': 'dominica',
+      '🇩🇴': 'dominican_republic',
+      '🫏': 'donkey',
+      '🚪': 'door',
+      '🫥': 'dotted_line_face',
+      '🍩': 'doughnut',
+      '🕊': 'dove',
+      '🐉': 'dragon',
+      '🐲': 'dragon_face',
+      '👗': 'dress',
+      '🐪': 'dromedary_camel',
+      '🤤': 'drooling_face',
+      '🩸': 'drop_of_blood',
+      '💧': 'droplet',
+      '🥁': 'drum',
+      '🦆': 'duck',
+      '🥟': 'dumpling',
+      '📀': 'dvd',
+      '📧': 'e-mail',
+      '🦅': 'eagle',
+      '👂': 'ear',
+      '🌾': 'ear_of_rice',
+      '🦻': 'ear_with_hearing_aid',
+      '🌍': 'earth_africa',
+      '🌎': 'earth_americas',
+      '🌏': 'earth_asia',
+      '🇪🇨': 'ecuador',
+      '🥚': 'egg',
+      '🍆': 'eggplant',
+      '🇪🇬': 'egypt',
+      '8⃣': 'eight',
+      '⏏': 'eject_button',
+      '🇸🇻': 'el_salvador',
+      '🔌': 'electric_plug',
+      '🐘': 'elephant',
+      '🛗': 'elevator',
+      '🧝': 'elf',
+      '🧝‍♂': 'elf_man',
+      '🧝‍♀': 'elf_woman',
+      '🪹': 'empty_nest',
+      '🔚': 'end',
+      '🏴󠁧󠁢󠁥󠁮󠁧󠁿': 'england',
+      '📩': 'envelope_with_arrow',
+      '🇬🇶': 'equatorial_guinea',
+      '🇪🇷': 'eritrea',
+      '🇪🇸': 'es',
+      '🇪🇪': 'estonia',
+      '🇪🇹': 'ethiopia',
+      '🇪🇺': 'eu',
+      '💶': 'euro',
+      '🏰': 'european_castle',
+      '🏤': 'european_post_office',
+      '🌲': 'evergreen_tree',
+      '🤯': 'exploding_head',
+      '😑': 'expressionless',
+      '👁': 'eye',
+      '👁‍🗨': 'eye_speech_bubble',
+      '👓': 'eyeglasses',
+      '👀': 'eyes',
+      '😮‍💨': 'face_exhaling',
+      '🥹': 'face_holding_back_tears',
+      '😶‍🌫': 'face_in_clouds',
+      '🫤': 'face_with_diagonal_mouth',
+      '🤕': 'face_with_head_bandage',
+      '🫢': 'face_with_open_eyes_and_hand_over_mouth',
+      '🫣': 'face_with_peeking_eye',
+      '😵‍💫': 'face_with_spiral_eyes',
+      '🤒': 'face_with_thermometer',
+      '🤦': 'facepalm',
+      '👊': 'facepunch',
+      '🏭': 'factory',
+      '🧑‍🏭': 'factory_worker',
+      '🧚': 'fairy',
+      '🧚‍♂': 'fairy_man',
+      '🧚‍♀': 'fairy_woman',
+      '🧆': 'falafel',
+      '🇫🇰': 'falkland_islands',
+      '🍂': 'fallen_leaf',
+      '👪': 'family',
+      '👨‍👦': 'family_man_boy',
+      '👨‍👦‍👦': 'family_man_boy_boy',
+      '👨‍👧': 'family_man_girl',
+      '👨‍👧‍👦': 'family_man_girl_boy',
+      '👨‍👧‍👧': 'family_man_girl_girl',
+      '👨‍👨‍👦': 'family_man_man_boy',
+      '👨‍👨‍👦‍👦': 'family_man_man_boy_boy',
+      '👨‍👨‍👧': 'family_man_man_girl',
+      '👨‍👨‍👧‍👦': 'family_man_man_girl_boy',
+      '👨‍👨‍👧‍👧': 'family_man_man_girl_girl',
+      '👨‍👩‍👦': 'family_man_woman_boy',
+      '👨‍👩‍👦‍👦': 'family_man_woman_boy_boy',
+      '👨‍👩‍👧': 'family_man_woman_girl',
+      '👨‍👩‍👧‍👦': 'family_man_woman_girl_boy',
+      '👨‍👩‍👧‍👧': 'family_man_woman_girl_girl',
+      '👩‍👦': 'family_woman_boy',
+      '👩‍👦‍👦': 'family_woman_boy_boy',
+      '👩‍👧': 'family_woman_girl',
+      '👩‍👧‍👦': 'family_woman_girl_boy',
+      '👩‍👧‍👧': 'family_woman_girl_girl',
+      '👩‍👩‍👦': 'family_woman_woman_boy',
+      '👩‍👩‍👦‍👦': 'family_woman_woman_boy_boy',
+      '👩‍👩‍👧': 'family_woman_woman_girl',
+      '👩‍👩‍👧‍👦': 'family_woman_woman_girl_boy',
+      '👩‍👩‍👧‍👧': 'family_woman_woman_girl_girl',
+      '🧑‍🌾': 'farmer',
+      '🇫🇴': 'faroe_islands',
+      '⏩': 'fast_forward',
+      '📠': 'fax',
+      '😨': 'fearful',
+      '🪶': 'feather',
+      '🐾': 'feet',
+      '🕵‍♀': 'female_detective',
+      '🎡': 'ferris_wheel',
+      '⛴': 'ferry',
+      '🏑': 'field_hockey',
+      '🇫🇯': 'fiji',
+      '🗄': 'file_cabinet',
+      '📁': 'file_folder',
+      '📽': 'film_projector',
+      '🎞': 'film_strip',
+      '🇫🇮': 'finland',
+      '🔥': 'fire',
+      '🚒': 'fire_engine',
+      '🧯': 'fire_extinguisher',
+      '🧨': 'firecracker',
+      '🧑‍🚒': 'firefighter',
+      '🎆': 'fireworks',
+      '🌓': 'first_quarter_moon',
+      '🌛': 'first_quarter_moon_with_face',
+      '🐟': 'fish',
+      '🍥': 'fish_cake',
+      '🎣': 'fishing_pole_and_fish',
+      '✊': 'fist',
+      '🤛': 'fist_left',
+      '🤜': 'fist_right',
+      '5⃣': 'five',
+      '🎏': 'flags',
+      '🦩': 'flamingo',
+      '🔦': 'flashlight',
+      '🥿': 'flat_shoe',
+      '🫓': 'flatbread',
+      '⚜': 'fleur_de_lis',
+      '🛬': 'flight_arrival',
+      '🛫': 'flight_departure',
+      '💾': 'floppy_disk',
+      '🎴': 'flower_playing_cards',
+      '😳': 'flushed',
+      '🪈': 'flute',
+      '🪰': 'fly',
+      '🥏': 'flying_disc',
+      '🛸': 'flying_saucer',
+      '🌫': 'fog',
+      '🌁': 'foggy',
+      '🪭': 'folding_hand_fan',
+      '🫕': 'fondue',
+      '🦶': 'foot',
+      '🏈': 'football',
+      '👣': 'footprints',
+      '🍴': 'fork_and_knife',
+      '🥠': 'fortune_cookie',
+      '⛲': 'fountain',
+      '🖋': 'fountain_pen',
+      '4⃣': 'four',
+      '🍀': 'four_leaf_clover',
+      '🦊': 'fox_face',
+      '🇫🇷': 'fr',
+      '🖼': 'framed_picture',
+      '🆓': 'free',
+      '🇬🇫': 'french_guiana',
+      '🇵🇫': 'french_polynesia',
+      '🇹🇫': 'french_southern_territories',
+      '🍳': 'fried_egg',
+      '🍤': 'fried_shrimp',
+      '🍟': 'fries',
+      '🐸': 'frog',
+      '😦': 'frowning',
+      '🙍‍♂': 'frowning_man',
+      '🙍': 'frowning_person',
+      '🙍‍♀': 'frowning_woman',
+      '🖕': 'fu',
+      '⛽': 'fuelpump',
+      '🌕': 'full_moon',
+      '🌝': 'full_moon_with_face',
+      '⚱': 'funeral_urn',
+      '🇬🇦': 'gabon',
+      '🇬🇲': 'gambia',
+      '🎲': 'game_die',
+      '🧄': 'garlic',
+      '🇬🇧': 'gb',
+      '💎': 'gem',
+      '♊': 'gemini',
+      '🧞': 'genie',
+      '🧞‍♂': 'genie_man',
+      '🧞‍♀': 'genie_woman',
+      '🇬🇪': 'georgia',
+      '🇬🇭': 'ghana',
+      '👻': 'ghost',
+      '🇬🇮': 'gibraltar',
+      '🎁': 'gift',
+      '💝': 'gift_heart',
+      '🫚': 'ginger_root',
+      '🦒': 'giraffe',
+      '👧': 'girl',
+      '🌐': 'globe_with_meridians',
+      '🧤': 'gloves',
+      '🥅': 'goal_net',
+      '🐐': 'goat',
+      '🥽': 'goggles',
+      '⛳': 'golf',
+      '🏌': 'golfing',
+      '🏌‍♂': 'golfing_man',
+      '🏌‍♀': 'golfing_woman',
+      '🪿': 'goose',
+      '🦍': 'gorilla',
+      '🍇': 'grapes',
+      '🇬🇷': 'greece',
+      '🍏': 'green_apple',
+      '📗': 'green_book',
+      '🟢': 'green_circle',
+      '💚': 'green_heart',
+      '🥗': 'green_salad',
+      '🟩': 'green_square',
+      '🇬🇱': 'greenland',
+      '🇬🇩': 'grenada',
+      '🩶': 'grey_heart',
+      '😬': 'grimacing',
+      '😁': 'grin',
+      '😀': 'grinning',
+      '🇬🇵': 'guadeloupe',
+      '🇬🇺': 'guam',
+      '💂': 'guard',
+      '💂‍♂': 'guardsman',
+      '💂‍♀': 'guardswoman',
+      '🇬🇹': 'guatemala',
+      '🇬🇬': 'guernsey',
+      '🦮': 'guide_dog',
+      '🇬🇳': 'guinea',
+      '🇬🇼': 'guinea_bissau',
+      '🎸': 'guitar',
+      '🔫': 'gun',
+      '🇬🇾': 'guyana',
+      '🪮': 'hair_pick',
+      '💇': 'haircut',
+      '💇‍♂': 'haircut_man',
+      '💇‍♀': 'haircut_woman',
+      '🇭🇹': 'haiti',
+      '🍔': 'hamburger',
+      '🔨': 'hammer',
+      '🛠': 'hammer_and_wrench',
+      '🪬': 'hamsa',
+      '🐹': 'hamster',
+      '✋': 'hand',
+      '🤭': 'hand_over_mouth',
+      '🫰': 'hand_with_index_finger_and_thumb_crossed',
+      '👜': 'handbag',
+      '🤾': 'handball_person',
+      '🤝': 'handshake',
+      '💩': 'hankey',
+      '#⃣': 'hash',
+      '🐥': 'hatched_chick',
+      '🐣': 'hatching_chick',
+      '🎧': 'headphones',
+      '🪦': 'headstone',
+      '🧑‍⚕': 'health_worker',
+      '🙉': 'hear_no_evil',
+      '🇭🇲': 'heard_mcdonald_islands',
+      '💟': 'heart_decoration',
+      '😍': 'heart_eyes',
+      '😻': 'heart_eyes_cat',
+      '🫶': 'heart_hands',
+      '❤‍🔥': 'heart_on_fire',
+      '💓': 'heartbeat',
+      '💗': 'heartpulse',
+      '💲': 'heavy_dollar_sign',
+      '🟰': 'heavy_equals_sign',
+      '🦔': 'hedgehog',
+      '🚁': 'helicopter',
+      '🌿': 'herb',
+      '🌺': 'hibiscus',
+      '🔆': 'high_brightness',
+      '👠': 'high_heel',
+      '🥾': 'hiking_boot',
+      '🛕': 'hindu_temple',
+      '🦛': 'hippopotamus',
+      '🔪': 'hocho',
+      '🕳': 'hole',
+      '🇭🇳': 'honduras',
+      '🍯': 'honey_pot',
+      '🇭🇰': 'hong_kong',
+      '🪝': 'hook',
+      '🐴': 'horse',
+      '🏇': 'horse_racing',
+      '🏥': 'hospital',
+      '🥵': 'hot_face',
+      '🌶': 'hot_pepper',
+      '🌭': 'hotdog',
+      '🏨': 'hotel',
+      '⌛': 'hourglass',
+      '⏳': 'hourglass_flowing_sand',
+      '🏠': 'house',
+      '🏡': 'house_with_garden',
+      '🏘': 'houses',
+      '🤗': 'hugs',
+      '🇭🇺': 'hungary',
+      '😯': 'hushed',
+      '🛖': 'hut',
+      '🪻': 'hyacinth',
+      '🍨': 'ice_cream',
+      '🧊': 'ice_cube',
+      '🏒': 'ice_hockey',
+      '⛸': 'ice_skate',
+      '🍦': 'icecream',
+      '🇮🇸': 'iceland',
+      '🆔': 'id',
+      '🪪': 'identification_card',
+      '🉐': 'ideograph_advantage',
+      '👿': 'imp',
+      '📥': 'inbox_tray',
+      '📨': 'incoming_envelope',
+      '🫵': 'index_pointing_at_the_viewer',
+      '🇮🇳': 'india',
+      '🇮🇩': 'indonesia',
+      '♾': 'infinity',
+      '💁': 'information_desk_person',
+      '😇': 'innocent',
+      '📱': 'iphone',
+      '🇮🇷': 'iran',
+      '🇮🇶': 'iraq',
+      '🇮🇪': 'ireland',
+      '🇮🇲': 'isle_of_man',
+      '🇮🇱': 'israel',
+      '🇮🇹': 'it',
+      '🏮': 'izakaya_lantern',
+      '🎃': 'jack_o_lantern',
+      '🇯🇲': 'jamaica',
+      '🗾': 'japan',
+      '🏯': 'japanese_castle',
+      '👺': 'japanese_goblin',
+      '👹': 'japanese_ogre',
+      '🫙': 'jar',
+      '👖': 'jeans',
+      '🪼': 'jellyfish',
+      '🇯🇪': 'jersey',
+      '🧩': 'jigsaw',
+      '🇯🇴': 'jordan',
+      '😂': 'joy',
+      '😹': 'joy_cat',
+      '🕹': 'joystick',
+      '🇯🇵': 'jp',
+      '🧑‍⚖': 'judge',
+      '🤹': 'juggling_person',
+      '🕋': 'kaaba',
+      '🦘': 'kangaroo',
+      '🇰🇿': 'kazakhstan',
+      '🇰🇪': 'kenya',
+      '🔑': 'key',
+      '🔟': 'keycap_ten',
+      '🪯': 'khanda',
+      '🛴': 'kick_scooter',
+      '👘': 'kimono',
+      '🇰🇮': 'kiribati',
+      '💋': 'kiss',
+      '😗': 'kissing',
+      '😽': 'kissing_cat',
+      '😚': 'kissing_closed_eyes',
+      '😘': 'kissing_heart',
+      '😙': 'kissing_smiling_eyes',
+      '🪁': 'kite',
+      '🥝': 'kiwi_fruit',
+      '🧎‍♂': 'kneeling_man',
+      '🧎': 'kneeling_person',
+      '🧎‍♀': 'kneeling_woman',
+      '🪢': 'knot',
+      '🐨': 'koala',
+      '🈁': 'koko',
+      '🇽🇰': 'kosovo',
+      '🇰🇷': 'kr',
+      '🇰🇼': 'kuwait',
+      '🇰🇬': 'kyrgyzstan',
+      '🥼': 'lab_coat',
+      '🏷': 'label',
+      '🥍': 'lacrosse',
+      '🪜': 'ladder',
+      '🐞': 'lady_beetle',
+      '🇱🇦': 'laos',
+      '🔵': 'large_blue_circle',
+      '🔷': 'large_blue_diamond',
+      '🔶': 'large_orange_diamond',
+      '🌗': 'last_quarter_moon',
+      '🌜': 'last_quarter_moon_with_face',
+      '✝': 'latin_cross',
+      '🇱🇻': 'latvia',
+      '😆': 'laughing',
+      '🥬': 'leafy_green',
+      '🍃': 'leaves',
+      '🇱🇧': 'lebanon',
+      '📒': 'ledger',
+      '🛅': 'left_luggage',
+      '🗨': 'left_speech_bubble',
+      '↩': 'leftwards_arrow_with_hook',
+      '🫲': 'leftwards_hand',
+      '🫷': 'leftwards_pushing_hand',
+      '🦵': 'leg',
+      '🍋': 'lemon',
+      '♌': 'leo',
+      '🐆': 'leopard',
+      '🇱🇸': 'lesotho',
+      '🎚': 'level_slider',
+      '🇱🇷': 'liberia',
+      '♎': 'libra',
+      '🇱🇾': 'libya',
+      '🇱🇮': 'liechtenstein',
+      '🩵': 'light_blue_heart',
+      '🚈': 'light_rail',
+      '🔗': 'link',
+      '🦁': 'lion',
+      '👄': 'lips',
+      '💄': 'lipstick',
+      '🇱🇹': 'lithuania',
+      '🦎': 'lizard',
+      '🦙': 'llama',
+      '🦞': 'lobster',
+      '🔒': 'lock',
+      '🔏': 'lock_with_ink_pen',
+      '🍭': 'lollipop',
+      '🪘': 'long_drum',
+      '➿': 'loop',
+      '🧴': 'lotion_bottle',
+      '🪷': 'lotus',
+      '🧘': 'lotus_position',
+      '🧘‍♂': 'lotus_position_man',
+      '🧘‍♀': 'lotus_position_woman',
+      '🔊': 'loud_sound',
+      '📢': 'loudspeaker',
+      '🏩': 'love_hotel',
+      '💌': 'love_letter',
+      '🤟': 'love_you_gesture',
+      '🪫': 'low_battery',
+      '🔅': 'low_brightness',
+      '🧳': 'luggage',
+      '🫁': 'lungs',
+      '🇱🇺': 'luxembourg',
+      '🤥': 'lying_face',
+      'Ⓜ': 'm',
+      '🇲🇴': 'macau',
+      '🇲🇰': 'macedonia',
+      '🇲🇬': 'madagascar',
+      '🔍': 'mag',
+      '🔎': 'mag_right',
+      '🧙': 'mage',
+      '🧙‍♂': 'mage_man',
+      '🧙‍♀': 'mage_woman',
+      '🪄': 'magic_wand',
+      '🧲': 'magnet',
+      '🀄': 'mahjong',
+      '📫': 'mailbox',
+      '📪': 'mailbox_closed',
+      '📬': 'mailbox_with_mail',
+      '📭': 'mailbox_with_no_mail',
+      '🇲🇼': 'malawi',
+      '🇲🇾': 'malaysia',
+      '🇲🇻': 'maldives',
+      '🕵‍♂': 'male_detective',
+      '🇲🇱': 'mali',
+      '🇲🇹': 'malta',
+      '🦣': 'mammoth',
+      '👨': 'man',
+      '👨‍🎨': 'man_artist',
+      '👨‍🚀': 'man_astronaut',
+      '🧔‍♂': 'man_beard',
+      '🤸‍♂': 'man_cartwheeling',
+      '👨‍🍳': 'man_cook',
+      '🕺': 'man_dancing',
+      '🤦‍♂': 'man_facepalming',
+      '👨‍🏭': 'man_factory_worker',
+      '👨‍🌾': 'man_farmer',
+      '👨‍🍼': 'man_feeding_baby',
+      '👨‍🚒': 'man_firefighter',
+      '👨‍⚕': 'man_health_worker',
+      '👨‍🦽': 'man_in_manual_wheelchair',
+      '👨‍🦼': 'man_in_motorized_wheelchair',
+      '🤵‍♂': 'man_in_tuxedo',
+      '👨‍⚖': 'man_judge',
+      '🤹‍♂': 'man_juggling',
+      '👨‍🔧': 'man_mechanic',
+      '👨‍💼': 'man_office_worker',
+      '👨‍✈': 'man_pilot',
+      '🤾‍♂': 'man_playing_handball',
+      '🤽‍♂': 'man_playing_water_polo',
+      '👨‍🔬': 'man_scientist',
+      '🤷‍♂': 'man_shrugging',
+      '👨‍🎤': 'man_singer',
+      '👨‍🎓': 'man_student',
+      '👨‍🏫': 'man_teacher',
+      '👨‍💻': 'man_technologist',
+      '👲': 'man_with_gua_pi_mao',
+      '👨‍🦯': 'man_with_probing_cane',
+      '👳‍♂': 'man_with_turban',
+      '👰‍♂': 'man_with_veil',
+      '🍊': 'mandarin',
+      '🥭': 'mango',
+      '👞': 'mans_shoe',
+      '🕰': 'mantelpiece_clock',
+      '🦽': 'manual_wheelchair',
+      '🍁': 'maple_leaf',
+      '🪇': 'maracas',
+      '🇲🇭': 'marshall_islands',
+      '🥋': 'martial_arts_uniform',
+      '🇲🇶': 'martinique',
+      '😷': 'mask',
+      '💆': 'massage',
+      '💆‍♂': 'massage_man',
+      '💆‍♀': 'massage_woman',
+      '🧉': 'mate',
+      '🇲🇷': 'mauritania',
+      '🇲🇺': 'mauritius',
+      '🇾🇹': 'mayotte',
+      '🍖': 'meat_on_bone',
+      '🧑‍🔧': 'mechanic',
+      '🦾': 'mechanical_arm',
+      '🦿': 'mechanical_leg',
+      '🎖': 'medal_military',
+      '🏅': 'medal_sports',
+      '📣': 'mega',
+      '🍈': 'melon',
+      '🫠': 'melting_face',
+      '📝': 'memo',
+      '🤼‍♂': 'men_wrestling',
+      '❤‍🩹': 'mending_heart',
+      '🕎': 'menorah',
+      '🚹': 'mens',
+      '🧜‍♀': 'mermaid',
+      '🧜‍♂': 'merman',
+      '🧜': 'merperson',
+      '🤘': 'metal',
+      '🚇': 'metro',
+      '🇲🇽': 'mexico',
+      '🦠': 'microbe',
+      '🇫🇲': 'micronesia',
+      '🎤': 'microphone',
+      '🔬': 'microscope',
+      '🪖': 'military_helmet',
+      '🥛': 'milk_glass',
+      '🌌': 'milky_way',
+      '🚐': 'minibus',
+      '💽': 'minidisc',
+      '🪞': 'mirror',
+      '🪩': 'mirror_ball',
+      '📴': 'mobile_phone_off',
+      '🇲🇩': 'moldova',
+      '🇲🇨': 'monaco',
+      '🤑': 'money_mouth_face',
+      '💸': 'money_with_wings',
+      '💰': 'moneybag',
+      '🇲🇳': 'mongolia',
+      '🐒': 'monkey',
+      '🐵': 'monkey_face',
+      '🧐': 'monocle_face',
+      '🚝': 'monorail',
+      '🇲🇪': 'montenegro',
+      '🇲🇸': 'montserrat',
+      '🌔': 'moon',
+      '🥮': 'moon_cake',
+      '🫎': 'moose',
+      '🇲🇦': 'morocco',
+      '🎓': 'mortar_board',
+      '🕌': 'mosque',
+      '🦟': 'mosquito',
+      '🛥': 'motor_boat',
+      '🛵': 'motor_scooter',
+      '🏍': 'motorcycle',
+      '🦼': 'motorized_wheelchair',
+      '🛣': 'motorway',
+      '🗻': 'mount_fuji',
+      '⛰': 'mountain',
+      '🚵': 'mountain_bicyclist',
+      '🚵‍♂': 'mountain_biking_man',
+      '🚵‍♀': 'mountain_biking_woman',
+      '🚠': 'mountain_cableway',
+      '🚞': 'mountain_railway',
+      '🏔': 'mountain_snow',
+      '🐭': 'mouse',
+      '🐁': 'mouse2',
+      '🪤': 'mouse_trap',
+      '🎥': 'movie_camera',
+      '🗿': 'moyai',
+      '🇲🇿': 'mozambique',
+      '🤶': 'mrs_claus',
+      '💪': 'muscle',
+      '🍄': 'mushroom',
+      '🎹': 'musical_keyboard',
+      '🎵': 'musical_note',
+      '🎼': 'musical_score',
+      '🔇': 'mute',
+      '🧑‍🎄': 'mx_claus',
+      '🇲🇲': 'myanmar',
+      '💅': 'nail_care',
+      '📛': 'name_badge',
+      '🇳🇦': 'namibia',
+      '🏞': 'national_park',
+      '🇳🇷': 'nauru',
+      '🤢': 'nauseated_face',
+      '🧿': 'nazar_amulet',
+      '👔': 'necktie',
+      '❎': 'negative_squared_cross_mark',
+      '🇳🇵': 'nepal',
+      '🤓': 'nerd_face',
+      '🪺': 'nest_with_eggs',
+      '🪆': 'nesting_dolls',
+      '🇳🇱': 'netherlands',
+      '😐': 'neutral_face',
+      '🆕': 'new',
+      '🇳🇨': 'new_caledonia',
+      '🌑': 'new_moon',
+      '🌚': 'new_moon_with_face',
+      '🇳🇿': 'new_zealand',
+      '📰': 'newspaper',
+      '🗞': 'newspaper_roll',
+      '⏭': 'next_track_button',
+      '🆖': 'ng',
+      '🙅‍♂': 'ng_man',
+      '🙅‍♀': 'ng_woman',
+      '🇳🇮': 'nicaragua',
+      '🇳🇪': 'niger',
+      '🇳🇬': 'nigeria',
+      '🌃': 'night_with_stars',
+      '9⃣': 'nine',
+      '🥷': 'ninja',
+      '🇳🇺': 'niue',
+      '🔕': 'no_bell',
+      '🚳': 'no_bicycles',
+      '⛔': 'no_entry',
+      '🚫': 'no_entry_sign',
+      '🙅': 'no_good',
+      '📵': 'no_mobile_phones',
+      '😶': 'no_mouth',
+      '🚷': 'no_pedestrians',
+      '🚭': 'no_smoking',
+      '🚱': 'non-potable_water',
+      '🇳🇫': 'norfolk_island',
+      '🇰🇵': 'north_korea',
+      '🇲🇵': 'northern_mariana_islands',
+      '🇳🇴': 'norway',
+      '👃': 'nose',
+      '📓': 'notebook',
+      '📔': 'notebook_with_decorative_cover',
+      '🎶': 'notes',
+      '🔩': 'nut_and_bolt',
+      '⭕': 'o',
+      '🅾': 'o2',
+      '🌊': 'ocean',
+      '🐙': 'octopus',
+      '🍢': 'oden',
+      '🏢': 'office',
+      '🧑‍💼': 'office_worker',
+      '🛢': 'oil_drum',
+      '🆗': 'ok',
+      '👌': 'ok_hand',
+      '🙆‍♂': 'ok_man',
+      '🙆': 'ok_person',
+      '🙆‍♀': 'ok_woman',
+      '🗝': 'old_key',
+      '🧓': 'older_adult',
+      '👴': 'older_man',
+      '👵': 'older_woman',
+      '🫒': 'olive',
+      '🕉': 'om',
+      '🇴🇲': 'oman',
+      '🔛': 'on',
+      '🚘': 'oncoming_automobile',
+      '🚍': 'oncoming_bus',
+      '🚔': 'oncoming_police_car',
+      '🚖': 'oncoming_taxi',
+      '1⃣': 'one',
+      '🩱': 'one_piece_swimsuit',
+      '🧅': 'onion',
+      '📂': 'open_file_folder',
+      '👐': 'open_hands',
+      '😮': 'open_mouth',
+      '⛎': 'ophiuchus',
+      '📙': 'orange_book',
+      '🟠': 'orange_circle',
+      '🧡': 'orange_heart',
+      '🟧': 'orange_square',
+      '🦧': 'orangutan',
+      '🦦': 'otter',
+      '📤': 'outbox_tray',
+      '🦉': 'owl',
+      '🐂': 'ox',
+      '🦪': 'oyster',
+      '📦': 'package',
+      '📄': 'page_facing_up',
+      '📃': 'page_with_curl',
+      '📟': 'pager',
+      '🖌': 'paintbrush',
+      '🇵🇰': 'pakistan',
+      '🇵🇼': 'palau',
+      '🇵🇸': 'palestinian_territories',
+      '🫳': 'palm_down_hand',
+      '🌴': 'palm_tree',
+      '🫴': 'palm_up_hand',
+      '🤲': 'palms_up_together',
+      '🇵🇦': 'panama',
+      '🥞': 'pancakes',
+      '🐼': 'panda_face',
+      '📎': 'paperclip',
+      '🖇': 'paperclips',
+      '🇵🇬': 'papua_new_guinea',
+      '🪂': 'parachute',
+      '🇵🇾': 'paraguay',
+      '⛱': 'parasol_on_ground',
+      '🅿': 'parking',
+      '🦜': 'parrot',
+      '〽': 'part_alternation_mark',
+      '⛅': 'partly_sunny',
+      '🥳': 'partying_face',
+      '🛳': 'passenger_ship',
+      '🛂': 'passport_control',
+      '⏸': 'pause_button',
+      '🫛': 'pea_pod',
+      '☮': 'peace_symbol',
+      '🍑': 'peach',
+      '🦚': 'peacock',
+      '🥜': 'peanuts',
+      '🍐': 'pear',
+      '🖊': 'pen',
+      '✏': 'pencil2',
+      '🐧': 'penguin',
+      '😔': 'pensive',
+      '🧑‍🤝‍🧑': 'people_holding_hands',
+      '🫂': 'people_hugging',
+      '🎭': 'performing_arts',
+      '😣': 'persevere',
+      '🧑‍🦲': 'person_bald',
+      '🧑‍🦱': 'person_curly_hair',
+      '🧑‍🍼': 'person_feeding_baby',
+      '🤺': 'person_fencing',
+      '🧑‍🦽': 'person_in_manual_wheelchair',
+      '🧑‍🦼': 'person_in_motorized_wheelchair',
+      '🤵': 'person_in_tuxedo',
+      '🧑‍🦰': 'person_red_hair',
+      '🧑‍🦳': 'person_white_hair',
+      '🫅': 'person_with_crown',
+      '🧑‍🦯': 'person_with_probing_cane',
+      '👳': 'person_with_turban',
+      '👰': 'person_with_veil',
+      '🇵🇪': 'peru',
+      '🧫': 'petri_dish',
+      '🇵🇭': 'philippines',
+      '☎': 'phone',
+      '⛏': 'pick',
+      '🛻': 'pickup_truck',
+      '🥧': 'pie',
+      '🐷': 'pig',
+      '🐖': 'pig2',
+      '🐽': 'pig_nose',
+      '💊': 'pill',
+      '🧑‍✈': 'pilot',
+      '🪅': 'pinata',
+      '🤌': 'pinched_fingers',
+      '🤏': 'pinching_hand',
+      '🍍': 'pineapple',
+      '🏓': 'ping_pong',
+      '🩷': 'pink_heart',
+      '🏴‍☠': 'pirate_flag',
+      '🇵🇳': 'pitcairn_islands',
+      '🍕': 'pizza',
+      '🪧': 'placard',
+      '🛐': 'place_of_worship',
+      '🍽': 'plate_with_cutlery',
+      '⏯': 'play_or_pause_button',
+      '🛝': 'playground_slide',
+      '🥺': 'pleading_face',
+      '🪠': 'plunger',
+      '👇': 'point_down',
+      '👈': 'point_left',
+      '👉': 'point_right',
+      '☝': 'point_up',
+      '👆': 'point_up_2',
+      '🇵🇱': 'poland',
+      '🐻‍❄': 'polar_bear',
+      '🚓': 'police_car',
+      '👮‍♂': 'policeman',
+      '👮‍♀': 'policewoman',
+      '🐩': 'poodle',
+      '🍿': 'popcorn',
+      '🇵🇹': 'portugal',
+      '🏣': 'post_office',
+      '📯': 'postal_horn',
+      '📮': 'postbox',
+      '🚰': 'potable_water',
+      '🥔': 'potato',
+      '🪴': 'potted_plant',
+      '👝': 'pouch',
+      '🍗': 'poultry_leg',
+      '💷': 'pound',
+      '🫗': 'pouring_liquid',
+      '😡': 'pout',
+      '😾': 'pouting_cat',
+      '🙎': 'pouting_face',
+      '🙎‍♂': 'pouting_man',
+      '🙎‍♀': 'pouting_woman',
+      '🙏': 'pray',
+      '📿': 'prayer_beads',
+      '🫃': 'pregnant_man',
+      '🫄': 'pregnant_person',
+      '🤰': 'pregnant_woman',
+      '🥨': 'pretzel',
+      '⏮': 'previous_track_button',
+      '🤴': 'prince',
+      '👸': 'princess',
+      '🖨': 'printer',
+      '🦯': 'probing_cane',
+      '🇵🇷': 'puerto_rico',
+      '🟣': 'purple_circle',
+      '💜': 'purple_heart',
+      '🟪': 'purple_square',
+      '👛': 'purse',
+      '📌': 'pushpin',
+      '🚮': 'put_litter_in_its_place',
+      '🇶🇦': 'qatar',
+      '🐰': 'rabbit',
+      '🐇': 'rabbit2',
+      '🦝': 'raccoon',
+      '🐎': 'racehorse',
+      '🏎': 'racing_car',
+      '📻': 'radio',
+      '🔘': 'radio_button',
+      '🚃': 'railway_car',
+      '🛤': 'railway_track',
+      '🌈': 'rainbow',
+      '🏳‍🌈': 'rainbow_flag',
+      '🤚': 'raised_back_of_hand',
+      '🤨': 'raised_eyebrow',
+      '🖐': 'raised_hand_with_fingers_splayed',
+      '🙌': 'raised_hands',
+      '🙋': 'raising_hand',
+      '🙋‍♂': 'raising_hand_man',
+      '🙋‍♀': 'raising_hand_woman',
+      '🐏': 'ram',
+      '🍜': 'ramen',
+      '🐀': 'rat',
+      '🪒': 'razor',
+      '🧾': 'receipt',
+      '⏺': 'record_button',
+      '♻': 'recycle',
+      '🔴': 'red_circle',
+      '🧧': 'red_envelope',
+      '👨‍🦰': 'red_haired_man',
+      '👩‍🦰': 'red_haired_woman',
+      '🟥': 'red_square',
+      '®': 'registered',
+      '☺': 'relaxed',
+      '😌': 'relieved',
+      '🎗': 'reminder_ribbon',
+      '🔁': 'repeat',
+      '🔂': 'repeat_one',
+      '⛑': 'rescue_worker_helmet',
+      '🚻': 'restroom',
+      '🇷🇪': 'reunion',
+      '💞': 'revolving_hearts',
+      '⏪': 'rewind',
+      '🦏': 'rhinoceros',
+      '🎀': 'ribbon',
+      '🍚': 'rice',
+      '🍙': 'rice_ball',
+      '🍘': 'rice_cracker',
+      '🎑': 'rice_scene',
+      '🗯': 'right_anger_bubble',
+      '🫱': 'rightwards_hand',
+      '🫸': 'rightwards_pushing_hand',
+      '💍': 'ring',
+      '🛟': 'ring_buoy',
+      '🪐': 'ringed_planet',
+      '🤖': 'robot',
+      '🪨': 'rock',
+      '🚀': 'rocket',
+      '🤣': 'rofl',
+      '🙄': 'roll_eyes',
+      '🧻': 'roll_of_paper',
+      '🎢': 'roller_coaster',
+      '🛼': 'roller_skate',
+      '🇷🇴': 'romania',
+      '🐓': 'rooster',
+      '🌹': 'rose',
+      '🏵': 'rosette',
+      '🚨': 'rotating_light',
+      '📍': 'round_pushpin',
+      '🚣': 'rowboat',
+      '🚣‍♂': 'rowing_man',
+      '🚣‍♀': 'rowing_woman',
+      '🇷🇺': 'ru',
+      '🏉': 'rugby_football',
+      '🏃': 'runner',
+      '🏃‍♂': 'running_man',
+      '🎽': 'running_shirt_with_sash',
+      '🏃‍♀': 'running_woman',
+      '🇷🇼': 'rwanda',
+      '🈂': 'sa',
+      '🧷': 'safety_pin',
+      '🦺': 'safety_vest',
+      '🍶': 'sake',
+      '🧂': 'salt',
+      '🫡': 'saluting_face',
+      '🇼🇸': 'samoa',
+      '🇸🇲': 'san_marino',
+      '👡': 'sandal',
+      '🥪': 'sandwich',
+      '🎅': 'santa',
+      '🇸🇹': 'sao_tome_principe',
+      '🥻': 'sari',
+      '💁‍♂': 'sassy_man',
+      '💁‍♀': 'sassy_woman',
+      '📡': 'satellite',
+      '🇸🇦': 'saudi_arabia',
+      '🧖‍♂': 'sauna_man',
+      '🧖': 'sauna_person',
+      '🧖‍♀': 'sauna_woman',
+      '🦕': 'sauropod',
+      '🎷': 'saxophone',
+      '🧣': 'scarf',
+      '🏫': 'school',
+      '🎒': 'school_satchel',
+      '🧑‍🔬': 'scientist',
+      '🦂': 'scorpion',
+      '♏': 'scorpius',
+      '🏴󠁧󠁢󠁳󠁣󠁴󠁿': 'scotland',
+      '😱': 'scream',
+      '🙀': 'scream_cat',
+      '🪛': 'screwdriver',
+      '📜': 'scroll',
+      '🦭': 'seal',
+      '💺': 'seat',
+      '🙈': 'see_no_evil',
+      '🌱': 'seedling',
+      '🤳': 'selfie',
+      '🇸🇳': 'senegal',
+      '🇷🇸': 'serbia',
+      '🐕‍🦺': 'service_dog',
+      '7⃣': 'seven',
+      '🪡': 'sewing_needle',
+      '🇸🇨': 'seychelles',
+      '🫨': 'shaking_face',
+      '🥘': 'shallow_pan_of_food',
+      '🦈': 'shark',
+      '🍧': 'shaved_ice',
+      '🐑': 'sheep',
+      '🐚': 'shell',
+      '🛡': 'shield',
+      '⛩': 'shinto_shrine',
+      '🚢': 'ship',
+      '👕': 'shirt',
+      '🛍': 'shopping',
+      '🛒': 'shopping_cart',
+      '🩳': 'shorts',
+      '🚿': 'shower',
+      '🦐': 'shrimp',
+      '🤷': 'shrug',
+      '🤫': 'shushing_face',
+      '🇸🇱': 'sierra_leone',
+      '📶': 'signal_strength',
+      '🇸🇬': 'singapore',
+      '🧑‍🎤': 'singer',
+      '🇸🇽': 'sint_maarten',
+      '6⃣': 'six',
+      '🔯': 'six_pointed_star',
+      '🛹': 'skateboard',
+      '🎿': 'ski',
+      '⛷': 'skier',
+      '💀': 'skull',
+      '🦨': 'skunk',
+      '🛷': 'sled',
+      '😴': 'sleeping',
+      '🛌': 'sleeping_bed',
+      '😪': 'sleepy',
+      '🙁': 'slightly_frowning_face',
+      '🙂': 'slightly_smiling_face',
+      '🎰': 'slot_machine',
+      '🦥': 'sloth',
+      '🇸🇰': 'slovakia',
+      '🇸🇮': 'slovenia',
+      '🛩': 'small_airplane',
+      '🔹': 'small_blue_diamond',
+      '🔸': 'small_orange_diamond',
+      '🔺': 'small_red_triangle',
+      '🔻': 'small_red_triangle_down',
+      '😄': 'smile',
+      '😸': 'smile_cat',
+      '😃': 'smiley',
+      '😺': 'smiley_cat',
+      '🥲': 'smiling_face_with_tear',
+      '🥰': 'smiling_face_with_three_hearts',
+      '😈': 'smiling_imp',
+      '😏': 'smirk',
+      '😼': 'smirk_cat',
+      '🚬': 'smoking',
+      '🐌': 'snail',
+      '🐍': 'snake',
+      '🤧': 'sneezing_face',
+      '🏂': 'snowboarder',
+      '⛄': 'snowman',
+      '🧼': 'soap',
+      '😭': 'sob',
+      '⚽': 'soccer',
+      '🧦': 'socks',
+      '🥎': 'softball',
+      '🇸🇧': 'solomon_islands',
+      '🇸🇴': 'somalia',
+      '🔜': 'soon',
+      '🆘': 'sos',
+      '🔉': 'sound',
+      '🇿🇦': 'south_africa',
+      '🇬🇸': 'south_georgia_south_sandwich_islands',
+      '🇸🇸': 'south_sudan',
+      '👾': 'space_invader',
+      '🍝': 'spaghetti',
+      '🎇': 'sparkler',
+      '💖': 'sparkling_heart',
+      '🙊': 'speak_no_evil',
+      '🔈': 'speaker',
+      '🗣': 'speaking_head',
+      '💬': 'speech_balloon',
+      '🚤': 'speedboat',
+      '🕷': 'spider',
+      '🕸': 'spider_web',
+      '🗓': 'spiral_calendar',
+      '🗒': 'spiral_notepad',
+      '🧽': 'sponge',
+      '🥄': 'spoon',
+      '🦑': 'squid',
+      '🇱🇰': 'sri_lanka',
+      '🇧🇱': 'st_barthelemy',
+      '🇸🇭': 'st_helena',
+      '🇰🇳': 'st_kitts_nevis',
+      '🇱🇨': 'st_lucia',
+      '🇲🇫': 'st_martin',
+      '🇵🇲': 'st_pierre_miquelon',
+      '🇻🇨': 'st_vincent_grenadines',
+      '🏟': 'stadium',
+      '🧍‍♂': 'standing_man',
+      '🧍': 'standing_person',
+      '🧍‍♀': 'standing_woman',
+      '⭐': 'star',
+      '🌟': 'star2',
+      '☪': 'star_and_crescent',
+      '🤩': 'star_struck',
+      '🌠': 'stars',
+      '🚉': 'station',
+      '🗽': 'statue_of_liberty',
+      '🚂': 'steam_locomotive',
+      '🩺': 'stethoscope',
+      '🍲': 'stew',
+      '⏹': 'stop_button',
+      '🛑': 'stop_sign',
+      '⏱': 'stopwatch',
+      '📏': 'straight_ruler',
+      '🍓': 'strawberry',
+      '😛': 'stuck_out_tongue',
+      '😝': 'stuck_out_tongue_closed_eyes',
+      '😜': 'stuck_out_tongue_winking_eye',
+      '🧑‍🎓': 'student',
+      '🎙': 'studio_microphone',
+      '🥙': 'stuffed_flatbread',
+      '🇸🇩': 'sudan',
+      '🌥': 'sun_behind_large_cloud',
+      '🌦': 'sun_behind_rain_cloud',
+      '🌤': 'sun_behind_small_cloud',
+      '🌞': 'sun_with_face',
+      '🌻': 'sunflower',
+      '😎': 'sunglasses',
+      '🌅': 'sunrise',
+      '🌄': 'sunrise_over_mountains',
+      '🦸': 'superhero',
+      '🦸‍♂': 'superhero_man',
+      '🦸‍♀': 'superhero_woman',
+      '🦹': 'supervillain',
+      '🦹‍♂': 'supervillain_man',
+      '🦹‍♀': 'supervillain_woman',
+      '🏄': 'surfer',
+      '🏄‍♂': 'surfing_man',
+      '🏄‍♀': 'surfing_woman',
+      '🇸🇷': 'suriname',
+      '🍣': 'sushi',
+      '🚟': 'suspension_railway',
+      '🇸🇯': 'svalbard_jan_mayen',
+      '🦢': 'swan',
+      '🇸🇿': 'swaziland',
+      '😓': 'sweat',
+      '💦': 'sweat_drops',
+      '😅': 'sweat_smile',
+      '🇸🇪': 'sweden',
+      '🍠': 'sweet_potato',
+      '🩲': 'swim_brief',
+      '🏊': 'swimmer',
+      '🏊‍♂': 'swimming_man',
+      '🏊‍♀': 'swimming_woman',
+      '🇨🇭': 'switzerland',
+      '🔣': 'symbols',
+      '🕍': 'synagogue',
+      '🇸🇾': 'syria',
+      '💉': 'syringe',
+      '🦖': 't-rex',
+      '🌮': 'taco',
+      '🎉': 'tada',
+      '🇹🇼': 'taiwan',
+      '🇹🇯': 'tajikistan',
+      '🥡': 'takeout_box',
+      '🫔': 'tamale',
+      '🎋': 'tanabata_tree',
+      '🇹🇿': 'tanzania',
+      '🚕': 'taxi',
+      '🍵': 'tea',
+      '🧑‍🏫': 'teacher',
+      '🫖': 'teapot',
+      '🧑‍💻': 'technologist',
+      '🧸': 'teddy_bear',
+      '📞': 'telephone_receiver',
+      '🔭': 'telescope',
+      '🎾': 'tennis',
+      '⛺': 'tent',
+      '🧪': 'test_tube',
+      '🇹🇭': 'thailand',
+      '🌡': 'thermometer',
+      '🤔': 'thinking',
+      '🩴': 'thong_sandal',
+      '💭': 'thought_balloon',
+      '🧵': 'thread',
+      '3⃣': 'three',
+      '🎫': 'ticket',
+      '🎟': 'tickets',
+      '🐯': 'tiger',
+      '🐅': 'tiger2',
+      '⏲': 'timer_clock',
+      '🇹🇱': 'timor_leste',
+      '😫': 'tired_face',
+      '🇹🇬': 'togo',
+      '🚽': 'toilet',
+      '🇹🇰': 'tokelau',
+      '🗼': 'tokyo_tower',
+      '🍅': 'tomato',
+      '🇹🇴': 'tonga',
+      '👅': 'tongue',
+      '🧰': 'toolbox',
+      '🦷': 'tooth',
+      '🪥': 'toothbrush',
+      '🔝': 'top',
+      '🎩': 'tophat',
+      '🌪': 'tornado',
+      '🇹🇷': 'tr',
+      '🖲': 'trackball',
+      '🚜': 'tractor',
+      '🚥': 'traffic_light',
+      '🚋': 'train',
+      '🚆': 'train2',
+      '🚊': 'tram',
+      '🏳‍⚧': 'transgender_flag',
+      '⚧': 'transgender_symbol',
+      '🚩': 'triangular_flag_on_post',
+      '📐': 'triangular_ruler',
+      '🔱': 'trident',
+      '🇹🇹': 'trinidad_tobago',
+      '🇹🇦': 'tristan_da_cunha',
+      '😤': 'triumph',
+      '🧌': 'troll',
+      '🚎': 'trolleybus',
+      '🏆': 'trophy',
+      '🍹': 'tropical_drink',
+      '🐠': 'tropical_fish',
+      '🚚': 'truck',
+      '🎺': 'trumpet',
+      '🌷': 'tulip',
+      '🥃': 'tumbler_glass',
+      '🇹🇳': 'tunisia',
+      '🦃': 'turkey',
+      '🇹🇲': 'turkmenistan',
+      '🇹🇨': 'turks_caicos_islands',
+      '🐢': 'turtle',
+      '🇹🇻': 'tuvalu',
+      '📺': 'tv',
+      '🔀': 'twisted_rightwards_arrows',
+      '2⃣': 'two',
+      '💕': 'two_hearts',
+      '👬': 'two_men_holding_hands',
+      '👭': 'two_women_holding_hands',
+      '🈹': 'u5272',
+      '🈴': 'u5408',
+      '🈺': 'u55b6',
+      '🈯': 'u6307',
+      '🈷': 'u6708',
+      '🈶': 'u6709',
+      '🈵': 'u6e80',
+      '🈚': 'u7121',
+      '🈸': 'u7533',
+      '🈲': 'u7981',
+      '🈳': 'u7a7a',
+      '🇺🇬': 'uganda',
+      '🇺🇦': 'ukraine',
+      '😒': 'unamused',
+      '🔞': 'underage',
+      '🦄': 'unicorn',
+      '🇦🇪': 'united_arab_emirates',
+      '🇺🇳': 'united_nations',
+      '🔓': 'unlock',
+      '🆙': 'up',
+      '🙃': 'upside_down_face',
+      '🇺🇾': 'uruguay',
+      '🇺🇸': 'us',
+      '🇺🇲': 'us_outlying_islands',
+      '🇻🇮': 'us_virgin_islands',
+      '🇺🇿': 'uzbekistan',
+      '✌': 'v',
+      '🧛': 'vampire',
+      '🧛‍♂': 'vampire_man',
+      '🧛‍♀': 'vampire_woman',
+      '🇻🇺': 'vanuatu',
+      '🇻🇦': 'vatican_city',
+      '🇻🇪': 'venezuela',
+      '🚦': 'vertical_traffic_light',
+      '📼': 'vhs',
+      '📳': 'vibration_mode',
+      '📹': 'video_camera',
+      '🎮': 'video_game',
+      '🇻🇳': 'vietnam',
+      '🎻': 'violin',
+      '♍': 'virgo',
+      '🌋': 'volcano',
+      '🏐': 'volleyball',
+      '🤮': 'vomiting_face',
+      '🆚': 'vs',
+      '🖖': 'vulcan_salute',
+      '🧇': 'waffle',
+      '🏴󠁧󠁢󠁷󠁬󠁳󠁿': 'wales',
+      '🚶': 'walking',
+      '🚶‍♂': 'walking_man',
+      '🚶‍♀': 'walking_woman',
+      '🇼🇫': 'wallis_futuna',
+      '🌘': 'waning_crescent_moon',
+      '🌖': 'waning_gibbous_moon',
+      '⚠': 'warning',
+      '🗑': 'wastebasket',
+      '⌚': 'watch',
+      '🐃': 'water_buffalo',
+      '🤽': 'water_polo',
+      '🍉': 'watermelon',
+      '👋': 'wave',
+      '🌒': 'waxing_crescent_moon',
+      '🚾': 'wc',
+      '😩': 'weary',
+      '💒': 'wedding',
+      '🏋': 'weight_lifting',
+      '🏋‍♂': 'weight_lifting_man',
+      '🏋‍♀': 'weight_lifting_woman',
+      '🇪🇭': 'western_sahara',
+      '🐳': 'whale',
+      '🐋': 'whale2',
+      '🛞': 'wheel',
+      '♿': 'wheelchair',
+      '⚪': 'white_circle',
+      '🏳': 'white_flag',
+      '💮': 'white_flower',
+      '👨‍🦳': 'white_haired_man',
+      '👩‍🦳': 'white_haired_woman',
+      '🤍': 'white_heart',
+      '⬜': 'white_large_square',
+      '◽': 'white_medium_small_square',
+      '◻': 'white_medium_square',
+      '▫': 'white_small_square',
+      '🔳': 'white_square_button',
+      '🥀': 'wilted_flower',
+      '🎐': 'wind_chime',
+      '🌬': 'wind_face',
+      '🪟': 'window',
+      '🍷': 'wine_glass',
+      '🪽': 'wing',
+      '😉': 'wink',
+      '🛜': 'wireless',
+      '🐺': 'wolf',
+      '👩': 'woman',
+      '👩‍🎨': 'woman_artist',
+      '👩‍🚀': 'woman_astronaut',
+      '🧔‍♀': 'woman_beard',
+      '🤸‍♀': 'woman_cartwheeling',
+      '👩‍🍳': 'woman_cook',
+      '🤦‍♀': 'woman_facepalming',
+      '👩‍🏭': 'woman_factory_worker',
+      '👩‍🌾': 'woman_farmer',
+      '👩‍🍼': 'woman_feeding_baby',
+      '👩‍🚒': 'woman_firefighter',
+      '👩‍⚕': 'woman_health_worker',
+      '👩‍🦽': 'woman_in_manual_wheelchair',
+      '👩‍🦼': 'woman_in_motorized_wheelchair',
+      '🤵‍♀': 'woman_in_tuxedo',
+      '👩‍⚖': 'woman_judge',
+      '🤹‍♀': 'woman_juggling',
+      '👩‍🔧': 'woman_mechanic',
+      '👩‍💼': 'woman_office_worker',
+      '👩‍✈': 'woman_pilot',
+      '🤾‍♀': 'woman_playing_handball',
+      '🤽‍♀': 'woman_playing_water_polo',
+      '👩‍🔬': 'woman_scientist',
+      '🤷‍♀': 'woman_shrugging',
+      '👩‍🎤': 'woman_singer',
+      '👩‍🎓': 'woman_student',
+      '👩‍🏫': 'woman_teacher',
+      '👩‍💻': 'woman_technologist',
+      '🧕': 'woman_with_headscarf',
+      '👩‍🦯': 'woman_with_probing_cane',
+      '👳‍♀': 'woman_with_turban',
+      '👚': 'womans_clothes',
+      '👒': 'womans_hat',
+      '🤼‍♀': 'women_wrestling',
+      '🚺': 'womens',
+      '🪵': 'wood',
+      '🥴': 'woozy_face',
+      '🗺': 'world_map',
+      '🪱': 'worm',
+      '😟': 'worried',
+      '🔧': 'wrench',
+      '🤼': 'wrestling',
+      '✍': 'writing_hand',
+      '❌': 'x',
+      '🩻': 'x_ray',
+      '🧶': 'yarn',
+      '🥱': 'yawning_face',
+      '🟡': 'yellow_circle',
+      '💛': 'yellow_heart',
+      '🟨': 'yellow_square',
+      '🇾🇪': 'yemen',
+      '💴': 'yen',
+      '☯': 'yin_yang',
+      '🪀': 'yo_yo',
+      '😋': 'yum',
+      '🇿🇲': 'zambia',
+      '🤪': 'zany_face',
+      '⚡': 'zap',
+      '🦓': 'zebra',
+      '0⃣': 'zero',
+      '🇿🇼': 'zimbabwe',
+      '🤐': 'zipper_mouth_face',
+      '🧟': 'zombie',
+      '🧟‍♂': 'zombie_man',
+      '🧟‍♀': 'zombie_woman',
+      '💤': 'zzz'
+    },
+    slack: {
+      '⁉': 'interrobang',
+      '™': 'tm',
+      ℹ: 'information_source',
+      '↔': 'left_right_arrow',
+      '↕': 'arrow_up_down',
+      '↖': 'arrow_upper_left',
+      '↗': 'arrow_upper_right',
+      '↘': 'arrow_lower_right',
+      '↙': 'arrow_lower_left',
+      '⌨': 'keyboard',
+      '☀': 'sunny',
+      '☁': 'cloud',
+      '☂': 'umbrella',
+      '☃': 'snowman',
+      '☄': 'comet',
+      '☑': 'ballot_box_with_check',
+      '☔': 'umbrella_with_rain_drops',
+      '☕': 'coffee',
+      '☘': 'shamrock',
+      '☠': 'skull_and_crossbones',
+      '☢': 'radioactive_sign',
+      '☣': 'biohazard_sign',
+      '☦': 'orthodox_cross',
+      '☸': 'wheel_of_dharma',
+      '☹': 'white_frowning_face',
+      '♀': 'female_sign',
+      '♂': 'male_sign',
+      '♈': 'aries',
+      '♉': 'taurus',
+      '♐': 'sagittarius',
+      '♑': 'capricorn',
+      '♒': 'aquarius',
+      '♓': 'pisces',
+      '♠': 'spades',
+      '♣': 'clubs',
+      '♥': 'hearts',
+      '♦': 'diamonds',
+      '♨': 'hotsprings',
+      '⚒': 'hammer_and_pick',
+      '⚓': 'anchor',
+      '⚔': 'crossed_swords',
+      '⚕': 'medical_symbol',
+      '⚖': 'scales',
+      '⚗': 'alembic',
+      '⚙': 'gear',
+      '✂': 'scissors',
+      '✅': 'white_check_mark',
+      '✈': 'airplane',
+      '✉': 'email',
+      '✒': 'black_nib',
+      '✔': 'heavy_check_mark',
+      '✖': 'heavy_multiplication_x',
+      '✡': 'star_of_david',
+      '✨': 'sparkles',
+      '✳': 'eight_spoked_asterisk',
+      '✴': 'eight_pointed_black_star',
+      '❄': 'snowflake',
+      '❇': 'sparkle',
+      '❓': 'question',
+      '❔': 'grey_question',
+      '❕': 'grey_exclamation',
+      '❗': 'exclamation',
+      '❣': 'heavy_heart_exclamation_mark_ornament',
+      '❤': 'heart',
+      '➕': 'heavy_plus_sign',
+      '➖': 'heavy_minus_sign',
+      '➗': 'heavy_division_sign',
+      '⤴': 'arrow_heading_up',
+      '⤵': 'arrow_heading_down',
+      '〰': 'wavy_dash',
+      '㊗': 'congratulations',
+      '㊙': 'secret',
+      '#⃣': 'hash',
+      '*⃣': 'keycap_star',
+      '0⃣': 'zero',
+      '1⃣': 'one',
+      '2⃣': 'two',
+      '3⃣': 'three',
+      '4⃣': 'four',
+      '5⃣': 'five',
+      '6⃣': 'six',
+      '7⃣': 'seven',
+      '8⃣': 'eight',
+      '9⃣': 'nine',
+      '©': 'copyright',
+      '®': 'registered',
+      '🀄': 'mahjong',
+      '🃏': 'black_joker',
+      '🅰': 'a',
+      '🅱': 'b',
+      '🅾': 'o2',
+      '🅿': 'parking',
+      '🆎': 'ab',
+      '🆑': 'cl',
+      '🆒': 'cool',
+      '🆓': 'free',
+      '🆔': 'id',
+      '🆕': 'new',
+      '🆖': 'ng',
+      '🆗': 'ok',
+      '🆘': 'sos',
+      '🆙': 'up',
+      '🆚': 'vs',
+      '🇦🇨': 'flag-ac',
+      '🇦🇩': 'flag-ad',
+      '🇦🇪': 'flag-ae',
+      '🇦🇫': 'flag-af',
+      '🇦🇬': 'flag-ag',
+      '🇦🇮': 'flag-ai',
+      '🇦🇱': 'flag-al',
+      '🇦🇲': 'flag-am',
+      '🇦🇴': 'flag-ao',
+      '🇦🇶': 'flag-aq',
+      '🇦🇷': 'flag-ar',
+      '🇦🇸': 'flag-as',
+      '🇦🇹': 'flag-at',
+      '🇦🇺': 'flag-au',
+      '🇦🇼': 'flag-aw',
+      '🇦🇽': 'flag-ax',
+      '🇦🇿': 'flag-az',
+      '🇧🇦': 'flag-ba',
+      '🇧🇧': 'flag-bb',
+      '🇧🇩': 'flag-bd',
+      '🇧🇪': 'flag-be',
+      '🇧🇫': 'flag-bf',
+      '🇧🇬': 'flag-bg',
+      '🇧🇭': 'flag-bh',
+      '🇧🇮': 'flag-bi',
+      '🇧🇯': 'flag-bj',
+      '🇧🇱': 'flag-bl',
+      '🇧🇲': 'flag-bm',
+      '🇧🇳': 'flag-bn',
+      '🇧🇴': 'flag-bo',
+      '🇧🇶': 'flag-bq',
+      '🇧🇷': 'flag-br',
+      '🇧🇸': 'flag-bs',
+      '🇧🇹': 'flag-bt',
+      '🇧🇻': 'flag-bv',
+      '🇧🇼': 'flag-bw',
+      '🇧🇾': 'flag-by',
+      '🇧🇿': 'flag-bz',
+      '🇨🇦': 'flag-ca',
+      '🇨🇨': 'flag-cc',
+      '🇨🇩': 'flag-cd',
+      '🇨🇫': 'flag-cf',
+      '🇨🇬': 'flag-cg',
+      '🇨🇭': 'flag-ch',
+      '🇨🇮': 'flag-ci',
+      '🇨🇰': 'flag-ck',
+      '🇨🇱': 'flag-cl',
+      '🇨🇲': 'flag-cm',
+      '🇨🇳': 'cn',
+      '🇨🇴': 'flag-co',
+      '🇨🇵': 'flag-cp',
+      '🇨🇶': 'flag-sark',
+      '🇨🇷': 'flag-cr',
+      '🇨🇺': 'flag-cu',
+      '🇨🇻': 'flag-cv',
+      '🇨🇼': 'flag-cw',
+      '🇨🇽': 'flag-cx',
+      '🇨🇾': 'flag-cy',
+      '🇨🇿': 'flag-cz',
+      '🇩🇪': 'de',
+      '🇩🇬': 'flag-dg',
+      '🇩🇯': 'flag-dj',
+      '🇩🇰': 'flag-dk',
+      '🇩🇲': 'flag-dm',
+      '🇩🇴': 'flag-do',
+      '🇩🇿': 'flag-dz',
+      '🇪🇦': 'flag-ea',
+      '🇪🇨': 'flag-ec',
+      '🇪🇪': 'flag-ee',
+      '🇪🇬': 'flag-eg',
+      '🇪🇭': 'flag-eh',
+      '🇪🇷': 'flag-er',
+      '🇪🇸': 'es',
+      '🇪🇹': 'flag-et',
+      '🇪🇺': 'flag-eu',
+      '🇫🇮': 'flag-fi',
+      '🇫🇯': 'flag-fj',
+      '🇫🇰': 'flag-fk',
+      '🇫🇲': 'flag-fm',
+      '🇫🇴': 'flag-fo',
+      '🇫🇷': 'fr',
+      '🇬🇦': 'flag-ga',
+      '🇬🇧': 'gb',
+      '🇬🇩': 'flag-gd',
+      '🇬🇪': 'flag-ge',
+      '🇬🇫': 'flag-gf',
+      '🇬🇬': 'flag-gg',
+      '🇬🇭': 'flag-gh',
+      '🇬🇮': 'flag-gi',
+      '🇬🇱': 'flag-gl',
+      '🇬🇲': 'flag-gm',
+      '🇬🇳': 'flag-gn',
+      '🇬🇵': 'flag-gp',
+      '🇬🇶': 'flag-gq',
+      '🇬🇷': 'flag-gr',
+      '🇬🇸': 'flag-gs',
+      '🇬🇹': 'flag-gt',
+      '🇬🇺': 'flag-gu',
+      '🇬🇼': 'flag-gw',
+      '🇬🇾': 'flag-gy',
+      '🇭🇰': 'flag-hk',
+      '🇭🇲': 'flag-hm',
+      '🇭🇳': 'flag-hn',
+      '🇭🇷': 'flag-hr',
+      '🇭🇹': 'flag-ht',
+      '🇭🇺': 'flag-hu',
+      '🇮🇨': 'flag-ic',
+      '🇮🇩': 'flag-id',
+      '🇮🇪': 'flag-ie',
+      '🇮🇱': 'flag-il',
+      '🇮🇲': 'flag-im',
+      '🇮🇳': 'flag-in',
+      '🇮🇴': 'flag-io',
+      '🇮🇶': 'flag-iq',
+      '🇮🇷': 'flag-ir',
+      '🇮🇸': 'flag-is',
+      '🇮🇹': 'it',
+      '🇯🇪': 'flag-je',
+      '🇯🇲': 'flag-jm',
+      '🇯🇴': 'flag-jo',
+      '🇯🇵': 'jp',
+      '🇰🇪': 'flag-ke',
+      '🇰🇬': 'flag-kg',
+      '🇰🇭': 'flag-kh',
+      '🇰🇮': 'flag-ki',
+      '🇰🇲': 'flag-km',
+      '🇰🇳': 'flag-kn',
+      '🇰🇵': 'flag-kp',
+      '🇰🇷': 'kr',
+      '🇰🇼': 'flag-kw',
+      '🇰🇾': 'flag-ky',
+      '🇰🇿': 'flag-kz',
+      '🇱🇦': 'flag-la',
+      '🇱🇧': 'flag-lb',
+      '🇱🇨': 'flag-lc',
+      '🇱🇮': 'flag-li',
+      '🇱🇰': 'flag-lk',
+      '🇱🇷': 'flag-lr',
+      '🇱🇸': 'flag-ls',
+      '🇱🇹': 'flag-lt',
+      '🇱🇺': 'flag-lu',
+      '🇱🇻': 'flag-lv',
+      '🇱🇾': 'flag-ly',
+      '🇲🇦': 'flag-ma',
+      '🇲🇨': 'flag-mc',
+      '🇲🇩': 'flag-md',
+      '🇲🇪': 'flag-me',
+      '🇲🇫': 'flag-mf',
+      '🇲🇬': 'flag-mg',
+      '🇲🇭': 'flag-mh',
+      '🇲🇰': 'flag-mk',
+      '🇲🇱': 'flag-ml',
+      '🇲🇲': 'flag-mm',
+      '🇲🇳': 'flag-mn',
+      '🇲🇴': 'flag-mo',
+      '🇲🇵': 'flag-mp',
+      '🇲🇶': 'flag-mq',
+      '🇲🇷': 'flag-mr',
+      '🇲🇸': 'flag-ms',
+      '🇲🇹': 'flag-mt',
+      '🇲🇺': 'flag-mu',
+      '🇲🇻': 'flag-mv',
+      '🇲🇼': 'flag-mw',
+      '🇲🇽': 'flag-mx',
+      '🇲🇾': 'flag-my',
+      '🇲🇿': 'flag-mz',
+      '🇳🇦': 'flag-na',
+      '🇳🇨': 'flag-nc',
+      '🇳🇪': 'flag-ne',
+      '🇳🇫': 'flag-nf',
+      '🇳🇬': 'flag-ng',
+      '🇳🇮': 'flag-ni',
+      '🇳🇱': 'flag-nl',
+      '🇳🇴': 'flag-no',
+      '🇳🇵': 'flag-np',
+      '🇳🇷': 'flag-nr',
+      '🇳🇺': 'flag-nu',
+      '🇳🇿': 'flag-nz',
+      '🇴🇲': 'flag-om',
+      '🇵🇦': 'flag-pa',
+      '🇵🇪': 'flag-pe',
+      '🇵🇫': 'flag-pf',
+      '🇵🇬': 'flag-pg',
+      '🇵🇭': 'flag-ph',
+      '🇵🇰': 'flag-pk',
+      '🇵🇱': 'flag-pl',
+      '🇵🇲': 'flag-pm',
+      '🇵🇳': 'flag-pn',
+      '🇵🇷': 'flag-pr',
+      '🇵🇸': 'flag-ps',
+      '🇵🇹': 'flag-pt',
+      '🇵🇼': 'flag-pw',
+      '🇵🇾': 'flag-py',
+      '🇶🇦': 'flag-qa',
+      '🇷🇪': 'flag-re',
+      '🇷🇴': 'flag-ro',
+      '🇷🇸': 'flag-rs',
+      '🇷🇺': 'ru',
+      '🇷🇼': 'flag-rw',
+      '🇸🇦': 'flag-sa',
+      '🇸🇧': 'flag-sb',
+      '🇸🇨': 'flag-sc',
+      '🇸🇩': 'flag-sd',
+      '🇸🇪': 'flag-se',
+      '🇸🇬': 'flag-sg',
+      '🇸🇭': 'flag-sh',
+      '🇸🇮': 'flag-si',
+      '🇸🇯': 'flag-sj',
+      '🇸🇰': 'flag-sk',
+      '🇸🇱': 'flag-sl',
+      '🇸🇲': 'flag-sm',
+      '🇸🇳': 'flag-sn',
+      '🇸🇴': 'flag-so',
+      '🇸🇷': 'flag-sr',
+      '🇸🇸': 'flag-ss',
+      '🇸🇹': 'flag-st',
+      '🇸🇻': 'flag-sv',
+      '🇸🇽': 'flag-sx',
+      '🇸🇾': 'flag-sy',
+      '🇸🇿': 'flag-sz',
+      '🇹🇦': 'flag-ta',
+      '🇹🇨': 'flag-tc',
+      '🇹🇩': 'flag-td',
+      '🇹🇫': 'flag-tf',
+      '🇹🇬': 'flag-tg',
+      '🇹🇭': 'flag-th',
+      '🇹🇯': 'flag-tj',
+      '🇹🇰': 'flag-tk',
+      '🇹🇱': 'flag-tl',
+      '🇹🇲': 'flag-tm',
+      '🇹🇳': 'flag-tn',
+      '🇹🇴': 'flag-to',
+      '🇹🇷': 'flag-tr',
+      '🇹🇹': 'flag-tt',
+      '🇹🇻': 'flag-tv',
+      '🇹🇼': 'flag-tw',
+      '🇹🇿': 'flag-tz',
+      '🇺🇦': 'flag-ua',
+      '🇺🇬': 'flag-ug',
+      '🇺🇲': 'flag-um',
+      '🇺🇳': 'flag-un',
+      '🇺🇸': 'us',
+      '🇺🇾': 'flag-uy',
+      '🇺🇿': 'flag-uz',
+      '🇻🇦': 'flag-va',
+      '🇻🇨': 'flag-vc',
+      '🇻🇪': 'flag-ve',
+      '🇻🇬': 'flag-vg',
+      '🇻🇮': 'flag-vi',
+      '🇻🇳': 'flag-vn',
+      '🇻🇺': 'flag-vu',
+      '🇼🇫': 'flag-wf',
+      '🇼🇸': 'flag-ws',
+      '🇽🇰': 'flag-xk',
+      '🇾🇪': 'flag-ye',
+      '🇾🇹': 'flag-yt',
+      '🇿🇦': 'flag-za',
+      '🇿🇲': 'flag-zm',
+      '🇿🇼': 'flag-zw',
+      '🈁': 'koko',
+      '🈂': 'sa',
+      '🈚': 'u7121',
+      '🈯': 'u6307',
+      '🈲': 'u7981',
+      '🈳': 'u7a7a',
+      '🈴': 'u5408',
+      '🈵': 'u6e80',
+      '🈶': 'u6709',
+      '🈷': 'u6708',
+      '🈸': 'u7533',
+      '🈹': 'u5272',
+      '🈺': 'u55b6',
+      '🉐': 'ideograph_advantage',
+      '🉑': 'accept',
+      '🌀': 'cyclone',
+      '🌁': 'foggy',
+      '🌂': 'closed_umbrella',
+      '🌃': 'night_with_stars',
+      '🌄': 'sunrise_over_mountains',
+      '🌅': 'sunrise',
+      '🌆': 'city_sunset',
+      '🌇': 'city_sunrise',
+      '🌈': 'rainbow',
+      '🌉': 'bridge_at_night',
+      '🌊': 'ocean',
+      '🌋': 'volcano',
+      '🌌': 'milky_way',
+      '🌍': 'earth_africa',
+      '🌎': 'earth_americas',
+      '🌏': 'earth_asia',
+      '🌐': 'globe_with_meridians',
+      '🌑': 'new_moon',
+      '🌒': 'waxing_crescent_moon',
+      '🌓': 'first_quarter_moon',
+      '🌔': 'moon',
+      '🌕': 'full_moon',
+      '🌖': 'waning_gibbous_moon',
+      '🌗': 'last_quarter_moon',
+      '🌘': 'waning_crescent_moon',
+      '🌙': 'crescent_moon',
+      '🌚': 'new_moon_with_face',
+      '🌛': 'first_quarter_moon_with_face',
+      '🌜': 'last_quarter_moon_with_face',
+      '🌝': 'full_moon_with_face',
+      '🌞': 'sun_with_face',
+      '🌟': 'star2',
+      '🌠': 'stars',
+      '🌡': 'thermometer',
+      '🌤': 'mostly_sunny',
+      '🌥': 'barely_sunny',
+      '🌦': 'partly_sunny_rain',
+      '🌧': 'rain_cloud',
+      '🌨': 'snow_cloud',
+      '🌩': 'lightning',
+      '🌪': 'tornado',
+      '🌫': 'fog',
+      '🌬': 'wind_blowing_face',
+      '🌭': 'hotdog',
+      '🌮': 'taco',
+      '🌯': 'burrito',
+      '🌰': 'chestnut',
+      '🌱': 'seedling',
+      '🌲': 'evergreen_tree',
+      '🌳': 'deciduous_tree',
+      '🌴': 'palm_tree',
+      '🌵': 'cactus',
+      '🌶': 'hot_pepper',
+      '🌷': 'tulip',
+      '🌸': 'cherry_blossom',
+      '🌹': 'rose',
+      '🌺': 'hibiscus',
+      '🌻': 'sunflower',
+      '🌼': 'blossom',
+      '🌽': 'corn',
+      '🌾': 'ear_of_rice',
+      '🌿': 'herb',
+      '🍀': 'four_leaf_clover',
+      '🍁': 'maple_leaf',
+      '🍂': 'fallen_leaf',
+      '🍃': 'leaves',
+      '🍄‍🟫': 'brown_mushroom',
+      '🍄': 'mushroom',
+      '🍅': 'tomato',
+      '🍆': 'eggplant',
+      '🍇': 'grapes',
+      '🍈': 'melon',
+      '🍉': 'watermelon',
+      '🍊': 'tangerine',
+      '🍋‍🟩': 'lime',
+      '🍋': 'lemon',
+      '🍌': 'banana',
+      '🍍': 'pineapple',
+      '🍎': 'apple',
+      '🍏': 'green_apple',
+      '🍐': 'pear',
+      '🍑': 'peach',
+      '🍒': 'cherries',
+      '🍓': 'strawberry',
+      '🍔': 'hamburger',
+      '🍕': 'pizza',
+      '🍖': 'meat_on_bone',
+      '🍗': 'poultry_leg',
+      '🍘': 'rice_cracker',
+      '🍙': 'rice_ball',
+      '🍚': 'rice',
+      '🍛': 'curry',
+      '🍜': 'ramen',
+      '🍝': 'spaghetti',
+      '🍞': 'bread',
+      '🍟': 'fries',
+      '🍠': 'sweet_potato',
+      '🍡': 'dango',
+      '🍢': 'oden',
+      '🍣': 'sushi',
+      '🍤': 'fried_shrimp',
+      '🍥': 'fish_cake',
+      '🍦': 'icecream',
+      '🍧': 'shaved_ice',
+      '🍨': 'ice_cream',
+      '🍩': 'doughnut',
+      '🍪': 'cookie',
+      '🍫': 'chocolate_bar',
+      '🍬': 'candy',
+      '🍭': 'lollipop',
+      '🍮': 'custard',
+      '🍯': 'honey_pot',
+      '🍰': 'cake',
+      '🍱': 'bento',
+      '🍲': 'stew',
+      '🍳': 'fried_egg',
+      '🍴': 'fork_and_knife',
+      '🍵': 'tea',
+      '🍶': 'sake',
+      '🍷': 'wine_glass',
+      '🍸': 'cocktail',
+      '🍹': 'tropical_drink',
+      '🍺': 'beer',
+      '🍻': 'beers',
+      '🍼': 'baby_bottle',
+      '🍽': 'knife_fork_plate',
+      '🍾': 'champagne',
+      '🍿': 'popcorn',
+      '🎀': 'ribbon',
+      '🎁': 'gift',
+      '🎂': 'birthday',
+      '🎃': 'jack_o_lantern',
+      '🎄': 'christmas_tree',
+      '🎅': 'santa',
+      '🎆': 'fireworks',
+      '🎇': 'sparkler',
+      '🎈': 'balloon',
+      '🎉': 'tada',
+      '🎊': 'confetti_ball',
+      '🎋': 'tanabata_tree',
+      '🎌': 'crossed_flags',
+      '🎍': 'bamboo',
+      '🎎': 'dolls',
+      '🎏': 'flags',
+      '🎐': 'wind_chime',
+      '🎑': 'rice_scene',
+      '🎒': 'school_satchel',
+      '🎓': 'mortar_board',
+      '🎖': 'medal',
+      '🎗': 'reminder_ribbon',
+      '🎙': 'studio_microphone',
+      '🎚': 'level_slider',
+      '🎛': 'control_knobs',
+      '🎞': 'film_frames',
+      '🎟': 'admission_tickets',
+      '🎠': 'carousel_horse',
+      '🎡': 'ferris_wheel',
+      '🎢': 'roller_coaster',
+      '🎣': 'fishing_pole_and_fish',
+      '🎤': 'microphone',
+      '🎥': 'movie_camera',
+      '🎦': 'cinema',
+      '🎧': 'headphones',
+      '🎨': 'art',
+      '🎩': 'tophat',
+      '🎪': 'circus_tent',
+      '🎫': 'ticket',
+      '🎬': 'clapper',
+      '🎭': 'performing_arts',
+      '🎮': 'video_game',
+      '🎯': 'dart',
+      '🎰': 'slot_machine',
+      '🎱': '8ball',
+      '🎲': 'game_die',
+      '🎳': 'bowling',
+      '🎴': 'flower_playing_cards',
+      '🎵': 'musical_note',
+      '🎶': 'notes',
+      '🎷': 'saxophone',
+      '🎸': 'guitar',
+      '🎹': 'musical_keyboard',
+      '🎺': 'trumpet',
+      '🎻': 'violin',
+      '🎼': 'musical_score',
+      '🎽': 'running_shirt_with_sash',
+      '🎾': 'tennis',
+      '🎿': 'ski',
+      '🏀': 'basketball',
+      '🏁': 'checkered_flag',
+      '🏂': 'snowboarder',
+      '🏃‍♀': 'woman-running',
+      '🏃‍♀‍➡': 'woman_running_facing_right',
+      '🏃‍♂': 'man-running',
+      '🏃‍♂‍➡': 'man_running_facing_right',
+      '🏃‍➡': 'person_running_facing_right',
+      '🏃': 'runner',
+      '🏄‍♀': 'woman-surfing',
+      '🏄‍♂': 'man-surfing',
+      '🏄': 'surfer',
+      '🏅': 'sports_medal',
+      '🏆': 'trophy',
+      '🏇': 'horse_racing',
+      '🏈': 'football',
+      '🏉': 'rugby_football',
+      '🏊‍♀': 'woman-swimming',
+      '🏊‍♂': 'man-swimming',
+      '🏊': 'swimmer',
+      '🏋‍♀': 'woman-lifting-weights',
+      '🏋‍♂': 'man-lifting-weights',
+      '🏋': 'weight_lifter',
+      '🏌‍♀': 'woman-golfing',
+      '🏌‍♂': 'man-golfing',
+      '🏌': 'golfer',
+      '🏍': 'racing_motorcycle',
+      '🏎': 'racing_car',
+      '🏏': 'cricket_bat_and_ball',
+      '🏐': 'volleyball',
+      '🏑': 'field_hockey_stick_and_ball',
+      '🏒': 'ice_hockey_stick_and_puck',
+      '🏓': 'table_tennis_paddle_and_ball',
+      '🏔': 'snow_capped_mountain',
+      '🏕': 'camping',
+      '🏖': 'beach_with_umbrella',
+      '🏗': 'building_construction',
+      '🏘': 'house_buildings',
+      '🏙': 'cityscape',
+      '🏚': 'derelict_house_building',
+      '🏛': 'classical_building',
+      '🏜': 'desert',
+      '🏝': 'desert_island',
+      '🏞': 'national_park',
+      '🏟': 'stadium',
+      '🏠': 'house',
+      '🏡': 'house_with_garden',
+      '🏢': 'office',
+      '🏣': 'post_office',
+      '🏤': 'european_post_office',
+      '🏥': 'hospital',
+      '🏦': 'bank',
+      '🏧': 'atm',
+      '🏨': 'hotel',
+      '🏩': 'love_hotel',
+      '🏪': 'convenience_store',
+      '🏫': 'school',
+      '🏬': 'department_store',
+      '🏭': 'factory',
+      '🏮': 'izakaya_lantern',
+      '🏯': 'japanese_castle',
+      '🏰': 'european_castle',
+      '🏳‍🌈': 'rainbow-flag',
+      '🏳‍⚧': 'transgender_flag',
+      '🏳': 'waving_white_flag',
+      '🏴‍☠': 'pirate_flag',
+      '🏴󠁧󠁢󠁥󠁮󠁧󠁿': 'flag-england',
+      '🏴󠁧󠁢󠁳󠁣󠁴󠁿': 'flag-scotland',
+      '🏴󠁧󠁢󠁷󠁬󠁳󠁿': 'flag-wales',
+      '🏴': 'waving_black_flag',
+      '🏵': 'rosette',
+      '🏷': 'label',
+      '🏸': 'badminton_racquet_and_shuttlecock',
+      '🏹': 'bow_and_arrow',
+      '🏺': 'amphora',
+      '': 'skin-tone-2',
+      '🐀': 'rat',
+      '🐁': 'mouse2',
+      '🐂': 'ox',
+      '🐃': 'water_buffalo',
+      '🐄': 'cow2',
+      '🐅': 'tiger2',
+      '🐆': 'leopard',
+      '🐇': 'rabbit2',
+      '🐈‍⬛': 'black_cat',
+      '🐈': 'cat2',
+      '🐉': 'dragon',
+      '🐊': 'crocodile',
+      '🐋': 'whale2',
+      '🐌': 'snail',
+      '🐍': 'snake',
+      '🐎': 'racehorse',
+      '🐏': 'ram',
+      '🐐': 'goat',
+      '🐑': 'sheep',
+      '🐒': 'monkey',
+      '🐓': 'rooster',
+      '🐔': 'chicken',
+      '🐕‍🦺': 'service_dog',
+      '🐕': 'dog2',
+      '🐖': 'pig2',
+      '🐗': 'boar',
+      '🐘': 'elephant',
+      '🐙': 'octopus',
+      '🐚': 'shell',
+      '🐛': 'bug',
+      '🐜': 'ant',
+      '🐝': 'bee',
+      '🐞': 'ladybug',
+      '🐟': 'fish',
+      '🐠': 'tropical_fish',
+      '🐡': 'blowfish',
+      '🐢': 'turtle',
+      '🐣': 'hatching_chick',
+      '🐤': 'baby_chick',
+      '🐥': 'hatched_chick',
+      '🐦‍🔥': 'phoenix',
+      '🐦‍⬛': 'black_bird',
+      '🐦': 'bird',
+      '🐧': 'penguin',
+      '🐨': 'koala',
+      '🐩': 'poodle',
+      '🐪': 'dromedary_camel',
+      '🐫': 'camel',
+      '🐬': 'dolphin',
+      '🐭': 'mouse',
+      '🐮': 'cow',
+      '🐯': 'tiger',
+      '🐰': 'rabbit',
+      '🐱': 'cat',
+      '🐲': 'dragon_face',
+      '🐳': 'whale',
+      '🐴': 'horse',
+      '🐵': 'monkey_face',
+      '🐶': 'dog',
+      '🐷': 'pig',
+      '🐸': 'frog',
+      '🐹': 'hamster',
+      '🐺': 'wolf',
+      '🐻‍❄': 'polar_bear',
+      '🐻': 'bear',
+      '🐼': 'panda_face',
+      '🐽': 'pig_nose',
+      '🐾': 'feet',
+      '🐿': 'chipmunk',
+      '👀': 'eyes',
+      '👁‍🗨': 'eye-in-speech-bubble',
+      '👁': 'eye',
+      '👂': 'ear',
+      '👃': 'nose',
+      '👄': 'lips',
+      '👅': 'tongue',
+      '👆': 'point_up_2',
+      '👇': 'point_down',
+      '👈': 'point_left',
+      '👉': 'point_right',
+      '👊': 'facepunch',
+      '👋': 'wave',
+      '👌': 'ok_hand',
+      '👍': '+1',
+      '👎': '-1',
+      '👏': 'clap',
+      '👐': 'open_hands',
+      '👑': 'crown',
+      '👒': 'womans_hat',
+      '👓': 'eyeglasses',
+      '👔': 'necktie',
+      '👕': 'shirt',
+      '👖': 'jeans',
+      '👗': 'dress',
+      '👘': 'kimono',
+      '👙': 'bikini',
+      '👚': 'womans_clothes',
+      '👛': 'purse',
+      '👜': 'handbag',
+      '👝': 'pouch',
+      '👞': 'mans_shoe',
+      '👟': 'athletic_shoe',
+      '👠': 'high_heel',
+      '👡': 'sandal',
+      '👢': 'boot',
+      '👣': 'footprints',
+      '👤': 'bust_in_silhouette',
+      '👥': 'busts_in_silhouette',
+      '👦': 'boy',
+      '👧': 'girl',
+      '👨‍🌾': 'male-farmer',
+      '👨‍🍳': 'male-cook',
+      '👨‍🍼': 'man_feeding_baby',
+      '👨‍🎓': 'male-student',
+      '👨‍🎤': 'male-singer',
+      '👨‍🎨': 'male-artist',
+      '👨‍🏫': 'male-teacher',
+      '👨‍🏭': 'male-factory-worker',
+      '👨‍👦‍👦': 'man-boy-boy',
+      '👨‍👦': 'man-boy',
+      '👨‍👧‍👦': 'man-girl-boy',
+      '👨‍👧‍👧': 'man-girl-girl',
+      '👨‍👧': 'man-girl',
+      '👨‍👨‍👦': 'man-man-boy',
+      '👨‍👨‍👦‍👦': 'man-man-boy-boy',
+      '👨‍👨‍👧': 'man-man-girl',
+      '👨‍👨‍👧‍👦': 'man-man-girl-boy',
+      '👨‍👨‍👧‍👧': 'man-man-girl-girl',
+      '👨‍👩‍👦': 'man-woman-boy',
+      '👨‍👩‍👦‍👦': 'man-woman-boy-boy',
+      '👨‍👩‍👧': 'man-woman-girl',
+      '👨‍👩‍👧‍👦': 'man-woman-girl-boy',
+      '👨‍👩‍👧‍👧': 'man-woman-girl-girl',
+      '👨‍💻': 'male-technologist',
+      '👨‍💼': 'male-office-worker',
+      '👨‍🔧': 'male-mechanic',
+      '👨‍🔬': 'male-scientist',
+      '👨‍🚀': 'male-astronaut',
+      '👨‍🚒': 'male-firefighter',
+      '👨‍🦯‍➡': 'man_with_white_cane_facing_right',
+      '👨‍🦯': 'man_with_probing_cane',
+      '👨‍🦰': 'red_haired_man',
+      '👨‍🦱': 'curly_haired_man',
+      '👨‍🦲': 'bald_man',
+      '👨‍🦳': 'white_haired_man',
+      '👨‍🦼‍➡': 'man_in_motorized_wheelchair_facing_right',
+      '👨‍🦼': 'man_in_motorized_wheelchair',
+      '👨‍🦽‍➡': 'man_in_manual_wheelchair_facing_right',
+      '👨‍🦽': 'man_in_manual_wheelchair',
+      '👨‍⚕': 'male-doctor',
+      '👨‍⚖': 'male-judge',
+      '👨‍✈': 'male-pilot',
+      '👨‍❤‍👨': 'man-heart-man',
+      '👨‍❤‍💋‍👨': 'man-kiss-man',
+      '👨': 'man',
+      '👩‍🌾': 'female-farmer',
+      '👩‍🍳': 'female-cook',
+      '👩‍🍼': 'woman_feeding_baby',
+      '👩‍🎓': 'female-student',
+      '👩‍🎤': 'female-singer',
+      '👩‍🎨': 'female-artist',
+      '👩‍🏫': 'female-teacher',
+      '👩‍🏭': 'female-factory-worker',
+      '👩‍👦‍👦': 'woman-boy-boy',
+      '👩‍👦': 'woman-boy',
+      '👩‍👧‍👦': 'woman-girl-boy',
+      '👩‍👧‍👧': 'woman-girl-girl',
+      '👩‍👧': 'woman-girl',
+      '👩‍👩‍👦': 'woman-woman-boy',
+      '👩‍👩‍👦‍👦': 'woman-woman-boy-boy',
+      '👩‍👩‍👧': 'woman-woman-girl',
+      '👩‍👩‍👧‍👦': 'woman-woman-girl-boy',
+      '👩‍👩‍👧‍👧': 'woman-woman-girl-girl',
+      '👩‍💻': 'female-technologist',
+      '👩‍💼': 'female-office-worker',
+      '👩‍🔧': 'female-mechanic',
+      '👩‍🔬': 'female-scientist',
+      '👩‍🚀': 'female-astronaut',
+      '👩‍🚒': 'female-firefighter',
+      '👩‍🦯‍➡': 'woman_with_white_cane_facing_right',
+      '👩‍🦯': 'woman_with_probing_cane',
+      '👩‍🦰': 'red_haired_woman',
+      '👩‍🦱': 'curly_haired_woman',
+      '👩‍🦲': 'bald_woman',
+      '👩‍🦳': 'white_haired_woman',
+      '👩‍🦼‍➡': 'woman_in_motorized_wheelchair_facing_right',
+      '👩‍🦼': 'woman_in_motorized_wheelchair',
+      '👩‍🦽‍➡': 'woman_in_manual_wheelchair_facing_right',
+      '👩‍🦽': 'woman_in_manual_wheelchair',
+      '👩‍⚕': 'female-doctor',
+      '👩‍⚖': 'female-judge',
+      '👩‍✈': 'female-pilot',
+      '👩‍❤‍👨': 'woman-heart-man',
+      '👩‍❤‍👩': 'woman-heart-woman',
+      '👩‍❤‍💋‍👨': 'woman-kiss-man',
+      '👩‍❤‍💋‍👩': 'woman-kiss-woman',
+      '👩': 'woman',
+      '👪': 'family',
+      '👫': 'man_and_woman_holding_hands',
+      '👬': 'two_men_holding_hands',
+      '👭': 'two_women_holding_hands',
+      '👮‍♀': 'female-police-officer',
+      '👮‍♂': 'male-police-officer',
+      '👮': 'cop',
+      '👯‍♀': 'women-with-bunny-ears-partying',
+      '👯‍♂': 'men-with-bunny-ears-partying',
+      '👯': 'dancers',
+      '👰‍♀': 'woman_with_veil',
+      '👰‍♂': 'man_with_veil',
+      '👰': 'bride_with_veil',
+      '👱‍♀': 'blond-haired-woman',
+      '👱‍♂': 'blond-haired-man',
+      '👱': 'person_with_blond_hair',
+      '👲': 'man_with_gua_pi_mao',
+      '👳‍♀': 'woman-wearing-turban',
+      '👳‍♂': 'man-wearing-turban',
+      '👳': 'man_with_turban',
+      '👴': 'older_man',
+      '👵': 'older_woman',
+      '👶': 'baby',
+      '👷‍♀': 'female-construction-worker',
+      '👷‍♂': 'male-construction-worker',
+      '👷': 'construction_worker',
+      '👸': 'princess',
+      '👹': 'japanese_ogre',
+      '👺': 'japanese_goblin',
+      '👻': 'ghost',
+      '👼': 'angel',
+      '👽': 'alien',
+      '👾': 'space_invader',
+      '👿': 'imp',
+      '💀': 'skull',
+      '💁‍♀': 'woman-tipping-hand',
+      '💁‍♂': 'man-tipping-hand',
+      '💁': 'information_desk_person',
+      '💂‍♀': 'female-guard',
+      '💂‍♂': 'male-guard',
+      '💂': 'guardsman',
+      '💃': 'dancer',
+      '💄': 'lipstick',
+      '💅': 'nail_care',
+      '💆‍♀': 'woman-getting-massage',
+      '💆‍♂': 'man-getting-massage',
+      '💆': 'massage',
+      '💇‍♀': 'woman-getting-haircut',
+      '💇‍♂': 'man-getting-haircut',
+      '💇': 'haircut',
+      '💈': 'barber',
+      '💉': 'syringe',
+      '💊': 'pill',
+      '💋': 'kiss',
+      '💌': 'love_letter',
+      '💍': 'ring',
+      '💎': 'gem',
+      '💏': 'couplekiss',
+      '💐': 'bouquet',
+      '💑': 'couple_with_heart',
+      '💒': 'wedding',
+      '💓': 'heartbeat',
+      '💔': 'broken_heart',
+      '💕': 'two_hearts',
+      '💖': 'sparkling_heart',
+      '💗': 'heartpulse',
+      '💘': 'cupid',
+      '💙': 'blue_heart',
+      '💚': 'green_heart',
+      '💛': 'yellow_heart',
+      '💜': 'purple_heart',
+      '💝': 'gift_heart',
+      '💞': 'revolving_hearts',
+      '💟': 'heart_decoration',
+      '💠': 'diamond_shape_with_a_dot_inside',
+      '💡': 'bulb',
+      '💢': 'anger',
+      '💣': 'bomb',
+      '💤': 'zzz',
+      '💥': 'boom',
+      '💦': 'sweat_drops',
+      '💧': 'droplet',
+      '💨': 'dash',
+      '💩': 'hankey',
+      '💪': 'muscle',
+      '💫': 'dizzy',
+      '💬': 'speech_balloon',
+      '💭': 'thought_balloon',
+      '💮': 'white_flower',
+      '💯': '100',
+      '💰': 'moneybag',
+      '💱': 'currency_exchange',
+      '💲': 'heavy_dollar_sign',
+      '💳': 'credit_card',
+      '💴': 'yen',
+      '💵': 'dollar',
+      '💶': 'euro',
+      '💷': 'pound',
+      '💸': 'money_with_wings',
+      '💹': 'chart',
+      '💺': 'seat',
+      '💻': 'computer',
+      '💼': 'briefcase',
+      '💽': 'minidisc',
+      '💾': 'floppy_disk',
+      '💿': 'cd',
+      '📀': 'dvd',
+      '📁': 'file_folder',
+      '📂': 'open_file_folder',
+      '📃': 'page_with_curl',
+      '📄': 'page_facing_up',
+      '📅': 'date',
+      '📆': 'calendar',
+      '📇': 'card_index',
+      '📈': 'chart_with_upwards_trend',
+      '📉': 'chart_with_downwards_trend',
+      '📊': 'bar_chart',
+      '📋': 'clipboard',
+      '📌': 'pushpin',
+      '📍': 'round_pushpin',
+      '📎': 'paperclip',
+      '📏': 'straight_ruler',
+      '📐': 'triangular_ruler',
+      '📑': 'bookmark_tabs',
+      '📒': 'ledger',
+      '📓': 'notebook',
+      '📔': 'notebook_with_decorative_cover',
+      '📕': 'closed_book',
+      '📖': 'book',
+      '📗': 'green_book',
+      '📘': 'blue_book',
+      '📙': 'orange_book',
+      '📚': 'books',
+      '📛': 'name_badge',
+      '📜': 'scroll',
+      '📝': 'memo',
+      '📞': 'telephone_receiver',
+      '📟': 'pager',
+      '📠': 'fax',
+      '📡': 'satellite_antenna',
+      '📢': 'loudspeaker',
+      '📣': 'mega',
+      '📤': 'outbox_tray',
+      '📥': 'inbox_tray',
+      '📦': 'package',
+      '📧': 'e-mail',
+      '📨': 'incoming_envelope',
+      '📩': 'envelope_with_arrow',
+      '📪': 'mailbox_closed',
+      '📫': 'mailbox',
+      '📬': 'mailbox_with_mail',
+      '📭': 'mailbox_with_no_mail',
+      '📮': 'postbox',
+      '📯': 'postal_horn',
+      '📰': 'newspaper',
+      '📱': 'iphone',
+      '📲': 'calling',
+      '📳': 'vibration_mode',
+      '📴': 'mobile_phone_off',
+      '📵': 'no_mobile_phones',
+      '📶': 'signal_strength',
+      '📷': 'camera',
+      '📸': 'camera_with_flash',
+      '📹': 'video_camera',
+      '📺': 'tv',
+      '📻': 'radio',
+      '📼': 'vhs',
+      '📽': 'film_projector',
+      '📿': 'prayer_beads',
+      '🔀': 'twisted_rightwards_arrows',
+      '🔁': 'repeat',
+      '🔂': 'repeat_one',
+      '🔃': 'arrows_clockwise',
+      '🔄': 'arrows_counterclockwise',
+      '🔅': 'low_brightness',
+      '🔆': 'high_brightness',
+      '🔇': 'mute',
+      '🔈': 'speaker',
+      '🔉': 'sound',
+      '🔊': 'loud_sound',
+      '🔋': 'battery',
+      '🔌': 'electric_plug',
+      '🔍': 'mag',
+      '🔎': 'mag_right',
+      '🔏': 'lock_with_ink_pen',
+      '🔐': 'closed_lock_with_key',
+      '🔑': 'key',
+      '🔒': 'lock',
+      '🔓': 'unlock',
+      '🔔': 'bell',
+      '🔕': 'no_bell',
+      '🔖': 'bookmark',
+      '🔗': 'link',
+      '🔘': 'radio_button',
+      '🔙': 'back',
+      '🔚': 'end',
+      '🔛': 'on',
+      '🔜': 'soon',
+      '🔝': 'top',
+      '🔞': 'underage',
+      '🔟': 'keycap_ten',
+      '🔠': 'capital_abcd',
+      '🔡': 'abcd',
+      '🔢': '1234',
+      '🔣': 'symbols',
+      '🔤': 'abc',
+      '🔥': 'fire',
+      '🔦': 'flashlight',
+      '🔧': 'wrench',
+      '🔨': 'hammer',
+      '🔩': 'nut_and_bolt',
+      '🔪': 'hocho',
+      '🔫': 'gun',
+      '🔬': 'microscope',
+      '🔭': 'telescope',
+      '🔮': 'crystal_ball',
+      '🔯': 'six_pointed_star',
+      '🔰': 'beginner',
+      '🔱': 'trident',
+      '🔲': 'black_square_button',
+      '🔳': 'white_square_button',
+      '🔴': 'red_circle',
+      '🔵': 'large_blue_circle',
+      '🔶': 'large_orange_diamond',
+      '🔷': 'large_blue_diamond',
+      '🔸': 'small_orange_diamond',
+      '🔹': 'small_blue_diamond',
+      '🔺': 'small_red_triangle',
+      '🔻': 'small_red_triangle_down',
+      '🔼': 'arrow_up_small',
+      '🔽': 'arrow_down_small',
+      '🕉': 'om_symbol',
+      '🕊': 'dove_of_peace',
+      '🕋': 'kaaba',
+      '🕌': 'mosque',
+      '🕍': 'synagogue',
+      '🕎': 'menorah_with_nine_branches',
+      '🕐': 'clock1',
+      '🕑': 'clock2',
+      '🕒': 'clock3',
+      '🕓': 'clock4',
+      '🕔': 'clock5',
+      '🕕': 'clock6',
+      '🕖': 'clock7',
+      '🕗': 'clock8',
+      '🕘': 'clock9',
+      '🕙': 'clock10',
+      '🕚': 'clock11',
+      '🕛': 'clock12',
+      '🕜': 'clock130',
+      '🕝': 'clock230',
+      '🕞': 'clock330',
+      '🕟': 'clock430',
+      '🕠': 'clock530',
+      '🕡': 'clock630',
+      '🕢': 'clock730',
+      '🕣': 'clock830',
+      '🕤': 'clock930',
+      '🕥': 'clock1030',
+      '🕦': 'clock1130',
+      '🕧': 'clock1230',
+      '🕯': 'candle',
+      '🕰': 'mantelpiece_clock',
+      '🕳': 'hole',
+      '🕴': 'man_in_business_suit_levitating',
+      '🕵‍♀': 'female-detective',
+      '🕵‍♂': 'male-detective',
+      '🕵': 'sleuth_or_spy',
+      '🕶': 'dark_sunglasses',
+      '🕷': 'spider',
+      '🕸': 'spider_web',
+      '🕹': 'joystick',
+      '🕺': 'man_dancing',
+      '🖇': 'linked_paperclips',
+      '🖊': 'lower_left_ballpoint_pen',
+      '🖋': 'lower_left_fountain_pen',
+      '🖌': 'lower_left_paintbrush',
+      '🖍': 'lower_left_crayon',
+      '🖐': 'raised_hand_with_fingers_splayed',
+      '🖕': 'middle_finger',
+      '🖖': 'spock-hand',
+      '🖤': 'black_heart',
+      '🖥': 'desktop_computer',
+      '🖨': 'printer',
+      '🖱': 'three_button_mouse',
+      '🖲': 'trackball',
+      '🖼': 'frame_with_picture',
+      '🗂': 'card_index_dividers',
+      '🗃': 'card_file_box',
+      '🗄': 'file_cabinet',
+      '🗑': 'wastebasket',
+      '🗒': 'spiral_note_pad',
+      '🗓': 'spiral_calendar_pad',
+      '🗜': 'compression',
+      '🗝': 'old_key',
+      '🗞': 'rolled_up_newspaper',
+      '🗡': 'dagger_knife',
+      '🗣': 'speaking_head_in_silhouette',
+      '🗨': 'left_speech_bubble',
+      '🗯': 'right_anger_bubble',
+      '🗳': 'ballot_box_with_ballot',
+      '🗺': 'world_map',
+      '🗻': 'mount_fuji',
+      '🗼': 'tokyo_tower',
+      '🗽': 'statue_of_liberty',
+      '🗾': 'japan',
+      '🗿': 'moyai',
+      '😀': 'grinning',
+      '😁': 'grin',
+      '😂': 'joy',
+      '😃': 'smiley',
+      '😄': 'smile',
+      '😅': 'sweat_smile',
+      '😆': 'laughing',
+      '😇': 'innocent',
+      '😈': 'smiling_imp',
+      '😉': 'wink',
+      '😊': 'blush',
+      '😋': 'yum',
+      '😌': 'relieved',
+      '😍': 'heart_eyes',
+      '😎': 'sunglasses',
+      '😏': 'smirk',
+      '😐': 'neutral_face',
+      '😑': 'expressionless',
+      '😒': 'unamused',
+      '😓': 'sweat',
+      '😔': 'pensive',
+      '😕': 'confused',
+      '😖': 'confounded',
+      '😗': 'kissing',
+      '😘': 'kissing_heart',
+      '😙': 'kissing_smiling_eyes',
+      '😚': 'kissing_closed_eyes',
+      '😛': 'stuck_out_tongue',
+      '😜': 'stuck_out_tongue_winking_eye',
+      '😝': 'stuck_out_tongue_closed_eyes',
+      '😞': 'disappointed',
+      '😟': 'worried',
+      '😠': 'angry',
+      '😡': 'rage',
+      '😢': 'cry',
+      '😣': 'persevere',
+      '😤': 'triumph',
+      '😥': 'disappointed_relieved',
+      '😦': 'frowning',
+      '😧': 'anguished',
+      '😨': 'fearful',
+      '😩': 'weary',
+      '😪': 'sleepy',
+      '😫': 'tired_face',
+      '😬': 'grimacing',
+      '😭': 'sob',
+      '😮‍💨': 'face_exhaling',
+      '😮': 'open_mouth',
+      '😯': 'hushed',
+      '😰': 'cold_sweat',
+      '😱': 'scream',
+      '😲': 'astonished',
+      '😳': 'flushed',
+      '😴': 'sleeping',
+      '😵‍💫': 'face_with_spiral_eyes',
+      '😵': 'dizzy_face',
+      '😶‍🌫': 'face_in_clouds',
+      '😶': 'no_mouth',
+      '😷': 'mask',
+      '😸': 'smile_cat',
+      '😹': 'joy_cat',
+      '😺': 'smiley_cat',
+      '😻': 'heart_eyes_cat',
+      '😼': 'smirk_cat',
+      '😽': 'kissing_cat',
+      '😾': 'pouting_cat',
+      '😿': 'crying_cat_face',
+      '🙀': 'scream_cat',
+      '🙁': 'slightly_frowning_face',
+      '🙂‍↔': 'head_shaking_horizontally',
+      '🙂‍↕': 'head_shaking_vertically',
+      '🙂': 'slightly_smiling_face',
+      '🙃': 'upside_down_face',
+      '🙄': 'face_with_rolling_eyes',
+      '🙅‍♀': 'woman-gesturing-no',
+      '🙅‍♂': 'man-gesturing-no',
+      '🙅': 'no_good',
+      '🙆‍♀': 'woman-gesturing-ok',
+      '🙆‍♂': 'man-gesturing-ok',
+      '🙆': 'ok_woman',
+      '🙇‍♀': 'woman-bowing',
+      '🙇‍♂': 'man-bowing',
+      '🙇': 'bow',
+      '🙈': 'see_no_evil',
+      '🙉': 'hear_no_evil',
+      '🙊': 'speak_no_evil',
+      '🙋‍♀': 'woman-raising-hand',
+      '🙋‍♂': 'man-raising-hand',
+      '🙋': 'raising_hand',
+      '🙌': 'raised_hands',
+      '🙍‍♀': 'woman-frowning',
+      '🙍‍♂': 'man-frowning',
+      '🙍': 'person_frowning',
+      '🙎‍♀': 'woman-pouting',
+      '🙎‍♂': 'man-pouting',
+      '🙎': 'person_with_pouting_face',
+      '🙏': 'pray',
+      '🚀': 'rocket',
+      '🚁': 'helicopter',
+      '🚂': 'steam_locomotive',
+      '🚃': 'railway_car',
+      '🚄': 'bullettrain_side',
+      '🚅': 'bullettrain_front',
+      '🚆': 'train2',
+      '🚇': 'metro',
+      '🚈': 'light_rail',
+      '🚉': 'station',
+      '🚊': 'tram',
+      '🚋': 'train',
+      '🚌': 'bus',
+      '🚍': 'oncoming_bus',
+      '🚎': 'trolleybus',
+      '🚏': 'busstop',
+      '🚐': 'minibus',
+      '🚑': 'ambulance',
+      '🚒': 'fire_engine',
+      '🚓': 'police_car',
+      '🚔': 'oncoming_police_car',
+      '🚕': 'taxi',
+      '🚖': 'oncoming_taxi',
+      '🚗': 'car',
+      '🚘': 'oncoming_automobile',
+      '🚙': 'blue_car',
+      '🚚': 'truck',
+      '🚛': 'articulated_lorry',
+      '🚜': 'tractor',
+      '🚝': 'monorail',
+      '🚞': 'mountain_railway',
+      '🚟': 'suspension_railway',
+      '🚠': 'mountain_cableway',
+      '🚡': 'aerial_tramway',
+      '🚢': 'ship',
+      '🚣‍♀': 'woman-rowing-boat',
+      '🚣‍♂': 'man-rowing-boat',
+      '🚣': 'rowboat',
+      '🚤': 'speedboat',
+      '🚥': 'traffic_light',
+      '🚦': 'vertical_traffic_light',
+      '🚧': 'construction',
+      '🚨': 'rotating_light',
+      '🚩': 'triangular_flag_on_post',
+      '🚪': 'door',
+      '🚫': 'no_entry_sign',
+      '🚬': 'smoking',
+      '🚭': 'no_smoking',
+      '🚮': 'put_litter_in_its_place',
+      '🚯': 'do_not_litter',
+      '🚰': 'potable_water',
+      '🚱': 'non-potable_water',
+      '🚲': 'bike',
+      '🚳': 'no_bicycles',
+      '🚴‍♀': 'woman-biking',
+      '🚴‍♂': 'man-biking',
+      '🚴': 'bicyclist',
+      '🚵‍♀': 'woman-mountain-biking',
+      '🚵‍♂': 'man-mountain-biking',
+      '🚵': 'mountain_bicyclist',
+      '🚶‍♀': 'woman-walking',
+      '🚶‍♀‍➡': 'woman_walking_facing_right',
+      '🚶‍♂': 'man-walking',
+      '🚶‍♂‍➡': 'man_walking_facing_right',
+      '🚶‍➡': 'person_walking_facing_right',
+      '🚶': 'walking',
+      '🚷': 'no_pedestrians',
+      '🚸': 'children_crossing',
+      '🚹': 'mens',
+      '🚺': 'womens',
+      '🚻': 'restroom',
+      '🚼': 'baby_symbol',
+      '🚽': 'toilet',
+      '🚾': 'wc',
+      '🚿': 'shower',
+      '🛀': 'bath',
+      '🛁': 'bathtub',
+      '🛂': 'passport_control',
+      '🛃': 'customs',
+      '🛄': 'baggage_claim',
+      '🛅': 'left_luggage',
+      '🛋': 'couch_and_lamp',
+      '🛌': 'sleeping_accommodation',
+      '🛍': 'shopping_bags',
+      '🛎': 'bellhop_bell',
+      '🛏': 'bed',
+      '🛐': 'place_of_worship',
+      '🛑': 'octagonal_sign',
+      '🛒': 'shopping_trolley',
+      '🛕': 'hindu_temple',
+      '🛖': 'hut',
+      '🛗': 'elevator',
+      '🛜': 'wireless',
+      '🛝': 'playground_slide',
+      '🛞': 'wheel',
+      '🛟': 'ring_buoy',
+      '🛠': 'hammer_and_wrench',
+      '🛡': 'shield',
+      '🛢': 'oil_drum',
+      '🛣': 'motorway',
+      '🛤': 'railway_track',
+      '🛥': 'motor_boat',
+      '🛩': 'small_airplane',
+      '🛫': 'airplane_departure',
+      '🛬': 'airplane_arriving',
+      '🛰': 'satellite',
+      '🛳': 'passenger_ship',
+      '🛴': 'scooter',
+      '🛵': 'motor_scooter',
+      '🛶': 'canoe',
+      '🛷': 'sled',
+      '🛸': 'flying_saucer',
+      '🛹': 'skateboard',
+      '🛺': 'auto_rickshaw',
+      '🛻': 'pickup_truck',
+      '🛼': 'roller_skate',
+      '🟠': 'large_orange_circle',
+      '🟡': 'large_yellow_circle',
+      '🟢': 'large_green_circle',
+      '🟣': 'large_purple_circle',
+      '🟤': 'large_brown_circle',
+      '🟥': 'large_red_square',
+      '🟦': 'large_blue_square',
+      '🟧': 'large_orange_square',
+      '🟨': 'large_yellow_square',
+      '🟩': 'large_green_square',
+      '🟪': 'large_purple_square',
+      '🟫': 'large_brown_square',
+      '🟰': 'heavy_equals_sign',
+      '🤌': 'pinched_fingers',
+      '🤍': 'white_heart',
+      '🤎': 'brown_heart',
+      '🤏': 'pinching_hand',
+      '🤐': 'zipper_mouth_face',
+      '🤑': 'money_mouth_face',
+      '🤒': 'face_with_thermometer',
+      '🤓': 'nerd_face',
+      '🤔': 'thinking_face',
+      '🤕': 'face_with_head_bandage',
+      '🤖': 'robot_face',
+      '🤗': 'hugging_face',
+      '🤘': 'the_horns',
+      '🤙': 'call_me_hand',
+      '🤚': 'raised_back_of_hand',
+      '🤛': 'left-facing_fist',
+      '🤜': 'right-facing_fist',
+      '🤝': 'handshake',
+      '🤞': 'crossed_fingers',
+      '🤟': 'i_love_you_hand_sign',
+      '🤠': 'face_with_cowboy_hat',
+      '🤡': 'clown_face',
+      '🤢': 'nauseated_face',
+      '🤣': 'rolling_on_the_floor_laughing',
+      '🤤': 'drooling_face',
+      '🤥': 'lying_face',
+      '🤦‍♀': 'woman-facepalming',
+      '🤦‍♂': 'man-facepalming',
+      '🤦': 'face_palm',
+      '🤧': 'sneezing_face',
+      '🤨': 'face_with_raised_eyebrow',
+      '🤩': 'star-struck',
+      '🤪': 'zany_face',
+      '🤫': 'shushing_face',
+      '🤬': 'face_with_symbols_on_mouth',
+      '🤭': 'face_with_hand_over_mouth',
+      '🤮': 'face_vomiting',
+      '🤯': 'exploding_head',
+      '🤰': 'pregnant_woman',
+      '🤱': 'breast-feeding',
+      '🤲': 'palms_up_together',
+      '🤳': 'selfie',
+      '🤴': 'prince',
+      '🤵‍♀': 'woman_in_tuxedo',
+      '🤵‍♂': 'man_in_tuxedo',
+      '🤵': 'person_in_tuxedo',
+      '🤶': 'mrs_claus',
+      '🤷‍♀': 'woman-shrugging',
+      '🤷‍♂': 'man-shrugging',
+      '🤷': 'shrug',
+      '🤸‍♀': 'woman-cartwheeling',
+      '🤸‍♂': 'man-cartwheeling',
+      '🤸': 'person_doing_cartwheel',
+      '🤹‍♀': 'woman-juggling',
+      '🤹‍♂': 'man-juggling',
+      '🤹': 'juggling',
+      '🤺': 'fencer',
+      '🤼‍♀': 'woman-wrestling',
+      '🤼‍♂': 'man-wrestling',
+      '🤼': 'wrestlers',
+      '🤽‍♀': 'woman-playing-water-polo',
+      '🤽‍♂': 'man-playing-water-polo',
+      '🤽': 'water_polo',
+      '🤾‍♀': 'woman-playing-handball',
+      '🤾‍♂': 'man-playing-handball',
+      '🤾': 'handball',
+      '🤿': 'diving_mask',
+      '🥀': 'wilted_flower',
+      '🥁': 'drum_with_drumsticks',
+      '🥂': 'clinking_glasses',
+      '🥃': 'tumbler_glass',
+      '🥄': 'spoon',
+      '🥅': 'goal_net',
+      '🥇': 'first_place_medal',
+      '🥈': 'second_place_medal',
+      '🥉': 'third_place_medal',
+      '🥊': 'boxing_glove',
+      '🥋': 'martial_arts_uniform',
+      '🥌': 'curling_stone',
+      '🥍': 'lacrosse',
+      '🥎': 'softball',
+      '🥏': 'flying_disc',
+      '🥐': 'croissant',
+      '🥑': 'avocado',
+      '🥒': 'cucumber',
+      '🥓': 'bacon',
+      '🥔': 'potato',
+      '🥕': 'carrot',
+      '🥖': 'baguette_bread',
+      '🥗': 'green_salad',
+      '🥘': 'shallow_pan_of_food',
+      '🥙': 'stuffed_flatbread',
+      '🥚': 'egg',
+      '🥛': 'glass_of_milk',
+      '🥜': 'peanuts',
+      '🥝': 'kiwifruit',
+      '🥞': 'pancakes',
+      '🥟': 'dumpling',
+      '🥠': 'fortune_cookie',
+      '🥡': 'takeout_box',
+      '🥢': 'chopsticks',
+      '🥣': 'bowl_with_spoon',
+      '🥤': 'cup_with_straw',
+      '🥥': 'coconut',
+      '🥦': 'broccoli',
+      '🥧': 'pie',
+      '🥨': 'pretzel',
+      '🥩': 'cut_of_meat',
+      '🥪': 'sandwich',
+      '🥫': 'canned_food',
+      '🥬': 'leafy_green',
+      '🥭': 'mango',
+      '🥮': 'moon_cake',
+      '🥯': 'bagel',
+      '🥰': 'smiling_face_with_3_hearts',
+      '🥱': 'yawning_face',
+      '🥲': 'smiling_face_with_tear',
+      '🥳': 'partying_face',
+      '🥴': 'woozy_face',
+      '🥵': 'hot_face',
+      '🥶': 'cold_face',
+      '🥷': 'ninja',
+      '🥸': 'disguised_face',
+      '🥹': 'face_holding_back_tears',
+      '🥺': 'pleading_face',
+      '🥻': 'sari',
+      '🥼': 'lab_coat',
+      '🥽': 'goggles',
+      '🥾': 'hiking_boot',
+      '🥿': 'womans_flat_shoe',
+      '🦀': 'crab',
+      '🦁': 'lion_face',
+      '🦂': 'scorpion',
+      '🦃': 'turkey',
+      '🦄': 'unicorn_face',
+      '🦅': 'eagle',
+      '🦆': 'duck',
+      '🦇': 'bat',
+      '🦈': 'shark',
+      '🦉': 'owl',
+      '🦊': 'fox_face',
+      '🦋': 'butterfly',
+      '🦌': 'deer',
+      '🦍': 'gorilla',
+      '🦎': 'lizard',
+      '🦏': 'rhinoceros',
+      '🦐': 'shrimp',
+      '🦑': 'squid',
+      '🦒': 'giraffe_face',
+      '🦓': 'zebra_face',
+      '🦔': 'hedgehog',
+      '🦕': 'sauropod',
+      '🦖': 't-rex',
+      '🦗': 'cricket',
+      '🦘': 'kangaroo',
+      '🦙': 'llama',
+      '🦚': 'peacock',
+      '🦛': 'hippopotamus',
+      '🦜': 'parrot',
+      '🦝': 'raccoon',
+      '🦞': 'lobster',
+      '🦟': 'mosquito',
+      '🦠': 'microbe',
+      '🦡': 'badger',
+      '🦢': 'swan',
+      '🦣': 'mammoth',
+      '🦤': 'dodo',
+      '🦥': 'sloth',
+      '🦦': 'otter',
+      '🦧': 'orangutan',
+      '🦨': 'skunk',
+      '🦩': 'flamingo',
+      '🦪': 'oyster',
+      '🦫': 'beaver',
+      '🦬': 'bison',
+      '🦭': 'seal',
+      '🦮': 'guide_dog',
+      '🦯': 'probing_cane',
+      '🦴': 'bone',
+      '🦵': 'leg',
+      '🦶': 'foot',
+      '🦷': 'tooth',
+      '🦸‍♀': 'female_superhero',
+      '🦸‍♂': 'male_superhero',
+      '🦸': 'superhero',
+      '🦹‍♀': 'female_supervillain',
+      '🦹‍♂': 'male_supervillain',
+      '🦹': 'supervillain',
+      '🦺': 'safety_vest',
+      '🦻': 'ear_with_hearing_aid',
+      '🦼': 'motorized_wheelchair',
+      '🦽': 'manual_wheelchair',
+      '🦾': 'mechanical_arm',
+      '🦿': 'mechanical_leg',
+      '🧀': 'cheese_wedge',
+      '🧁': 'cupcake',
+      '🧂': 'salt',
+      '🧃': 'beverage_box',
+      '🧄': 'garlic',
+      '🧅': 'onion',
+      '🧆': 'falafel',
+      '🧇': 'waffle',
+      '🧈': 'butter',
+      '🧉': 'mate_drink',
+      '🧊': 'ice_cube',
+      '🧋': 'bubble_tea',
+      '🧌': 'troll',
+      '🧍‍♀': 'woman_standing',
+      '🧍‍♂': 'man_standing',
+      '🧍': 'standing_person',
+      '🧎‍♀': 'woman_kneeling',
+      '🧎‍♀‍➡': 'woman_kneeling_facing_right',
+      '🧎‍♂': 'man_kneeling',
+      '🧎‍♂‍➡': 'man_kneeling_facing_right',
+      '🧎‍➡': 'person_kneeling_facing_right',
+      '🧎': 'kneeling_person',
+      '🧏‍♀': 'deaf_woman',
+      '🧏‍♂': 'deaf_man',
+      '🧏': 'deaf_person',
+      '🧐': 'face_with_monocle',
+      '🧑‍🌾': 'farmer',
+      '🧑‍🍳': 'cook',
+      '🧑‍🍼': 'person_feeding_baby',
+      '🧑‍🎄': 'mx_claus',
+      '🧑‍🎓': 'student',
+      '🧑‍🎤': 'singer',
+      '🧑‍🎨': 'artist',
+      '🧑‍🏫': 'teacher',
+      '🧑‍🏭': 'factory_worker',
+      '🧑‍💻': 'technologist',
+      '🧑‍💼': 'office_worker',
+      '🧑‍🔧': 'mechanic',
+      '🧑‍🔬': 'scientist',
+      '🧑‍🚀': 'astronaut',
+      '🧑‍🚒': 'firefighter',
+      '🧑‍🤝‍🧑': 'people_holding_hands',
+      '🧑‍🦯‍➡': 'person_with_white_cane_facing_right',
+      '🧑‍🦯': 'person_with_probing_cane',
+      '🧑‍🦰': 'red_haired_person',
+      '🧑‍🦱': 'curly_haired_person',
+      '🧑‍🦲': 'bald_person',
+      '🧑‍🦳': 'white_haired_person',
+      '🧑‍🦼‍➡': 'person_in_motorized_wheelchair_facing_right',
+      '🧑‍🦼': 'person_in_motorized_wheelchair',
+      '🧑‍🦽‍➡': 'person_in_manual_wheelchair_facing_right',
+      '🧑‍🦽': 'person_in_manual_wheelchair',
+      '🧑‍🧑‍🧒': 'family_adult_adult_child',
+      '🧑‍🧑‍🧒‍🧒': 'family_adult_adult_child_child',
+      '🧑‍🧒‍🧒': 'family_adult_child_child',
+      '🧑‍🧒': 'family_adult_child',
+      '🧑‍⚕': 'health_worker',
+      '🧑‍⚖': 'judge',
+      '🧑‍✈': 'pilot',
+      '🧑': 'adult',
+      '🧒': 'child',
+      '🧓': 'older_adult',
+      '🧔‍♀': 'woman_with_beard',
+      '🧔‍♂': 'man_with_beard',
+      '🧔': 'bearded_person',
+      '🧕': 'person_with_headscarf',
+      '🧖‍♀': 'woman_in_steamy_room',
+      '🧖‍♂': 'man_in_steamy_room',
+      '🧖': 'person_in_steamy_room',
+      '🧗‍♀': 'woman_climbing',
+      '🧗‍♂': 'man_climbing',
+      '🧗': 'person_climbing',
+      '🧘‍♀': 'woman_in_lotus_position',
+      '🧘‍♂': 'man_in_lotus_position',
+      '🧘': 'person_in_lotus_position',
+      '🧙‍♀': 'female_mage',
+      '🧙‍♂': 'male_mage',
+      '🧙': 'mage',
+      '🧚‍♀': 'female_fairy',
+      '🧚‍♂': 'male_fairy',
+      '🧚': 'fairy',
+      '🧛‍♀': 'female_vampire',
+      '🧛‍♂': 'male_vampire',
+      '🧛': 'vampire',
+      '🧜‍♀': 'mermaid',
+      '🧜‍♂': 'merman',
+      '🧜': 'merperson',
+      '🧝‍♀': 'female_elf',
+      '🧝‍♂': 'male_elf',
+      '🧝': 'elf',
+      '🧞‍♀': 'female_genie',
+      '🧞‍♂': 'male_genie',
+      '🧞': 'genie',
+      '🧟‍♀': 'female_zombie',
+      '🧟‍♂': 'male_zombie',
+      '🧟': 'zombie',
+      '🧠': 'brain',
+      '🧡': 'orange_heart',
+      '🧢': 'billed_cap',
+      '🧣': 'scarf',
+      '🧤': 'gloves',
+      '🧥': 'coat',
+      '🧦': 'socks',
+      '🧧': 'red_envelope',
+      '🧨': 'firecracker',
+      '🧩': 'jigsaw',
+      '🧪': 'test_tube',
+      '🧫': 'petri_dish',
+      '🧬': 'dna',
+      '🧭': 'compass',
+      '🧮': 'abacus',
+      '🧯': 'fire_extinguisher',
+      '🧰': 'toolbox',
+      '🧱': 'bricks',
+      '🧲': 'magnet',
+      '🧳': 'luggage',
+      '🧴': 'lotion_bottle',
+      '🧵': 'thread',
+      '🧶': 'yarn',
+      '🧷': 'safety_pin',
+      '🧸': 'teddy_bear',
+      '🧹': 'broom',
+      '🧺': 'basket',
+      '🧻': 'roll_of_paper',
+      '🧼': 'soap',
+      '🧽': 'sponge',
+      '🧾': 'receipt',
+      '🧿': 'nazar_amulet',
+      '🩰': 'ballet_shoes',
+      '🩱': 'one-piece_swimsuit',
+      '🩲': 'briefs',
+      '🩳': 'shorts',
+      '🩴': 'thong_sandal',
+      '🩵': 'light_blue_heart',
+      '🩶': 'grey_heart',
+      '🩷': 'pink_heart',
+      '🩸': 'drop_of_blood',
+      '🩹': 'adhesive_bandage',
+      '🩺': 'stethoscope',
+      '🩻': 'x-ray',
+      '🩼': 'crutch',
+      '🪀': 'yo-yo',
+      '🪁': 'kite',
+      '🪂': 'parachute',
+      '🪃': 'boomerang',
+      '🪄': 'magic_wand',
+      '🪅': 'pinata',
+      '🪆': 'nesting_dolls',
+      '🪇': 'maracas',
+      '🪈': 'flute',
+      '🪉': 'harp',
+      '🪏': 'shovel',
+      '🪐': 'ringed_planet',
+      '🪑': 'chair',
+      '🪒': 'razor',
+      '🪓': 'axe',
+      '🪔': 'diya_lamp',
+      '🪕': 'banjo',
+      '🪖': 'military_helmet',
+      '🪗': 'accordion',
+      '🪘': 'long_drum',
+      '🪙': 'coin',
+      '🪚': 'carpentry_saw',
+      '🪛': 'screwdriver',
+      '🪜': 'ladder',
+      '🪝': 'hook',
+      '🪞': 'mirror',
+      '🪟': 'window',
+      '🪠': 'plunger',
+      '🪡': 'sewing_needle',
+      '🪢': 'knot',
+      '🪣': 'bucket',
+      '🪤': 'mouse_trap',
+      '🪥': 'toothbrush',
+      '🪦': 'headstone',
+      '🪧': 'placard',
+      '🪨': 'rock',
+      '🪩': 'mirror_ball',
+      '🪪': 'identification_card',
+      '🪫': 'low_battery',
+      '🪬': 'hamsa',
+      '🪭': 'folding_hand_fan',
+      '🪮': 'hair_pick',
+      '🪯': 'khanda',
+      '🪰': 'fly',
+      '🪱': 'worm',
+      '🪲': 'beetle',
+      '🪳': 'cockroach',
+      '🪴': 'potted_plant',
+      '🪵': 'wood',
+      '🪶': 'feather',
+      '🪷': 'lotus',
+      '🪸': 'coral',
+      '🪹': 'empty_nest',
+      '🪺': 'nest_with_eggs',
+      '🪻': 'hyacinth',
+      '🪼': 'jellyfish',
+      '🪽': 'wing',
+      '🪾': 'leafless_tree',
+      '🪿': 'goose',
+      '🫀': 'anatomical_heart',
+      '🫁': 'lungs',
+      '🫂': 'people_hugging',
+      '🫃': 'pregnant_man',
+      '🫄': 'pregnant_person',
+      '🫅': 'person_with_crown',
+      '🫆': 'fingerprint',
+      '🫎': 'moose',
+      '🫏': 'donkey',
+      '🫐': 'blueberries',
+      '🫑': 'bell_pepper',
+      '🫒': 'olive',
+      '🫓': 'flatbread',
+      '🫔': 'tamale',
+      '🫕': 'fondue',
+      '🫖': 'teapot',
+      '🫗': 'pouring_liquid',
+      '🫘': 'beans',
+      '🫙': 'jar',
+      '🫚': 'ginger_root',
+      '🫛': 'pea_pod',
+      '🫜': 'root_vegetable',
+      '🫟': 'splatter',
+      '🫠': 'melting_face',
+      '🫡': 'saluting_face',
+      '🫢': 'face_with_open_eyes_and_hand_over_mouth',
+      '🫣': 'face_with_peeking_eye',
+      '🫤': 'face_with_diagonal_mouth',
+      '🫥': 'dotted_line_face',
+      '🫦': 'biting_lip',
+      '🫧': 'bubbles',
+      '🫨': 'shaking_face',
+      '🫩': 'face_with_bags_under_eyes',
+      '🫰': 'hand_with_index_finger_and_thumb_crossed',
+      '🫱': 'rightwards_hand',
+      '🫲': 'leftwards_hand',
+      '🫳': 'palm_down_hand',
+      '🫴': 'palm_up_hand',
+      '🫵': 'index_pointing_at_the_viewer',
+      '🫶': 'heart_hands',
+      '🫷': 'leftwards_pushing_hand',
+      '🫸': 'rightwards_pushing_hand',
+      '‼': 'bangbang',
+      '↩': 'leftwards_arrow_with_hook',
+      '↪': 'arrow_right_hook',
+      '⌚': 'watch',
+      '⌛': 'hourglass',
+      '⏏': 'eject',
+      '⏩': 'fast_forward',
+      '⏪': 'rewind',
+      '⏫': 'arrow_double_up',
+      '⏬': 'arrow_double_down',
+      '⏭': 'black_right_pointing_double_triangle_with_vertical_bar',
+      '⏮': 'black_left_pointing_double_triangle_with_vertical_bar',
+      '⏯': 'black_right_pointing_triangle_with_double_vertical_bar',
+      '⏰': 'alarm_clock',
+      '⏱': 'stopwatch',
+      '⏲': 'timer_clock',
+      '⏳': 'hourglass_flowing_sand',
+      '⏸': 'double_vertical_bar',
+      '⏹': 'black_square_for_stop',
+      '⏺': 'black_circle_for_record',
+      'Ⓜ': 'm',
+      '▪': 'black_small_square',
+      '▫': 'white_small_square',
+      '▶': 'arrow_forward',
+      '◀': 'arrow_backward',
+      '◻': 'white_medium_square',
+      '◼': 'black_medium_square',
+      '◽': 'white_medium_small_square',
+      '◾': 'black_medium_small_square',
+      '☎': 'phone',
+      '☝': 'point_up',
+      '☪': 'star_and_crescent',
+      '☮': 'peace_symbol',
+      '☯': 'yin_yang',
+      '☺': 'relaxed',
+      '♊': 'gemini',
+      '♋': 'cancer',
+      '♌': 'leo',
+      '♍': 'virgo',
+      '♎': 'libra',
+      '♏': 'scorpius',
+      '♟': 'chess_pawn',
+      '♻': 'recycle',
+      '♾': 'infinity',
+      '♿': 'wheelchair',
+      '⚛': 'atom_symbol',
+      '⚜': 'fleur_de_lis',
+      '⚠': 'warning',
+      '⚡': 'zap',
+      '⚧': 'transgender_symbol',
+      '⚪': 'white_circle',
+      '⚫': 'black_circle',
+      '⚰': 'coffin',
+      '⚱': 'funeral_urn',
+      '⚽': 'soccer',
+      '⚾': 'baseball',
+      '⛄': 'snowman_without_snow',
+      '⛅': 'partly_sunny',
+      '⛈': 'thunder_cloud_and_rain',
+      '⛎': 'ophiuchus',
+      '⛏': 'pick',
+      '⛑': 'helmet_with_white_cross',
+      '⛓‍💥': 'broken_chain',
+      '⛓': 'chains',
+      '⛔': 'no_entry',
+      '⛩': 'shinto_shrine',
+      '⛪': 'church',
+      '⛰': 'mountain',
+      '⛱': 'umbrella_on_ground',
+      '⛲': 'fountain',
+      '⛳': 'golf',
+      '⛴': 'ferry',
+      '⛵': 'boat',
+      '⛷': 'skier',
+      '⛸': 'ice_skate',
+      '⛹‍♀': 'woman-bouncing-ball',
+      '⛹‍♂': 'man-bouncing-ball',
+      '⛹': 'person_with_ball',
+      '⛺': 'tent',
+      '⛽': 'fuelpump',
+      '✊': 'fist',
+      '✋': 'hand',
+      '✌': 'v',
+      '✍': 'writing_hand',
+      '✏': 'pencil2',
+      '✝': 'latin_cross',
+      '❌': 'x',
+      '❎': 'negative_squared_cross_mark',
+      '❤‍🔥': 'heart_on_fire',
+      '❤‍🩹': 'mending_heart',
+      '➡': 'arrow_right',
+      '➰': 'curly_loop',
+      '➿': 'loop',
+      '⬅': 'arrow_left',
+      '⬆': 'arrow_up',
+      '⬇': 'arrow_down',
+      '⬛': 'black_large_square',
+      '⬜': 'white_large_square',
+      '⭐': 'star',
+      '⭕': 'o',
+      '〽': 'part_alternation_mark'
+    },
+    discord: {
+      '⁉': 'interrobang',
+      '™': 'tm',
+      ℹ: 'information_source',
+      '↔': 'left_right_arrow',
+      '↕': 'arrow_up_down',
+      '↖': 'arrow_upper_left',
+      '↗': 'arrow_upper_right',
+      '↘': 'arrow_lower_right',
+      '↙': 'arrow_lower_left',
+      '⌨': 'keyboard',
+      '☀': 'sunny',
+      '☁': 'cloud',
+      '☂': 'umbrella2',
+      '☃': 'snowman2',
+      '☄': 'comet',
+      '☑': 'ballot_box_with_check',
+      '☔': 'umbrella',
+      '☕': 'coffee',
+      '☘': 'shamrock',
+      '☠': 'skull_crossbones',
+      '☢': 'radioactive',
+      '☣': 'biohazard',
+      '☦': 'orthodox_cross',
+      '☸': 'wheel_of_dharma',
+      '☹': 'frowning2',
+      '♀': 'female_sign',
+      '♂': 'male_sign',
+      '♈': 'aries',
+      '♉': 'taurus',
+      '♐': 'sagittarius',
+      '♑': 'capricorn',
+      '♒': 'aquarius',
+      '♓': 'pisces',
+      '♠': 'spades',
+      '♣': 'clubs',
+      '♥': 'hearts',
+      '♦': 'diamonds',
+      '♨': 'hotsprings',
+      '⚒': 'hammer_pick',
+      '⚓': 'anchor',
+      '⚔': 'crossed_swords',
+      '⚕': 'medical_symbol',
+      '⚖': 'scales',
+      '⚗': 'alembic',
+      '⚙': 'gear',
+      '✂': 'scissors',
+      '✅': 'white_check_mark',
+      '✈': 'airplane',
+      '✉': 'envelope',
+      '✒': 'black_nib',
+      '✔': 'heavy_check_mark',
+      '✖': 'heavy_multiplication_x',
+      '✡': 'star_of_david',
+      '✨': 'sparkles',
+      '✳': 'eight_spoked_asterisk',
+      '✴': 'eight_pointed_black_star',
+      '❄': 'snowflake',
+      '❇': 'sparkle',
+      '❓': 'question',
+      '❔': 'grey_question',
+      '❕': 'grey_exclamation',
+      '❗': 'exclamation',
+      '❣': 'heart_exclamation',
+      '❤': 'heart',
+      '➕': 'heavy_plus_sign',
+      '➖': 'heavy_minus_sign',
+      '➗': 'heavy_division_sign',
+      '⤴': 'arrow_heading_up',
+      '⤵': 'arrow_heading_down',
+      '〰': 'wavy_dash',
+      '㊗': 'congratulations',
+      '㊙': 'secret',
+      '⚽': 'soccer',
+      '🏀': 'basketball',
+      '🏈': 'football',
+      '⚾': 'baseball',
+      '🥎': 'softball',
+      '🎾': 'tennis',
+      '🏐': 'volleyball',
+      '🏉': 'rugby_football',
+      '🥏': 'flying_disc',
+      '🎱': '8ball',
+      '🪀': 'yo_yo',
+      '🏓': 'ping_pong',
+      '🏸': 'badminton',
+      '🏒': 'hockey',
+      '🏑': 'field_hockey',
+      '🥍': 'lacrosse',
+      '🏏': 'cricket_game',
+      '🪃': 'boomerang',
+      '🥅': 'goal',
+      '⛳': 'golf',
+      '🪁': 'kite',
+      '🛝': 'playground_slide',
+      '🏹': 'bow_and_arrow',
+      '🎣': 'fishing_pole_and_fish',
+      '🤿': 'diving_mask',
+      '🥊': 'boxing_glove',
+      '🥋': 'martial_arts_uniform',
+      '🎽': 'running_shirt_with_sash',
+      '🛹': 'skateboard',
+      '🛼': 'roller_skate',
+      '🛷': 'sled',
+      '⛸': 'ice_skate',
+      '🥌': 'curling_stone',
+      '🎿': 'ski',
+      '⛷': 'skier',
+      '🏂': 'snowboarder',
+      '🪂': 'parachute',
+      '🏋': 'person_lifting_weights',
+      '🏋‍♀': 'woman_lifting_weights',
+      '🏋‍♂': 'man_lifting_weights',
+      '🤼': 'people_wrestling',
+      '🤼‍♀': 'women_wrestling',
+      '🤼‍♂': 'men_wrestling',
+      '🤸': 'person_doing_cartwheel',
+      '🤸‍♀': 'woman_cartwheeling',
+      '🤸‍♂': 'man_cartwheeling',
+      '⛹': 'person_bouncing_ball',
+      '⛹‍♀': 'woman_bouncing_ball',
+      '⛹‍♂': 'man_bouncing_ball',
+      '🤺': 'person_fencing',
+      '🤾': 'person_playing_handball',
+      '🤾‍♀': 'woman_playing_handball',
+      '🤾‍♂': 'man_playing_handball',
+      '🏌': 'person_golfing',
+      '🏌‍♀': 'woman_golfing',
+      '🏌‍♂': 'man_golfing',
+      '🏇': 'horse_racing',
+      '🧘': 'person_in_lotus_position',
+      '🧘‍♀': 'woman_in_lotus_position',
+      '🧘‍♂': 'man_in_lotus_position',
+      '🏄': 'person_surfing',
+      '🏄‍♀': 'woman_surfing',
+      '🏄‍♂': 'man_surfing',
+      '🏊': 'person_swimming',
+      '🏊‍♀': 'woman_swimming',
+      '🏊‍♂': 'man_swimming',
+      '🤽': 'person_playing_water_polo',
+      '🤽‍♀': 'woman_playing_water_polo',
+      '🤽‍♂': 'man_playing_water_polo',
+      '🚣': 'person_rowing_boat',
+      '🚣‍♀': 'woman_rowing_boat',
+      '🚣‍♂': 'man_rowing_boat',
+      '🧗': 'person_climbing',
+      '🧗‍♀': 'woman_climbing',
+      '🧗‍♂': 'man_climbing',
+      '🚵': 'person_mountain_biking',
+      '🚵‍♀': 'woman_mountain_biking',
+      '🚵‍♂': 'man_mountain_biking',
+      '🚴': 'person_biking',
+      '🚴‍♀': 'woman_biking',
+      '🚴‍♂': 'man_biking',
+      '🏆': 'trophy',
+      '🥇': 'first_place',
+      '🥈': 'second_place',
+      '🥉': 'third_place',
+      '🏅': 'medal',
+      '🎖': 'military_medal',
+      '🏵': 'rosette',
+      '🎗': 'reminder_ribbon',
+      '🎫': 'ticket',
+      '🎟': 'tickets',
+      '🎪': 'circus_tent',
+      '🤹': 'person_juggling',
+      '🤹‍♀': 'woman_juggling',
+      '🤹‍♂': 'man_juggling',
+      '🎭': 'performing_arts',
+      '🩰': 'ballet_shoes',
+      '🎨': 'art',
+      '🎬': 'clapper',
+      '🎤': 'microphone',
+      '🎧': 'headphones',
+      '🎼': 'musical_score',
+      '🎹': 'musical_keyboard',
+      '🪇': 'maracas',
+      '🥁': 'drum',
+      '🪘': 'long_drum',
+      '🎷': 'saxophone',
+      '🎺': 'trumpet',
+      '🪗': 'accordion',
+      '🎸': 'guitar',
+      '🪕': 'banjo',
+      '🎻': 'violin',
+      '🪈': 'flute',
+      '🎲': 'game_die',
+      '♟': 'chess_pawn',
+      '🎯': 'dart',
+      '🎳': 'bowling',
+      '🎮': 'video_game',
+      '🎰': 'slot_machine',
+      '🧩': 'jigsaw',
+      '🏳': 'flag_white',
+      '🏴': 'flag_black',
+      '🏴‍☠': 'pirate_flag',
+      '🏁': 'checkered_flag',
+      '🚩': 'triangular_flag_on_post',
+      '🏳‍🌈': 'rainbow_flag',
+      '🏳‍⚧': 'transgender_flag',
+      '🇺🇳': 'united_nations',
+      '🇦🇫': 'flag_af',
+      '🇦🇽': 'flag_ax',
+      '🇦🇱': 'flag_al',
+      '🇩🇿': 'flag_dz',
+      '🇦🇸': 'flag_as',
+      '🇦🇩': 'flag_ad',
+      '🇦🇴': 'flag_ao',
+      '🇦🇮': 'flag_ai',
+      '🇦🇶': 'flag_aq',
+      '🇦🇬': 'flag_ag',
+      '🇦🇷': 'flag_ar',
+      '🇦🇲': 'flag_am',
+      '🇦🇼': 'flag_aw',
+      '🇦🇺': 'flag_au',
+      '🇦🇹': 'flag_at',
+      '🇦🇿': 'flag_az',
+      '🇧🇸': 'flag_bs',
+      '🇧🇭': 'flag_bh',
+      '🇧🇩': 'flag_bd',
+      '🇧🇧': 'flag_bb',
+      '🇧🇾': 'flag_by',
+      '🇧🇪': 'flag_be',
+      '🇧🇿': 'flag_bz',
+      '🇧🇯': 'flag_bj',
+      '🇧🇲': 'flag_bm',
+      '🇧🇹': 'flag_bt',
+      '🇧🇴': 'flag_bo',
+      '🇧🇦': 'flag_ba',
+      '🇧🇼': 'flag_bw',
+      '🇧🇷': 'flag_br',
+      '🇮🇴': 'flag_io',
+      '🇻🇬': 'flag_vg',
+      '🇧🇳': 'flag_bn',
+      '🇧🇬': 'flag_bg',
+      '🇧🇫': 'flag_bf',
+      '🇧🇮': 'flag_bi',
+      '🇰🇭': 'flag_kh',
+      '🇨🇲': 'flag_cm',
+      '🇨🇦': 'flag_ca',
+      '🇮🇨': 'flag_ic',
+      '🇨🇻': 'flag_cv',
+      '🇧🇶': 'flag_bq',
+      '🇰🇾': 'flag_ky',
+      '🇨🇫': 'flag_cf',
+      '🇹🇩': 'flag_td',
+      '🇨🇱': 'flag_cl',
+      '🇨🇳': 'flag_cn',
+      '🇨🇽': 'flag_cx',
+      '🇨🇨': 'flag_cc',
+      '🇨🇴': 'flag_co',
+      '🇰🇲': 'flag_km',
+      '🇨🇬': 'flag_cg',
+      '🇨🇩': 'flag_cd',
+      '🇨🇰': 'flag_ck',
+      '🇨🇷': 'flag_cr',
+      '🇨🇮': 'flag_ci',
+      '🇭🇷': 'flag_hr',
+      '🇨🇺': 'flag_cu',
+      '🇨🇼': 'flag_cw',
+      '🇨🇾': 'flag_cy',
+      '🇨🇿': 'flag_cz',
+      '🇩🇰': 'flag_dk',
+      '🇩🇯': 'flag_dj',
+      '🇩🇲': 'flag_dm',
+      '🇩🇴': 'flag_do',
+      '🇪🇨': 'flag_ec',
+      '🇪🇬': 'flag_eg',
+      '🇸🇻': 'flag_sv',
+      '🇬🇶': 'flag_gq',
+      '🇪🇷': 'flag_er',
+      '🇪🇪': 'flag_ee',
+      '🇪🇹': 'flag_et',
+      '🇪🇺': 'flag_eu',
+      '🇫🇰': 'flag_fk',
+      '🇫🇴': 'flag_fo',
+      '🇫🇯': 'flag_fj',
+      '🇫🇮': 'flag_fi',
+      '🇫🇷': 'flag_fr',
+      '🇬🇫': 'flag_gf',
+      '🇵🇫': 'flag_pf',
+      '🇹🇫': 'flag_tf',
+      '🇬🇦': 'flag_ga',
+      '🇬🇲': 'flag_gm',
+      '🇬🇪': 'flag_ge',
+      '🇩🇪': 'flag_de',
+      '🇬🇭': 'flag_gh',
+      '🇬🇮': 'flag_gi',
+      '🇬🇷': 'flag_gr',
+      '🇬🇱': 'flag_gl',
+      '🇬🇩': 'flag_gd',
+      '🇬🇵': 'flag_gp',
+      '🇬🇺': 'flag_gu',
+      '🇬🇹': 'flag_gt',
+      '🇬🇬': 'flag_gg',
+      '🇬🇳': 'flag_gn',
+      '🇬🇼': 'flag_gw',
+      '🇬🇾': 'flag_gy',
+      '🇭🇹': 'flag_ht',
+      '🇭🇳': 'flag_hn',
+      '🇭🇰': 'flag_hk',
+      '🇭🇺': 'flag_hu',
+      '🇮🇸': 'flag_is',
+      '🇮🇳': 'flag_in',
+      '🇮🇩': 'flag_id',
+      '🇮🇷': 'flag_ir',
+      '🇮🇶': 'flag_iq',
+      '🇮🇪': 'flag_ie',
+      '🇮🇲': 'flag_im',
+      '🇮🇱': 'flag_il',
+      '🇮🇹': 'flag_it',
+      '🇯🇲': 'flag_jm',
+      '🇯🇵': 'flag_jp',
+      '🎌': 'crossed_flags',
+      '🇯🇪': 'flag_je',
+      '🇯🇴': 'flag_jo',
+      '🇰🇿': 'flag_kz',
+      '🇰🇪': 'flag_ke',
+      '🇰🇮': 'flag_ki',
+      '🇽🇰': 'flag_xk',
+      '🇰🇼': 'flag_kw',
+      '🇰🇬': 'flag_kg',
+      '🇱🇦': 'flag_la',
+      '🇱🇻': 'flag_lv',
+      '🇱🇧': 'flag_lb',
+      '🇱🇸': 'flag_ls',
+      '🇱🇷': 'flag_lr',
+      '🇱🇾': 'flag_ly',
+      '🇱🇮': 'flag_li',
+      '🇱🇹': 'flag_lt',
+      '🇱🇺': 'flag_lu',
+      '🇲🇴': 'flag_mo',
+      '🇲🇰': 'flag_mk',
+      '🇲🇬': 'flag_mg',
+      '🇲🇼': 'flag_mw',
+      '🇲🇾': 'flag_my',
+      '🇲🇻': 'flag_mv',
+      '🇲🇱': 'flag_ml',
+      '🇲🇹': 'flag_mt',
+      '🇲🇭': 'flag_mh',
+      '🇲🇶': 'flag_mq',
+      '🇲🇷': 'flag_mr',
+      '🇲🇺': 'flag_mu',
+      '🇾🇹': 'flag_yt',
+      '🇲🇽': 'flag_mx',
+      '🇫🇲': 'flag_fm',
+      '🇲🇩': 'flag_md',
+      '🇲🇨': 'flag_mc',
+      '🇲🇳': 'flag_mn',
+      '🇲🇪': 'flag_me',
+      '🇲🇸': 'flag_ms',
+      '🇲🇦': 'flag_ma',
+      '🇲🇿': 'flag_mz',
+      '🇲🇲': 'flag_mm',
+      '🇳🇦': 'flag_na',
+      '🇳🇷': 'flag_nr',
+      '🇳🇵': 'flag_np',
+      '🇳🇱': 'flag_nl',
+      '🇳🇨': 'flag_nc',
+      '🇳🇿': 'flag_nz',
+      '🇳🇮': 'flag_ni',
+      '🇳🇪': 'flag_ne',
+      '🇳🇬': 'flag_ng',
+      '🇳🇺': 'flag_nu',
+      '🇳🇫': 'flag_nf',
+      '🇰🇵': 'flag_kp',
+      '🇲🇵': 'flag_mp',
+      '🇳🇴': 'flag_no',
+      '🇴🇲': 'flag_om',
+      '🇵🇰': 'flag_pk',
+      '🇵🇼': 'flag_pw',
+      '🇵🇸': 'flag_ps',
+      '🇵🇦': 'flag_pa',
+      '🇵🇬': 'flag_pg',
+      '🇵🇾': 'flag_py',
+      '🇵🇪': 'flag_pe',
+      '🇵🇭': 'flag_ph',
+      '🇵🇳': 'flag_pn',
+      '🇵🇱': 'flag_pl',
+      '🇵🇹': 'flag_pt',
+      '🇵🇷': 'flag_pr',
+      '🇶🇦': 'flag_qa',
+      '🇷🇪': 'flag_re',
+      '🇷🇴': 'flag_ro',
+      '🇷🇺': 'flag_ru',
+      '🇷🇼': 'flag_rw',
+      '🇼🇸': 'flag_ws',
+      '🇸🇲': 'flag_sm',
+      '🇸🇹': 'flag_st',
+      '🇸🇦': 'flag_sa',
+      '🇸🇳': 'flag_sn',
+      '🇷🇸': 'flag_rs',
+      '🇸🇨': 'flag_sc',
+      '🇸🇱': 'flag_sl',
+      '🇸🇬': 'flag_sg',
+      '🇸🇽': 'flag_sx',
+      '🇸🇰': 'flag_sk',
+      '🇸🇮': 'flag_si',
+      '🇬🇸': 'flag_gs',
+      '🇸🇧': 'flag_sb',
+      '🇸🇴': 'flag_so',
+      '🇿🇦': 'flag_za',
+      '🇰🇷': 'flag_kr',
+      '🇸🇸': 'flag_ss',
+      '🇪🇸': 'flag_es',
+      '🇱🇰': 'flag_lk',
+      '🇧🇱': 'flag_bl',
+      '🇸🇭': 'flag_sh',
+      '🇰🇳': 'flag_kn',
+      '🇱🇨': 'flag_lc',
+      '🇵🇲': 'flag_pm',
+      '🇻🇨': 'flag_vc',
+      '🇸🇩': 'flag_sd',
+      '🇸🇷': 'flag_sr',
+      '🇸🇿': 'flag_sz',
+      '🇸🇪': 'flag_se',
+      '🇨🇭': 'flag_ch',
+      '🇸🇾': 'flag_sy',
+      '🇹🇼': 'flag_tw',
+      '🇹🇯': 'flag_tj',
+      '🇹🇿': 'flag_tz',
+      '🇹🇭': 'flag_th',
+      '🇹🇱': 'flag_tl',
+      '🇹🇬': 'flag_tg',
+      '🇹🇰': 'flag_tk',
+      '🇹🇴': 'flag_to',
+      '🇹🇹': 'flag_tt',
+      '🇹🇳': 'flag_tn',
+      '🇹🇷': 'flag_tr',
+      '🇹🇲': 'flag_tm',
+      '🇹🇨': 'flag_tc',
+      '🇻🇮': 'flag_vi',
+      '🇹🇻': 'flag_tv',
+      '🇺🇬': 'flag_ug',
+      '🇺🇦': 'flag_ua',
+      '🇦🇪': 'flag_ae',
+      '🇬🇧': 'flag_gb',
+      '🏴󠁧󠁢󠁥󠁮󠁧󠁿': 'england',
+      '🏴󠁧󠁢󠁳󠁣󠁴󠁿': 'scotland',
+      '🏴󠁧󠁢󠁷󠁬󠁳󠁿': 'wales',
+      '🇺🇸': 'flag_us',
+      '🇺🇾': 'flag_uy',
+      '🇺🇿': 'flag_uz',
+      '🇻🇺': 'flag_vu',
+      '🇻🇦': 'flag_va',
+      '🇻🇪': 'flag_ve',
+      '🇻🇳': 'flag_vn',
+      '🇼🇫': 'flag_wf',
+      '🇪🇭': 'flag_eh',
+      '🇾🇪': 'flag_ye',
+      '🇿🇲': 'flag_zm',
+      '🇿🇼': 'flag_zw',
+      '🇦🇨': 'flag_ac',
+      '🇧🇻': 'flag_bv',
+      '🇨🇵': 'flag_cp',
+      '🇪🇦': 'flag_ea',
+      '🇩🇬': 'flag_dg',
+      '🇭🇲': 'flag_hm',
+      '🇲🇫': 'flag_mf',
+      '🇸🇯': 'flag_sj',
+      '🇹🇦': 'flag_ta',
+      '🇺🇲': 'flag_um',
+      '🍏': 'green_apple',
+      '🍎': 'apple',
+      '🍐': 'pear',
+      '🍊': 'tangerine',
+      '🍋': 'lemon',
+      '🍋‍🟩': 'lime',
+      '🍌': 'banana',
+      '🍉': 'watermelon',
+      '🍇': 'grapes',
+      '🍓': 'strawberry',
+      '🫐': 'blueberries',
+      '🍈': 'melon',
+      '🍒': 'cherries',
+      '🍑': 'peach',
+      '🥭': 'mango',
+      '🍍': 'pineapple',
+      '🥥': 'coconut',
+      '🥝': 'kiwi',
+      '🍅': 'tomato',
+      '🍆': 'eggplant',
+      '🥑': 'avocado',
+      '🫛': 'pea_pod',
+      '🥦': 'broccoli',
+      '🥬': 'leafy_green',
+      '🥒': 'cucumber',
+      '🌶': 'hot_pepper',
+      '🫑': 'bell_pepper',
+      '🌽': 'corn',
+      '🥕': 'carrot',
+      '🫒': 'olive',
+      '🧄': 'garlic',
+      '🧅': 'onion',
+      '🥔': 'potato',
+      '🍠': 'sweet_potato',
+      '🫚': 'ginger_root',
+      '🥐': 'croissant',
+      '🥯': 'bagel',
+      '🍞': 'bread',
+      '🥖': 'french_bread',
+      '🥨': 'pretzel',
+      '🧀': 'cheese',
+      '🥚': 'egg',
+      '🍳': 'cooking',
+      '🧈': 'butter',
+      '🥞': 'pancakes',
+      '🧇': 'waffle',
+      '🥓': 'bacon',
+      '🥩': 'cut_of_meat',
+      '🍗': 'poultry_leg',
+      '🍖': 'meat_on_bone',
+      '🦴': 'bone',
+      '🌭': 'hotdog',
+      '🍔': 'hamburger',
+      '🍟': 'fries',
+      '🍕': 'pizza',
+      '🫓': 'flatbread',
+      '🥪': 'sandwich',
+      '🥙': 'stuffed_flatbread',
+      '🧆': 'falafel',
+      '🌮': 'taco',
+      '🌯': 'burrito',
+      '🫔': 'tamale',
+      '🥗': 'salad',
+      '🥘': 'shallow_pan_of_food',
+      '🫕': 'fondue',
+      '🥫': 'canned_food',
+      '🫙': 'jar',
+      '🍝': 'spaghetti',
+      '🍜': 'ramen',
+      '🍲': 'stew',
+      '🍛': 'curry',
+      '🍣': 'sushi',
+      '🍱': 'bento',
+      '🥟': 'dumpling',
+      '🦪': 'oyster',
+      '🍤': 'fried_shrimp',
+      '🍙': 'rice_ball',
+      '🍚': 'rice',
+      '🍘': 'rice_cracker',
+      '🍥': 'fish_cake',
+      '🥠': 'fortune_cookie',
+      '🥮': 'moon_cake',
+      '🍢': 'oden',
+      '🍡': 'dango',
+      '🍧': 'shaved_ice',
+      '🍨': 'ice_cream',
+      '🍦': 'icecream',
+      '🥧': 'pie',
+      '🧁': 'cupcake',
+      '🍰': 'cake',
+      '🎂': 'birthday',
+      '🍮': 'custard',
+      '🍭': 'lollipop',
+      '🍬': 'candy',
+      '🍫': 'chocolate_bar',
+      '🍿': 'popcorn',
+      '🍩': 'doughnut',
+      '🍪': 'cookie',
+      '🌰': 'chestnut',
+      '🥜': 'peanuts',
+      '🫘': 'beans',
+      '🍯': 'honey_pot',
+      '🥛': 'milk',
+      '🫗': 'pouring_liquid',
+      '🍼': 'baby_bottle',
+      '🫖': 'teapot',
+      '🍵': 'tea',
+      '🧉': 'mate',
+      '🧃': 'beverage_box',
+      '🥤': 'cup_with_straw',
+      '🧋': 'bubble_tea',
+      '🍶': 'sake',
+      '🍺': 'beer',
+      '🍻': 'beers',
+      '🥂': 'champagne_glass',
+      '🍷': 'wine_glass',
+      '🥃': 'tumbler_glass',
+      '🍸': 'cocktail',
+      '🍹': 'tropical_drink',
+      '🍾': 'champagne',
+      '🧊': 'ice_cube',
+      '🥄': 'spoon',
+      '🍴': 'fork_and_knife',
+      '🍽': 'fork_knife_plate',
+      '🥣': 'bowl_with_spoon',
+      '🥡': 'takeout_box',
+      '🥢': 'chopsticks',
+      '🧂': 'salt',
+      '🐶': 'dog',
+      '🐱': 'cat',
+      '🐭': 'mouse',
+      '🐹': 'hamster',
+      '🐰': 'rabbit',
+      '🦊': 'fox',
+      '🐻': 'bear',
+      '🐼': 'panda_face',
+      '🐻‍❄': 'polar_bear',
+      '🐨': 'koala',
+      '🐯': 'tiger',
+      '🦁': 'lion_face',
+      '🐮': 'cow',
+      '🐷': 'pig',
+      '🐽': 'pig_nose',
+      '🐸': 'frog',
+      '🐵': 'monkey_face',
+      '🙈': 'see_no_evil',
+      '🙉': 'hear_no_evil',
+      '🙊': 'speak_no_evil',
+      '🐒': 'monkey',
+      '🐔': 'chicken',
+      '🐧': 'penguin',
+      '🐦': 'bird',
+      '🐤': 'baby_chick',
+      '🐣': 'hatching_chick',
+      '🐥': 'hatched_chick',
+      '🪿': 'goose',
+      '🦆': 'duck',
+      '🐦‍⬛': 'black_bird',
+      '🦅': 'eagle',
+      '🦉': 'owl',
+      '🦇': 'bat',
+      '🐺': 'wolf',
+      '🐗': 'boar',
+      '🐴': 'horse',
+      '🦄': 'unicorn',
+      '🫎': 'moose',
+      '🐝': 'bee',
+      '🪱': 'worm',
+      '🐛': 'bug',
+      '🦋': 'butterfly',
+      '🐌': 'snail',
+      '🐞': 'lady_beetle',
+      '🐜': 'ant',
+      '🪰': 'fly',
+      '🪲': 'beetle',
+      '🪳': 'cockroach',
+      '🦟': 'mosquito',
+      '🦗': 'cricket',
+      '🕷': 'spider',
+      '🕸': 'spider_web',
+      '🦂': 'scorpion',
+      '🐢': 'turtle',
+      '🐍': 'snake',
+      '🦎': 'lizard',
+      '🦖': 't_rex',
+      '🦕': 'sauropod',
+      '🐙': 'octopus',
+      '🦑': 'squid',
+      '🪼': 'jellyfish',
+      '🦐': 'shrimp',
+      '🦞': 'lobster',
+      '🦀': 'crab',
+      '🐡': 'blowfish',
+      '🐠': 'tropical_fish',
+      '🐟': 'fish',
+      '🐬': 'dolphin',
+      '🐳': 'whale',
+      '🐋': 'whale2',
+      '🦈': 'shark',
+      '🦭': 'seal',
+      '🐊': 'crocodile',
+      '🐅': 'tiger2',
+      '🐆': 'leopard',
+      '🦓': 'zebra',
+      '🦍': 'gorilla',
+      '🦧': 'orangutan',
+      '🦣': 'mammoth',
+      '🐘': 'elephant',
+      '🦛': 'hippopotamus',
+      '🦏': 'rhino',
+      '🐪': 'dromedary_camel',
+      '🐫': 'camel',
+      '🦒': 'giraffe',
+      '🦘': 'kangaroo',
+      '🦬': 'bison',
+      '🐃': 'water_buffalo',
+      '🐂': 'ox',
+      '🐄': 'cow2',
+      '🫏': 'donkey',
+      '🐎': 'racehorse',
+      '🐖': 'pig2',
+      '🐏': 'ram',
+      '🐑': 'sheep',
+      '🦙': 'llama',
+      '🐐': 'goat',
+      '🦌': 'deer',
+      '🐕': 'dog2',
+      '🐩': 'poodle',
+      '🦮': 'guide_dog',
+      '🐕‍🦺': 'service_dog',
+      '🐈': 'cat2',
+      '🐈‍⬛': 'black_cat',
+      '🪶': 'feather',
+      '🪽': 'wing',
+      '🐓': 'rooster',
+      '🦃': 'turkey',
+      '🦤': 'dodo',
+      '🦚': 'peacock',
+      '🦜': 'parrot',
+      '🦢': 'swan',
+      '🦩': 'flamingo',
+      '🕊': 'dove',
+      '🐇': 'rabbit2',
+      '🦝': 'raccoon',
+      '🦨': 'skunk',
+      '🦡': 'badger',
+      '🦫': 'beaver',
+      '🦦': 'otter',
+      '🦥': 'sloth',
+      '🐁': 'mouse2',
+      '🐀': 'rat',
+      '🐿': 'chipmunk',
+      '🦔': 'hedgehog',
+      '🐾': 'feet',
+      '🐉': 'dragon',
+      '🐲': 'dragon_face',
+      '🐦‍🔥': 'phoenix',
+      '🌵': 'cactus',
+      '🎄': 'christmas_tree',
+      '🌲': 'evergreen_tree',
+      '🌳': 'deciduous_tree',
+      '🌴': 'palm_tree',
+      '🪵': 'wood',
+      '🌱': 'seedling',
+      '🌿': 'herb',
+      '🍀': 'four_leaf_clover',
+      '🎍': 'bamboo',
+      '🪴': 'potted_plant',
+      '🎋': 'tanabata_tree',
+      '🍃': 'leaves',
+      '🍂': 'fallen_leaf',
+      '🍁': 'maple_leaf',
+      '🪺': 'nest_with_eggs',
+      '🪹': 'empty_nest',
+      '🍄': 'mushroom',
+      '🍄‍🟫': 'brown_mushroom',
+      '🐚': 'shell',
+      '🪸': 'coral',
+      '🪨': 'rock',
+      '🌾': 'ear_of_rice',
+      '💐': 'bouquet',
+      '🌷': 'tulip',
+      '🌹': 'rose',
+      '🥀': 'wilted_rose',
+      '🪻': 'hyacinth',
+      '🪷': 'lotus',
+      '🌺': 'hibiscus',
+      '🌸': 'cherry_blossom',
+      '🌼': 'blossom',
+      '🌻': 'sunflower',
+      '🌞': 'sun_with_face',
+      '🌝': 'full_moon_with_face',
+      '🌛': 'first_quarter_moon_with_face',
+      '🌜': 'last_quarter_moon_with_face',
+      '🌚': 'new_moon_with_face',
+      '🌕': 'full_moon',
+      '🌖': 'waning_gibbous_moon',
+      '🌗': 'last_quarter_moon',
+      '🌘': 'waning_crescent_moon',
+      '🌑': 'new_moon',
+      '🌒': 'waxing_crescent_moon',
+      '🌓': 'first_quarter_moon',
+      '🌔': 'waxing_gibbous_moon',
+      '🌙': 'crescent_moon',
+      '🌎': 'earth_americas',
+      '🌍': 'earth_africa',
+      '🌏': 'earth_asia',
+      '🪐': 'ringed_planet',
+      '💫': 'dizzy',
+      '⭐': 'star',
+      '🌟': 'star2',
+      '⚡': 'zap',
+      '💥': 'boom',
+      '🔥': 'fire',
+      '🌪': 'cloud_tornado',
+      '🌈': 'rainbow',
+      '🌤': 'white_sun_small_cloud',
+      '⛅': 'partly_sunny',
+      '🌥': 'white_sun_cloud',
+      '🌦': 'white_sun_rain_cloud',
+      '🌧': 'cloud_rain',
+      '⛈': 'thunder_cloud_rain',
+      '🌩': 'cloud_lightning',
+      '🌨': 'cloud_snow',
+      '⛄': 'snowman',
+      '🌬': 'wind_blowing_face',
+      '💨': 'dash',
+      '💧': 'droplet',
+      '💦': 'sweat_drops',
+      '🫧': 'bubbles',
+      '🌊': 'ocean',
+      '🌫': 'fog',
+      '⌚': 'watch',
+      '📱': 'mobile_phone',
+      '📲': 'calling',
+      '💻': 'computer',
+      '🖥': 'desktop',
+      '🖨': 'printer',
+      '🖱': 'mouse_three_button',
+      '🖲': 'trackball',
+      '🕹': 'joystick',
+      '🗜': 'compression',
+      '💽': 'minidisc',
+      '💾': 'floppy_disk',
+      '💿': 'cd',
+      '📀': 'dvd',
+      '📼': 'vhs',
+      '📷': 'camera',
+      '📸': 'camera_with_flash',
+      '📹': 'video_camera',
+      '🎥': 'movie_camera',
+      '📽': 'projector',
+      '🎞': 'film_frames',
+      '📞': 'telephone_receiver',
+      '☎': 'telephone',
+      '📟': 'pager',
+      '📠': 'fax',
+      '📺': 'tv',
+      '📻': 'radio',
+      '🎙': 'microphone2',
+      '🎚': 'level_slider',
+      '🎛': 'control_knobs',
+      '🧭': 'compass',
+      '⏱': 'stopwatch',
+      '⏲': 'timer',
+      '⏰': 'alarm_clock',
+      '🕰': 'clock',
+      '⌛': 'hourglass',
+      '⏳': 'hourglass_flowing_sand',
+      '📡': 'satellite',
+      '🔋': 'battery',
+      '🪫': 'low_battery',
+      '🔌': 'electric_plug',
+      '💡': 'bulb',
+      '🔦': 'flashlight',
+      '🕯': 'candle',
+      '🪔': 'diya_lamp',
+      '🧯': 'fire_extinguisher',
+      '🛢': 'oil',
+      '💸': 'money_with_wings',
+      '💵': 'dollar',
+      '💴': 'yen',
+      '💶': 'euro',
+      '💷': 'pound',
+      '🪙': 'coin',
+      '💰': 'moneybag',
+      '💳': 'credit_card',
+      '🪪': 'identification_card',
+      '💎': 'gem',
+      '🪜': 'ladder',
+      '🧰': 'toolbox',
+      '🪛': 'screwdriver',
+      '🔧': 'wrench',
+      '🔨': 'hammer',
+      '🛠': 'tools',
+      '⛏': 'pick',
+      '🪚': 'carpentry_saw',
+      '🔩': 'nut_and_bolt',
+      '🪤': 'mouse_trap',
+      '🧱': 'bricks',
+      '⛓': 'chains',
+      '🔗': 'link',
+      '⛓‍💥': 'broken_chain',
+      '🧲': 'magnet',
+      '🔫': 'gun',
+      '💣': 'bomb',
+      '🧨': 'firecracker',
+      '🪓': 'axe',
+      '🔪': 'knife',
+      '🗡': 'dagger',
+      '🛡': 'shield',
+      '🚬': 'smoking',
+      '⚰': 'coffin',
+      '🪦': 'headstone',
+      '⚱': 'urn',
+      '🏺': 'amphora',
+      '🔮': 'crystal_ball',
+      '📿': 'prayer_beads',
+      '🧿': 'nazar_amulet',
+      '🪬': 'hamsa',
+      '💈': 'barber',
+      '🔭': 'telescope',
+      '🔬': 'microscope',
+      '🕳': 'hole',
+      '🩻': 'x_ray',
+      '🩹': 'adhesive_bandage',
+      '🩺': 'stethoscope',
+      '💊': 'pill',
+      '💉': 'syringe',
+      '🩸': 'drop_of_blood',
+      '🧬': 'dna',
+      '🦠': 'microbe',
+      '🧫': 'petri_dish',
+      '🧪': 'test_tube',
+      '🌡': 'thermometer',
+      '🧹': 'broom',
+      '🪠': 'plunger',
+      '🧺': 'basket',
+      '🧻': 'roll_of_paper',
+      '🚽': 'toilet',
+      '🚰': 'potable_water',
+      '🚿': 'shower',
+      '🛁': 'bathtub',
+      '🛀': 'bath',
+      '🧼': 'soap',
+      '🪥': 'toothbrush',
+      '🪒': 'razor',
+      '🪮': 'hair_pick',
+      '🧽': 'sponge',
+      '🪣': 'bucket',
+      '🧴': 'squeeze_bottle',
+      '🛎': 'bellhop',
+      '🔑': 'key',
+      '🗝': 'key2',
+      '🚪': 'door',
+      '🪑': 'chair',
+      '🛋': 'couch',
+      '🛏': 'bed',
+      '🛌': 'sleeping_accommodation',
+      '🧸': 'teddy_bear',
+      '🪆': 'nesting_dolls',
+      '🖼': 'frame_photo',
+      '🪞': 'mirror',
+      '🪟': 'window',
+      '🛍': 'shopping_bags',
+      '🛒': 'shopping_cart',
+      '🎁': 'gift',
+      '🎈': 'balloon',
+      '🎏': 'flags',
+      '🎀': 'ribbon',
+      '🪄': 'magic_wand',
+      '🪅': 'piñata',
+      '🎊': 'confetti_ball',
+      '🎉': 'tada',
+      '🎎': 'dolls',
+      '🪭': 'folding_hand_fan',
+      '🏮': 'izakaya_lantern',
+      '🎐': 'wind_chime',
+      '🪩': 'mirror_ball',
+      '🧧': 'red_envelope',
+      '📩': 'envelope_with_arrow',
+      '📨': 'incoming_envelope',
+      '📧': 'e_mail',
+      '💌': 'love_letter',
+      '📥': 'inbox_tray',
+      '📤': 'outbox_tray',
+      '📦': 'package',
+      '🏷': 'label',
+      '🪧': 'placard',
+      '📪': 'mailbox_closed',
+      '📫': 'mailbox',
+      '📬': 'mailbox_with_mail',
+      '📭': 'mailbox_with_no_mail',
+      '📮': 'postbox',
+      '📯': 'postal_horn',
+      '📜': 'scroll',
+      '📃': 'page_with_curl',
+      '📄': 'page_facing_up',
+      '📑': 'bookmark_tabs',
+      '🧾': 'receipt',
+      '📊': 'bar_chart',
+      '📈': 'chart_with_upwards_trend',
+      '📉': 'chart_with_downwards_trend',
+      '🗒': 'notepad_spiral',
+      '🗓': 'calendar_spiral',
+      '📆': 'calendar',
+      '📅': 'date',
+      '🗑': 'wastebasket',
+      '📇': 'card_index',
+      '🗃': 'card_box',
+      '🗳': 'ballot_box',
+      '🗄': 'file_cabinet',
+      '📋': 'clipboard',
+      '📁': 'file_folder',
+      '📂': 'open_file_folder',
+      '🗂': 'dividers',
+      '🗞': 'newspaper2',
+      '📰': 'newspaper',
+      '📓': 'notebook',
+      '📔': 'notebook_with_decorative_cover',
+      '📒': 'ledger',
+      '📕': 'closed_book',
+      '📗': 'green_book',
+      '📘': 'blue_book',
+      '📙': 'orange_book',
+      '📚': 'books',
+      '📖': 'book',
+      '🔖': 'bookmark',
+      '🧷': 'safety_pin',
+      '📎': 'paperclip',
+      '🖇': 'paperclips',
+      '📐': 'triangular_ruler',
+      '📏': 'straight_ruler',
+      '🧮': 'abacus',
+      '📌': 'pushpin',
+      '📍': 'round_pushpin',
+      '🖊': 'pen_ballpoint',
+      '🖋': 'pen_fountain',
+      '🖌': 'paintbrush',
+      '🖍': 'crayon',
+      '📝': 'pencil',
+      '✏': 'pencil2',
+      '🔍': 'mag',
+      '🔎': 'mag_right',
+      '🔏': 'lock_with_ink_pen',
+      '🔐': 'closed_lock_with_key',
+      '🔒': 'lock',
+      '🔓': 'unlock',
+      '😀': 'grinning',
+      '😃': 'smiley',
+      '😄': 'smile',
+      '😁': 'grin',
+      '😆': 'laughing',
+      '🥹': 'face_holding_back_tears',
+      '😅': 'sweat_smile',
+      '😂': 'joy',
+      '🤣': 'rofl',
+      '🥲': 'smiling_face_with_tear',
+      '☺': 'relaxed',
+      '😊': 'blush',
+      '😇': 'innocent',
+      '🙂': 'slight_smile',
+      '🙃': 'upside_down',
+      '😉': 'wink',
+      '😌': 'relieved',
+      '😍': 'heart_eyes',
+      '🥰': 'smiling_face_with_3_hearts',
+      '😘': 'kissing_heart',
+      '😗': 'kissing',
+      '😙': 'kissing_smiling_eyes',
+      '😚': 'kissing_closed_eyes',
+      '😋': 'yum',
+      '😛': 'stuck_out_tongue',
+      '😝': 'stuck_out_tongue_closed_eyes',
+      '😜': 'stuck_out_tongue_winking_eye',
+      '🤪': 'zany_face',
+      '🤨': 'face_with_raised_eyebrow',
+      '🧐': 'face_with_monocle',
+      '🤓': 'nerd',
+      '😎': 'sunglasses',
+      '🥸': 'disguised_face',
+      '🤩': 'star_struck',
+      '🥳': 'partying_face',
+      '😏': 'smirk',
+      '😒': 'unamused',
+      '😞': 'disappointed',
+      '😔': 'pensive',
+      '😟': 'worried',
+      '😕': 'confused',
+      '🙁': 'slight_frown',
+      '😣': 'persevere',
+      '😖': 'confounded',
+      '😫': 'tired_face',
+      '😩': 'weary',
+      '🥺': 'pleading_face',
+      '😢': 'cry',
+      '😭': 'sob',
+      '😤': 'triumph',
+      '😠': 'angry',
+      '😡': 'rage',
+      '🤬': 'face_with_symbols_over_mouth',
+      '🤯': 'exploding_head',
+      '😳': 'flushed',
+      '🥵': 'hot_face',
+      '🥶': 'cold_face',
+      '😶‍🌫': 'face_in_clouds',
+      '😱': 'scream',
+      '😨': 'fearful',
+      '😰': 'cold_sweat',
+      '😥': 'disappointed_relieved',
+      '😓': 'sweat',
+      '🤗': 'hugging',
+      '🤔': 'thinking',
+      '🫣': 'face_with_peeking_eye',
+      '🤭': 'face_with_hand_over_mouth',
+      '🫢': 'face_with_open_eyes_and_hand_over_mouth',
+      '🫡': 'saluting_face',
+      '🤫': 'shushing_face',
+      '🫠': 'melting_face',
+      '🤥': 'lying_face',
+      '😶': 'no_mouth',
+      '🫥': 'dotted_line_face',
+      '😐': 'neutral_face',
+      '🫤': 'face_with_diagonal_mouth',
+      '😑': 'expressionless',
+      '🫨': 'shaking_face',
+      '🙂‍↔': 'head_shaking_horizontally',
+      '🙂‍↕': 'head_shaking_vertically',
+      '😬': 'grimacing',
+      '🙄': 'rolling_eyes',
+      '😯': 'hushed',
+      '😦': 'frowning',
+      '😧': 'anguished',
+      '😮': 'open_mouth',
+      '😲': 'astonished',
+      '🥱': 'yawning_face',
+      '😴': 'sleeping',
+      '🤤': 'drooling_face',
+      '😪': 'sleepy',
+      '😮‍💨': 'face_exhaling',
+      '😵': 'dizzy_face',
+      '😵‍💫': 'face_with_spiral_eyes',
+      '🤐': 'zipper_mouth',
+      '🥴': 'woozy_face',
+      '🤢': 'nauseated_face',
+      '🤮': 'face_vomiting',
+      '🤧': 'sneezing_face',
+      '😷': 'mask',
+      '🤒': 'thermometer_face',
+      '🤕': 'head_bandage',
+      '🤑': 'money_mouth',
+      '🤠': 'cowboy',
+      '😈': 'smiling_imp',
+      '👿': 'imp',
+      '👹': 'japanese_ogre',
+      '👺': 'japanese_goblin',
+      '🤡': 'clown',
+      '💩': 'poop',
+      '👻': 'ghost',
+      '💀': 'skull',
+      '👽': 'alien',
+      '👾': 'space_invader',
+      '🤖': 'robot',
+      '🎃': 'jack_o_lantern',
+      '😺': 'smiley_cat',
+      '😸': 'smile_cat',
+      '😹': 'joy_cat',
+      '😻': 'heart_eyes_cat',
+      '😼': 'smirk_cat',
+      '😽': 'kissing_cat',
+      '🙀': 'scream_cat',
+      '😿': 'crying_cat_face',
+      '😾': 'pouting_cat',
+      '🤝': 'handshake',
+      '🫶': 'heart_hands',
+      '🤲': 'palms_up_together',
+      '👐': 'open_hands',
+      '🙌': 'raised_hands',
+      '👏': 'clap',
+      '👍': 'thumbsup',
+      '👎': 'thumbsdown',
+      '👊': 'punch',
+      '✊': 'fist',
+      '🤛': 'left_facing_fist',
+      '🤜': 'right_facing_fist',
+      '🫷': 'leftwards_pushing_hand',
+      '🫸': 'rightwards_pushing_hand',
+      '🤞': 'fingers_crossed',
+      '✌': 'v',
+      '🫰': 'hand_with_index_finger_and_thumb_crossed',
+      '🤟': 'love_you_gesture',
+      '🤘': 'metal',
+      '👌': 'ok_hand',
+      '🤌': 'pinched_fingers',
+      '🤏': 'pinching_hand',
+      '🫳': 'palm_down_hand',
+      '🫴': 'palm_up_hand',
+      '👈': 'point_left',
+      '👉': 'point_right',
+      '👆': 'point_up_2',
+      '👇': 'point_down',
+      '☝': 'point_up',
+      '✋': 'raised_hand',
+      '🤚': 'raised_back_of_hand',
+      '🖐': 'hand_splayed',
+      '🖖': 'vulcan',
+      '👋': 'wave',
+      '🤙': 'call_me',
+      '🫲': 'leftwards_hand',
+      '🫱': 'rightwards_hand',
+      '💪': 'muscle',
+      '🦾': 'mechanical_arm',
+      '🖕': 'middle_finger',
+      '✍': 'writing_hand',
+      '🙏': 'pray',
+      '🫵': 'index_pointing_at_the_viewer',
+      '🦶': 'foot',
+      '🦵': 'leg',
+      '🦿': 'mechanical_leg',
+      '💄': 'lipstick',
+      '💋': 'kiss',
+      '👄': 'lips',
+      '🫦': 'biting_lip',
+      '🦷': 'tooth',
+      '👅': 'tongue',
+      '👂': 'ear',
+      '🦻': 'ear_with_hearing_aid',
+      '👃': 'nose',
+      '👣': 'footprints',
+      '👁': 'eye',
+      '👀': 'eyes',
+      '🫀': 'anatomical_heart',
+      '🫁': 'lungs',
+      '🧠': 'brain',
+      '🗣': 'speaking_head',
+      '👤': 'bust_in_silhouette',
+      '👥': 'busts_in_silhouette',
+      '🫂': 'people_hugging',
+      '👶': 'baby',
+      '🧒': 'child',
+      '👧': 'girl',
+      '👦': 'boy',
+      '🧑': 'adult',
+      '👩': 'woman',
+      '👨': 'man',
+      '🧑‍🦱': 'person_curly_hair',
+      '👩‍🦱': 'woman_curly_haired',
+      '👨‍🦱': 'man_curly_haired',
+      '🧑‍🦰': 'person_red_hair',
+      '👩‍🦰': 'woman_red_haired',
+      '👨‍🦰': 'man_red_haired',
+      '👱': 'blond_haired_person',
+      '👱‍♀': 'blond_haired_woman',
+      '👱‍♂': 'blond_haired_man',
+      '🧑‍🦳': 'person_white_hair',
+      '👩‍🦳': 'woman_white_haired',
+      '👨‍🦳': 'man_white_haired',
+      '🧑‍🦲': 'person_bald',
+      '👩‍🦲': 'woman_bald',
+      '👨‍🦲': 'man_bald',
+      '🧔': 'bearded_person',
+      '🧔‍♀': 'woman_beard',
+      '🧔‍♂': 'man_beard',
+      '🧓': 'older_adult',
+      '👵': 'older_woman',
+      '👴': 'older_man',
+      '👲': 'man_with_chinese_cap',
+      '👳': 'person_wearing_turban',
+      '👳‍♀': 'woman_wearing_turban',
+      '👳‍♂': 'man_wearing_turban',
+      '🧕': 'woman_with_headscarf',
+      '👮': 'police_officer',
+      '👮‍♀': 'woman_police_officer',
+      '👮‍♂': 'man_police_officer',
+      '👷': 'construction_worker',
+      '👷‍♀': 'woman_construction_worker',
+      '👷‍♂': 'man_construction_worker',
+      '💂': 'guard',
+      '💂‍♀': 'woman_guard',
+      '💂‍♂': 'man_guard',
+      '🕵': 'detective',
+      '🕵‍♀': 'woman_detective',
+      '🕵‍♂': 'man_detective',
+      '🧑‍⚕': 'health_worker',
+      '👩‍⚕': 'woman_health_worker',
+      '👨‍⚕': 'man_health_worker',
+      '🧑‍🌾': 'farmer',
+      '👩‍🌾': 'woman_farmer',
+      '👨‍🌾': 'man_farmer',
+      '🧑‍🍳': 'cook',
+      '👩‍🍳': 'woman_cook',
+      '👨‍🍳': 'man_cook',
+      '🧑‍🎓': 'student',
+      '👩‍🎓': 'woman_student',
+      '👨‍🎓': 'man_student',
+      '🧑‍🎤': 'singer',
+      '👩‍🎤': 'woman_singer',
+      '👨‍🎤': 'man_singer',
+      '🧑‍🏫': 'teacher',
+      '👩‍🏫': 'woman_teacher',
+      '👨‍🏫': 'man_teacher',
+      '🧑‍🏭': 'factory_worker',
+      '👩‍🏭': 'woman_factory_worker',
+      '👨‍🏭': 'man_factory_worker',
+      '🧑‍💻': 'technologist',
+      '👩‍💻': 'woman_technologist',
+      '👨‍💻': 'man_technologist',
+      '🧑‍💼': 'office_worker',
+      '👩‍💼': 'woman_office_worker',
+      '👨‍💼': 'man_office_worker',
+      '🧑‍🔧': 'mechanic',
+      '👩‍🔧': 'woman_mechanic',
+      '👨‍🔧': 'man_mechanic',
+      '🧑‍🔬': 'scientist',
+      '👩‍🔬': 'woman_scientist',
+      '👨‍🔬': 'man_scientist',
+      '🧑‍🎨': 'artist',
+      '👩‍🎨': 'woman_artist',
+      '👨‍🎨': 'man_artist',
+      '🧑‍🚒': 'firefighter',
+      '👩‍🚒': 'woman_firefighter',
+      '👨‍🚒': 'man_firefighter',
+      '🧑‍✈': 'pilot',
+      '👩‍✈': 'woman_pilot',
+      '👨‍✈': 'man_pilot',
+      '🧑‍🚀': 'astronaut',
+      '👩‍🚀': 'woman_astronaut',
+      '👨‍🚀': 'man_astronaut',
+      '🧑‍⚖': 'judge',
+      '👩‍⚖': 'woman_judge',
+      '👨‍⚖': 'man_judge',
+      '👰': 'person_with_veil',
+      '👰‍♀': 'woman_with_veil',
+      '👰‍♂': 'man_with_veil',
+      '🤵': 'person_in_tuxedo',
+      '🤵‍♀': 'woman_in_tuxedo',
+      '🤵‍♂': 'man_in_tuxedo',
+      '🫅': 'person_with_crown',
+      '👸': 'princess',
+      '🤴': 'prince',
+      '🦸': 'superhero',
+      '🦸‍♀': 'woman_superhero',
+      '🦸‍♂': 'man_superhero',
+      '🦹': 'supervillain',
+      '🦹‍♀': 'woman_supervillain',
+      '🦹‍♂': 'man_supervillain',
+      '🥷': 'ninja',
+      '🧑‍🎄': 'mx_claus',
+      '🤶': 'mrs_claus',
+      '🎅': 'santa',
+      '🧙': 'mage',
+      '🧙‍♀': 'woman_mage',
+      '🧙‍♂': 'man_mage',
+      '🧝': 'elf',
+      '🧝‍♀': 'woman_elf',
+      '🧝‍♂': 'man_elf',
+      '🧌': 'troll',
+      '🧛': 'vampire',
+      '🧛‍♀': 'woman_vampire',
+      '🧛‍♂': 'man_vampire',
+      '🧟': 'zombie',
+      '🧟‍♀': 'woman_zombie',
+      '🧟‍♂': 'man_zombie',
+      '🧞': 'genie',
+      '🧞‍♀': 'woman_genie',
+      '🧞‍♂': 'man_genie',
+      '🧜': 'merperson',
+      '🧜‍♀': 'mermaid',
+      '🧜‍♂': 'merman',
+      '🧚': 'fairy',
+      '🧚‍♀': 'woman_fairy',
+      '🧚‍♂': 'man_fairy',
+      '👼': 'angel',
+      '🫄': 'pregnant_person',
+      '🤰': 'pregnant_woman',
+      '🫃': 'pregnant_man',
+      '🤱': 'breast_feeding',
+      '🧑‍🍼': 'person_feeding_baby',
+      '👩‍🍼': 'woman_feeding_baby',
+      '👨‍🍼': 'man_feeding_baby',
+      '🙇': 'person_bowing',
+      '🙇‍♀': 'woman_bowing',
+      '🙇‍♂': 'man_bowing',
+      '💁': 'person_tipping_hand',
+      '💁‍♀': 'woman_tipping_hand',
+      '💁‍♂': 'man_tipping_hand',
+      '🙅': 'person_gesturing_no',
+      '🙅‍♀': 'woman_gesturing_no',
+      '🙅‍♂': 'man_gesturing_no',
+      '🙆': 'person_gesturing_ok',
+      '🙆‍♀': 'woman_gesturing_ok',
+      '🙆‍♂': 'man_gesturing_ok',
+      '🙋': 'person_raising_hand',
+      '🙋‍♀': 'woman_raising_hand',
+      '🙋‍♂': 'man_raising_hand',
+      '🧏': 'deaf_person',
+      '🧏‍♀': 'deaf_woman',
+      '🧏‍♂': 'deaf_man',
+      '🤦': 'person_facepalming',
+      '🤦‍♀': 'woman_facepalming',
+      '🤦‍♂': 'man_facepalming',
+      '🤷': 'person_shrugging',
+      '🤷‍♀': 'woman_shrugging',
+      '🤷‍♂': 'man_shrugging',
+      '🙎': 'person_pouting',
+      '🙎‍♀': 'woman_pouting',
+      '🙎‍♂': 'man_pouting',
+      '🙍': 'person_frowning',
+      '🙍‍♀': 'woman_frowning',
+      '🙍‍♂': 'man_frowning',
+      '💇': 'person_getting_haircut',
+      '💇‍♀': 'woman_getting_haircut',
+      '💇‍♂': 'man_getting_haircut',
+      '💆': 'person_getting_massage',
+      '💆‍♀': 'woman_getting_face_massage',
+      '💆‍♂': 'man_getting_face_massage',
+      '🧖': 'person_in_steamy_room',
+      '🧖‍♀': 'woman_in_steamy_room',
+      '🧖‍♂': 'man_in_steamy_room',
+      '💅': 'nail_care',
+      '🤳': 'selfie',
+      '💃': 'dancer',
+      '🕺': 'man_dancing',
+      '👯': 'people_with_bunny_ears_partying',
+      '👯‍♀': 'women_with_bunny_ears_partying',
+      '👯‍♂': 'men_with_bunny_ears_partying',
+      '🕴': 'levitate',
+      '🧑‍🦽': 'person_in_manual_wheelchair',
+      '👩‍🦽': 'woman_in_manual_wheelchair',
+      '👨‍🦽': 'man_in_manual_wheelchair',
+      '🧑‍🦽‍➡': 'person_in_manual_wheelchair_facing_right',
+      '👨‍🦽‍➡': 'man_in_manual_wheelchair_facing_right',
+      '👩‍🦽‍➡': 'woman_in_manual_wheelchair_facing_right',
+      '🧑‍🦼': 'person_in_motorized_wheelchair',
+      '👩‍🦼': 'woman_in_motorized_wheelchair',
+      '👨‍🦼': 'man_in_motorized_wheelchair',
+      '🧑‍🦼‍➡': 'person_in_motorized_wheelchair_facing_right',
+      '👨‍🦼‍➡': 'man_in_motorized_wheelchair_facing_right',
+      '👩‍🦼‍➡': 'woman_in_motorized_wheelchair_facing_right',
+      '🚶': 'person_walking',
+      '🚶‍♀': 'woman_walking',
+      '🚶‍♂': 'man_walking',
+      '🚶‍➡': 'person_walking_facing_right',
+      '🚶‍♀‍➡': 'woman_walking_facing_right',
+      '🚶‍♂‍➡': 'man_walking_facing_right',
+      '🧑‍🦯': 'person_with_probing_cane',
+      '👩‍🦯': 'woman_with_probing_cane',
+      '👨‍🦯': 'man_with_probing_cane',
+      '🧑‍🦯‍➡': 'person_with_white_cane_facing_right',
+      '👨‍🦯‍➡': 'man_with_white_cane_facing_right',
+      '👩‍🦯‍➡': 'woman_with_white_cane_facing_right',
+      '🧎': 'person_kneeling',
+      '🧎‍♀': 'woman_kneeling',
+      '🧎‍♂': 'man_kneeling',
+      '🧎‍➡': 'person_kneeling_facing_right',
+      '🧎‍♀‍➡': 'woman_kneeling_facing_right',
+      '🧎‍♂‍➡': 'man_kneeling_facing_right',
+      '🏃': 'person_running',
+      '🏃‍♀': 'woman_running',
+      '🏃‍♂': 'man_running',
+      '🏃‍➡': 'person_running_facing_right',
+      '🏃‍♀‍➡': 'woman_running_facing_right',
+      '🏃‍♂‍➡': 'man_running_facing_right',
+      '🧍': 'person_standing',
+      '🧍‍♀': 'woman_standing',
+      '🧍‍♂': 'man_standing',
+      '🧑‍🤝‍🧑': 'people_holding_hands',
+      '👫': 'couple',
+      '👭': 'two_women_holding_hands',
+      '👬': 'two_men_holding_hands',
+      '💑': 'couple_with_heart',
+      '👩‍❤‍👨': 'couple_with_heart_woman_man',
+      '👩‍❤‍👩': 'couple_ww',
+      '👨‍❤‍👨': 'couple_mm',
+      '💏': 'couplekiss',
+      '👩‍❤‍💋‍👨': 'kiss_woman_man',
+      '👩‍❤‍💋‍👩': 'kiss_ww',
+      '👨‍❤‍💋‍👨': 'kiss_mm',
+      '🧑‍🧑‍🧒‍🧒': 'family_adult_adult_child_child',
+      '🧑‍🧑‍🧒': 'family_adult_adult_child',
+      '🧑‍🧒‍🧒': 'family_adult_child_child',
+      '🧑‍🧒': 'family_adult_child',
+      '👪': 'family',
+      '👨‍👩‍👦': 'family_man_woman_boy',
+      '👨‍👩‍👧': 'family_mwg',
+      '👨‍👩‍👧‍👦': 'family_mwgb',
+      '👨‍👩‍👦‍👦': 'family_mwbb',
+      '👨‍👩‍👧‍👧': 'family_mwgg',
+      '👩‍👩‍👦': 'family_wwb',
+      '👩‍👩‍👧': 'family_wwg',
+      '👩‍👩‍👧‍👦': 'family_wwgb',
+      '👩‍👩‍👦‍👦': 'family_wwbb',
+      '👩‍👩‍👧‍👧': 'family_wwgg',
+      '👨‍👨‍👦': 'family_mmb',
+      '👨‍👨‍👧': 'family_mmg',
+      '👨‍👨‍👧‍👦': 'family_mmgb',
+      '👨‍👨‍👦‍👦': 'family_mmbb',
+      '👨‍👨‍👧‍👧': 'family_mmgg',
+      '👩‍👦': 'family_woman_boy',
+      '👩‍👧': 'family_woman_girl',
+      '👩‍👧‍👦': 'family_woman_girl_boy',
+      '👩‍👦‍👦': 'family_woman_boy_boy',
+      '👩‍👧‍👧': 'family_woman_girl_girl',
+      '👨‍👦': 'family_man_boy',
+      '👨‍👧': 'family_man_girl',
+      '👨‍👧‍👦': 'family_man_girl_boy',
+      '👨‍👦‍👦': 'family_man_boy_boy',
+      '👨‍👧‍👧': 'family_man_girl_girl',
+      '🪢': 'knot',
+      '🧶': 'yarn',
+      '🧵': 'thread',
+      '🪡': 'sewing_needle',
+      '🧥': 'coat',
+      '🥼': 'lab_coat',
+      '🦺': 'safety_vest',
+      '👚': 'womans_clothes',
+      '👕': 'shirt',
+      '👖': 'jeans',
+      '🩲': 'briefs',
+      '🩳': 'shorts',
+      '👔': 'necktie',
+      '👗': 'dress',
+      '👙': 'bikini',
+      '🩱': 'one_piece_swimsuit',
+      '👘': 'kimono',
+      '🥻': 'sari',
+      '🩴': 'thong_sandal',
+      '🥿': 'womans_flat_shoe',
+      '👠': 'high_heel',
+      '👡': 'sandal',
+      '👢': 'boot',
+      '👞': 'mans_shoe',
+      '👟': 'athletic_shoe',
+      '🥾': 'hiking_boot',
+      '🧦': 'socks',
+      '🧤': 'gloves',
+      '🧣': 'scarf',
+      '🎩': 'tophat',
+      '🧢': 'billed_cap',
+      '👒': 'womans_hat',
+      '🎓': 'mortar_board',
+      '⛑': 'helmet_with_cross',
+      '🪖': 'military_helmet',
+      '👑': 'crown',
+      '💍': 'ring',
+      '👝': 'pouch',
+      '👛': 'purse',
+      '👜': 'handbag',
+      '💼': 'briefcase',
+      '🎒': 'school_satchel',
+      '🧳': 'luggage',
+      '👓': 'eyeglasses',
+      '🕶': 'dark_sunglasses',
+      '🥽': 'goggles',
+      '🌂': 'closed_umbrella',
+      '💯': '100',
+      '🔢': '1234',
+      '🩷': 'pink_heart',
+      '🧡': 'orange_heart',
+      '💛': 'yellow_heart',
+      '💚': 'green_heart',
+      '🩵': 'light_blue_heart',
+      '💙': 'blue_heart',
+      '💜': 'purple_heart',
+      '🖤': 'black_heart',
+      '🩶': 'grey_heart',
+      '🤍': 'white_heart',
+      '🤎': 'brown_heart',
+      '💔': 'broken_heart',
+      '💕': 'two_hearts',
+      '💞': 'revolving_hearts',
+      '💓': 'heartbeat',
+      '💗': 'heartpulse',
+      '💖': 'sparkling_heart',
+      '💘': 'cupid',
+      '💝': 'gift_heart',
+      '❤‍🩹': 'mending_heart',
+      '❤‍🔥': 'heart_on_fire',
+      '💟': 'heart_decoration',
+      '☮': 'peace',
+      '✝': 'cross',
+      '☪': 'star_and_crescent',
+      '🕉': 'om_symbol',
+      '🪯': 'khanda',
+      '🔯': 'six_pointed_star',
+      '🕎': 'menorah',
+      '☯': 'yin_yang',
+      '🛐': 'place_of_worship',
+      '⛎': 'ophiuchus',
+      '♊': 'gemini',
+      '♋': 'cancer',
+      '♌': 'leo',
+      '♍': 'virgo',
+      '♎': 'libra',
+      '♏': 'scorpius',
+      '🆔': 'id',
+      '⚛': 'atom',
+      '🉑': 'accept',
+      '📴': 'mobile_phone_off',
+      '📳': 'vibration_mode',
+      '🈶': 'u6709',
+      '🈚': 'u7121',
+      '🈸': 'u7533',
+      '🈺': 'u55b6',
+      '🈷': 'u6708',
+      '🆚': 'vs',
+      '💮': 'white_flower',
+      '🉐': 'ideograph_advantage',
+      '🈴': 'u5408',
+      '🈵': 'u6e80',
+      '🈹': 'u5272',
+      '🈲': 'u7981',
+      '🅰': 'a',
+      '🅱': 'b',
+      '🆎': 'ab',
+      '🆑': 'cl',
+      '🅾': 'o2',
+      '🆘': 'sos',
+      '❌': 'x',
+      '⭕': 'o',
+      '🛑': 'octagonal_sign',
+      '⛔': 'no_entry',
+      '📛': 'name_badge',
+      '🚫': 'no_entry_sign',
+      '💢': 'anger',
+      '🚷': 'no_pedestrians',
+      '🚯': 'do_not_litter',
+      '🚳': 'no_bicycles',
+      '🚱': 'non_potable_water',
+      '🔞': 'underage',
+      '📵': 'no_mobile_phones',
+      '🚭': 'no_smoking',
+      '‼': 'bangbang',
+      '🔅': 'low_brightness',
+      '🔆': 'high_brightness',
+      '〽': 'part_alternation_mark',
+      '⚠': 'warning',
+      '🚸': 'children_crossing',
+      '🔱': 'trident',
+      '⚜': 'fleur_de_lis',
+      '🔰': 'beginner',
+      '♻': 'recycle',
+      '🈯': 'u6307',
+      '💹': 'chart',
+      '❎': 'negative_squared_cross_mark',
+      '🌐': 'globe_with_meridians',
+      '💠': 'diamond_shape_with_a_dot_inside',
+      'Ⓜ': 'm',
+      '🌀': 'cyclone',
+      '💤': 'zzz',
+      '🏧': 'atm',
+      '🚾': 'wc',
+      '♿': 'wheelchair',
+      '🅿': 'parking',
+      '🛗': 'elevator',
+      '🈳': 'u7a7a',
+      '🈂': 'sa',
+      '🛂': 'passport_control',
+      '🛃': 'customs',
+      '🛄': 'baggage_claim',
+      '🛅': 'left_luggage',
+      '🛜': 'wireless',
+      '🚹': 'mens',
+      '🚺': 'womens',
+      '🚼': 'baby_symbol',
+      '🚻': 'restroom',
+      '🚮': 'put_litter_in_its_place',
+      '🎦': 'cinema',
+      '📶': 'signal_strength',
+      '🈁': 'koko',
+      '🔣': 'symbols',
+      '🔤': 'abc',
+      '🔡': 'abcd',
+      '🔠': 'capital_abcd',
+      '🆖': 'ng',
+      '🆗': 'ok',
+      '🆙': 'up',
+      '🆒': 'cool',
+      '🆕': 'new',
+      '🆓': 'free',
+      '0⃣': 'zero',
+      '1⃣': 'one',
+      '2⃣': 'two',
+      '3⃣': 'three',
+      '4⃣': 'four',
+      '5⃣': 'five',
+      '6⃣': 'six',
+      '7⃣': 'seven',
+      '8⃣': 'eight',
+      '9⃣': 'nine',
+      '🔟': 'keycap_ten',
+      '#⃣': 'hash',
+      '*⃣': 'asterisk',
+      '⏏': 'eject',
+      '▶': 'arrow_forward',
+      '⏸': 'pause_button',
+      '⏯': 'play_pause',
+      '⏹': 'stop_button',
+      '⏺': 'record_button',
+      '⏭': 'track_next',
+      '⏮': 'track_previous',
+      '⏩': 'fast_forward',
+      '⏪': 'rewind',
+      '⏫': 'arrow_double_up',
+      '⏬': 'arrow_double_down',
+      '◀': 'arrow_backward',
+      '🔼': 'arrow_up_small',
+      '🔽': 'arrow_down_small',
+      '➡': 'arrow_right',
+      '⬅': 'arrow_left',
+      '⬆': 'arrow_up',
+      '⬇': 'arrow_down',
+      '↪': 'arrow_right_hook',
+      '↩': 'leftwards_arrow_with_hook',
+      '🔀': 'twisted_rightwards_arrows',
+      '🔁': 'repeat',
+      '🔂': 'repeat_one',
+      '🔄': 'arrows_counterclockwise',
+      '🔃': 'arrows_clockwise',
+      '🎵': 'musical_note',
+      '🎶': 'notes',
+      '🟰': 'heavy_equals_sign',
+      '♾': 'infinity',
+      '💲': 'heavy_dollar_sign',
+      '💱': 'currency_exchange',
+      '©': 'copyright',
+      '®': 'registered',
+      '➰': 'curly_loop',
+      '➿': 'loop',
+      '🔚': 'end',
+      '🔙': 'back',
+      '🔛': 'on',
+      '🔝': 'top',
+      '🔜': 'soon',
+      '🔘': 'radio_button',
+      '⚪': 'white_circle',
+      '⚫': 'black_circle',
+      '🔴': 'red_circle',
+      '🔵': 'blue_circle',
+      '🟤': 'brown_circle',
+      '🟣': 'purple_circle',
+      '🟢': 'green_circle',
+      '🟡': 'yellow_circle',
+      '🟠': 'orange_circle',
+      '🔺': 'small_red_triangle',
+      '🔻': 'small_red_triangle_down',
+      '🔸': 'small_orange_diamond',
+      '🔹': 'small_blue_diamond',
+      '🔶': 'large_orange_diamond',
+      '🔷': 'large_blue_diamond',
+      '🔳': 'white_square_button',
+      '🔲': 'black_square_button',
+      '▪': 'black_small_square',
+      '▫': 'white_small_square',
+      '◾': 'black_medium_small_square',
+      '◽': 'white_medium_small_square',
+      '◼': 'black_medium_square',
+      '◻': 'white_medium_square',
+      '⬛': 'black_large_square',
+      '⬜': 'white_large_square',
+      '🟧': 'orange_square',
+      '🟦': 'blue_square',
+      '🟥': 'red_square',
+      '🟫': 'brown_square',
+      '🟪': 'purple_square',
+      '🟩': 'green_square',
+      '🟨': 'yellow_square',
+      '🔈': 'speaker',
+      '🔇': 'mute',
+      '🔉': 'sound',
+      '🔊': 'loud_sound',
+      '🔔': 'bell',
+      '🔕': 'no_bell',
+      '📣': 'mega',
+      '📢': 'loudspeaker',
+      '🗨': 'speech_left',
+      '👁‍🗨': 'eye_in_speech_bubble',
+      '💬': 'speech_balloon',
+      '💭': 'thought_balloon',
+      '🗯': 'anger_right',
+      '🃏': 'black_joker',
+      '🎴': 'flower_playing_cards',
+      '🀄': 'mahjong',
+      '🕐': 'clock1',
+      '🕑': 'clock2',
+      '🕒': 'clock3',
+      '🕓': 'clock4',
+      '🕔': 'clock5',
+      '🕕': 'clock6',
+      '🕖': 'clock7',
+      '🕗': 'clock8',
+      '🕘': 'clock9',
+      '🕙': 'clock10',
+      '🕚': 'clock11',
+      '🕛': 'clock12',
+      '🕜': 'clock130',
+      '🕝': 'clock230',
+      '🕞': 'clock330',
+      '🕟': 'clock430',
+      '🕠': 'clock530',
+      '🕡': 'clock630',
+      '🕢': 'clock730',
+      '🕣': 'clock830',
+      '🕤': 'clock930',
+      '🕥': 'clock1030',
+      '🕦': 'clock1130',
+      '🕧': 'clock1230',
+      '⚧': 'transgender_symbol',
+      '🇿': 'regional_indicator_z',
+      '🇾': 'regional_indicator_y',
+      '🇽': 'regional_indicator_x',
+      '🇼': 'regional_indicator_w',
+      '🇻': 'regional_indicator_v',
+      '🇺': 'regional_indicator_u',
+      '🇹': 'regional_indicator_t',
+      '🇸': 'regional_indicator_s',
+      '🇷': 'regional_indicator_r',
+      '🇶': 'regional_indicator_q',
+      '🇵': 'regional_indicator_p',
+      '🇴': 'regional_indicator_o',
+      '🇳': 'regional_indicator_n',
+      '🇲': 'regional_indicator_m',
+      '🇱': 'regional_indicator_l',
+      '🇰': 'regional_indicator_k',
+      '🇯': 'regional_indicator_j',
+      '🇮': 'regional_indicator_i',
+      '🇭': 'regional_indicator_h',
+      '🇬': 'regional_indicator_g',
+      '🇫': 'regional_indicator_f',
+      '🇪': 'regional_indicator_e',
+      '🇩': 'regional_indicator_d',
+      '🇨': 'regional_indicator_c',
+      '🇧': 'regional_indicator_b',
+      '🇦': 'regional_indicator_a',
+      '🚗': 'red_car',
+      '🚕': 'taxi',
+      '🚙': 'blue_car',
+      '🛻': 'pickup_truck',
+      '🚐': 'minibus',
+      '🚌': 'bus',
+      '🚎': 'trolleybus',
+      '🏎': 'race_car',
+      '🚓': 'police_car',
+      '🚑': 'ambulance',
+      '🚒': 'fire_engine',
+      '🚚': 'truck',
+      '🚛': 'articulated_lorry',
+      '🚜': 'tractor',
+      '🦯': 'probing_cane',
+      '🦽': 'manual_wheelchair',
+      '🦼': 'motorized_wheelchair',
+      '🩼': 'crutch',
+      '🛴': 'scooter',
+      '🚲': 'bike',
+      '🛵': 'motor_scooter',
+      '🏍': 'motorcycle',
+      '🛺': 'auto_rickshaw',
+      '🛞': 'wheel',
+      '🚨': 'rotating_light',
+      '🚔': 'oncoming_police_car',
+      '🚍': 'oncoming_bus',
+      '🚘': 'oncoming_automobile',
+      '🚖': 'oncoming_taxi',
+      '🚡': 'aerial_tramway',
+      '🚠': 'mountain_cableway',
+      '🚟': 'suspension_railway',
+      '🚃': 'railway_car',
+      '🚋': 'train',
+      '🚞': 'mountain_railway',
+      '🚝': 'monorail',
+      '🚄': 'bullettrain_side',
+      '🚅': 'bullettrain_front',
+      '🚈': 'light_rail',
+      '🚂': 'steam_locomotive',
+      '🚆': 'train2',
+      '🚇': 'metro',
+      '🚊': 'tram',
+      '🚉': 'station',
+      '🛫': 'airplane_departure',
+      '🛬': 'airplane_arriving',
+      '🛩': 'airplane_small',
+      '💺': 'seat',
+      '🛰': 'satellite_orbital',
+      '🚀': 'rocket',
+      '🛸': 'flying_saucer',
+      '🚁': 'helicopter',
+      '🛶': 'canoe',
+      '⛵': 'sailboat',
+      '🚤': 'speedboat',
+      '🛥': 'motorboat',
+      '🛳': 'cruise_ship',
+      '⛴': 'ferry',
+      '🚢': 'ship',
+      '🛟': 'ring_buoy',
+      '🪝': 'hook',
+      '⛽': 'fuelpump',
+      '🚧': 'construction',
+      '🚦': 'vertical_traffic_light',
+      '🚥': 'traffic_light',
+      '🚏': 'busstop',
+      '🗺': 'map',
+      '🗿': 'moyai',
+      '🗽': 'statue_of_liberty',
+      '🗼': 'tokyo_tower',
+      '🏰': 'european_castle',
+      '🏯': 'japanese_castle',
+      '🏟': 'stadium',
+      '🎡': 'ferris_wheel',
+      '🎢': 'roller_coaster',
+      '🎠': 'carousel_horse',
+      '⛲': 'fountain',
+      '⛱': 'beach_umbrella',
+      '🏖': 'beach',
+      '🏝': 'island',
+      '🏜': 'desert',
+      '🌋': 'volcano',
+      '⛰': 'mountain',
+      '🏔': 'mountain_snow',
+      '🗻': 'mount_fuji',
+      '🏕': 'camping',
+      '⛺': 'tent',
+      '🏠': 'house',
+      '🏡': 'house_with_garden',
+      '🏘': 'homes',
+      '🏚': 'house_abandoned',
+      '🛖': 'hut',
+      '🏗': 'construction_site',
+      '🏭': 'factory',
+      '🏢': 'office',
+      '🏬': 'department_store',
+      '🏣': 'post_office',
+      '🏤': 'european_post_office',
+      '🏥': 'hospital',
+      '🏦': 'bank',
+      '🏨': 'hotel',
+      '🏪': 'convenience_store',
+      '🏫': 'school',
+      '🏩': 'love_hotel',
+      '💒': 'wedding',
+      '🏛': 'classical_building',
+      '⛪': 'church',
+      '🕌': 'mosque',
+      '🕍': 'synagogue',
+      '🛕': 'hindu_temple',
+      '🕋': 'kaaba',
+      '⛩': 'shinto_shrine',
+      '🛤': 'railway_track',
+      '🛣': 'motorway',
+      '🗾': 'japan',
+      '🎑': 'rice_scene',
+      '🏞': 'park',
+      '🌅': 'sunrise',
+      '🌄': 'sunrise_over_mountains',
+      '🌠': 'stars',
+      '🎇': 'sparkler',
+      '🎆': 'fireworks',
+      '🌇': 'city_sunset',
+      '🌆': 'city_dusk',
+      '🏙': 'cityscape',
+      '🌃': 'night_with_stars',
+      '🌌': 'milky_way',
+      '🌉': 'bridge_at_night',
+      '🌁': 'foggy'
+    }
+  }
+};
+
+export { EmojiNames };
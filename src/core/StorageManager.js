@@ -4,19 +4,74 @@
  * Single Responsibility: Chrome storage abstraction
  */
 
+import { EmojiData } from './EmojiData.js';
+
 class StorageManager {
   static KEYS = {
     WHITELIST: 'emojiBlocker_whitelist',
-    SETTINGS: 'emojiBlocker_settings'
+    SETTINGS: 'emojiBlocker_settings',
+    CUSTOM_ICONS: 'emojiBlocker_customIcons',
+    SITE_RULES: 'emojiBlocker_siteRules',
+    SANITIZE_SITES: 'emojiBlocker_sanitizeSites',
+    SITE_STRATEGIES: 'emojiBlocker_siteStrategies',
+    STATS: 'emojiBlocker_stats'
   };
 
+  static SITE_RULE_OFF = 'off';
+
+  static MODES = ['hide', 'desaturate', 'dim', 'blur', 'shortcode', 'name', 'emoticon', 'icon'];
+
+  // How emojis are blocked: wrapped in spans, through an emoji font, or through CSS
+  // highlights; the last two leave the page's text nodes alone
+  static STRATEGIES = ['span', 'font', 'highlight'];
+
+  static STATS_RETENTION_DAYS = 90;
+
+  static EXPORT_FORMAT = 'i-dont-care-about-emojis';
+  static EXPORT_VERSION = 1;
+
+  static SETTING_VALUES = {
+    mode: StorageManager.MODES,
+    shortcodeStyle: ['github', 'slack', 'discord'],
+    listMode: ['whitelist', 'blocklist'],
+    frameSite: ['top', 'frame'],
+    sanitizeStyle: ['remove', 'shortcode'],
+    strategy: StorageManager.STRATEGIES
+  };
+
+  static CATEGORIES = [
+    'smileys',
+    'people',
+    'animals',
+    'food',
+    'travel',
+    'activities',
+    'objects',
+    'symbols',
+    'flags'
+  ];
+
   static DEFAULT_SETTINGS = {
     mode: 'hide',
-    enabled: true
+    enabled: true,
+    respectTextPresentation: true,
+    processAttributes: false,
+    processTitle: false,
+    lazyProcessing: false,
+    categories: Object.fromEntries(StorageManager.CATEGORIES.map((category) => [category, true])),
+    emojiAllowlist: [],
+    emojiBlocklist: [],
+    shortcodeStyle: 'github',
+    whitelistSubdomains: true,
+    listMode: 'whitelist',
+    frameSite: 'top',
+    sanitizeStyle: 'remove',
+    strategy: 'span'
   };
 
-  constructor(storage = chrome.storage.sync) {
+  constructor(storage = chrome.storage.sync, localArea = chrome.storage.local) {
     this.storage = storage;
+    this.localArea = localArea;
   }
 
   /**
@@ -35,13 +90,13 @@ class StorageManager {
 
   /**
    * Add a domain to whitelist
-   * @param {string} domain - Domain to whitelist
+   * @param {string} domain - Domain or pattern, e.g. '*.example.com' or '!ads.example.com'
    * @returns {Promise<boolean>} - True if added, false if already exists
    */
   async addToWhitelist(domain) {
     try {
       const whitelist = await this.getWhitelist();
-      const normalized = this.normalizeDomain(domain);
+      const normalized = this.normalizePattern(domain);
 
       if (whitelist.includes(normalized)) return false;
 
@@ -62,7 +117,7 @@ class StorageManager {
   async removeFromWhitelist(domain) {
     try {
       const whitelist = await this.getWhitelist();
-      const normalized = this.normalizeDomain(domain);
+      const normalized = this.normalizePattern(domain);
       const index = whitelist.indexOf(normalized);
 
       if (index === -1) return false;
@@ -77,14 +132,14 @@ class StorageManager {
   }
 
   /**
-   * Check if a domain is whitelisted
+   * Check if a domain is whitelisted, honouring wildcards, subdomains and exclusions
    * @param {string} domain - Domain to check
    * @returns {Promise<boolean>}
    */
   async isWhitelisted(domain) {
     try {
-      const whitelist = await this.getWhitelist();
-      return whitelist.includes(this.normalizeDomain(domain));
+      const [whitelist, settings] = await Promise.all([this.getWhitelist(), this.getSettings()]);
+      return this.matchWhitelist(whitelist, domain, settings.whitelistSubdomains);
     } catch (error) {
       console.error('StorageManager: Error checking whitelist:', error);
       return false;
@@ -105,14 +160,46 @@ class StorageManager {
     }
   }
 
+  /**
+   * Whitelist or un-whitelist a single domain. A domain covered by a broader pattern
+   * gets a '!' exclusion instead of the pattern being removed
+   * @param {string} domain - Domain to change
+   * @param {boolean} whitelisted - Desired state
+   * @returns {Promise<boolean>} - Whether the domain is whitelisted afterwards
+   */
+  async setWhitelisted(domain, whitelisted) {
+    try {
+      const normalized = this.normalizeDomain(domain);
+
+      if (whitelisted) {
+        await this.removeFromWhitelist(`!${normalized}`);
+        if (!(await this.isWhitelisted(normalized))) await this.addToWhitelist(normalized);
+      } else {
+        await this.removeFromWhitelist(normalized);
+        if (await this.isWhitelisted(normalized)) await this.addToWhitelist(`!${normalized}`);
+      }
+
+      return this.isWhitelisted(normalized);
+    } catch (error) {
+      console.error('StorageManager: Error updating whitelist:', error);
+      return false;
+    }
+  }
+
   /**
    * Get current settings
-   * @returns {Promise<{mode: string, enabled: boolean}>}
+   * @returns {Promise<Object>} - mode, enabled, respectTextPresentation, processAttributes,
+   *   processTitle, lazyProcessing, categories, emojiAllowlist and emojiBlocklist
    */
   async getSettings() {
     try {
       const result = await this.storage.get(StorageManager.KEYS.SETTINGS);
-      return { ...StorageManager.DEFAULT_SETTINGS, ...result[StorageManager.KEYS.SETTINGS] };
+      const stored = result[StorageManager.KEYS.SETTINGS] || {};
+      return {
+        ...StorageManager.DEFAULT_SETTINGS,
+        ...stored,
+        categories: { ...StorageManager.DEFAULT_SETTINGS.categories, ...stored.categories }
+      };
     } catch (error) {
       console.error('StorageManager: Error fetching settings:', error);
       return { ...StorageManager.DEFAULT_SETTINGS };
@@ -136,6 +223,723 @@ class StorageManager {
     }
   }
 
+  /**
+   * Get per-site mode overrides
+   * @returns {Promise<Object<string, string>>} - Domain -> mode, or 'off' to disable blocking
+   */
+  async getSiteRules() {
+    try {
+      const result = await this.storage.get(StorageManager.KEYS.SITE_RULES);
+      return result[StorageManager.KEYS.SITE_RULES] || {};
+    } catch (error) {
+      console.error('StorageManager: Error fetching site rules:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Set the mode for a site, or clear its rule so the global mode applies
+   * @param {string} domain - Domain the rule applies to
+   * @param {string|null} mode - Mode, 'off', or null to remove the rule
+   * @returns {Promise<boolean>}
+   */
+  async setSiteRule(domain, mode) {
+    try {
+      const rules = await this.getSiteRules();
+      const normalized = this.normalizeDomain(domain);
+
+      if (mode) {
+        rules[normalized] = mode;
+      } else {
+        delete rules[normalized];
+      }
+
+      await this.storage.set({ [StorageManager.KEYS.SITE_RULES]: rules });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error updating site rule:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the sites where typed and pasted emojis are stripped
+   * @returns {Promise<string[]>} - Normalized domains
+   */
+  async getSanitizeSites() {
+    try {
+      const result = await this.storage.get(StorageManager.KEYS.SANITIZE_SITES);
+      return result[StorageManager.KEYS.SANITIZE_SITES] || [];
+    } catch (error) {
+      console.error('StorageManager: Error fetching sanitize sites:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Turn stripping of typed and pasted emojis on or off for a site
+   * @param {string} domain - Site domain
+   * @param {boolean} enabled - Whether input is sanitized there
+   * @returns {Promise<boolean>}
+   */
+  async setSanitizeInput(domain, enabled) {
+    try {
+      const normalized = this.normalizeDomain(domain);
+      const sites = (await this.getSanitizeSites()).filter((site) => site !== normalized);
+      if (enabled) sites.push(normalized);
+
+      await this.storage.set({ [StorageManager.KEYS.SANITIZE_SITES]: sites });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error updating sanitize sites:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the sites that use their own blocking strategy
+   * @returns {Promise<Object<string, string>>} - Domain -> strategy
+   */
+  async getSiteStrategies() {
+    try {
+      const result = await this.storage.get(StorageManager.KEYS.SITE_STRATEGIES);
+      return result[StorageManager.KEYS.SITE_STRATEGIES] || {};
+    } catch (error) {
+      console.error('StorageManager: Error fetching site strategies:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Set the blocking strategy for a site
+   * @param {string} domain - Site domain
+   * @param {string|null} strategy - Strategy, or null to use the global strategy
+   * @returns {Promise<boolean>}
+   */
+  async setSiteStrategy(domain, strategy) {
+    try {
+      const strategies = await this.getSiteStrategies();
+      const normalized = this.normalizeDomain(domain);
+
+      if (strategy) {
+        strategies[normalized] = strategy;
+      } else {
+        delete strategies[normalized];
+      }
+
+      await this.storage.set({ [StorageManager.KEYS.SITE_STRATEGIES]: strategies });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error updating site strategy:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Resolve the settings that apply on a domain. In whitelist mode listed sites are
+   * left alone; in blocklist mode only listed sites, or sites with a mode rule, are
+   * blocked. An 'off' rule disables blocking, any other rule replaces the global mode
+   * @param {string} domain - Current domain
+   * @returns {Promise<Object>} - Settings plus siteRule, listed, whitelisted,
+   *   sanitizeInput and strategy
+   */
+  async getEffectiveSettings(domain) {
+    try {
+      const [settings, rules, listed, sanitizeSites, strategies] = await Promise.all([
+        this.getSettings(),
+        this.getSiteRules(),
+        this.isWhitelisted(domain),
+        this.getSanitizeSites(),
+        this.getSiteStrategies()
+      ]);
+      const siteRule = rules[this.normalizeDomain(domain)] || null;
+      const isOff = siteRule === StorageManager.SITE_RULE_OFF;
+      const whitelisted =
+        settings.listMode === 'blocklist' ? !listed && (!siteRule || isOff) : listed;
+
+      return {
+        ...settings,
+        mode: siteRule && !isOff ? siteRule : settings.mode,
+        enabled: settings.enabled && !whitelisted && !isOff,
+        siteRule,
+        listed,
+        whitelisted,
+        // Independent of the list, so emojis can be shown on a site but not typed there
+        sanitizeInput: settings.enabled && sanitizeSites.includes(this.normalizeDomain(domain)),
+        strategy: strategies[this.normalizeDomain(domain)] || settings.strategy
+      };
+    } catch (error) {
+      console.error('StorageManager: Error resolving site settings:', error);
+      return {
+        ...StorageManager.DEFAULT_SETTINGS,
+        siteRule: null,
+        listed: false,
+        whitelisted: false,
+        sanitizeInput: false
+      };
+    }
+  }
+
+  /**
+   * Block or allow a whole emoji category
+   * @param {string} category - Category id, e.g. 'flags'
+   * @param {boolean} blocked - Whether emojis in the category are blocked
+   * @returns {Promise<boolean>}
+   */
+  async setCategoryBlocked(category, blocked) {
+    try {
+      const { categories } = await this.getSettings();
+      return this.updateSettings({ categories: { ...categories, [category]: blocked } });
+    } catch (error) {
+      console.error('StorageManager: Error updating category:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Put an emoji on the allowlist or blocklist, or clear its explicit policy
+   * @param {string} emoji - Emoji sequence; skin tone and VS16 variants share one entry
+   * @param {'allow'|'block'|null} policy - List to add the emoji to, null to remove it
+   * @returns {Promise<boolean>}
+   */
+  async setEmojiPolicy(emoji, policy) {
+    try {
+      const settings = await this.getSettings();
+      const key = this.normalizeEmoji(emoji);
+      const emojiAllowlist = settings.emojiAllowlist.filter((entry) => entry !== key);
+      const emojiBlocklist = settings.emojiBlocklist.filter((entry) => entry !== key);
+
+      if (policy === 'allow') emojiAllowlist.push(key);
+      if (policy === 'block') emojiBlocklist.push(key);
+
+      await this.storage.set({
+        [StorageManager.KEYS.SETTINGS]: { ...settings, emojiAllowlist, emojiBlocklist }
+      });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error updating emoji policy:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the user's uploaded icons, kept in local storage because of their size
+   * @returns {Promise<Object<string, string>>} - Normalized emoji -> image data URL
+   */
+  async getCustomIcons() {
+    try {
+      const result = await this.localArea.get(StorageManager.KEYS.CUSTOM_ICONS);
+      return result[StorageManager.KEYS.CUSTOM_ICONS] || {};
+    } catch (error) {
+      console.error('StorageManager: Error fetching custom icons:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Set or replace the uploaded icon for an emoji
+   * @param {string} emoji - Emoji sequence; skin tone and VS16 variants share one icon
+   * @param {string} dataUrl - SVG or PNG image as a data URL
+   * @returns {Promise<boolean>}
+   */
+  async setCustomIcon(emoji, dataUrl) {
+    try {
+      const icons = await this.getCustomIcons();
+      icons[this.normalizeEmoji(emoji)] = dataUrl;
+      await this.localArea.set({ [StorageManager.KEYS.CUSTOM_ICONS]: icons });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error saving custom icon:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the uploaded icon for an emoji
+   * @param {string} emoji - Emoji sequence
+   * @returns {Promise<boolean>} - False if the emoji had no icon
+   */
+  async removeCustomIcon(emoji) {
+    try {
+      const icons = await this.getCustomIcons();
+      const key = this.normalizeEmoji(emoji);
+      if (!(key in icons)) return false;
+
+      delete icons[key];
+      await this.localArea.set({ [StorageManager.KEYS.CUSTOM_ICONS]: icons });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error removing custom icon:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get blocked emoji counts, kept in local storage so they never leave the device
+   * @returns {Promise<Object>} - Day (YYYY-MM-DD) -> domain -> normalized emoji -> count
+   */
+  async getStats() {
+    try {
+      const result = await this.localArea.get(StorageManager.KEYS.STATS);
+      return result[StorageManager.KEYS.STATS] || {};
+    } catch (error) {
+      console.error('StorageManager: Error fetching stats:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Add one page's blocked emoji counts to the day's bucket and drop buckets older
+   * than STATS_RETENTION_DAYS
+   * @param {string} domain - Domain the emojis were blocked on
+   * @param {Object<string, number>} counts - Normalized emoji -> count
+   * @param {Date} [date] - Day to record under
+   * @returns {Promise<boolean>}
+   */
+  async recordStats(domain, counts, date = new Date()) {
+    try {
+      const stats = await this.getStats();
+      const day = this.formatDay(date);
+      const bucket = (stats[day] ??= {});
+      const domainCounts = (bucket[this.normalizeDomain(domain)] ??= {});
+
+      for (const [emoji, count] of Object.entries(counts)) {
+        if (Number.isInteger(count) && count > 0) {
+          domainCounts[emoji] = (domainCounts[emoji] || 0) + count;
+        }
+      }
+
+      const cutoff = new Date(date);
+      cutoff.setDate(cutoff.getDate() - StorageManager.STATS_RETENTION_DAYS);
+      const expired = this.formatDay(cutoff);
+      for (const key of Object.keys(stats)) {
+        if (key <= expired) delete stats[key];
+      }
+
+      await this.localArea.set({ [StorageManager.KEYS.STATS]: stats });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error recording stats:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete all recorded stats
+   * @returns {Promise<boolean>}
+   */
+  async clearStats() {
+    try {
+      await this.localArea.set({ [StorageManager.KEYS.STATS]: {} });
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error clearing stats:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Total the stats of the last few days for the dashboard
+   * @param {Object} stats - Stats from getStats
+   * @param {number} days - Number of days, ending today
+   * @param {Date} [today] - Last day of the range
+   * @returns {{total: number, days: Array<[string, number]>, domains: Array<[string, number]>,
+   *   emojis: Array<[string, number]>}} - Days oldest first, domains and emojis by count
+   */
+  summarizeStats(stats, days, today = new Date()) {
+    const totals = { total: 0, days: [], domains: {}, emojis: {} };
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = new Date(today);
+      date.setDate(date.getDate() - offset);
+      const day = this.formatDay(date);
+      let dayTotal = 0;
+
+      for (const [domain, counts] of Object.entries(stats[day] || {})) {
+        for (const [emoji, count] of Object.entries(counts)) {
+          dayTotal += count;
+          totals.domains[domain] = (totals.domains[domain] || 0) + count;
+          totals.emojis[emoji] = (totals.emojis[emoji] || 0) + count;
+        }
+      }
+
+      totals.total += dayTotal;
+      totals.days.push([day, dayTotal]);
+    }
+
+    const byCount = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return { ...totals, domains: byCount(totals.domains), emojis: byCount(totals.emojis) };
+  }
+
+  /**
+   * Flatten stats into CSV rows of date, domain, emoji and count
+   * @param {Object} stats - Stats from getStats
+   * @returns {string}
+   */
+  statsToCsv(stats) {
+    const quote = (value) => {
+      // Spreadsheets run cells starting with these as formulas
+      const cell = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+      return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    };
+    const rows = ['date,domain,emoji,count'];
+
+    for (const day of Object.keys(stats).sort()) {
+      for (const domain of Object.keys(stats[day]).sort()) {
+        for (const [emoji, count] of Object.entries(stats[day][domain])) {
+          rows.push([day, quote(domain), quote(emoji), count].join(','));
+        }
+      }
+    }
+
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * Format a date as a local YYYY-MM-DD day key
+   * @param {Date} date - Date to format
+   * @returns {string}
+   */
+  formatDay(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Collect settings, whitelist, site rules, sanitize sites, site strategies and custom
+   * icons into a versioned export
+   * @returns {Promise<Object>}
+   */
+  async exportData() {
+    const [settings, whitelist, siteRules, sanitizeSites, siteStrategies, customIcons] =
+      await Promise.all([
+        this.getSettings(),
+        this.getWhitelist(),
+        this.getSiteRules(),
+        this.getSanitizeSites(),
+        this.getSiteStrategies(),
+        this.getCustomIcons()
+      ]);
+
+    return {
+      format: StorageManager.EXPORT_FORMAT,
+      version: StorageManager.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      whitelist,
+      siteRules,
+      sanitizeSites,
+      siteStrategies,
+      customIcons
+    };
+  }
+
+  /**
+   * Parse and validate an export file. Sections missing from the file are left out
+   * of data, so importing it never touches them; unknown settings are dropped
+   * @param {string} text - File contents
+   * @returns {{data: Object|null, errors: string[]}} - data is null when errors is non-empty
+   */
+  parseImport(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch {
+      return { data: null, errors: ['The file is not valid JSON'] };
+    }
+
+    if (!this.isPlainObject(file) || file.format !== StorageManager.EXPORT_FORMAT) {
+      return { data: null, errors: ["The file is not an I don't care about emojis export"] };
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      return { data: null, errors: ['The export has no valid version number'] };
+    }
+    if (file.version > StorageManager.EXPORT_VERSION) {
+      return {
+        data: null,
+        errors: [
+          `The export is version ${file.version}, but only up to version ${StorageManager.EXPORT_VERSION} can be imported`
+        ]
+      };
+    }
+
+    const errors = [];
+    const data = {};
+
+    if ('settings' in file) data.settings = this.validateSettings(file.settings, errors);
+
+    if ('whitelist' in file) {
+      if (!Array.isArray(file.whitelist)) {
+        errors.push('whitelist must be a list of domains');
+      } else {
+        data.whitelist = [];
+        file.whitelist.forEach((entry, index) => {
+          if (typeof entry !== 'string' || !entry.trim()) {
+            errors.push(`whitelist[${index}] must be a domain`);
+          } else if (!data.whitelist.includes(this.normalizePattern(entry))) {
+            data.whitelist.push(this.normalizePattern(entry));
+          }
+        });
+      }
+    }
+
+    if ('siteRules' in file) {
+      if (!this.isPlainObject(file.siteRules)) {
+        errors.push('siteRules must map domains to modes');
+      } else {
+        data.siteRules = {};
+        for (const [domain, mode] of Object.entries(file.siteRules)) {
+          if (StorageManager.MODES.includes(mode) || mode === StorageManager.SITE_RULE_OFF) {
+            data.siteRules[this.normalizeDomain(domain)] = mode;
+          } else {
+            errors.push(`siteRules["${domain}"] has unknown mode "${mode}"`);
+          }
+        }
+      }
+    }
+
+    if ('sanitizeSites' in file) {
+      if (
+        !Array.isArray(file.sanitizeSites) ||
+        !file.sanitizeSites.every((site) => typeof site === 'string' && site.trim())
+      ) {
+        errors.push('sanitizeSites must be a list of domains');
+      } else {
+        data.sanitizeSites = [
+          ...new Set(file.sanitizeSites.map((site) => this.normalizeDomain(site)))
+        ];
+      }
+    }
+
+    if ('siteStrategies' in file) {
+      if (!this.isPlainObject(file.siteStrategies)) {
+        errors.push('siteStrategies must map domains to strategies');
+      } else {
+        data.siteStrategies = {};
+        for (const [domain, strategy] of Object.entries(file.siteStrategies)) {
+          if (StorageManager.STRATEGIES.includes(strategy)) {
+            data.siteStrategies[this.normalizeDomain(domain)] = strategy;
+          } else {
+            errors.push(`siteStrategies["${domain}"] has unknown strategy "${strategy}"`);
+          }
+        }
+      }
+    }
+
+    if ('customIcons' in file) {
+      if (!this.isPlainObject(file.customIcons)) {
+        errors.push('customIcons must map emojis to images');
+      } else {
+        data.customIcons = {};
+        for (const [emoji, dataUrl] of Object.entries(file.customIcons)) {
+          if (typeof dataUrl === 'string' && /^data:image\/(svg\+xml|png)[;,]/.test(dataUrl)) {
+            data.customIcons[this.normalizeEmoji(emoji)] = dataUrl;
+          } else {
+            errors.push(`customIcons["${emoji}"] must be an SVG or PNG data URL`);
+          }
+        }
+      }
+    }
+
+    return errors.length ? { data: null, errors } : { data, errors };
+  }
+
+  /**
+   * Validate the settings section of an export, reporting each bad value
+   * @param {*} settings - Imported settings
+   * @param {string[]} errors - Receives error messages
+   * @returns {Object} - Known, valid settings
+   */
+  validateSettings(settings, errors) {
+    if (!this.isPlainObject(settings)) {
+      errors.push('settings must be an object');
+      return {};
+    }
+
+    const valid = {};
+    for (const [key, value] of Object.entries(settings)) {
+      const fallback = StorageManager.DEFAULT_SETTINGS[key];
+      const allowed = StorageManager.SETTING_VALUES[key];
+
+      if (fallback === undefined) continue;
+
+      if (allowed) {
+        if (allowed.includes(value)) valid[key] = value;
+        else errors.push(`settings.${key} has unknown value "${value}"`);
+      } else if (typeof fallback === 'boolean') {
+        if (typeof value === 'boolean') valid[key] = value;
+        else errors.push(`settings.${key} must be true or false`);
+      } else if (Array.isArray(fallback)) {
+        if (Array.isArray(value) && value.every((item) => typeof item === 'string')) {
+          valid[key] = [...new Set(value.map((item) => this.normalizeEmoji(item)))];
+        } else {
+          errors.push(`settings.${key} must be a list of emojis`);
+        }
+      } else if (
+        this.isPlainObject(value) &&
+        Object.entries(value).every(
+          ([category, blocked]) =>
+            StorageManager.CATEGORIES.includes(category) && typeof blocked === 'boolean'
+        )
+      ) {
+        valid[key] = value;
+      } else {
+        errors.push(`settings.${key} must map known categories to true or false`);
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Write validated import data. 'replace' overwrites each section present in the
+   * import; 'merge' keeps existing entries and lets imported values win on conflicts
+   * @param {Object} data - Data from parseImport
+   * @param {'merge'|'replace'} [strategy]
+   * @returns {Promise<boolean>}
+   */
+  async importData(data, strategy = 'merge') {
+    try {
+      const current = await this.exportData();
+      const replace = strategy === 'replace';
+      const updates = {};
+
+      if (data.settings) {
+        const base = replace ? StorageManager.DEFAULT_SETTINGS : current.settings;
+        const settings = {
+          ...base,
+          ...data.settings,
+          categories: { ...base.categories, ...data.settings.categories }
+        };
+
+        if (!replace) {
+          const allow = data.settings.emojiAllowlist || [];
+          const block = data.settings.emojiBlocklist || [];
+          settings.emojiAllowlist = [
+            ...new Set([
+              ...current.settings.emojiAllowlist.filter((e) => !block.includes(e)),
+              ...allow
+            ])
+          ];
+          settings.emojiBlocklist = [
+            ...new Set([
+              ...current.settings.emojiBlocklist.filter((e) => !allow.includes(e)),
+              ...block
+            ])
+          ];
+        }
+
+        updates[StorageManager.KEYS.SETTINGS] = settings;
+      }
+      if (data.whitelist) {
+        updates[StorageManager.KEYS.WHITELIST] = replace
+          ? data.whitelist
+          : [...new Set([...current.whitelist, ...data.whitelist])];
+      }
+      if (data.siteRules) {
+        updates[StorageManager.KEYS.SITE_RULES] = replace
+          ? data.siteRules
+          : { ...current.siteRules, ...data.siteRules };
+      }
+      if (data.sanitizeSites) {
+        updates[StorageManager.KEYS.SANITIZE_SITES] = replace
+          ? data.sanitizeSites
+          : [...new Set([...current.sanitizeSites, ...data.sanitizeSites])];
+      }
+      if (data.siteStrategies) {
+        updates[StorageManager.KEYS.SITE_STRATEGIES] = replace
+          ? data.siteStrategies
+          : { ...current.siteStrategies, ...data.siteStrategies };
+      }
+
+      await this.storage.set(updates);
+      if (data.customIcons) {
+        await this.localArea.set({
+          [StorageManager.KEYS.CUSTOM_ICONS]: replace
+            ? data.customIcons
+            : { ...current.customIcons, ...data.customIcons }
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error('StorageManager: Error importing data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check for a non-null, non-array object
+   * @param {*} value - Value to check
+   * @returns {boolean}
+   */
+  isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Normalize emoji for consistent list storage, the same way the processor looks
+   * them up (see EmojiData.normalize)
+   * @param {string} emoji - Emoji to normalize
+   * @returns {string}
+   */
+  normalizeEmoji(emoji) {
+    return EmojiData.normalize(emoji);
+  }
+
+  /**
+   * Normalize a whitelist entry, keeping its '!' exclusion prefix and '*' wildcards
+   * @param {string} pattern - Whitelist entry
+   * @returns {string}
+   */
+  normalizePattern(pattern) {
+    const trimmed = pattern.trim();
+    const isExclusion = trimmed.startsWith('!');
+    const domain = this.normalizeDomain(isExclusion ? trimmed.slice(1) : trimmed);
+    return isExclusion ? `!${domain}` : domain;
+  }
+
+  /**
+   * Match a normalized domain against one pattern without its '!' prefix.
+   * '*' matches any run of characters, so '*.example.com' covers every subdomain;
+   * a plain domain matches itself and, with includeSubdomains, its subdomains
+   * @param {string} pattern - Normalized pattern
+   * @param {string} domain - Normalized domain
+   * @param {boolean} [includeSubdomains] - Let plain domains cover their subdomains
+   * @returns {boolean}
+   */
+  matchesDomainPattern(pattern, domain, includeSubdomains = true) {
+    if (pattern.includes('*')) {
+      const source = pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`).test(domain);
+    }
+    return domain === pattern || (includeSubdomains && domain.endsWith(`.${pattern}`));
+  }
+
+  /**
+   * Check a domain against whitelist entries; a matching '!' exclusion always wins
+   * @param {string[]} whitelist - Normalized whitelist entries
+   * @param {string} domain - Domain or URL to check
+   * @param {boolean} [includeSubdomains] - Let plain domains cover their subdomains
+   * @returns {boolean}
+   */
+  matchWhitelist(whitelist, domain, includeSubdomains = true) {
+    const host = this.normalizeDomain(domain);
+    let matched = false;
+
+    for (const entry of whitelist) {
+      if (entry.startsWith('!')) {
+        if (this.matchesDomainPattern(entry.slice(1), host, includeSubdomains)) return false;
+      } else if (!matched) {
+        matched = this.matchesDomainPattern(entry, host, includeSubdomains);
+      }
+    }
+
+    return matched;
+  }
+
   /**
    * Normalize domain for consistent storage
    * @param {string} domain - Domain to normalize
@@ -4,6 +4,8 @@
  * Follows DRY principle by extracting common functionality
  */
 
+/* global EmojiCatalog, EmojiDetection */
+
 /**
  * Shared utility functions
  */
@@ -19,22 +21,67 @@ const UIUtils = {
   },
 
   /**
-   * Reload tabs matching a domain
-   * @param {string} domain - Domain to match
+   * Have tabs matching a domain or whitelist pattern re-read their settings
+   * @param {string} domain - Domain or pattern to match; a '!' prefix is ignored
    */
-  async reloadTabsForDomain(domain) {
+  async refreshTabsForDomain(domain) {
     try {
+      const storage = new StorageManager();
+      const pattern = storage.normalizePattern(domain).replace(/^!/, '');
       const tabs = await chrome.tabs.query({});
       tabs.forEach((tab) => {
-        if (tab.url?.includes(domain)) {
-          chrome.tabs.reload(tab.id).catch(() => {});
+        if (tab.url && storage.matchesDomainPattern(pattern, storage.extractDomain(tab.url))) {
+          chrome.tabs.sendMessage(tab.id, { action: 'reloadSettings' }).catch(() => {});
         }
       });
     } catch (error) {
-      console.error('Error reloading tabs:', error);
+      console.error('Error refreshing tabs:', error);
     }
   },
 
+  /**
+   * Read a file into a data URL
+   * @param {File} file - File to read
+   * @returns {Promise<string>}
+   */
+  readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  },
+
+  /**
+   * Read a text file
+   * @param {File} file - File to read
+   * @returns {Promise<string>}
+   */
+  readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  },
+
+  /**
+   * Save text as a file through the browser's download flow
+   * @param {string} filename - Suggested file name
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   */
+  downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
   /**
    * Broadcast message to all tabs
    * @param {string} action - Action name
@@ -56,8 +103,14 @@ const UIUtils = {
  * Base UI Controller with shared functionality
  */
 class BaseUIController {
+  static LIST_LABELS = {
+    whitelist: { name: 'Whitelist', listed: 'Whitelisted', verb: 'whitelisted' },
+    blocklist: { name: 'Blocklist', listed: 'Blocklisted', verb: 'blocklisted' }
+  };
+
   constructor() {
     this.storageManager = null;
+    this.listMode = 'whitelist';
   }
 
   /**
@@ -71,15 +124,48 @@ class BaseUIController {
     return this.storageManager;
   }
 
+  /**
+   * Labels for the domain list in the active operating mode
+   * @returns {{name: string, listed: string, verb: string}}
+   */
+  getListLabels() {
+    return BaseUIController.LIST_LABELS[this.listMode] || BaseUIController.LIST_LABELS.whitelist;
+  }
+
   /**
    * Load and apply current settings to UI elements
-   * @param {Object} elements - DOM elements with modeSelect and enabledCheckbox
+   * @param {Object} elements - DOM elements with modeSelect, enabledCheckbox and option toggles
    */
   async loadSettings(elements) {
     try {
       const settings = await this.getStorage().getSettings();
+      this.listMode = settings.listMode;
       if (elements.modeSelect) elements.modeSelect.value = settings.mode;
       if (elements.enabledCheckbox) elements.enabledCheckbox.checked = settings.enabled;
+      if (elements.textPresentationCheckbox) {
+        elements.textPresentationCheckbox.checked = settings.respectTextPresentation;
+      }
+      if (elements.processAttributesCheckbox) {
+        elements.processAttributesCheckbox.checked = settings.processAttributes;
+      }
+      if (elements.processTitleCheckbox) {
+        elements.processTitleCheckbox.checked = settings.processTitle;
+      }
+      if (elements.lazyProcessingCheckbox) {
+        elements.lazyProcessingCheckbox.checked = settings.lazyProcessing;
+      }
+      if (elements.shortcodeStyleSelect) {
+        elements.shortcodeStyleSelect.value = settings.shortcodeStyle;
+      }
+      if (elements.whitelistSubdomainsCheckbox) {
+        elements.whitelistSubdomainsCheckbox.checked = settings.whitelistSubdomains;
+      }
+      if (elements.listModeSelect) elements.listModeSelect.value = settings.listMode;
+      if (elements.frameSiteSelect) elements.frameSiteSelect.value = settings.frameSite;
+      if (elements.sanitizeStyleSelect) {
+        elements.sanitizeStyleSelect.value = settings.sanitizeStyle;
+      }
+      if (elements.strategySelect) elements.strategySelect.value = settings.strategy;
     } catch (error) {
       console.error('Error loading settings:', error);
     }
@@ -99,6 +185,79 @@ class BaseUIController {
     }
   }
 
+  /**
+   * Update detection options
+   * @param {Object} options - Partial detection options, e.g. respectTextPresentation
+   */
+  async updateOptions(options) {
+    try {
+      await this.getStorage().updateSettings(options);
+      await UIUtils.broadcastToTabs('updateOptions', { options });
+    } catch (error) {
+      console.error('Error updating options:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the blocking strategy used on sites without their own
+   * @param {string} strategy - 'span', 'font' or 'highlight'
+   */
+  async updateStrategy(strategy) {
+    try {
+      await this.getStorage().updateSettings({ strategy });
+      await UIUtils.broadcastToTabs('updateStrategy', {});
+    } catch (error) {
+      console.error('Error updating strategy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the mode override for a site
+   * @param {string} domain - Site domain
+   * @param {string|null} mode - Mode, 'off', or null to use the global mode
+   */
+  async setSiteRule(domain, mode) {
+    try {
+      await this.getStorage().setSiteRule(domain, mode);
+      await UIUtils.broadcastToTabs('updateSiteRule', { domain });
+    } catch (error) {
+      console.error('Error updating site rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn stripping of typed and pasted emojis on or off for a site
+   * @param {string} domain - Site domain
+   * @param {boolean} enabled - Whether input is sanitized there
+   */
+  async setSanitizeInput(domain, enabled) {
+    try {
+      await this.getStorage().setSanitizeInput(domain, enabled);
+      await UIUtils.broadcastToTabs('updateSiteRule', { domain });
+    } catch (error) {
+      console.error('Error updating input sanitizing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Choose how emojis are blocked on a site
+   * @param {string} domain - Site domain
+   * @param {string|null} strategy - Strategy, or null to use the default strategy
+   */
+  async setSiteStrategy(domain, strategy) {
+    try {
+      await this.getStorage().setSiteStrategy(domain, strategy);
+      await UIUtils.broadcastToTabs('updateSiteRule', { domain });
+    } catch (error) {
+      console.error('Error updating site strategy:', error);
+      throw error;
+    }
+  }
+
   /**
    * Toggle enabled state
    * @param {boolean} enabled - New enabled state
@@ -120,7 +279,12 @@ class BaseUIController {
    * @param {Function} onRemove - Callback when remove is clicked
    * @param {string} emptyMessage - Message when empty
    */
-  renderWhitelist(container, whitelist, onRemove, emptyMessage = 'No websites whitelisted') {
+  renderWhitelist(
+    container,
+    whitelist,
+    onRemove,
+    emptyMessage = `No websites ${this.getListLabels().verb}`
+  ) {
     if (whitelist.length === 0) {
       container.innerHTML = `<p class="empty-message">${emptyMessage}</p>`;
       return;
@@ -160,6 +324,10 @@ class PopupController extends BaseUIController {
     this.elements = {
       currentDomain: document.getElementById('currentDomain'),
       toggleWhitelist: document.getElementById('toggleWhitelist'),
+      listHeading: document.getElementById('listHeading'),
+      siteModeSelect: document.getElementById('siteModeSelect'),
+      siteStrategySelect: document.getElementById('siteStrategySelect'),
+      sanitizeInputCheckbox: document.getElementById('sanitizeInputCheckbox'),
       modeSelect: document.getElementById('modeSelect'),
       enabledCheckbox: document.getElementById('enabledCheckbox'),
       enabledLabel: document.getElementById('enabledLabel'),
@@ -171,8 +339,9 @@ class PopupController extends BaseUIController {
   }
 
   async init() {
-    await this.loadCurrentDomain();
     await this.loadSettings(this.elements);
+    this.elements.listHeading.textContent = `${this.getListLabels().listed} Websites`;
+    await this.loadCurrentDomain();
     this.updateEnabledLabel();
     await this.loadWhitelist();
     this.attachEventListeners();
@@ -185,6 +354,9 @@ class PopupController extends BaseUIController {
       if (!tab.url) {
         this.elements.currentDomain.textContent = 'N/A';
         this.elements.toggleWhitelist.disabled = true;
+        this.elements.siteModeSelect.disabled = true;
+        this.elements.siteStrategySelect.disabled = true;
+        this.elements.sanitizeInputCheckbox.disabled = true;
         return;
       }
 
@@ -192,6 +364,15 @@ class PopupController extends BaseUIController {
       this.elements.currentDomain.textContent = this.currentDomain;
       this.isCurrentDomainWhitelisted = await this.getStorage().isWhitelisted(this.currentDomain);
       this.updateWhitelistButton();
+
+      const rules = await this.getStorage().getSiteRules();
+      this.elements.siteModeSelect.value = rules[this.currentDomain] || '';
+
+      const strategies = await this.getStorage().getSiteStrategies();
+      this.elements.siteStrategySelect.value = strategies[this.currentDomain] || '';
+
+      const sanitizeSites = await this.getStorage().getSanitizeSites();
+      this.elements.sanitizeInputCheckbox.checked = sanitizeSites.includes(this.currentDomain);
     } catch (error) {
       console.error('Error loading current domain:', error);
       this.elements.currentDomain.textContent = 'Error';
@@ -211,12 +392,13 @@ class PopupController extends BaseUIController {
 
   updateWhitelistButton() {
     const btn = this.elements.toggleWhitelist;
+    const { name } = this.getListLabels();
     if (this.isCurrentDomainWhitelisted) {
-      btn.textContent = 'Remove from Whitelist';
+      btn.textContent = `Remove from ${name}`;
       btn.classList.remove('btn-primary');
       btn.classList.add('btn-danger');
     } else {
-      btn.textContent = 'Add to Whitelist';
+      btn.textContent = `Add to ${name}`;
       btn.classList.remove('btn-danger');
       btn.classList.add('btn-primary');
     }
@@ -229,6 +411,15 @@ class PopupController extends BaseUIController {
     this.elements.modeSelect.addEventListener('change', () =>
       this.updateMode(this.elements.modeSelect.value)
     );
+    this.elements.siteModeSelect.addEventListener('change', () =>
+      this.setSiteRule(this.currentDomain, this.elements.siteModeSelect.value || null)
+    );
+    this.elements.siteStrategySelect.addEventListener('change', () =>
+      this.setSiteStrategy(this.currentDomain, this.elements.siteStrategySelect.value || null)
+    );
+    this.elements.sanitizeInputCheckbox.addEventListener('change', () =>
+      this.setSanitizeInput(this.currentDomain, this.elements.sanitizeInputCheckbox.checked)
+    );
     this.elements.enabledCheckbox.addEventListener('change', () => {
       this.toggleEnabled(this.elements.enabledCheckbox.checked);
       this.updateEnabledLabel();
@@ -251,19 +442,15 @@ class PopupController extends BaseUIController {
 
   async toggleCurrentDomainWhitelist() {
     try {
-      if (this.isCurrentDomainWhitelisted) {
-        await this.getStorage().removeFromWhitelist(this.currentDomain);
-        this.isCurrentDomainWhitelisted = false;
-      } else {
-        await this.getStorage().addToWhitelist(this.currentDomain);
-        this.isCurrentDomainWhitelisted = true;
-      }
+      this.isCurrentDomainWhitelisted = await this.getStorage().setWhitelisted(
+        this.currentDomain,
+        !this.isCurrentDomainWhitelisted
+      );
 
       this.updateWhitelistButton();
       await this.loadWhitelist();
 
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      chrome.tabs.reload(tab.id);
+      await UIUtils.refreshTabsForDomain(this.currentDomain);
     } catch (error) {
       console.error('Error toggling whitelist:', error);
     }
@@ -283,13 +470,10 @@ class PopupController extends BaseUIController {
       input.value = '';
       await this.loadWhitelist();
 
-      const normalized = this.getStorage().normalizeDomain(domain);
-      if (normalized === this.currentDomain) {
-        this.isCurrentDomainWhitelisted = true;
-        this.updateWhitelistButton();
-      }
+      this.isCurrentDomainWhitelisted = await this.getStorage().isWhitelisted(this.currentDomain);
+      this.updateWhitelistButton();
 
-      await UIUtils.reloadTabsForDomain(normalized);
+      await UIUtils.refreshTabsForDomain(domain);
     } catch (error) {
       console.error('Error adding domain to whitelist:', error);
     }
@@ -300,12 +484,10 @@ class PopupController extends BaseUIController {
       await this.getStorage().removeFromWhitelist(domain);
       await this.loadWhitelist();
 
-      if (domain === this.currentDomain) {
-        this.isCurrentDomainWhitelisted = false;
-        this.updateWhitelistButton();
-      }
+      this.isCurrentDomainWhitelisted = await this.getStorage().isWhitelisted(this.currentDomain);
+      this.updateWhitelistButton();
 
-      await UIUtils.reloadTabsForDomain(domain);
+      await UIUtils.refreshTabsForDomain(domain);
     } catch (error) {
       console.error('Error removing from whitelist:', error);
     }
@@ -317,16 +499,72 @@ class PopupController extends BaseUIController {
 // ═══════════════════════════════════════════════════════════════════
 
 class OptionsController extends BaseUIController {
+  static CUSTOM_ICON_TYPES = ['image/svg+xml', 'image/png'];
+  static MAX_CUSTOM_ICON_SIZE = 100 * 1024;
+
   constructor() {
     super();
     this.currentWhitelist = [];
+    this.whitelistSubdomains = true;
+    this.pendingImport = null;
+    this.activePickerCategory = 'smileys';
     this.elements = {
       modeSelect: document.getElementById('modeSelect'),
       enabledCheckbox: document.getElementById('enabledCheckbox'),
+      listModeSelect: document.getElementById('listModeSelect'),
+      textPresentationCheckbox: document.getElementById('textPresentationCheckbox'),
+      processAttributesCheckbox: document.getElementById('processAttributesCheckbox'),
+      processTitleCheckbox: document.getElementById('processTitleCheckbox'),
+      lazyProcessingCheckbox: document.getElementById('lazyProcessingCheckbox'),
+      shortcodeStyleSelect: document.getElementById('shortcodeStyleSelect'),
+      frameSiteSelect: document.getElementById('frameSiteSelect'),
+      siteRuleDomain: document.getElementById('siteRuleDomain'),
+      siteRuleMode: document.getElementById('siteRuleMode'),
+      addSiteRuleBtn: document.getElementById('addSiteRuleBtn'),
+      siteRuleList: document.getElementById('siteRuleList'),
+      sanitizeStyleSelect: document.getElementById('sanitizeStyleSelect'),
+      sanitizeDomain: document.getElementById('sanitizeDomain'),
+      addSanitizeSiteBtn: document.getElementById('addSanitizeSiteBtn'),
+      sanitizeSiteList: document.getElementById('sanitizeSiteList'),
+      strategySelect: document.getElementById('strategySelect'),
+      siteStrategyDomain: document.getElementById('siteStrategyDomain'),
+      siteStrategyMode: document.getElementById('siteStrategyMode'),
+      addSiteStrategyBtn: document.getElementById('addSiteStrategyBtn'),
+      siteStrategyList: document.getElementById('siteStrategyList'),
+      categoryGrid: document.getElementById('categoryGrid'),
+      emojiSearch: document.getElementById('emojiSearch'),
+      emojiListTarget: document.getElementById('emojiListTarget'),
+      pickerTabs: document.getElementById('pickerTabs'),
+      emojiPicker: document.getElementById('emojiPicker'),
+      emojiAllowlist: document.getElementById('emojiAllowlist'),
+      emojiBlocklist: document.getElementById('emojiBlocklist'),
+      customIconEmoji: document.getElementById('customIconEmoji'),
+      customIconFile: document.getElementById('customIconFile'),
+      addCustomIconBtn: document.getElementById('addCustomIconBtn'),
+      customIconList: document.getElementById('customIconList'),
       domainInput: document.getElementById('domainInput'),
       addDomainBtn: document.getElementById('addDomainBtn'),
       whitelistContainer: document.getElementById('whitelistContainer'),
       clearWhitelistBtn: document.getElementById('clearWhitelistBtn'),
+      listCardTitle: document.getElementById('listCardTitle'),
+      listHeading: document.getElementById('listHeading'),
+      suggestedSites: document.getElementById('suggestedSites'),
+      whitelistSubdomainsCheckbox: document.getElementById('whitelistSubdomainsCheckbox'),
+      statsTotal: document.getElementById('statsTotal'),
+      statsRange: document.getElementById('statsRange'),
+      statsChart: document.getElementById('statsChart'),
+      statsDomains: document.getElementById('statsDomains'),
+      statsEmojis: document.getElementById('statsEmojis'),
+      exportStatsBtn: document.getElementById('exportStatsBtn'),
+      resetStatsBtn: document.getElementById('resetStatsBtn'),
+      exportBtn: document.getElementById('exportBtn'),
+      importFile: document.getElementById('importFile'),
+      importErrors: document.getElementById('importErrors'),
+      importPreview: document.getElementById('importPreview'),
+      importSummary: document.getElementById('importSummary'),
+      importStrategy: document.getElementById('importStrategy'),
+      confirmImportBtn: document.getElementById('confirmImportBtn'),
+      cancelImportBtn: document.getElementById('cancelImportBtn'),
       toast: document.getElementById('toast'),
       suggestedMessaging: document.getElementById('suggestedMessaging'),
       suggestedSocial: document.getElementById('suggestedSocial'),
@@ -385,24 +623,473 @@ class OptionsController extends BaseUIController {
 
   async init() {
     await this.loadSettings(this.elements);
+    this.applyListLabels();
     this.renderSuggestedSites();
+    this.renderPickerTabs();
+    this.renderEmojiPicker();
+    await this.loadSiteRules();
+    await this.loadSiteStrategies();
+    await this.loadSanitizeSites();
+    await this.loadEmojiPolicy();
+    await this.loadCustomIcons();
     await this.loadWhitelist();
+    await this.loadStats();
     this.attachEventListeners();
   }
 
+  async loadSiteRules() {
+    try {
+      const rules = await this.getStorage().getSiteRules();
+      this.renderSiteRules(
+        this.elements.siteRuleList,
+        rules,
+        this.elements.siteRuleMode,
+        (domain) => this.removeSiteRule(domain),
+        'No site rules yet'
+      );
+    } catch (error) {
+      console.error('Error loading site rules:', error);
+      this.showToast('Error loading site rules', 'error');
+    }
+  }
+
+  /**
+   * Render per-site choices with the label of each choice and a remove button
+   * @param {HTMLElement} container - List container
+   * @param {Object<string, string>} rules - Domain -> chosen value
+   * @param {HTMLSelectElement} select - Select whose options label the values
+   * @param {function(string)} onRemove - Called with the domain to remove
+   * @param {string} emptyMessage - Shown when there are no rules
+   */
+  renderSiteRules(container, rules, select, onRemove, emptyMessage) {
+    const entries = Object.entries(rules);
+
+    if (entries.length === 0) {
+      container.innerHTML = `<p class="empty-message">${emptyMessage}</p>`;
+      return;
+    }
+
+    const modeLabels = Object.fromEntries(
+      [...select.options].map((option) => [option.value, option.textContent])
+    );
+
+    container.innerHTML = entries
+      .map(
+        ([domain, mode]) => `
+      <div class="whitelist-item">
+        <span class="whitelist-domain">${UIUtils.escapeHtml(domain)}</span>
+        <span class="site-rule-mode">${UIUtils.escapeHtml(modeLabels[mode] || mode)}</span>
+        <button class="btn btn-danger btn-remove" data-domain="${UIUtils.escapeHtml(domain)}">
+          Remove
+        </button>
+      </div>
+    `
+      )
+      .join('');
+
+    container.querySelectorAll('.btn-remove').forEach((btn) => {
+      btn.addEventListener('click', () => onRemove(btn.getAttribute('data-domain')));
+    });
+  }
+
+  async addSiteRule() {
+    const domain = this.elements.siteRuleDomain.value.trim();
+    if (!domain) {
+      this.showToast('Please enter a domain', 'error');
+      return;
+    }
+
+    try {
+      await this.setSiteRule(domain, this.elements.siteRuleMode.value);
+      this.elements.siteRuleDomain.value = '';
+      await this.loadSiteRules();
+      this.showToast(`Rule added for ${this.getStorage().normalizeDomain(domain)}`, 'success');
+    } catch {
+      this.showToast('Error adding site rule', 'error');
+    }
+  }
+
+  async removeSiteRule(domain) {
+    try {
+      await this.setSiteRule(domain, null);
+      await this.loadSiteRules();
+      this.showToast(`Removed rule for ${domain}`, 'success');
+    } catch {
+      this.showToast('Error removing site rule', 'error');
+    }
+  }
+
+  async loadSiteStrategies() {
+    try {
+      const strategies = await this.getStorage().getSiteStrategies();
+      this.renderSiteRules(
+        this.elements.siteStrategyList,
+        strategies,
+        this.elements.siteStrategyMode,
+        (domain) => this.removeSiteStrategy(domain),
+        'No sites yet'
+      );
+    } catch (error) {
+      console.error('Error loading site strategies:', error);
+      this.showToast('Error loading sites', 'error');
+    }
+  }
+
+  async addSiteStrategy() {
+    const domain = this.elements.siteStrategyDomain.value.trim();
+    if (!domain) {
+      this.showToast('Please enter a domain', 'error');
+      return;
+    }
+
+    try {
+      await this.setSiteStrategy(domain, this.elements.siteStrategyMode.value);
+      this.elements.siteStrategyDomain.value = '';
+      await this.loadSiteStrategies();
+      this.showToast(
+        `Blocking method set for ${this.getStorage().normalizeDomain(domain)}`,
+        'success'
+      );
+    } catch {
+      this.showToast('Error adding site', 'error');
+    }
+  }
+
+  async removeSiteStrategy(domain) {
+    try {
+      await this.setSiteStrategy(domain, null);
+      await this.loadSiteStrategies();
+      this.showToast(`${domain} will use the default method`, 'success');
+    } catch {
+      this.showToast('Error removing site', 'error');
+    }
+  }
+
+  async loadSanitizeSites() {
+    try {
+      const sites = await this.getStorage().getSanitizeSites();
+      this.renderWhitelist(
+        this.elements.sanitizeSiteList,
+        sites,
+        (domain) => this.removeSanitizeSite(domain),
+        'No sites yet'
+      );
+    } catch (error) {
+      console.error('Error loading sanitize sites:', error);
+      this.showToast('Error loading sites', 'error');
+    }
+  }
+
+  async addSanitizeSite() {
+    const domain = this.elements.sanitizeDomain.value.trim();
+    if (!domain) {
+      this.showToast('Please enter a domain', 'error');
+      return;
+    }
+
+    try {
+      await this.setSanitizeInput(domain, true);
+      this.elements.sanitizeDomain.value = '';
+      await this.loadSanitizeSites();
+      this.showToast(
+        `Emojis will be stripped from input on ${this.getStorage().normalizeDomain(domain)}`,
+        'success'
+      );
+    } catch {
+      this.showToast('Error adding site', 'error');
+    }
+  }
+
+  async removeSanitizeSite(domain) {
+    try {
+      await this.setSanitizeInput(domain, false);
+      await this.loadSanitizeSites();
+      this.showToast(`Input on ${domain} is no longer changed`, 'success');
+    } catch {
+      this.showToast('Error removing site', 'error');
+    }
+  }
+
+  async loadEmojiPolicy() {
+    try {
+      const settings = await this.getStorage().getSettings();
+      this.renderCategoryGrid(settings.categories);
+      this.renderEmojiList(
+        this.elements.emojiAllowlist,
+        settings.emojiAllowlist,
+        'No emojis allowed'
+      );
+      this.renderEmojiList(
+        this.elements.emojiBlocklist,
+        settings.emojiBlocklist,
+        'No emojis blocked'
+      );
+      return settings;
+    } catch (error) {
+      console.error('Error loading emoji policy:', error);
+      this.showToast('Error loading emoji policy', 'error');
+      return null;
+    }
+  }
+
+  renderCategoryGrid(categories) {
+    const container = this.elements.categoryGrid;
+    container.innerHTML = Object.entries(EmojiCatalog.CATEGORIES)
+      .map(
+        ([category, { label, emojis }]) => `
+      <label class="checkbox-container">
+        <input type="checkbox" data-category="${category}" ${categories[category] !== false ? 'checked' : ''} />
+        <span class="checkmark"></span>
+        <span class="label-text">${emojis[0][0]} ${UIUtils.escapeHtml(label)}</span>
+      </label>
+    `
+      )
+      .join('');
+
+    container.querySelectorAll('input[data-category]').forEach((input) => {
+      input.addEventListener('change', () =>
+        this.toggleCategory(input.getAttribute('data-category'), input.checked)
+      );
+    });
+  }
+
+  renderPickerTabs() {
+    const container = this.elements.pickerTabs;
+    container.innerHTML = Object.entries(EmojiCatalog.CATEGORIES)
+      .map(
+        ([category, { label, emojis }]) => `
+      <button class="picker-tab" data-category="${category}" title="${UIUtils.escapeHtml(label)}">
+        ${emojis[0][0]}
+      </button>
+    `
+      )
+      .join('');
+
+    container.querySelectorAll('.picker-tab').forEach((tab) => {
+      tab.addEventListener('click', () => {
+        this.activePickerCategory = tab.getAttribute('data-category');
+        this.elements.emojiSearch.value = '';
+        this.renderEmojiPicker();
+      });
+    });
+  }
+
+  renderEmojiPicker() {
+    const query = this.elements.emojiSearch.value.trim().toLowerCase();
+    const categories = query
+      ? Object.values(EmojiCatalog.CATEGORIES)
+      : [EmojiCatalog.CATEGORIES[this.activePickerCategory]];
+    const emojis = categories
+      .flatMap((category) => category.emojis)
+      .filter(([, name]) => name.includes(query));
+
+    this.elements.pickerTabs.querySelectorAll('.picker-tab').forEach((tab) => {
+      tab.classList.toggle(
+        'active',
+        !query && tab.getAttribute('data-category') === this.activePickerCategory
+      );
+    });
+
+    if (emojis.length === 0) {
+      this.elements.emojiPicker.innerHTML = '<p class="empty-message">No matching emojis</p>';
+      return;
+    }
+
+    this.elements.emojiPicker.innerHTML = emojis
+      .map(
+        ([emoji, name]) => `
+      <button class="emoji-option" data-emoji="${UIUtils.escapeHtml(emoji)}" title="${UIUtils.escapeHtml(name)}">${emoji}</button>
+    `
+      )
+      .join('');
+
+    this.elements.emojiPicker.querySelectorAll('.emoji-option').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.setEmojiPolicy(btn.getAttribute('data-emoji'), this.elements.emojiListTarget.value)
+      );
+    });
+  }
+
+  renderEmojiList(container, emojis, emptyMessage) {
+    if (emojis.length === 0) {
+      container.innerHTML = `<p class="empty-message">${emptyMessage}</p>`;
+      return;
+    }
+
+    container.innerHTML = emojis
+      .map(
+        (emoji) => `
+      <span class="emoji-chip">
+        ${UIUtils.escapeHtml(emoji)}
+        <button class="btn-chip-remove" data-emoji="${UIUtils.escapeHtml(emoji)}" title="Remove">×</button>
+      </span>
+    `
+      )
+      .join('');
+
+    container.querySelectorAll('.btn-chip-remove').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.setEmojiPolicy(btn.getAttribute('data-emoji'), null)
+      );
+    });
+  }
+
+  async toggleCategory(category, blocked) {
+    try {
+      await this.getStorage().setCategoryBlocked(category, blocked);
+      await this.broadcastEmojiPolicy();
+      const { label } = EmojiCatalog.CATEGORIES[category];
+      this.showToast(`${label} ${blocked ? 'blocked' : 'allowed'}`, 'success');
+    } catch (error) {
+      console.error('Error toggling category:', error);
+      this.showToast('Error updating category', 'error');
+    }
+  }
+
+  async setEmojiPolicy(emoji, policy) {
+    try {
+      await this.getStorage().setEmojiPolicy(emoji, policy);
+      await this.broadcastEmojiPolicy();
+      const messages = {
+        allow: `${emoji} is always allowed`,
+        block: `${emoji} is always blocked`
+      };
+      this.showToast(messages[policy] || `Removed ${emoji}`, 'success');
+    } catch (error) {
+      console.error('Error updating emoji policy:', error);
+      this.showToast('Error updating emoji policy', 'error');
+    }
+  }
+
+  async broadcastEmojiPolicy() {
+    const settings = await this.loadEmojiPolicy();
+    if (!settings) return;
+
+    const { categories, emojiAllowlist, emojiBlocklist } = settings;
+    await UIUtils.broadcastToTabs('updateOptions', {
+      options: { categories, emojiAllowlist, emojiBlocklist }
+    });
+  }
+
+  async loadCustomIcons() {
+    try {
+      const icons = await this.getStorage().getCustomIcons();
+      this.renderCustomIcons(icons);
+      return icons;
+    } catch (error) {
+      console.error('Error loading custom icons:', error);
+      this.showToast('Error loading custom icons', 'error');
+      return null;
+    }
+  }
+
+  renderCustomIcons(icons) {
+    const container = this.elements.customIconList;
+    const entries = Object.entries(icons);
+
+    if (entries.length === 0) {
+      container.innerHTML = '<p class="empty-message">No custom icons yet</p>';
+      return;
+    }
+
+    container.innerHTML = entries
+      .map(
+        ([emoji, dataUrl]) => `
+      <span class="emoji-chip">
+        ${UIUtils.escapeHtml(emoji)}
+        <img class="custom-icon-preview" src="${UIUtils.escapeHtml(dataUrl)}" alt="" />
+        <button class="btn-chip-remove" data-emoji="${UIUtils.escapeHtml(emoji)}" title="Remove">×</button>
+      </span>
+    `
+      )
+      .join('');
+
+    container.querySelectorAll('.btn-chip-remove').forEach((btn) => {
+      btn.addEventListener('click', () => this.removeCustomIcon(btn.getAttribute('data-emoji')));
+    });
+  }
+
+  async addCustomIcon() {
+    const emoji = this.elements.customIconEmoji.value.trim();
+    const [file] = this.elements.customIconFile.files;
+
+    // Symbols such as ❤ count without VS16; the icon replaces them either way
+    if (!EmojiDetection.isSingleEmoji(emoji, { respectTextPresentation: false }) || !file) {
+      this.showToast('Please enter an emoji and choose an icon file', 'error');
+      return;
+    }
+    if (!OptionsController.CUSTOM_ICON_TYPES.includes(file.type)) {
+      this.showToast('Icons must be SVG or PNG files', 'error');
+      return;
+    }
+    if (file.size > OptionsController.MAX_CUSTOM_ICON_SIZE) {
+      this.showToast('Icons must be smaller than 100 KB', 'error');
+      return;
+    }
+
+    try {
+      const dataUrl = await UIUtils.readFileAsDataUrl(file);
+      const success = await this.getStorage().setCustomIcon(emoji, dataUrl);
+      if (success) {
+        this.elements.customIconEmoji.value = '';
+        this.elements.customIconFile.value = '';
+        await this.broadcastCustomIcons();
+        this.showToast(`Custom icon set for ${emoji}`, 'success');
+      } else {
+        this.showToast('Error saving custom icon', 'error');
+      }
+    } catch (error) {
+      console.error('Error adding custom icon:', error);
+      this.showToast('Error saving custom icon', 'error');
+    }
+  }
+
+  async removeCustomIcon(emoji) {
+    try {
+      await this.getStorage().removeCustomIcon(emoji);
+      await this.broadcastCustomIcons();
+      this.showToast(`Removed custom icon for ${emoji}`, 'success');
+    } catch (error) {
+      console.error('Error removing custom icon:', error);
+      this.showToast('Error removing custom icon', 'error');
+    }
+  }
+
+  async broadcastCustomIcons() {
+    const customIcons = await this.loadCustomIcons();
+    if (!customIcons) return;
+
+    await UIUtils.broadcastToTabs('updateOptions', { options: { customIcons } });
+  }
+
+  /**
+   * Retitle the domain list card for the active operating mode. Suggested sites
+   * are places to keep emojis, so they only make sense for a whitelist
+   */
+  applyListLabels() {
+    const { name, listed } = this.getListLabels();
+    this.elements.listCardTitle.textContent = `${name} Management`;
+    this.elements.listHeading.textContent = `${listed} Domains`;
+    this.elements.addDomainBtn.textContent = `Add to ${name}`;
+    this.elements.clearWhitelistBtn.textContent = `Clear All ${name}`;
+    this.elements.suggestedSites.hidden = this.listMode === 'blocklist';
+  }
+
   async loadWhitelist() {
     try {
       this.currentWhitelist = await this.getStorage().getWhitelist();
+      const settings = await this.getStorage().getSettings();
+      this.whitelistSubdomains = settings.whitelistSubdomains;
       this.renderWhitelist(
         this.elements.whitelistContainer,
         this.currentWhitelist,
         (domain) => this.removeDomain(domain),
-        'No domains whitelisted yet'
+        `No domains ${this.getListLabels().verb} yet`
       );
       this.updateSuggestedSitesState();
     } catch (error) {
       console.error('Error loading whitelist:', error);
-      this.showToast('Error loading whitelist', 'error');
+      this.showToast(`Error loading ${this.getListLabels().verb} domains`, 'error');
     }
   }
 
@@ -446,8 +1133,10 @@ class OptionsController extends BaseUIController {
   updateSuggestedSitesState() {
     document.querySelectorAll('.suggested-site-btn').forEach((btn) => {
       const domain = btn.getAttribute('data-domain');
-      const isWhitelisted = this.currentWhitelist.some(
-        (d) => d === domain || domain.includes(d) || d.includes(domain)
+      const isWhitelisted = this.getStorage().matchWhitelist(
+        this.currentWhitelist,
+        domain,
+        this.whitelistSubdomains
       );
 
       btn.classList.toggle('added', isWhitelisted);
@@ -475,27 +1164,128 @@ class OptionsController extends BaseUIController {
       }
     });
 
+    this.elements.textPresentationCheckbox.addEventListener('change', async () => {
+      try {
+        await this.updateOptions({
+          respectTextPresentation: this.elements.textPresentationCheckbox.checked
+        });
+        this.showToast('Symbol handling updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+
+    this.elements.processAttributesCheckbox.addEventListener('change', async () => {
+      try {
+        await this.updateOptions({
+          processAttributes: this.elements.processAttributesCheckbox.checked
+        });
+        this.showToast('Tooltip and label handling updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+
+    this.elements.processTitleCheckbox.addEventListener('change', async () => {
+      try {
+        await this.updateOptions({ processTitle: this.elements.processTitleCheckbox.checked });
+        this.showToast('Tab title handling updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+
+    this.elements.lazyProcessingCheckbox.addEventListener('change', async () => {
+      try {
+        await this.updateOptions({
+          lazyProcessing: this.elements.lazyProcessingCheckbox.checked
+        });
+        this.showToast('Long page handling updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+
+    this.elements.listModeSelect.addEventListener('change', () =>
+      this.updateListMode(this.elements.listModeSelect.value)
+    );
+
+    this.elements.frameSiteSelect.addEventListener('change', () =>
+      this.updateFrameSite(this.elements.frameSiteSelect.value)
+    );
+
+    this.elements.shortcodeStyleSelect.addEventListener('change', async () => {
+      try {
+        await this.updateOptions({ shortcodeStyle: this.elements.shortcodeStyleSelect.value });
+        this.showToast('Shortcode style updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+
+    this.elements.emojiSearch.addEventListener('input', () => this.renderEmojiPicker());
+    this.elements.addCustomIconBtn.addEventListener('click', () => this.addCustomIcon());
+    this.elements.addSiteRuleBtn.addEventListener('click', () => this.addSiteRule());
+    this.elements.siteRuleDomain.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.addSiteRule();
+    });
+    this.elements.strategySelect.addEventListener('change', async () => {
+      try {
+        await this.updateStrategy(this.elements.strategySelect.value);
+        this.showToast('Blocking method updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+    this.elements.addSiteStrategyBtn.addEventListener('click', () => this.addSiteStrategy());
+    this.elements.siteStrategyDomain.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.addSiteStrategy();
+    });
+
+    this.elements.sanitizeStyleSelect.addEventListener('change', async () => {
+      try {
+        await this.updateOptions({ sanitizeStyle: this.elements.sanitizeStyleSelect.value });
+        this.showToast('Input handling updated', 'success');
+      } catch {
+        this.showToast('Error updating settings', 'error');
+      }
+    });
+    this.elements.addSanitizeSiteBtn.addEventListener('click', () => this.addSanitizeSite());
+    this.elements.sanitizeDomain.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.addSanitizeSite();
+    });
+
     this.elements.addDomainBtn.addEventListener('click', () => this.addDomain());
     this.elements.domainInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.addDomain();
     });
     this.elements.clearWhitelistBtn.addEventListener('click', () => this.clearWhitelist());
+    this.elements.whitelistSubdomainsCheckbox.addEventListener('change', () =>
+      this.toggleWhitelistSubdomains(this.elements.whitelistSubdomainsCheckbox.checked)
+    );
+
+    this.elements.statsRange.addEventListener('change', () => this.loadStats());
+    this.elements.exportStatsBtn.addEventListener('click', () => this.exportStats());
+    this.elements.resetStatsBtn.addEventListener('click', () => this.resetStats());
+
+    this.elements.exportBtn.addEventListener('click', () => this.exportData());
+    this.elements.importFile.addEventListener('change', () => this.previewImport());
+    this.elements.confirmImportBtn.addEventListener('click', () => this.applyImport());
+    this.elements.cancelImportBtn.addEventListener('click', () => this.resetImport());
   }
 
   async toggleSuggestedSite(domain, btn) {
     const isAdded = btn.classList.contains('added');
 
     try {
-      if (isAdded) {
-        await this.getStorage().removeFromWhitelist(domain);
-        this.showToast(`Removed ${domain} from whitelist`, 'success');
-      } else {
-        await this.getStorage().addToWhitelist(domain);
-        this.showToast(`Added ${domain} to whitelist`, 'success');
-      }
+      await this.getStorage().setWhitelisted(domain, !isAdded);
+      this.showToast(
+        isAdded ? `Removed ${domain} from whitelist` : `Added ${domain} to whitelist`,
+        'success'
+      );
 
       await this.loadWhitelist();
-      await UIUtils.reloadTabsForDomain(domain);
+      await UIUtils.refreshTabsForDomain(domain);
     } catch (error) {
       console.error('Error toggling suggested site:', error);
       this.showToast('Error updating whitelist', 'error');
@@ -514,10 +1304,10 @@ class OptionsController extends BaseUIController {
       if (success) {
         this.elements.domainInput.value = '';
         await this.loadWhitelist();
-        this.showToast('Domain added to whitelist', 'success');
-        await UIUtils.reloadTabsForDomain(domain);
+        this.showToast(`Domain added to ${this.getListLabels().name.toLowerCase()}`, 'success');
+        await UIUtils.refreshTabsForDomain(domain);
       } else {
-        this.showToast('Domain already in whitelist', 'error');
+        this.showToast(`Domain already in ${this.getListLabels().name.toLowerCase()}`, 'error');
       }
     } catch (error) {
       console.error('Error adding domain:', error);
@@ -529,30 +1319,281 @@ class OptionsController extends BaseUIController {
     try {
       await this.getStorage().removeFromWhitelist(domain);
       await this.loadWhitelist();
-      this.showToast('Domain removed from whitelist', 'success');
-      await UIUtils.reloadTabsForDomain(domain);
+      this.showToast(`Domain removed from ${this.getListLabels().name.toLowerCase()}`, 'success');
+      await UIUtils.refreshTabsForDomain(domain);
     } catch (error) {
       console.error('Error removing domain:', error);
       this.showToast('Error removing domain', 'error');
     }
   }
 
+  async updateListMode(listMode) {
+    try {
+      await this.getStorage().updateSettings({ listMode });
+      this.listMode = listMode;
+      this.applyListLabels();
+      await this.loadWhitelist();
+      this.showToast(
+        listMode === 'blocklist'
+          ? 'Emojis are now blocked only on listed sites'
+          : 'Emojis are now blocked everywhere except listed sites',
+        'success'
+      );
+
+      await UIUtils.broadcastToTabs('reloadSettings');
+    } catch (error) {
+      console.error('Error updating list mode:', error);
+      this.showToast('Error updating settings', 'error');
+    }
+  }
+
+  async updateFrameSite(frameSite) {
+    try {
+      await this.getStorage().updateSettings({ frameSite });
+      this.showToast(
+        frameSite === 'frame'
+          ? 'Embedded frames now follow their own site'
+          : 'Embedded frames now follow the page they are on',
+        'success'
+      );
+
+      await UIUtils.broadcastToTabs('reloadSettings');
+    } catch (error) {
+      console.error('Error updating frame handling:', error);
+      this.showToast('Error updating settings', 'error');
+    }
+  }
+
+  async toggleWhitelistSubdomains(enabled) {
+    try {
+      await this.getStorage().updateSettings({ whitelistSubdomains: enabled });
+      await this.loadWhitelist();
+      const { name } = this.getListLabels();
+      this.showToast(
+        enabled ? `${name} now covers subdomains` : `${name} matches exact domains only`,
+        'success'
+      );
+
+      await UIUtils.broadcastToTabs('reloadSettings');
+    } catch (error) {
+      console.error('Error updating subdomain matching:', error);
+      this.showToast('Error updating settings', 'error');
+    }
+  }
+
   async clearWhitelist() {
-    if (!confirm('Are you sure you want to clear the entire whitelist?')) return;
+    const { name } = this.getListLabels();
+    if (!confirm(`Are you sure you want to clear the entire ${name.toLowerCase()}?`)) return;
 
     try {
       await this.getStorage().clearWhitelist();
       await this.loadWhitelist();
-      this.showToast('Whitelist cleared', 'success');
+      this.showToast(`${name} cleared`, 'success');
 
-      const tabs = await chrome.tabs.query({});
-      tabs.forEach((tab) => chrome.tabs.reload(tab.id).catch(() => {}));
+      await UIUtils.broadcastToTabs('reloadSettings');
     } catch (error) {
       console.error('Error clearing whitelist:', error);
       this.showToast('Error clearing whitelist', 'error');
     }
   }
 
+  async loadStats() {
+    try {
+      const stats = await this.getStorage().getStats();
+      this.renderStats(
+        this.getStorage().summarizeStats(stats, Number(this.elements.statsRange.value))
+      );
+    } catch (error) {
+      console.error('Error loading stats:', error);
+      this.showToast('Error loading statistics', 'error');
+    }
+  }
+
+  renderStats(summary) {
+    const max = Math.max(1, ...summary.days.map(([, count]) => count));
+    const renderList = (container, entries) => {
+      if (entries.length === 0) {
+        container.innerHTML = '<li class="stats-empty">Nothing blocked yet</li>';
+        return;
+      }
+
+      container.innerHTML = entries
+        .slice(0, 10)
+        .map(
+          ([label, count]) =>
+            `<li>${UIUtils.escapeHtml(label)}<span class="stats-count">${count}</span></li>`
+        )
+        .join('');
+    };
+
+    this.elements.statsTotal.textContent = summary.total.toLocaleString();
+    this.elements.statsChart.innerHTML = summary.days
+      .map(
+        ([day, count]) =>
+          `<div class="stats-bar" style="height: ${(count / max) * 100}%" title="${day}: ${count}"></div>`
+      )
+      .join('');
+    renderList(this.elements.statsDomains, summary.domains);
+    renderList(this.elements.statsEmojis, summary.emojis);
+  }
+
+  async exportStats() {
+    try {
+      const stats = await this.getStorage().getStats();
+      const date = this.getStorage().formatDay(new Date());
+      UIUtils.downloadFile(
+        `i-dont-care-about-emojis-stats-${date}.csv`,
+        this.getStorage().statsToCsv(stats),
+        'text/csv'
+      );
+      this.showToast('Statistics exported', 'success');
+    } catch (error) {
+      console.error('Error exporting stats:', error);
+      this.showToast('Error exporting statistics', 'error');
+    }
+  }
+
+  async resetStats() {
+    if (!confirm('Are you sure you want to delete all statistics?')) return;
+
+    const success = await this.getStorage().clearStats();
+    if (success) {
+      await this.loadStats();
+      this.showToast('Statistics reset', 'success');
+    } else {
+      this.showToast('Error resetting statistics', 'error');
+    }
+  }
+
+  async exportData() {
+    try {
+      const data = await this.getStorage().exportData();
+      const date = data.exportedAt.slice(0, 10);
+      UIUtils.downloadFile(
+        `i-dont-care-about-emojis-${date}.json`,
+        JSON.stringify(data, null, 2),
+        'application/json'
+      );
+      this.showToast('Settings exported', 'success');
+    } catch (error) {
+      console.error('Error exporting settings:', error);
+      this.showToast('Error exporting settings', 'error');
+    }
+  }
+
+  async previewImport() {
+    const [file] = this.elements.importFile.files;
+    this.pendingImport = null;
+    this.elements.importErrors.hidden = true;
+    this.elements.importPreview.hidden = true;
+    if (!file) return;
+
+    try {
+      const { data, errors } = this.getStorage().parseImport(await UIUtils.readFileAsText(file));
+      if (!data) {
+        this.elements.importErrors.innerHTML = errors
+          .map((error) => `<li>${UIUtils.escapeHtml(error)}</li>`)
+          .join('');
+        this.elements.importErrors.hidden = false;
+        this.showToast('This file cannot be imported', 'error');
+        return;
+      }
+
+      this.pendingImport = data;
+      this.elements.importSummary.innerHTML = (await this.describeImport(data))
+        .map((line) => `<li>${UIUtils.escapeHtml(line)}</li>`)
+        .join('');
+      this.elements.importPreview.hidden = false;
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      this.showToast('Error reading import file', 'error');
+    }
+  }
+
+  /**
+   * Summarize what an import contains, counting entries that are not stored yet
+   * @param {Object} data - Validated import data
+   * @returns {Promise<string[]>}
+   */
+  async describeImport(data) {
+    const current = await this.getStorage().exportData();
+    const lines = [];
+    const countNew = (entries, existing) => entries.filter((entry) => !existing(entry)).length;
+
+    if (data.settings) {
+      const changed = Object.keys(data.settings).filter(
+        (key) => JSON.stringify(data.settings[key]) !== JSON.stringify(current.settings[key])
+      );
+      lines.push(`Settings: ${changed.length} of ${Object.keys(data.settings).length} differ`);
+    }
+    if (data.whitelist) {
+      const added = countNew(data.whitelist, (entry) => current.whitelist.includes(entry));
+      lines.push(`Domain list: ${data.whitelist.length} entries, ${added} new`);
+    }
+    if (data.siteRules) {
+      const rules = Object.entries(data.siteRules);
+      const added = countNew(rules, ([domain, mode]) => current.siteRules[domain] === mode);
+      lines.push(`Site rules: ${rules.length} rules, ${added} new or changed`);
+    }
+    if (data.sanitizeSites) {
+      const added = countNew(data.sanitizeSites, (site) => current.sanitizeSites.includes(site));
+      lines.push(`Input sanitizing: ${data.sanitizeSites.length} sites, ${added} new`);
+    }
+    if (data.siteStrategies) {
+      const strategies = Object.entries(data.siteStrategies);
+      const added = countNew(
+        strategies,
+        ([domain, strategy]) => current.siteStrategies[domain] === strategy
+      );
+      lines.push(`Blocking methods: ${strategies.length} sites, ${added} new or changed`);
+    }
+    if (data.customIcons) {
+      const icons = Object.keys(data.customIcons);
+      const added = countNew(icons, (emoji) => emoji in current.customIcons);
+      lines.push(`Custom icons: ${icons.length} icons, ${added} new`);
+    }
+
+    return lines.length ? lines : ['The file contains no settings or lists'];
+  }
+
+  async applyImport() {
+    if (!this.pendingImport) return;
+
+    const strategy = this.elements.importStrategy.value;
+    if (
+      strategy === 'replace' &&
+      !confirm('Replace your current data with the contents of this file?')
+    ) {
+      return;
+    }
+
+    const success = await this.getStorage().importData(this.pendingImport, strategy);
+    if (!success) {
+      this.showToast('Error importing settings', 'error');
+      return;
+    }
+
+    this.resetImport();
+    await this.loadSettings(this.elements);
+    this.applyListLabels();
+    await this.loadSiteRules();
+    await this.loadSiteStrategies();
+    await this.loadSanitizeSites();
+    await this.loadEmojiPolicy();
+    await this.loadCustomIcons();
+    await this.loadWhitelist();
+    this.showToast('Settings imported', 'success');
+
+    await UIUtils.broadcastToTabs('reloadSettings');
+  }
+
+  resetImport() {
+    this.pendingImport = null;
+    this.elements.importFile.value = '';
+    this.elements.importErrors.hidden = true;
+    this.elements.importPreview.hidden = true;
+  }
+
   showToast(message, type = 'success') {
     this.elements.toast.textContent = message;
     this.elements.toast.className = `toast ${type} show`;